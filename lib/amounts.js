@@ -0,0 +1,32 @@
+// Amounts on the server: the one-time move from whole dollars to integer minor units,
+// and converting what app versions from before it push
+const { AMOUNT_UNITS, MONEY_COLLECTIONS, recordToMinorUnits, settingsToMinorUnits } = require('../public/js/money');
+const { stampFieldRevisions } = require('../public/js/merge');
+
+// Once per store: convert every stored amount, with new revisions so every device pulls them
+function migrateAmounts(storage) {
+  if (storage.backend.getMeta('amountsInMinorUnitsAt')) return false;
+
+  storage.transaction(() => {
+    for (const collection of MONEY_COLLECTIONS) {
+      const repository = storage[collection];
+      let rev = repository.maxRevision();
+      repository.putMany(repository.all().map(record => {
+        const converted = { ...recordToMinorUnits(collection, record), rev: ++rev };
+        return { ...converted, fieldRevs: stampFieldRevisions(record, converted, rev) };
+      }));
+    }
+    storage.saveSettings(settingsToMinorUnits(storage.getSettings()));
+    storage.backend.setMeta('amountsInMinorUnitsAt', new Date().toISOString());
+  });
+  return true;
+}
+
+// Syncs say which units they use; older app versions don't, and push whole dollars
+function pushedInMinorUnits(body, collection) {
+  const records = body[collection] || [];
+  if (body.amountUnits === AMOUNT_UNITS) return records;
+  return records.map(record => recordToMinorUnits(collection, record));
+}
+
+module.exports = { migrateAmounts, pushedInMinorUnits };
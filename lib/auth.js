@@ -0,0 +1,164 @@
+// Accounts and sessions: scrypt password hashes and random, server-side session tokens
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Sliding expiry is only written back this often, so every request isn't a write
+const SESSION_TOUCH_MS = 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of the token is stored, so a copy of the database can't be used to log in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function findUserByName(storage, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return storage.users.active().find(user => user.name.toLowerCase() === wanted) || null;
+}
+
+// Unknown names still pay for a hash, so response times don't reveal which names exist
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function authenticate(storage, name, password) {
+  const user = findUserByName(storage, name);
+  const valid = verifyPassword(password, user && user.passwordHash ? user.passwordHash : DUMMY_HASH);
+  return user && valid ? user : null;
+}
+
+function publicUser(user) {
+  return { id: user.id, name: user.name, memberId: user.memberId || null };
+}
+
+// Every household member has an account: renamed members sign in under their new name, and
+// removed members can no longer sign in. Members without an account get one with
+// `password`, the shared PASSWORD, on first run and for installs from before accounts (so
+// they keep working until everyone sets their own). Members added since get one with
+// `password` null: it has no password, so nobody can sign in as them until a member of the
+// household sets one. With `password` undefined no accounts are added.
+// Accounts from before members existed are matched up by name.
+function syncAccounts(storage, password) {
+  const users = storage.users.all();
+  const byMember = new Map(users.filter(user => user.memberId).map(user => [user.memberId, user]));
+  const now = new Date().toISOString();
+  const changed = [];
+
+  for (const member of storage.members.all()) {
+    const user = byMember.get(member.id) ||
+      users.find(candidate => !candidate.memberId && candidate.name.toLowerCase() === member.name.toLowerCase());
+    const deletedAt = member.deletedAt || null;
+
+    if (user) {
+      if (user.memberId !== member.id || user.name !== member.name || (user.deletedAt || null) !== deletedAt) {
+        changed.push({ ...user, memberId: member.id, name: member.name, deletedAt, updatedAt: now });
+      }
+    } else if ((password || password === null) && !deletedAt) {
+      changed.push({
+        id: crypto.randomUUID(),
+        memberId: member.id,
+        name: member.name,
+        passwordHash: password ? hashPassword(password) : null,
+        createdAt: now,
+        updatedAt: now,
+        deletedAt: null
+      });
+    }
+  }
+
+  storage.users.putMany(changed);
+  return changed.length;
+}
+
+function createSession(storage, user, { userAgent = null, ttlMs = SESSION_TTL_MS } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    userId: user.id,
+    userAgent,
+    createdAt: new Date(now).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+    revokedAt: null
+  };
+
+  storage.sessions.put(session);
+  return { token, session };
+}
+
+function isActive(session, now = Date.now()) {
+  return !session.revokedAt && new Date(session.expiresAt).getTime() > now;
+}
+
+// The live session and user for a cookie token, or null. Extends the expiry while in use.
+function findSession(storage, token, { ttlMs = SESSION_TTL_MS } = {}) {
+  if (!token) return null;
+
+  const session = storage.sessions.findBy('tokenHash', hashToken(token))[0];
+  const now = Date.now();
+  if (!session || !isActive(session, now)) return null;
+
+  const user = storage.users.get(session.userId);
+  if (!user || user.deletedAt) return null;
+
+  if (now - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_MS) {
+    session.lastSeenAt = new Date(now).toISOString();
+    session.expiresAt = new Date(now + ttlMs).toISOString();
+    storage.sessions.put(session);
+  }
+
+  return { session, user };
+}
+
+function listSessions(storage) {
+  const names = new Map(storage.users.all().map(user => [user.id, user.name]));
+  return storage.sessions.all()
+    .filter(session => isActive(session))
+    .map(({ tokenHash, ...session }) => ({ ...session, userName: names.get(session.userId) || null }))
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+function revokeSessions(storage, sessions) {
+  const revokedAt = new Date().toISOString();
+  storage.sessions.putMany(sessions.filter(session => !session.revokedAt).map(session => ({ ...session, revokedAt })));
+}
+
+// Expired and revoked sessions are kept for a while for the record, then dropped
+function pruneSessions(storage, keepMs = SESSION_TTL_MS) {
+  const cutoff = Date.now() - keepMs;
+  const stale = storage.sessions.all().filter(session =>
+    new Date(session.revokedAt || session.expiresAt).getTime() < cutoff
+  );
+  storage.sessions.removeMany(stale.map(session => session.id));
+  return stale.length;
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  findUserByName,
+  authenticate,
+  publicUser,
+  syncAccounts,
+  createSession,
+  findSession,
+  listSessions,
+  revokeSessions,
+  pruneSessions
+};
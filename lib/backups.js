@@ -0,0 +1,257 @@
+// Backups: full JSON snapshots in the backups directory, a daily schedule and retention
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+const { exportData, upgradeExport } = require('./exports');
+const { stampFieldRevisions } = require('../public/js/merge');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BACKUP_NAME = /^backup-[\w-]+\.json$/;
+const RESTORED_COLLECTIONS = ['transactions', 'categories', 'recurring', 'members', 'settlements', 'envelopeMoves', 'rates', 'bankProfiles'];
+// Older backups have no members, settlements, envelope moves, rates or bank profiles; restoring one leaves those as they are
+const REQUIRED_COLLECTIONS = ['transactions', 'categories', 'recurring'];
+const DIFF_IGNORED_FIELDS = ['rev', 'fieldRevs'];
+
+// Backups taken just before a restore or import are the way back from it, so they are kept
+// for `safetyDays` even when a newer backup is the one kept for their day
+const DEFAULT_RETENTION = { daily: 14, weekly: 8, monthly: 12, safetyDays: 30 };
+const SAFETY_REASONS = ['pre-restore', 'pre-import'];
+
+function isBackupName(name) {
+  return BACKUP_NAME.test(name);
+}
+
+// backup-2024-01-15T10-00-00-000Z.json -> 2024-01-15T10:00:00.000Z
+function parseBackupTime(name) {
+  const stamp = name.slice('backup-'.length, -'.json'.length)
+    .replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+  const time = new Date(stamp);
+  return isNaN(time) ? null : time;
+}
+
+function createBackup(storage, backupDir, reason = 'manual') {
+  const now = new Date();
+  const backupData = {
+    ...exportData(storage),
+    reason,
+    backedUpAt: now.toISOString()
+  };
+
+  const name = `backup-${now.toISOString().replace(/[:.]/g, '-')}.json`;
+  writeFileAtomic(path.join(backupDir, name), JSON.stringify(backupData, null, 2));
+  return name;
+}
+
+function readBackup(backupDir, name) {
+  if (!isBackupName(name)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(backupDir, name), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw new Error(`Backup ${name} is unreadable: ${e.message}`);
+  }
+
+  if (!REQUIRED_COLLECTIONS.every(collection => Array.isArray(data[collection]))) {
+    throw new Error(`Backup ${name} is missing data`);
+  }
+  // Backups are exports, and older ones are upgraded the same way
+  return upgradeExport(data);
+}
+
+// Newest first. Unreadable files are listed too, so they can be seen and downloaded.
+function listBackups(backupDir) {
+  return fs.readdirSync(backupDir)
+    .filter(isBackupName)
+    .map(name => {
+      const filePath = path.join(backupDir, name);
+      const stat = fs.statSync(filePath);
+      const backup = {
+        name,
+        createdAt: (parseBackupTime(name) || stat.mtime).toISOString(),
+        size: stat.size,
+        reason: null,
+        counts: null
+      };
+
+      try {
+        const data = readBackup(backupDir, name);
+        backup.reason = data.reason || null;
+        backup.counts = {};
+        collectionsIn(data).forEach(collection => {
+          backup.counts[collection] = data[collection].filter(record => !record.deletedAt).length;
+        });
+      } catch (e) {
+        backup.error = e.message;
+      }
+      return backup;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function collectionsIn(data) {
+  return RESTORED_COLLECTIONS.filter(collection => Array.isArray(data[collection]));
+}
+
+// Newest backup that still parses, for recovering from damaged data
+function findNewestBackup(backupDir) {
+  for (const backup of listBackups(backupDir)) {
+    if (backup.error) {
+      console.warn(`Skipping unreadable backup ${backup.name}: ${backup.error}`);
+      continue;
+    }
+    return { name: backup.name, backedUpAt: backup.createdAt, data: readBackup(backupDir, backup.name) };
+  }
+  return null;
+}
+
+function withoutRevisions(record) {
+  const copy = { ...record };
+  DIFF_IGNORED_FIELDS.forEach(field => delete copy[field]);
+  return JSON.stringify(copy, Object.keys(copy).sort());
+}
+
+// What restoring a backup would do to each collection. Deleted records count as absent.
+function diffBackup(storage, data) {
+  const diff = {};
+
+  for (const collection of collectionsIn(data)) {
+    const current = new Map(storage[collection].active().map(record => [record.id, record]));
+    const restored = new Map(data[collection].filter(record => !record.deletedAt).map(record => [record.id, record]));
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+    for (const [id, record] of restored) {
+      if (!current.has(id)) {
+        counts.added += 1;
+      } else if (withoutRevisions(current.get(id)) !== withoutRevisions(record)) {
+        counts.changed += 1;
+      } else {
+        counts.unchanged += 1;
+      }
+    }
+    counts.removed = Array.from(current.keys()).filter(id => !restored.has(id)).length;
+    diff[collection] = counts;
+  }
+
+  const settings = storage.getSettings();
+  const restoredSettings = data.settings || {};
+  diff.settings = Array.from(new Set([...Object.keys(settings), ...Object.keys(restoredSettings)]))
+    .filter(key => JSON.stringify(settings[key]) !== JSON.stringify(restoredSettings[key]));
+
+  return diff;
+}
+
+// `record` stored at `rev` in place of `previous`, with the fields it changes stamped `rev`
+function restamped(previous, record, rev) {
+  return { ...record, rev, fieldRevs: stampFieldRevisions(previous, record, rev) };
+}
+
+// Put the backup's differing records back with new revisions so every device pulls them, and
+// soft-delete records the backup doesn't have so the removal syncs out too
+function restoreBackup(storage, data) {
+  const now = new Date().toISOString();
+
+  storage.transaction(() => {
+    for (const collection of collectionsIn(data)) {
+      const repository = storage[collection];
+      const current = new Map(repository.all().map(record => [record.id, record]));
+      const restoredIds = new Set(data[collection].map(record => record.id));
+      let rev = repository.maxRevision();
+
+      const removed = Array.from(current.values())
+        .filter(record => !record.deletedAt && !restoredIds.has(record.id))
+        .map(record => restamped(record, { ...record, deletedAt: now, updatedAt: now }, ++rev));
+      const restored = data[collection]
+        .filter(record => !current.has(record.id) || withoutRevisions(current.get(record.id)) !== withoutRevisions(record))
+        .map(record => restamped(current.get(record.id), record, ++rev));
+
+      repository.putMany([...removed, ...restored]);
+    }
+    if (data.settings) {
+      storage.saveSettings(data.settings);
+    }
+  });
+}
+
+// Grandfather-father-son retention: keep the newest backup of each of the last
+// `daily` days, `weekly` weeks and `monthly` months that have a backup, and every
+// safety backup younger than `safetyDays`
+function selectBackupsToKeep(backups, retention = DEFAULT_RETENTION, now = new Date()) {
+  const periods = [
+    [retention.daily, time => time.toISOString().slice(0, 10)],
+    [retention.weekly, time => weekStart(time)],
+    [retention.monthly, time => time.toISOString().slice(0, 7)]
+  ];
+  const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const keep = new Set();
+
+  for (const [limit, periodOf] of periods) {
+    const seen = new Set();
+    for (const backup of newestFirst) {
+      const period = periodOf(new Date(backup.createdAt));
+      if (seen.has(period)) continue;
+      if (seen.size >= limit) break;
+      seen.add(period);
+      keep.add(backup.name);
+    }
+  }
+
+  const safetyMs = (retention.safetyDays ?? DEFAULT_RETENTION.safetyDays) * DAY_MS;
+  backups
+    .filter(backup => SAFETY_REASONS.includes(backup.reason) && now - new Date(backup.createdAt) < safetyMs)
+    .forEach(backup => keep.add(backup.name));
+
+  return keep;
+}
+
+// Monday of the (UTC) week
+function weekStart(time) {
+  const monday = new Date(time);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+function pruneBackups(backupDir, retention, now = new Date()) {
+  const backups = listBackups(backupDir);
+  const keep = selectBackupsToKeep(backups, retention, now);
+  const removed = backups.filter(backup => !keep.has(backup.name)).map(backup => backup.name);
+
+  removed.forEach(name => fs.rmSync(path.join(backupDir, name), { force: true }));
+  return removed;
+}
+
+// Check hourly whether the newest backup is older than the interval; catching up on
+// startup means a server that restarts often still gets its daily backup.
+function scheduleBackups({ backupDir, intervalMs = DAY_MS, checkEveryMs = 60 * 60 * 1000, run }) {
+  function check() {
+    const newest = listBackups(backupDir)[0];
+    if (newest && Date.now() - new Date(newest.createdAt).getTime() < intervalMs) return;
+
+    try {
+      run();
+    } catch (error) {
+      console.error('Scheduled backup failed:', error);
+    }
+  }
+
+  check();
+  const timer = setInterval(check, checkEveryMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  isBackupName,
+  createBackup,
+  readBackup,
+  listBackups,
+  collectionsIn,
+  findNewestBackup,
+  diffBackup,
+  restoreBackup,
+  selectBackupsToKeep,
+  pruneBackups,
+  scheduleBackups
+};
@@ -0,0 +1,133 @@
+// Bank files on the server: OFX/QFX and QIF statements read into the same rows as a CSV
+// statement ({ date, description, amount }, spending positive, in minor units), so they go
+// through the app's preview, duplicate check and import like any other statement.
+//
+// Every row also gets an `importId` that stays the same however often the file is read: the
+// bank's FITID for OFX, and for QIF (which has no ids) the line's own details. Transactions
+// keep it, so importing the same statement twice adds nothing the second time.
+const crypto = require('crypto');
+const { parseStatementAmount, parseStatementDate } = require('../public/js/statements');
+
+// 'ofx' (which QFX is), 'qif', or null for anything else
+function detectBankFile(text) {
+  const start = String(text || '').replace(/^\uFEFF/, '').trimStart();
+  if (/^OFXHEADER:/i.test(start) || /<OFX>/i.test(start.substring(0, 2000))) return 'ofx';
+  if (/^!(Type|Account|Option)/i.test(start)) return 'qif';
+  return null;
+}
+
+// The value of the first <TAG> in `block`. OFX 1 is SGML, where values often have no
+// closing tag, so a value runs to the next tag or the end of the line.
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim().replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>') : null;
+}
+
+// 20240601, 20240601120000.000[-5:EST] -> "2024-06-01"
+function ofxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? parseStatementDate(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD') : null;
+}
+
+function parseOfx(text, unitsPerMajor = 100) {
+  const accountBlock = (text.match(/<(BANKACCTFROM|CCACCTFROM)>([\s\S]*?)(<\/\1>|<\/?(BANKTRANLIST|STMTTRN)>)/i) || [])[2] || '';
+  const account = {
+    id: ofxValue(accountBlock, 'ACCTID'),
+    type: /<CCACCTFROM>/i.test(text) ? 'card' : (ofxValue(accountBlock, 'ACCTTYPE') || 'checking').toLowerCase()
+  };
+  const currency = ofxValue(text, 'CURDEF');
+
+  const rows = [];
+  const errors = [];
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  blocks.forEach((block, i) => {
+    const date = ofxDate(ofxValue(block, 'DTPOSTED'));
+    const posted = parseStatementAmount(ofxValue(block, 'TRNAMT'), unitsPerMajor);
+    if (!date || posted === null) {
+      errors.push(`Transaction ${i + 1}: ${date ? 'the amount is not a number' : 'the date is missing'}`);
+      return;
+    }
+    if (posted === 0) return;
+
+    // OFX amounts are money into the account, so spending is negative
+    const fitId = ofxValue(block, 'FITID');
+    rows.push({
+      line: i + 1,
+      date,
+      description: ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE') || ofxValue(block, 'MEMO') || '',
+      amount: -posted,
+      importId: fitId ? `ofx:${account.id || ''}:${fitId}` : null
+    });
+  });
+  return { format: 'ofx', account, currency, rows, errors };
+}
+
+// QIF dates come as 6/1/2024, 6/ 1'24 or 06-01-24; month or day first is guessed from the
+// whole file, since a day over 12 gives it away
+function qifDateParts(value) {
+  const parts = String(value || '').replace(/\s/g, '').split(/['/.-]/);
+  if (parts.length !== 3) return null;
+  const year = parts[2].length === 2 ? `20${parts[2]}` : parts[2];
+  return [parts[0], parts[1], year];
+}
+
+function parseQif(text, unitsPerMajor = 100) {
+  const type = ((text.match(/^!Type:(\w+)/im) || [])[1] || 'bank').toLowerCase();
+  const records = [];
+  let record = {};
+  let line = 0;
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const code = raw.charAt(0);
+    const value = raw.substring(1).trim();
+    if (code === '!') return;
+    if (code === '^') {
+      if (Object.keys(record).length > 0) records.push({ ...record, line });
+      record = {};
+      return;
+    }
+    if (Object.keys(record).length === 0) line = i + 1;
+    if (/^[DTUPNM]$/.test(code) && record[code] === undefined) record[code] = value;
+  });
+  if (Object.keys(record).length > 0) records.push({ ...record, line });
+
+  const dayFirst = records.some(r => {
+    const parts = qifDateParts(r.D);
+    return parts && Number(parts[0]) > 12;
+  });
+
+  const rows = [];
+  const errors = [];
+  const seen = {};
+  records.forEach(r => {
+    const parts = qifDateParts(r.D);
+    const date = parts && parseStatementDate(parts.join('/'), dayFirst ? 'DD/MM/YYYY' : 'MM/DD/YYYY');
+    const posted = parseStatementAmount(r.T !== undefined ? r.T : r.U, unitsPerMajor);
+    if (!date) {
+      errors.push(`Line ${r.line}: "${r.D || ''}" is not a date`);
+      return;
+    }
+    if (posted === null) {
+      errors.push(`Line ${r.line}: the amount is not a number`);
+      return;
+    }
+    if (posted === 0) return;
+
+    // No ids in QIF: the line's details, counted so two identical lines stay two
+    const description = r.P || r.M || '';
+    const key = [type, date, posted, description, r.N || ''].join('|');
+    seen[key] = (seen[key] || 0) + 1;
+    const hash = crypto.createHash('sha256').update(`${key}|${seen[key]}`).digest('hex').substring(0, 24);
+    rows.push({ line: r.line, date, description, amount: -posted, importId: `qif:${hash}` });
+  });
+  return { format: 'qif', account: { id: null, type }, currency: null, rows, errors };
+}
+
+// The rows of an OFX/QFX or QIF file, or null when it is neither
+function parseBankFile(text, unitsPerMajor = 100) {
+  const format = detectBankFile(text);
+  if (format === 'ofx') return parseOfx(text, unitsPerMajor);
+  if (format === 'qif') return parseQif(text, unitsPerMajor);
+  return null;
+}
+
+module.exports = { detectBankFile, parseOfx, parseQif, parseBankFile };
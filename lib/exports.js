@@ -0,0 +1,268 @@
+// Exports on the server: what an export or backup holds, upgrading older ones to the
+// current schema (public/js/schema.js) before they are imported or restored, and the
+// transaction exports for spreadsheets and bookkeeping software (CSV, XLSX and OFX)
+const { AMOUNT_UNITS, DEFAULT_CURRENCY, dataToMinorUnits, currencyDecimals, minorPerMajor } = require('../public/js/money');
+const { SCHEMA_VERSION, exportVersion } = require('../public/js/schema');
+const { memberFor } = require('../public/js/members');
+const { writeXlsx } = require('./xlsx');
+
+// Every record in the store, deleted ones included so deletions survive a round trip
+function exportData(storage) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    transactions: storage.transactions.all(),
+    categories: storage.categories.all(),
+    settings: storage.getSettings(),
+    recurring: storage.recurring.all(),
+    members: storage.members.all(),
+    settlements: storage.settlements.all(),
+    envelopeMoves: storage.envelopeMoves.all(),
+    rates: storage.rates.all(),
+    bankProfiles: storage.bankProfiles.all(),
+    amountUnits: AMOUNT_UNITS
+  };
+}
+
+function categoryKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Transactions that only name their category, linked to it by id. A category still in use
+// wins over a deleted one of the same name; names no category has are left alone.
+function linkCategories(data) {
+  const byName = new Map();
+  [...data.categories.filter(c => c.deletedAt), ...data.categories.filter(c => !c.deletedAt)].forEach(category => {
+    byName.set(categoryKey(category.name), category);
+  });
+
+  return {
+    ...data,
+    transactions: data.transactions.map(tx => {
+      const category = tx.categoryId ? null : byName.get(categoryKey(tx.category));
+      return category ? { ...tx, categoryId: category.id } : tx;
+    })
+  };
+}
+
+// The upgrade from each schema version to the next
+const MIGRATIONS = {
+  1: dataToMinorUnits,
+  2: linkCategories
+};
+
+// A valid export (see validateExport) in the current schema, upgraded one version at a time
+function upgradeExport(data) {
+  if (exportVersion(data) >= SCHEMA_VERSION) return data;
+  let upgraded = data;
+  for (let version = exportVersion(data); version < SCHEMA_VERSION; version++) {
+    upgraded = MIGRATIONS[version](upgraded);
+  }
+  return { ...upgraded, schemaVersion: SCHEMA_VERSION, amountUnits: AMOUNT_UNITS };
+}
+
+// Transaction exports always have the date, person, category, vendor, amount (in the base
+// currency) and memo. Optional column groups add more, in this order:
+//   split      how the cost is shared ("Equal: James, Samantha", "James 60%, Samantha 40%")
+//   currency   what was paid in another currency and the rate it was converted at
+//   recurring  the recurring entry a transaction came from
+const EXPORT_COLUMNS = {
+  split: ['Split'],
+  currency: ['Currency', 'Amount Paid', 'Rate'],
+  recurring: ['Recurring ID']
+};
+
+// The optional columns asked for in "split,currency", or an error naming one that doesn't exist
+function parseExportColumns(value) {
+  const columns = String(value || '').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = columns.find(name => !EXPORT_COLUMNS[name]);
+  if (unknown) return { error: `Unknown export column "${unknown}"` };
+  return { columns: Object.keys(EXPORT_COLUMNS).filter(name => columns.includes(name)) };
+}
+
+function memberName(members, id) {
+  const member = members.find(m => m.id === id);
+  return member ? member.name : id;
+}
+
+function majorUnits(minor, currency) {
+  return (minor / minorPerMajor(currency)).toFixed(currencyDecimals(currency));
+}
+
+function describeSplit(split, members, currency) {
+  if (!split || split.type === 'personal') return 'Personal';
+  if (split.type === 'equal') return `Equal: ${(split.memberIds || []).map(id => memberName(members, id)).join(', ')}`;
+  return Object.entries(split.shares || {}).map(([id, share]) =>
+    `${memberName(members, id)} ${split.type === 'percent' ? `${share}%` : majorUnits(share, currency)}`).join(', ');
+}
+
+// Oldest first, so statements and month sheets read in order
+function byDate(transactions) {
+  return [...transactions].sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+}
+
+// The header and rows of a transaction export. Amounts are { amount, currency } in minor
+// units and rates { number }, left for each format to write its own way.
+function exportRows(transactions, { members = [], columns = [], baseCurrency = DEFAULT_CURRENCY } = {}) {
+  const header = ['Date', 'Person', 'Category', 'Vendor', 'Amount', 'Memo', ...columns.flatMap(name => EXPORT_COLUMNS[name])];
+  const rows = byDate(transactions).map(tx => {
+    const row = [
+      tx.date,
+      (memberFor(members, tx) || { name: tx.person }).name,
+      tx.category,
+      tx.vendor || '',
+      { amount: tx.amount, currency: baseCurrency },
+      tx.memo || ''
+    ];
+    columns.forEach(name => {
+      if (name === 'split') row.push(describeSplit(tx.split, members, baseCurrency));
+      if (name === 'currency') {
+        row.push(tx.currency || baseCurrency,
+          tx.currency ? { amount: tx.originalAmount, currency: tx.currency } : { amount: tx.amount, currency: baseCurrency },
+          tx.currency ? { number: tx.rate } : '');
+      }
+      if (name === 'recurring') row.push(tx.recurringId || '');
+    });
+    return row;
+  });
+  return { header, rows };
+}
+
+// Text is quoted (quotes doubled) and numbers aren't, so spreadsheets read "4.75" as a number
+function csvCell(cell) {
+  if (cell && typeof cell === 'object') return cell.amount !== undefined ? majorUnits(cell.amount, cell.currency) : String(cell.number);
+  return `"${String(cell === null || cell === undefined ? '' : cell).replace(/"/g, '""')}"`;
+}
+
+function toCsv({ header, rows }) {
+  return [header.join(','), ...rows.map(row => row.map(csvCell).join(','))].join('\n');
+}
+
+function xlsxCell(cell) {
+  if (cell && typeof cell === 'object' && cell.amount !== undefined) {
+    return { number: Number(majorUnits(cell.amount, cell.currency)), decimals: currencyDecimals(cell.currency) };
+  }
+  return cell;
+}
+
+// Per month, spending by category and by person, biggest first, with the month's total
+function monthSummaries(transactions, members) {
+  const months = new Map();
+  byDate(transactions).forEach(tx => {
+    const key = tx.date.substring(0, 7);
+    if (!months.has(key)) months.set(key, { month: key, total: 0, count: 0, categories: new Map(), people: new Map() });
+    const month = months.get(key);
+    const add = (groups, name) => {
+      const group = groups.get(name) || { name, amount: 0, count: 0 };
+      group.amount += tx.amount;
+      group.count += 1;
+      groups.set(name, group);
+    };
+    month.total += tx.amount;
+    month.count += 1;
+    add(month.categories, tx.category);
+    add(month.people, (memberFor(members, tx) || { name: tx.person }).name);
+  });
+  return [...months.values()].map(month => ({
+    ...month,
+    categories: [...month.categories.values()].sort((a, b) => b.amount - a.amount),
+    people: [...month.people.values()].sort((a, b) => b.amount - a.amount)
+  }));
+}
+
+// A "Transactions" sheet, then a summary sheet for each month named like "2024-06"
+function toXlsx(transactions, options = {}) {
+  const baseCurrency = options.baseCurrency || DEFAULT_CURRENCY;
+  const { header, rows } = exportRows(transactions, options);
+  const money = amount => xlsxCell({ amount, currency: baseCurrency });
+  const groupRows = (title, groups) => [
+    [{ text: title, bold: true }, { text: 'Amount', bold: true }, { text: 'Transactions', bold: true }],
+    ...groups.map(group => [group.name, money(group.amount), { number: group.count, decimals: 0 }])
+  ];
+
+  return writeXlsx([
+    { name: 'Transactions', rows: [header, ...rows.map(row => row.map(xlsxCell))] },
+    ...monthSummaries(transactions, options.members || []).map(month => ({
+      name: month.month,
+      rows: [
+        ...groupRows('Category', month.categories),
+        [{ text: 'Total', bold: true }, money(month.total), { number: month.count, decimals: 0 }],
+        [],
+        ...groupRows('Person', month.people)
+      ]
+    }))
+  ]);
+}
+
+function ofxText(text, length) {
+  return String(text || '').replace(/[\r\n]+/g, ' ').substring(0, length)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function ofxDate(date) {
+  return date.replace(/-/g, '');
+}
+
+// An OFX 1.02 bank statement of the transactions, as bookkeeping software imports it: spending
+// is money out of the account (negative), refunds money in, and each FITID is the transaction's
+// id so importing it again finds the same transactions. The balance is the sum of them all.
+function toOfx(transactions, { baseCurrency = DEFAULT_CURRENCY, account = 'spendtrack', now = new Date() } = {}) {
+  const sorted = byDate(transactions);
+  const today = now.toISOString().substring(0, 10);
+  const start = sorted.length > 0 ? sorted[0].date : today;
+  const end = sorted.length > 0 ? sorted[sorted.length - 1].date : today;
+  const balance = -sorted.reduce((sum, tx) => sum + tx.amount, 0);
+
+  const statement = sorted.map(tx => [
+    '<STMTTRN>',
+    `<TRNTYPE>${tx.amount > 0 ? 'DEBIT' : 'CREDIT'}`,
+    `<DTPOSTED>${ofxDate(tx.date)}`,
+    `<TRNAMT>${majorUnits(-tx.amount, baseCurrency)}`,
+    `<FITID>${ofxText(tx.id, 255)}`,
+    `<NAME>${ofxText(tx.vendor || tx.category, 32)}`,
+    ...(tx.memo ? [`<MEMO>${ofxText(tx.memo, 255)}`] : []),
+    '</STMTTRN>'
+  ].join('\n'));
+
+  return [
+    'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:USASCII',
+    'CHARSET:1252', 'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${ofxDate(today)}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${baseCurrency}`,
+    '<BANKACCTFROM>',
+    '<BANKID>SPENDTRACK',
+    `<ACCTID>${ofxText(account, 22)}`,
+    '<ACCTTYPE>CHECKING',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(start)}`,
+    `<DTEND>${ofxDate(end)}`,
+    ...statement,
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${majorUnits(balance, baseCurrency)}<DTASOF>${ofxDate(end)}</LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  exportData,
+  upgradeExport,
+  EXPORT_COLUMNS,
+  parseExportColumns,
+  exportRows,
+  toCsv,
+  monthSummaries,
+  toXlsx,
+  toOfx
+};
@@ -0,0 +1,83 @@
+// JSON import: an export put back in one of three modes, previewed before it is applied
+//   replace  the export becomes the data, and records it doesn't have are deleted
+//   merge    each record is merged into the stored one field by field as if it had been
+//            synced (mergeRecords), so the later edit of each field wins and nothing is deleted
+//   append   only records whose ids aren't stored yet are added; nothing stored changes
+// Deletions are soft, like every other delete, so they reach the other devices on their next sync.
+const { mergeRecord, getChangedFields, isSameValue } = require('../public/js/merge');
+const { collectionsIn } = require('./backups');
+
+const IMPORT_MODES = ['replace', 'merge', 'append'];
+
+function isActive(record) {
+  return Boolean(record) && !record.deletedAt;
+}
+
+// How writing `next` over `current` shows up in the preview. Deleted records count as absent.
+function changeOf(current, next) {
+  if (!isActive(next)) return isActive(current) ? 'deleted' : 'unchanged';
+  if (!isActive(current)) return 'added';
+  return getChangedFields(current, next).length > 0 ? 'updated' : 'unchanged';
+}
+
+// The records `mode` writes to one collection ({ current, record } pairs) and what they do to it
+function planCollection(repository, imported, mode, now) {
+  const stored = new Map(repository.all().map(record => [record.id, record]));
+  const counts = { added: 0, updated: 0, unchanged: 0, deleted: 0 };
+  const writes = [];
+  const write = (current, record) => {
+    counts[changeOf(current, record)] += 1;
+    if (!current || getChangedFields(current, record).length > 0) writes.push({ current, record });
+  };
+
+  imported.forEach(record => {
+    const current = stored.get(record.id);
+    if (mode === 'append') {
+      write(current, current || record);
+    } else if (mode === 'merge') {
+      write(current, mergeRecord(current, record).record);
+    } else {
+      write(current, record);
+    }
+  });
+
+  if (mode === 'replace') {
+    const kept = new Set(imported.map(record => record.id));
+    stored.forEach(current => {
+      if (isActive(current) && !kept.has(current.id)) write(current, { ...current, deletedAt: now, updatedAt: now });
+    });
+  }
+  return { counts, writes };
+}
+
+// Everything importing `data` (already in minor units) in `mode` would write: the records per
+// collection, and the settings. Replacing takes the export's settings; merging and appending
+// only fill in settings that aren't set here.
+function planImport(storage, data, mode, now = new Date().toISOString()) {
+  const collections = {};
+  collectionsIn(data).forEach(collection => {
+    collections[collection] = planCollection(storage[collection], data[collection], mode, now);
+  });
+
+  const current = storage.getSettings();
+  const settings = mode === 'replace' ? data.settings : { ...data.settings, ...current };
+  const changedSettings = Array.from(new Set([...Object.keys(current), ...Object.keys(settings)]))
+    .filter(key => !isSameValue(current[key], settings[key]));
+  return { mode, collections, settings, changedSettings };
+}
+
+// What each mode would do: per collection, how many records would be added, updated,
+// unchanged or deleted, and which settings would change
+function previewImport(storage, data) {
+  const preview = {};
+  IMPORT_MODES.forEach(mode => {
+    const plan = planImport(storage, data, mode);
+    preview[mode] = { settings: plan.changedSettings };
+    Object.entries(plan.collections).forEach(([collection, { counts }]) => {
+      preview[mode][collection] = counts;
+    });
+  });
+  return preview;
+}
+
+module.exports = { IMPORT_MODES, planImport, previewImport };
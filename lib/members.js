@@ -0,0 +1,95 @@
+// Household members on the server: the one-time move from hard-coded names to the
+// members collection, and filling in members for records that only carry a name
+const crypto = require('crypto');
+const { memberInitials, nextMemberColor, findMemberByName } = require('../public/js/members');
+const { stampFieldRevisions } = require('../public/js/merge');
+
+// Collections whose records say which member they belong to
+const MEMBER_COLLECTIONS = ['transactions', 'recurring'];
+
+function createMember(members, name, now) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    color: nextMemberColor(members),
+    initials: memberInitials(name),
+    createdAt: now,
+    updatedAt: now,
+    updatedBy: 'System',
+    deletedAt: null
+  };
+}
+
+// Once per store: create the household (on a fresh store) plus a member for every other
+// name already on a record, then point existing records at their member by name
+function migrateMembers(storage, household) {
+  if (storage.backend.getMeta('membersMigratedAt')) return false;
+
+  storage.transaction(() => {
+    const now = new Date().toISOString();
+    const members = storage.members.all();
+    const names = members.length === 0 ? [...household] : [];
+    MEMBER_COLLECTIONS.forEach(collection => {
+      storage[collection].all().forEach(record => {
+        if (record.person) names.push(record.person.trim());
+      });
+    });
+
+    let rev = storage.members.maxRevision();
+    const added = [];
+    for (const name of names) {
+      if (!name || findMemberByName(members, name)) continue;
+      const created = createMember(members, name, now);
+      const member = { ...created, rev: ++rev, fieldRevs: stampFieldRevisions(null, created, rev) };
+      members.push(member);
+      added.push(member);
+    }
+    storage.members.putMany(added);
+
+    linkRecordsToMembers(storage);
+    storage.backend.setMeta('membersMigratedAt', now);
+  });
+  return true;
+}
+
+// Point records that only name their person at that member, with new revisions so
+// every device pulls the link. Names no member has are left alone.
+function linkRecordsToMembers(storage) {
+  const members = storage.members.all();
+  let linked = 0;
+
+  storage.transaction(() => {
+    for (const collection of MEMBER_COLLECTIONS) {
+      const repository = storage[collection];
+      let rev = repository.maxRevision();
+      const records = repository.all()
+        .filter(record => !record.memberId && findMemberByName(members, record.person))
+        .map(record => {
+          const linkedRecord = { ...record, memberId: findMemberByName(members, record.person).id, rev: ++rev };
+          return { ...linkedRecord, fieldRevs: stampFieldRevisions(record, linkedRecord, rev) };
+        });
+      repository.putMany(records);
+      linked += records.length;
+    }
+  });
+  return linked;
+}
+
+// Records pushed by app versions from before members (or imported from old exports)
+// name the person but not the member. Fill it in, and count it as edited whenever
+// the name was, so a changed person doesn't leave the old member behind.
+function withMemberIds(records, members) {
+  return records.map(record => {
+    if (!record || typeof record !== 'object' || !record.person) return record;
+
+    const edited = Array.isArray(record.changedFields) ? record.changedFields : null;
+    const stale = edited && edited.includes('person') && !edited.includes('memberId');
+    if (record.memberId && !stale) return record;
+
+    const member = findMemberByName(members, record.person);
+    if (!member) return record;
+    return { ...record, memberId: member.id, changedFields: stale ? [...edited, 'memberId'] : record.changedFields };
+  });
+}
+
+module.exports = { migrateMembers, linkRecordsToMembers, withMemberIds };
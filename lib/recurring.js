@@ -0,0 +1,88 @@
+// Recurring transactions are added here on the server rather than by each device, so two
+// phones opening the app offline on the same day can't both add the same bill. Each
+// occurrence's transaction has an id made from the recurring entry's id and the date, so
+// adding it twice writes the same record, and once deleted it stays deleted. Bills whose
+// amount varies are added as drafts for a member to confirm.
+const { dueDates, draftAmount } = require('../public/js/recurring');
+const { memberFor } = require('../public/js/members');
+
+const GENERATED_BY = 'System';
+
+// The id of the transaction `recurringId` adds on `date`
+function occurrenceId(recurringId, date) {
+  return `recurring-${recurringId}-${date}`;
+}
+
+// The transactions due by `today` that haven't been added yet, and the recurring entries
+// with their new `lastGenerated`, as { current, record } writes for putRestamped.
+// Transactions added by older app versions (with random ids) count as added too.
+function planRecurring(storage, today, now = new Date().toISOString()) {
+  const members = storage.members.all();
+  const categories = storage.categories.active();
+  const transactions = storage.transactions.all();
+  const added = new Set(transactions.filter(tx => tx.recurringId).map(tx => `${tx.recurringId}:${tx.date}`));
+  const stored = new Set(transactions.map(tx => tx.id));
+  const plan = { transactions: [], recurring: [] };
+
+  storage.recurring.active().forEach(rec => {
+    const dates = dueDates(rec, today);
+    if (dates.length === 0) return;
+    const member = memberFor(members, rec);
+    const category = categories.find(c => c.name.toLowerCase() === String(rec.category || '').toLowerCase());
+    const amount = rec.amountVaries ? draftAmount(rec, transactions) : rec.amount;
+
+    dates.forEach(date => {
+      const id = occurrenceId(rec.id, date);
+      if (stored.has(id) || added.has(`${rec.id}:${date}`)) return;
+      plan.transactions.push({
+        current: null,
+        record: {
+          id,
+          date,
+          person: member ? member.name : rec.person,
+          memberId: member ? member.id : rec.memberId,
+          category: rec.category,
+          ...(category ? { categoryId: category.id } : {}),
+          vendor: rec.vendor,
+          amount,
+          memo: rec.memo || `Recurring: ${rec.vendor}`,
+          recurringId: rec.id,
+          ...(rec.amountVaries ? { draft: true } : {}),
+          createdAt: now,
+          updatedAt: now,
+          updatedBy: GENERATED_BY,
+          deletedAt: null
+        }
+      });
+    });
+    plan.recurring.push({ current: rec, record: { ...rec, lastGenerated: dates[dates.length - 1], updatedAt: now, updatedBy: GENERATED_BY } });
+  });
+  return plan;
+}
+
+// A problem with a transaction for a recurring entry's date that already has one, or null.
+// Stops app versions from before the server added them from adding their own copy.
+function validateOccurrence(transaction, transactions) {
+  if (!transaction.recurringId || transaction.deletedAt) return null;
+  const other = transactions.find(tx => tx.id !== transaction.id && !tx.deletedAt &&
+    tx.recurringId === transaction.recurringId && tx.date === transaction.date);
+  return other ? 'This recurring transaction has already been added' : null;
+}
+
+// Add what's due on startup and then hourly, so the day's bills appear soon after midnight
+function scheduleRecurring({ checkEveryMs = 60 * 60 * 1000, run }) {
+  function check() {
+    try {
+      run();
+    } catch (error) {
+      console.error('Adding recurring transactions failed:', error);
+    }
+  }
+
+  check();
+  const timer = setInterval(check, checkEveryMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { occurrenceId, planRecurring, validateOccurrence, scheduleRecurring };
@@ -0,0 +1,85 @@
+// Crash-safe file helpers for the JSON backend and backups
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+
+// A damaged data file or database. Carries the paths involved so recovery can move them aside.
+class StorageCorruptError extends Error {
+  constructor(message, files) {
+    super(message);
+    this.name = 'StorageCorruptError';
+    this.files = files;
+  }
+}
+
+// Write to a temp file next to the target, flush it, then rename over the target.
+// A crash leaves either the old file or the new one, never a half-written file.
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Exclusive lock file, so two server processes never write the data directory at once.
+// A lock left behind by a process that no longer exists is taken over.
+function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    const owner = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+    if (!owner || !isProcessAlive(owner)) {
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for write lock ${lockPath} held by process ${owner}`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockPath) {
+  fs.rmSync(lockPath, { force: true });
+}
+
+// Move damaged files aside (never delete them) so a restore can start from a clean slate
+function quarantineFiles(files) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return files
+    .filter(file => fs.existsSync(file))
+    .map(file => {
+      const target = `${file}.corrupt-${stamp}`;
+      fs.renameSync(file, target);
+      return path.basename(target);
+    });
+}
+
+module.exports = { StorageCorruptError, writeFileAtomic, acquireLock, releaseLock, quarantineFiles };
@@ -0,0 +1,213 @@
+// Storage layer: repositories over a pluggable backend (SQLite by default)
+const fs = require('fs');
+const crypto = require('crypto');
+const { JsonBackend } = require('./json');
+const { StorageCorruptError, writeFileAtomic, quarantineFiles } = require('./files');
+
+const BACKENDS = {
+  sqlite: () => require('./sqlite').SqliteBackend,
+  json: () => JsonBackend
+};
+
+// Per-collection access, so routes never deal with files or SQL
+class Repository {
+  constructor(backend, name) {
+    this.backend = backend;
+    this.name = name;
+  }
+
+  all() {
+    return this.backend.all(this.name);
+  }
+
+  active() {
+    return this.all().filter(record => !record.deletedAt);
+  }
+
+  get(id) {
+    return this.backend.get(this.name, id);
+  }
+
+  getMany(ids) {
+    return this.backend.getMany(this.name, ids);
+  }
+
+  findBy(column, value) {
+    return this.backend.findBy(this.name, column, value);
+  }
+
+  changedSince(rev) {
+    return this.backend.changedSince(this.name, rev);
+  }
+
+  maxRevision() {
+    return this.backend.maxRevision(this.name);
+  }
+
+  nextRevision() {
+    return this.maxRevision() + 1;
+  }
+
+  put(record) {
+    this.backend.putMany(this.name, [record]);
+    return record;
+  }
+
+  putMany(records) {
+    this.backend.putMany(this.name, records);
+  }
+
+  // Hard delete, for bookkeeping records that never sync (e.g. expired sessions)
+  removeMany(ids) {
+    this.backend.removeMany(this.name, ids);
+  }
+
+  replaceAll(records) {
+    this.backend.replaceAll(this.name, records);
+  }
+
+  transaction(fn) {
+    return this.backend.transaction(fn);
+  }
+}
+
+class Storage {
+  constructor(backend, backendName) {
+    this.backend = backend;
+    this.backendName = backendName;
+    this.transactions = new Repository(backend, 'transactions');
+    this.categories = new Repository(backend, 'categories');
+    this.recurring = new Repository(backend, 'recurring');
+    this.members = new Repository(backend, 'members');
+    this.settlements = new Repository(backend, 'settlements');
+    this.envelopeMoves = new Repository(backend, 'envelopeMoves');
+    this.rates = new Repository(backend, 'rates');
+    this.bankProfiles = new Repository(backend, 'bankProfiles');
+    this.conflicts = new Repository(backend, 'conflicts');
+    this.users = new Repository(backend, 'users');
+    this.sessions = new Repository(backend, 'sessions');
+  }
+
+  collection(name) {
+    const repository = this[name];
+    if (!(repository instanceof Repository)) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return repository;
+  }
+
+  transaction(fn) {
+    return this.backend.transaction(fn);
+  }
+
+  // Changes whenever the store is rebuilt from scratch (e.g. recovered from a backup),
+  // telling clients that their sync cursors no longer mean anything
+  get epoch() {
+    return this.backend.getMeta('epoch');
+  }
+
+  renewEpoch() {
+    this.backend.setMeta('epoch', crypto.randomUUID());
+  }
+
+  verify() {
+    this.backend.verify();
+  }
+
+  getSettings() {
+    return this.backend.getSettings();
+  }
+
+  saveSettings(settings) {
+    this.backend.saveSettings(settings);
+  }
+
+  // First run only: seed default categories and settings into an empty store
+  seed({ categories, settings }) {
+    if (this.backend.getMeta('seededAt')) return;
+
+    this.transaction(() => {
+      if (this.categories.all().length === 0) {
+        this.categories.putMany(categories.map((category, i) => ({ ...category, rev: i + 1 })));
+      }
+      if (Object.keys(this.getSettings()).length === 0) {
+        this.saveSettings(settings);
+      }
+      this.backend.setMeta('seededAt', new Date().toISOString());
+    });
+  }
+
+  close() {
+    this.backend.close();
+  }
+}
+
+// One-time copy of the old data/*.json files into a fresh SQLite store.
+// Records that predate sync revisions are numbered so clients pull them.
+// The JSON files are renamed afterwards so they can't be mistaken for live data.
+function migrateJsonFiles(storage, dataDir) {
+  if (storage.backend.getMeta('jsonMigratedAt')) return false;
+
+  const json = new JsonBackend(dataDir);
+  const names = ['transactions', 'categories', 'recurring', 'conflicts', 'settings'];
+  const present = names.filter(name => fs.existsSync(json.fileFor(name)));
+  if (present.length === 0) {
+    storage.backend.setMeta('jsonMigratedAt', new Date().toISOString());
+    return false;
+  }
+
+  storage.transaction(() => {
+    for (const name of present) {
+      if (name === 'settings') {
+        storage.saveSettings(json.getSettings());
+        continue;
+      }
+      let rev = json.maxRevision(name);
+      const records = json.all(name).map(record => (record.rev ? record : { ...record, rev: ++rev }));
+      storage.collection(name).replaceAll(records);
+    }
+    storage.backend.setMeta('jsonMigratedAt', new Date().toISOString());
+    storage.backend.setMeta('seededAt', new Date().toISOString());
+  });
+
+  present.forEach(name => {
+    fs.renameSync(json.fileFor(name), `${json.fileFor(name)}.migrated`);
+  });
+  console.log(`Migrated ${present.join(', ')} from JSON files into SQLite`);
+  return true;
+}
+
+function createStorage({ backend = 'sqlite', dataDir }) {
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend "${backend}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  const Backend = BACKENDS[backend]();
+  const storage = new Storage(new Backend(dataDir), backend);
+
+  try {
+    storage.verify();
+    if (backend === 'sqlite') {
+      migrateJsonFiles(storage, dataDir);
+    }
+    if (!storage.epoch) {
+      storage.renewEpoch();
+    }
+  } catch (e) {
+    storage.close();
+    throw e;
+  }
+
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  Storage,
+  Repository,
+  migrateJsonFiles,
+  StorageCorruptError,
+  writeFileAtomic,
+  quarantineFiles
+};
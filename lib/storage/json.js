@@ -0,0 +1,183 @@
+// JSON file storage backend: one file per collection in the data directory
+const fs = require('fs');
+const path = require('path');
+const { StorageCorruptError, writeFileAtomic, acquireLock, releaseLock } = require('./files');
+
+const COLLECTIONS = ['transactions', 'categories', 'recurring', 'members', 'settlements', 'envelopeMoves', 'rates', 'bankProfiles', 'conflicts', 'users', 'sessions'];
+
+class JsonBackend {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.lockPath = path.join(dataDir, '.write.lock');
+    this.lockDepth = 0;
+    // What each file held before the current transaction first wrote it (null: no file)
+    this.snapshot = null;
+  }
+
+  fileFor(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  // A missing file is simply empty; an unreadable one is an error, never an empty collection
+  readFile(name, fallback) {
+    const filePath = this.fileFor(name);
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw e;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      throw new StorageCorruptError(`${path.basename(filePath)} is corrupt: ${e.message}`, [filePath]);
+    }
+  }
+
+  writeFile(name, data) {
+    this.transaction(() => {
+      const filePath = this.fileFor(name);
+      if (!this.snapshot.has(filePath)) {
+        this.snapshot.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+      }
+      writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    });
+  }
+
+  checkCollection(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+  }
+
+  all(collection) {
+    this.checkCollection(collection);
+    return this.readFile(collection, []);
+  }
+
+  get(collection, id) {
+    return this.all(collection).find(record => record.id === id) || null;
+  }
+
+  getMany(collection, ids) {
+    const wanted = new Set(ids);
+    return this.all(collection).filter(record => wanted.has(record.id));
+  }
+
+  findBy(collection, column, value) {
+    return this.all(collection).filter(record => String(record[column]) === String(value));
+  }
+
+  changedSince(collection, rev) {
+    return this.all(collection)
+      .filter(record => (record.rev || 0) > rev)
+      .sort((a, b) => (a.rev || 0) - (b.rev || 0));
+  }
+
+  maxRevision(collection) {
+    return this.all(collection).reduce((max, record) => Math.max(max, record.rev || 0), 0);
+  }
+
+  putMany(collection, records) {
+    this.transaction(() => {
+      const stored = this.all(collection);
+      const indexById = new Map(stored.map((record, index) => [record.id, index]));
+
+      for (const record of records) {
+        if (indexById.has(record.id)) {
+          stored[indexById.get(record.id)] = record;
+        } else {
+          indexById.set(record.id, stored.length);
+          stored.push(record);
+        }
+      }
+
+      this.writeFile(collection, stored);
+    });
+  }
+
+  removeMany(collection, ids) {
+    const removed = new Set(ids);
+    this.transaction(() => {
+      this.writeFile(collection, this.all(collection).filter(record => !removed.has(record.id)));
+    });
+  }
+
+  replaceAll(collection, records) {
+    this.checkCollection(collection);
+    this.writeFile(collection, records);
+  }
+
+  getSettings() {
+    return this.readFile('settings', {});
+  }
+
+  saveSettings(settings) {
+    this.writeFile('settings', settings);
+  }
+
+  getMeta(key) {
+    const meta = this.readFile('meta', {});
+    return meta[key] === undefined ? null : meta[key];
+  }
+
+  setMeta(key, value) {
+    this.transaction(() => {
+      const meta = this.readFile('meta', {});
+      meta[key] = String(value);
+      this.writeFile('meta', meta);
+    });
+  }
+
+  // Parse every file so damage is found at startup rather than halfway through a request
+  verify() {
+    const corrupt = [];
+    for (const name of [...COLLECTIONS, 'settings', 'meta']) {
+      try {
+        this.readFile(name, null);
+      } catch (e) {
+        if (!(e instanceof StorageCorruptError)) throw e;
+        corrupt.push(...e.files);
+      }
+    }
+    if (corrupt.length > 0) {
+      throw new StorageCorruptError(`Corrupt data files: ${corrupt.map(file => path.basename(file)).join(', ')}`, corrupt);
+    }
+  }
+
+  // Holds the write lock for the whole callback; nested calls reuse it. If the outermost
+  // callback throws, the files it wrote are put back as they were, so a restore or import
+  // that fails halfway leaves nothing half-written.
+  transaction(fn) {
+    if (this.lockDepth === 0) {
+      acquireLock(this.lockPath);
+      this.snapshot = new Map();
+    }
+    this.lockDepth += 1;
+    try {
+      return fn();
+    } catch (e) {
+      if (this.lockDepth === 1) this.rollback();
+      throw e;
+    } finally {
+      this.lockDepth -= 1;
+      if (this.lockDepth === 0) {
+        this.snapshot = null;
+        releaseLock(this.lockPath);
+      }
+    }
+  }
+
+  rollback() {
+    this.snapshot.forEach((content, filePath) => {
+      if (content === null) fs.rmSync(filePath, { force: true });
+      else writeFileAtomic(filePath, content);
+    });
+  }
+
+  close() {}
+}
+
+module.exports = { JsonBackend, COLLECTIONS };
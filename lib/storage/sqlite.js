@@ -0,0 +1,211 @@
+// SQLite storage backend (default)
+const path = require('path');
+const Database = require('better-sqlite3');
+const { StorageCorruptError } = require('./files');
+
+const CORRUPT_CODES = ['SQLITE_CORRUPT', 'SQLITE_NOTADB'];
+
+// Each collection is a table of JSON documents. The columns listed here are
+// copied out of the document so they can be indexed and queried directly.
+const COLLECTIONS = {
+  transactions: ['date', 'person', 'category'],
+  categories: [],
+  recurring: [],
+  members: [],
+  settlements: [],
+  envelopeMoves: [],
+  rates: [],
+  bankProfiles: [],
+  conflicts: [],
+  users: [],
+  sessions: ['tokenHash', 'userId']
+};
+
+class SqliteBackend {
+  constructor(dataDir) {
+    this.file = path.join(dataDir, 'spend.db');
+    try {
+      this.db = new Database(this.file);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 5000');
+      this.createSchema();
+    } catch (e) {
+      if (this.db) this.db.close();
+      throw this.wrapError(e);
+    }
+  }
+
+  get files() {
+    return [this.file, `${this.file}-wal`, `${this.file}-shm`];
+  }
+
+  wrapError(error) {
+    if (error instanceof StorageCorruptError || !CORRUPT_CODES.includes(error.code)) return error;
+    return new StorageCorruptError(`spend.db is corrupt: ${error.message}`, this.files);
+  }
+
+  createSchema() {
+    for (const [name, columns] of Object.entries(COLLECTIONS)) {
+      const indexed = columns.map(column => `${column} TEXT, `).join('');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${name} (
+          id TEXT PRIMARY KEY,
+          rev INTEGER NOT NULL DEFAULT 0,
+          ${indexed}data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_${name}_rev ON ${name}(rev);
+      `);
+      columns.forEach(column => {
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_${name}_${column} ON ${name}(${column})`);
+      });
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT);
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+    `);
+  }
+
+  checkCollection(collection) {
+    if (!COLLECTIONS[collection]) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+  }
+
+  all(collection) {
+    this.checkCollection(collection);
+    return this.db.prepare(`SELECT data FROM ${collection}`).all().map(row => JSON.parse(row.data));
+  }
+
+  get(collection, id) {
+    this.checkCollection(collection);
+    const row = this.db.prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  getMany(collection, ids) {
+    this.checkCollection(collection);
+    const select = this.db.prepare(`SELECT data FROM ${collection} WHERE id = ?`);
+    return ids
+      .map(id => select.get(id))
+      .filter(Boolean)
+      .map(row => JSON.parse(row.data));
+  }
+
+  findBy(collection, column, value) {
+    this.checkCollection(collection);
+    if (!COLLECTIONS[collection].includes(column)) {
+      throw new Error(`${collection}.${column} is not an indexed column`);
+    }
+    return this.db.prepare(`SELECT data FROM ${collection} WHERE ${column} = ?`)
+      .all(String(value))
+      .map(row => JSON.parse(row.data));
+  }
+
+  changedSince(collection, rev) {
+    this.checkCollection(collection);
+    return this.db.prepare(`SELECT data FROM ${collection} WHERE rev > ? ORDER BY rev`)
+      .all(rev)
+      .map(row => JSON.parse(row.data));
+  }
+
+  maxRevision(collection) {
+    this.checkCollection(collection);
+    return this.db.prepare(`SELECT COALESCE(MAX(rev), 0) AS rev FROM ${collection}`).get().rev;
+  }
+
+  putMany(collection, records) {
+    this.checkCollection(collection);
+    const columns = COLLECTIONS[collection];
+    const names = ['id', 'rev', ...columns, 'data'];
+    const upsert = this.db.prepare(`
+      INSERT INTO ${collection} (${names.join(', ')})
+      VALUES (${names.map(name => '@' + name).join(', ')})
+      ON CONFLICT(id) DO UPDATE SET ${names.slice(1).map(name => `${name} = excluded.${name}`).join(', ')}
+    `);
+
+    this.transaction(() => {
+      for (const record of records) {
+        const row = { id: record.id, rev: record.rev || 0, data: JSON.stringify(record) };
+        columns.forEach(column => {
+          row[column] = record[column] === undefined || record[column] === null ? null : String(record[column]);
+        });
+        upsert.run(row);
+      }
+    });
+  }
+
+  removeMany(collection, ids) {
+    this.checkCollection(collection);
+    const remove = this.db.prepare(`DELETE FROM ${collection} WHERE id = ?`);
+    this.transaction(() => ids.forEach(id => remove.run(id)));
+  }
+
+  replaceAll(collection, records) {
+    this.checkCollection(collection);
+    this.transaction(() => {
+      this.db.prepare(`DELETE FROM ${collection}`).run();
+      this.putMany(collection, records);
+    });
+  }
+
+  getSettings() {
+    const settings = {};
+    this.db.prepare('SELECT key, value FROM settings').all().forEach(row => {
+      settings[row.key] = JSON.parse(row.value);
+    });
+    return settings;
+  }
+
+  saveSettings(settings) {
+    const insert = this.db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)');
+    this.transaction(() => {
+      this.db.prepare('DELETE FROM settings').run();
+      for (const [key, value] of Object.entries(settings)) {
+        insert.run(key, JSON.stringify(value === undefined ? null : value));
+      }
+    });
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, String(value));
+  }
+
+  verify() {
+    const result = this.db.pragma('quick_check', { simple: true });
+    if (result !== 'ok') {
+      throw new StorageCorruptError(`spend.db failed its integrity check: ${result}`, this.files);
+    }
+  }
+
+  // Nested calls become savepoints, so repository writes compose into one commit
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// Damage can also surface on a later query, not just when the file is opened: every query
+// turns SQLite's corruption errors into a StorageCorruptError so the server enters recovery
+['all', 'get', 'getMany', 'findBy', 'changedSince', 'maxRevision', 'putMany', 'removeMany', 'replaceAll',
+  'getSettings', 'saveSettings', 'getMeta', 'setMeta', 'transaction'].forEach(name => {
+  const query = SqliteBackend.prototype[name];
+  SqliteBackend.prototype[name] = function (...args) {
+    try {
+      return query.apply(this, args);
+    } catch (e) {
+      throw this.wrapError(e);
+    }
+  };
+});
+
+module.exports = { SqliteBackend, COLLECTIONS };
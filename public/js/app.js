@@ -2,18 +2,40 @@
 class SpendTrackApp {
   constructor() {
     this.transactions = [];
+    this.drafts = [];
     this.categories = [];
     this.recurring = [];
+    this.members = []; // including removed members, so old records still show who they belong to
+    this.settlements = [];
+    this.envelopeMoves = [];
+    this.rates = [];
+    this.bankProfiles = [];
+    // Shared by the household and synced through the server settings
+    this.household = {
+      householdBudget: null,
+      householdBudgetPeriod: 'monthly',
+      budgetAlertThreshold: DEFAULT_ALERT_THRESHOLD,
+      baseCurrency: DEFAULT_CURRENCY
+    };
     this.settings = {
-      lastUser: 'James',
+      defaultMemberId: null,
       lastCategory: null
     };
     this.currentView = 'add';
-    this.selectedPerson = 'James';
+    this.selectedMemberId = null;
+    this.splitEditors = {};
+    this.bulkMode = false;
+    this.bulkSelection = new Set();
     this.selectedCategory = null;
     this.analyticsFilter = 'combined';
+    this.upcomingDays = UPCOMING_DAYS[0];
     this.lastAddedTransaction = null;
     this.undoTimeout = null;
+    this.currentUser = null;
+    this.conflicts = [];
+    this.recoveryOffered = false;
+    this.pendingRestore = null;
+    this.statement = null;
     
     this.init();
   }
@@ -35,14 +57,24 @@ class SpendTrackApp {
     try {
       const response = await fetch('/api/auth/check', { credentials: 'include' });
       const data = await response.json();
+      this.currentUser = data.user || null;
+      if (this.currentUser) await db.setSetting('currentUser', this.currentUser);
       return data.authenticated;
     } catch (error) {
       // If offline, check if we have local data
+      this.currentUser = await db.getSetting('currentUser');
       const localTx = await db.getTransactions();
       return localTx.length > 0;
     }
   }
 
+  // Who is making edits on this device. The server records the signed-in user regardless.
+  getCurrentUserName() {
+    if (this.currentUser) return this.currentUser.name;
+    const member = this.getMember(this.settings.defaultMemberId);
+    return member ? member.name : null;
+  }
+
   showLoginScreen() {
     document.getElementById('login-screen').classList.remove('hidden');
     document.getElementById('main-app').classList.add('hidden');
@@ -58,12 +90,10 @@ class SpendTrackApp {
     // Load settings
     await this.loadSettings();
     
-    // Process recurring transactions
-    await this.processRecurringTransactions();
-    
     // Setup sync status listener
     syncService.onStatusChange((status) => this.updateSyncStatus(status));
     syncService.onSyncResult((result) => this.handleSyncResult(result));
+    syncService.onPendingChange((count) => this.updatePendingCount(count));
     this.updateSyncStatus(syncService.getStatus());
     
     // Initial sync
@@ -76,28 +106,37 @@ class SpendTrackApp {
 
   async loadData() {
     const data = await syncService.fetchInitialData();
-    this.transactions = data.transactions;
+    this.setTransactions(data.transactions);
     this.categories = data.categories;
     this.recurring = data.recurring;
+    this.members = data.members;
+    this.settlements = data.settlements;
+    this.envelopeMoves = data.envelopeMoves;
+    this.rates = data.rates;
+    this.bankProfiles = data.bankProfiles;
   }
 
   async loadSettings() {
-    const lastUser = await db.getSetting('lastUser');
+    const defaultMemberId = await db.getSetting('defaultMemberId');
     const lastCategory = await db.getSetting('lastCategory');
     
-    if (lastUser) this.settings.lastUser = lastUser;
+    // Devices set up before members remember the default user by name
+    const legacyUser = defaultMemberId ? null : findMemberByName(this.members, await db.getSetting('lastUser'));
+    
+    this.settings.defaultMemberId = defaultMemberId || (legacyUser && legacyUser.id);
     if (lastCategory) this.settings.lastCategory = lastCategory;
+    Object.assign(this.household, await db.getSetting('household'));
+    this.showBaseCurrency();
     
-    this.selectedPerson = this.settings.lastUser;
+    this.selectedMemberId = this.getDefaultMemberId();
     this.selectedCategory = this.settings.lastCategory;
     
     // Update UI
-    this.updatePersonToggle();
-    this.updateSettingsUserToggle();
+    this.renderMemberPickers();
   }
 
   async saveSettings() {
-    await db.setSetting('lastUser', this.settings.lastUser);
+    await db.setSetting('defaultMemberId', this.settings.defaultMemberId);
     await db.setSetting('lastCategory', this.settings.lastCategory);
   }
 
@@ -110,10 +149,15 @@ class SpendTrackApp {
       btn.addEventListener('click', () => this.switchView(btn.dataset.view));
     });
     
+    // Upcoming range
+    document.querySelectorAll('.upcoming-range-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setUpcomingDays(Number(btn.dataset.days)));
+    });
+    
     // Sync button
     document.getElementById('sync-btn').addEventListener('click', () => {
       this.showSyncModal();
-      syncService.sync();
+      syncService.sync({ force: true });
     });
     
     // Sync modal close
@@ -122,14 +166,29 @@ class SpendTrackApp {
     document.getElementById('sync-modal').addEventListener('click', (e) => {
       if (e.target.id === 'sync-modal') this.closeSyncModal();
     });
+    document.getElementById('sync-review-conflicts-btn').addEventListener('click', () => {
+      this.closeSyncModal();
+      this.showConflictsModal();
+    });
+    
+    // Conflict review modal
+    document.getElementById('review-conflicts-btn').addEventListener('click', () => this.showConflictsModal());
+    document.getElementById('conflicts-modal-close').addEventListener('click', () => this.closeConflictsModal());
+    document.getElementById('conflicts-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'conflicts-modal') this.closeConflictsModal();
+    });
     
     // Add transaction form
     document.getElementById('add-form').addEventListener('submit', (e) => this.handleAddTransaction(e));
+    ['tx-currency', 'tx-amount', 'tx-date'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.updateConversion());
+    });
     
     // Person toggle (add form)
-    document.querySelectorAll('.person-btn:not(.settings-user-btn):not(.edit-person-btn):not(.recurring-person-btn)').forEach(btn => {
-      btn.addEventListener('click', () => this.selectPerson(btn.dataset.person));
-    });
+    this.onMemberClick('person-toggle', (memberId) => this.selectPerson(memberId));
+    
+    // Split editors (add form, edit modal, bulk edit, statement import)
+    ['tx-split', 'edit-tx-split', 'bulk-split', 'statement-split'].forEach(id => this.onSplitTypeClick(id));
     
     // // New category button
     // document.getElementById('add-category-btn').addEventListener('click', () => this.addNewCategory());
@@ -144,26 +203,47 @@ class SpendTrackApp {
     document.getElementById('undo-btn').addEventListener('click', () => this.undoLastAdd());
     
     // Filters - person toggle buttons
-    document.querySelectorAll('.filter-person-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.setTransactionPersonFilter(btn.dataset.filter));
-    });
+    this.onMemberClick('filter-person-toggle', (filter) => this.setTransactionPersonFilter(filter));
     document.getElementById('filter-category').addEventListener('change', () => this.renderTransactionsList());
     document.getElementById('filter-date-from').addEventListener('change', () => this.renderTransactionsList());
     document.getElementById('filter-date-to').addEventListener('change', () => this.renderTransactionsList());
     document.getElementById('filter-search').addEventListener('input', () => this.renderTransactionsList());
     
-    // Analytics toggle
-    document.querySelectorAll('.analytics-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.setAnalyticsFilter(btn.dataset.filter));
+    // Exporting what the filters show
+    document.getElementById('transactions-export-btn').addEventListener('click', () => this.showExportModal());
+    document.getElementById('export-modal-close').addEventListener('click', () => this.closeExportModal());
+    document.getElementById('export-form').addEventListener('submit', (e) => this.handleExport(e));
+    document.querySelectorAll('input[name="export-format"]').forEach(input => {
+      input.addEventListener('change', () => this.updateExportColumns());
     });
     
+    // Bulk split editing
+    document.getElementById('bulk-select-btn').addEventListener('click', () => this.setBulkMode(true));
+    document.getElementById('bulk-cancel-btn').addEventListener('click', () => this.setBulkMode(false));
+    document.getElementById('bulk-apply-btn').addEventListener('click', () => this.applyBulkSplit());
+    
+    // Analytics toggle
+    this.onMemberClick('analytics-toggle', (filter) => this.setAnalyticsFilter(filter));
+    
     // Settings - user toggle
-    document.querySelectorAll('.settings-user-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.setDefaultUser(btn.dataset.person));
-    });
+    this.onMemberClick('settings-user-toggle', (memberId) => this.setDefaultUser(memberId));
+    
+    // Settings - household members
+    document.getElementById('member-form').addEventListener('submit', (e) => this.handleSaveMember(e));
+    document.getElementById('member-cancel-btn').addEventListener('click', () => this.resetMemberForm());
+    
+    // Settings - currencies
+    document.getElementById('base-currency-form').addEventListener('submit', (e) => this.handleSaveBaseCurrency(e));
+    document.getElementById('rate-form').addEventListener('submit', (e) => this.handleSaveRate(e));
+    document.getElementById('rate-cancel-btn').addEventListener('click', () => this.resetRateForm());
+    document.getElementById('import-rates-btn').addEventListener('click', () => document.getElementById('rates-file-input').click());
+    document.getElementById('rates-file-input').addEventListener('change', (e) => this.handleImportRates(e));
     
     // Settings - add category
     document.getElementById('settings-add-category').addEventListener('click', () => this.addCategoryFromSettings());
+    
+    // Settings - budgets
+    document.getElementById('budgets-form').addEventListener('submit', (e) => this.handleSaveBudgets(e));
     document.getElementById('settings-new-category').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
         e.preventDefault();
@@ -184,10 +264,41 @@ class SpendTrackApp {
     document.getElementById('import-modal-close').addEventListener('click', () => this.closeImportModal());
     document.getElementById('import-cancel-btn').addEventListener('click', () => this.closeImportModal());
     document.getElementById('import-confirm-btn').addEventListener('click', () => this.handleImportConfirm());
+    document.getElementById('import-modes').addEventListener('change', () => this.renderImportPreview());
     document.getElementById('import-modal').addEventListener('click', (e) => {
       if (e.target.id === 'import-modal') this.closeImportModal();
     });
     
+    // Settings - bank statement import
+    document.getElementById('import-statement-btn').addEventListener('click', () => this.showStatementModal());
+    document.getElementById('statement-file-input').addEventListener('change', (e) => this.handleStatementFileSelect(e));
+    document.getElementById('statement-profile').addEventListener('change', (e) => this.selectBankProfile(e.target.value));
+    document.getElementById('statement-profile-form').addEventListener('change', (e) => {
+      if (e.target.id !== 'statement-profile' && e.target.id !== 'statement-profile-name') this.updateStatementPreview();
+    });
+    document.getElementById('statement-profile-form').addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('statement-delete-profile-btn').addEventListener('click', () => this.deleteBankProfile());
+    document.getElementById('statement-rows').addEventListener('change', (e) => this.handleStatementRowChange(e));
+    this.onMemberClick('statement-person-toggle', (memberId) => this.selectStatementPerson(memberId));
+    document.getElementById('statement-modal-close').addEventListener('click', () => this.closeStatementModal());
+    document.getElementById('statement-cancel-btn').addEventListener('click', () => this.closeStatementModal());
+    document.getElementById('statement-import-btn').addEventListener('click', () => this.handleStatementImport());
+    document.getElementById('statement-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'statement-modal') this.closeStatementModal();
+    });
+    
+    // Settings - backups
+    document.getElementById('backup-now-btn').addEventListener('click', () => this.backupNow());
+    document.getElementById('restore-modal-close').addEventListener('click', () => this.closeRestoreModal());
+    document.getElementById('restore-cancel-btn').addEventListener('click', () => this.closeRestoreModal());
+    document.getElementById('restore-confirm-btn').addEventListener('click', () => this.handleRestoreConfirm());
+    document.getElementById('restore-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'restore-modal') this.closeRestoreModal();
+    });
+    
+    // Settings - account
+    document.getElementById('password-form').addEventListener('submit', (e) => this.handleChangePassword(e));
+    
     // Settings - logout
     document.getElementById('logout-btn').addEventListener('click', () => this.handleLogout());
     
@@ -195,17 +306,42 @@ class SpendTrackApp {
     document.getElementById('edit-modal-close').addEventListener('click', () => this.closeEditModal());
     document.getElementById('edit-form').addEventListener('submit', (e) => this.handleEditTransaction(e));
     document.getElementById('delete-tx-btn').addEventListener('click', () => this.handleDeleteTransaction());
-    document.querySelectorAll('.edit-person-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.selectEditPerson(btn.dataset.person));
-    });
+    document.getElementById('refund-tx-btn').addEventListener('click', () => this.showRefundModal(document.getElementById('edit-tx-id').value));
+    this.onMemberClick('edit-person-toggle', (memberId) => this.selectEditPerson(memberId));
     
     // Recurring modal
     document.getElementById('recurring-modal-close').addEventListener('click', () => this.closeRecurringModal());
     document.getElementById('recurring-form').addEventListener('submit', (e) => this.handleSaveRecurring(e));
     document.getElementById('delete-recurring-btn').addEventListener('click', () => this.handleDeleteRecurring());
-    document.querySelectorAll('.recurring-person-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.selectRecurringPerson(btn.dataset.person));
+    document.getElementById('pause-recurring-btn').addEventListener('click', () => this.handlePauseRecurring());
+    ['recurring-frequency', 'recurring-start', 'recurring-ends', 'recurring-amount-varies'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.updateRecurringScheduleFields());
+    });
+    this.onMemberClick('recurring-person-toggle', (memberId) => this.selectRecurringPerson(memberId));
+    
+    // Refund modal
+    document.getElementById('refund-modal-close').addEventListener('click', () => this.closeRefundModal());
+    document.getElementById('refund-form').addEventListener('submit', (e) => this.handleRefund(e));
+    
+    // Settle up modal
+    document.getElementById('settle-up-btn').addEventListener('click', () => this.showSettleModal());
+    document.getElementById('settle-modal-close').addEventListener('click', () => this.closeSettleModal());
+    document.getElementById('settle-form').addEventListener('submit', (e) => this.handleSettle(e));
+    this.onMemberClick('settle-from-toggle', (memberId) => this.selectSettlePerson('from', memberId));
+    this.onMemberClick('settle-to-toggle', (memberId) => this.selectSettlePerson('to', memberId));
+    document.getElementById('balance-summary').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-settle-from]');
+      if (btn) this.showSettleModal({ from: btn.dataset.settleFrom, to: btn.dataset.settleTo });
     });
+    document.getElementById('settlements-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-undo-settlement]');
+      if (btn) this.undoSettlement(btn.dataset.undoSettlement);
+    });
+    
+    // Envelopes
+    document.getElementById('move-money-btn').addEventListener('click', () => this.showMoveModal());
+    document.getElementById('move-modal-close').addEventListener('click', () => this.closeMoveModal());
+    document.getElementById('move-form').addEventListener('submit', (e) => this.handleMoveMoney(e));
     
     // Close modals on backdrop click
     document.getElementById('edit-modal').addEventListener('click', (e) => {
@@ -214,6 +350,18 @@ class SpendTrackApp {
     document.getElementById('recurring-modal').addEventListener('click', (e) => {
       if (e.target.id === 'recurring-modal') this.closeRecurringModal();
     });
+    document.getElementById('refund-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'refund-modal') this.closeRefundModal();
+    });
+    document.getElementById('settle-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'settle-modal') this.closeSettleModal();
+    });
+    document.getElementById('move-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'move-modal') this.closeMoveModal();
+    });
+    document.getElementById('export-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'export-modal') this.closeExportModal();
+    });
     
     // Set default date to today
     this.setDefaultDate();
@@ -232,6 +380,7 @@ class SpendTrackApp {
 
   async handleLogin(e) {
     e.preventDefault();
+    const name = document.getElementById('login-name-input').value;
     const password = document.getElementById('password-input').value;
     const errorEl = document.getElementById('login-error');
     
@@ -239,16 +388,21 @@ class SpendTrackApp {
       const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password }),
+        body: JSON.stringify({ name, password }),
         credentials: 'include'
       });
+      const result = await response.json();
       
       if (response.ok) {
         errorEl.classList.add('hidden');
+        this.currentUser = result.user;
+        await db.setSetting('currentUser', this.currentUser);
+        document.getElementById('password-input').value = '';
         await this.loadApp();
       } else {
-        errorEl.textContent = 'Invalid password';
+        errorEl.textContent = result.error || 'Invalid name or password';
         errorEl.classList.remove('hidden');
+        if (result.storageCorrupt) this.offerRecovery(result.recovery);
       }
     } catch (error) {
       errorEl.textContent = 'Connection error. Please try again.';
@@ -262,6 +416,8 @@ class SpendTrackApp {
     } catch (error) {
       console.error('Logout error:', error);
     }
+    this.currentUser = null;
+    await db.setSetting('currentUser', null);
     this.showLoginScreen();
   }
 
@@ -282,13 +438,19 @@ class SpendTrackApp {
     if (view === 'transactions') {
       this.renderTransactionsList();
       this.populateFilterCategories();
+    } else if (view === 'balance') {
+      this.renderBalance();
     } else if (view === 'analytics') {
       this.renderAnalytics();
+    } else if (view === 'upcoming') {
+      this.renderUpcoming();
     } else if (view === 'settings') {
       this.renderSettings();
     } else if (view === 'add') {
+      this.renderDrafts();
       this.setDefaultDate();
       this.renderCategories();
+      this.renderCurrencyPicker();
     }
   }
 
@@ -300,6 +462,13 @@ class SpendTrackApp {
                      'Offline';
   }
 
+  updatePendingCount(count) {
+    const pendingEl = document.getElementById('sync-pending');
+    pendingEl.textContent = count;
+    pendingEl.title = `${count} change${count === 1 ? '' : 's'} waiting to sync`;
+    pendingEl.classList.toggle('hidden', count === 0);
+  }
+
   showSyncModal() {
     const modal = document.getElementById('sync-modal');
     const progress = document.getElementById('sync-progress');
@@ -335,17 +504,91 @@ class SpendTrackApp {
       document.getElementById('sync-cat-added').textContent = result.stats.categories.added;
       document.getElementById('sync-cat-updated').textContent = result.stats.categories.updated;
       document.getElementById('sync-timestamp').textContent = this.formatSyncTime(result.timestamp);
+      document.getElementById('sync-review-conflicts-btn').classList.toggle('hidden', result.stats.transactions.conflicted === 0);
       
       this.showToast(result.message, 'success');
+      this.refreshLocalData(result.stats);
     } else {
       results.classList.add('hidden');
       error.classList.remove('hidden');
       document.getElementById('sync-error-message').textContent = `Sync failed: ${result.error}`;
       
       this.showToast(`Sync failed: ${result.error}`, 'error');
+      if (result.recovery) this.offerRecovery(result.recovery);
+    }
+  }
+
+  requestRecovery(password) {
+    return fetch('/api/recovery/restore', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(password ? { password } : {}),
+      credentials: 'include'
+    });
+  }
+
+  // The server refuses to serve damaged data; offer to restore its newest backup
+  async offerRecovery(recovery) {
+    if (this.recoveryOffered) return;
+    this.recoveryOffered = true;
+    
+    if (!recovery.backup) {
+      alert(`Server data is damaged (${recovery.error}) and no backup was found. Your changes are kept on this device.`);
+      return;
+    }
+    
+    const backedUpAt = recovery.backup.backedUpAt ? new Date(recovery.backup.backedUpAt).toLocaleString() : recovery.backup.name;
+    if (!confirm(`Server data is damaged (${recovery.error}).\n\nRestore from the backup made ${backedUpAt}? Changes made after it are lost unless a device still has them queued.`)) {
+      return;
+    }
+    
+    try {
+      let response = await this.requestRecovery();
+      
+      // Without a readable store the server can't check sessions and asks for its PASSWORD
+      if (response.status === 401) {
+        const password = prompt('Enter the server password to restore the backup');
+        if (!password) throw new Error('Recovery cancelled');
+        response = await this.requestRecovery(password);
+      }
+      
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Recovery failed');
+      
+      this.showToast(`Restored server data from ${result.restoredFrom}`, 'success');
+      this.recoveryOffered = false;
+      if (this.currentUser) syncService.sync({ force: true });
+    } catch (error) {
+      this.recoveryOffered = false;
+      this.showToast(error.message, 'error');
     }
   }
 
+  // Drafts of bills whose amount varies wait to be confirmed, and aren't spending until then
+  setTransactions(transactions) {
+    this.transactions = transactions.filter(tx => !tx.draft);
+    this.drafts = transactions.filter(tx => tx.draft);
+  }
+
+  // Pick up records the sync pulled into IndexedDB
+  async refreshLocalData(stats) {
+    const changed = Object.values(stats).some(s => s.added > 0 || s.updated > 0);
+    if (!changed) return;
+    
+    this.setTransactions(await db.getTransactions());
+    this.categories = await db.getCategories();
+    this.recurring = await db.getRecurring();
+    this.members = await db.getAllMembersIncludingDeleted();
+    this.settlements = await db.getSettlements();
+    this.envelopeMoves = await db.getEnvelopeMoves();
+    this.rates = await db.getRates();
+    this.bankProfiles = await db.getBankProfiles();
+    Object.assign(this.household, await db.getSetting('household'));
+    this.showBaseCurrency();
+    this.renderMemberPickers();
+    this.switchView(this.currentView);
+  }
+
   formatSyncTime(date) {
     const now = new Date();
     const diff = now - date;
@@ -368,13 +611,15 @@ class SpendTrackApp {
     const icons = {
       success: '✓',
       error: '✕',
-      info: 'ℹ'
+      info: 'ℹ',
+      warning: '⚠'
     };
     
     toast.innerHTML = `
       <span class="toast-icon">${icons[type]}</span>
-      <span class="toast-message">${message}</span>
+      <span class="toast-message"></span>
     `;
+    toast.querySelector('.toast-message').textContent = message;
     
     container.appendChild(toast);
     
@@ -384,15 +629,208 @@ class SpendTrackApp {
     }, 4000);
   }
 
+  // Household members
+  activeMembers() {
+    return this.members.filter(m => !m.deletedAt);
+  }
+
+  getMember(id) {
+    return this.members.find(m => m.id === id) || null;
+  }
+
+  // Who a transaction or recurring record belongs to (null for a name nobody has any more)
+  memberOf(record) {
+    return memberFor(this.members, record);
+  }
+
+  // The Settings default, else the signed-in user, else whoever is first
+  getDefaultMemberId() {
+    const active = this.activeMembers();
+    const candidates = [this.settings.defaultMemberId, this.currentUser && this.currentUser.memberId];
+    const found = candidates.find(id => active.some(m => m.id === id));
+    return found || (active[0] ? active[0].id : null);
+  }
+
+  // The person buttons are rendered from the members, so clicks are handled on their container
+  onMemberClick(containerId, handler) {
+    document.getElementById(containerId).addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-member-id]');
+      if (btn) handler(btn.dataset.memberId);
+    });
+  }
+
+  renderPersonButtons(containerId, className, selectedId, allLabel = null) {
+    const buttons = this.activeMembers().map(member => ({ id: member.id, label: member.name, color: member.color }));
+    if (allLabel) buttons.unshift({ id: allLabel.id, label: allLabel.label, color: null });
+    
+    document.getElementById(containerId).innerHTML = buttons.map(button => `
+      <button type="button" class="${className}${button.id === selectedId ? ' active' : ''}" data-member-id="${this.escapeHtml(button.id)}"${button.color ? ` style="--member-color: ${this.escapeHtml(button.color)}"` : ''}>${this.escapeHtml(button.label)}</button>
+    `).join('');
+  }
+
+  // Every person picker and filter, after the members change
+  renderMemberPickers() {
+    const active = this.activeMembers();
+    if (!active.some(m => m.id === this.selectedMemberId)) {
+      this.selectedMemberId = this.getDefaultMemberId();
+    }
+    if (this.transactionPersonFilter && this.transactionPersonFilter !== 'all' && !active.some(m => m.id === this.transactionPersonFilter)) {
+      this.transactionPersonFilter = 'all';
+    }
+    if (this.analyticsFilter !== 'combined' && !active.some(m => m.id === this.analyticsFilter)) {
+      this.analyticsFilter = 'combined';
+    }
+    
+    this.renderPersonButtons('person-toggle', 'person-btn', this.selectedMemberId);
+    this.renderPersonButtons('settings-user-toggle', 'person-btn settings-user-btn', this.getDefaultMemberId());
+    this.renderPersonButtons('filter-person-toggle', 'filter-person-btn', this.transactionPersonFilter || 'all', { id: 'all', label: 'Combined' });
+    this.renderPersonButtons('analytics-toggle', 'analytics-btn', this.analyticsFilter, { id: 'combined', label: 'Combined' });
+    this.renderSplitEditor('tx-split', this.defaultSplit());
+  }
+
+  // Money is shown and entered in the household's base currency unless another is given
+  get baseCurrency() {
+    return this.household.baseCurrency || DEFAULT_CURRENCY;
+  }
+
+  formatMoney(minor, currency = this.baseCurrency) {
+    return formatAmount(minor, currency);
+  }
+
+  // Anything the household typed or synced (vendors, names, memos, colours, ids) goes through
+  // this before it is put into innerHTML
+  escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, ch => entities[ch]);
+  }
+
+  parseMoney(input, currency = this.baseCurrency) {
+    return parseAmount(input, currency);
+  }
+
+  moneyInputValue(minor, currency = this.baseCurrency) {
+    return amountInputValue(minor, currency);
+  }
+
+  // Every label and input for an amount in the base currency
+  showBaseCurrency() {
+    document.querySelectorAll('.base-currency-symbol').forEach(el => {
+      el.textContent = currencySymbol(this.baseCurrency);
+    });
+    document.querySelectorAll('input.base-amount').forEach(input => this.showAmountCurrency(input, null));
+  }
+
+  // Labels and inputs for amounts in `currency`: its symbol, and steps of one minor unit
+  showAmountCurrency(input, label, currency = this.baseCurrency) {
+    input.step = input.min = 1 / minorPerMajor(currency);
+    if (label) label.textContent = currencySymbol(currency);
+  }
+
+  // Currencies there is a rate for, which spending can be entered in
+  rateCurrencies() {
+    const currencies = this.rates.filter(rate => !rate.deletedAt && rate.base === this.baseCurrency).map(rate => rate.currency);
+    return [...new Set(currencies)].sort();
+  }
+
+  // Splits: how a transaction's cost is shared between members (see balances.js)
+  defaultSplit() {
+    const active = this.activeMembers();
+    const type = this.splitEditors['tx-split'] ? this.splitEditors['tx-split'].type : 'equal';
+    return active.length > 1 ? { type, memberIds: active.map(m => m.id) } : { type: 'personal' };
+  }
+
+  // `types` limits the choices; bulk editing leaves out fixed amounts, which only fit one total
+  renderSplitEditor(containerId, split, types = SPLIT_TYPES) {
+    const current = split && types.includes(split.type) ? split : { type: 'personal' };
+    this.splitEditors[containerId] = { original: current, type: current.type, types };
+    this.showSplitType(containerId, current.type);
+  }
+
+  onSplitTypeClick(containerId) {
+    document.getElementById(containerId).addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-split-type]');
+      if (btn) this.showSplitType(containerId, btn.dataset.splitType);
+    });
+  }
+
+  showSplitType(containerId, type) {
+    const editor = this.splitEditors[containerId];
+    const members = this.activeMembers();
+    const labels = { equal: members.length === 2 ? '50/50' : 'Evenly', percent: 'By %', amount: `By ${currencySymbol(this.baseCurrency)}`, personal: 'Personal' };
+    const shares = editor.original.type === type && editor.original.shares ? editor.original.shares : this.defaultShares(type, members);
+    editor.type = type;
+    
+    document.getElementById(containerId).innerHTML = `
+      <div class="split-types">
+        ${editor.types.map(t => `<button type="button" class="split-type-btn${t === type ? ' active' : ''}" data-split-type="${t}">${labels[t]}</button>`).join('')}
+      </div>
+      ${type === 'percent' || type === 'amount' ? `
+        <div class="split-shares">
+          ${members.map(member => `
+            <label class="split-share">
+              <span class="split-share-name" style="color: ${this.escapeHtml(member.color)}">${this.escapeHtml(member.name)}</span>
+              <span class="split-share-unit">${type === 'amount' ? currencySymbol(this.baseCurrency) : ''}</span>
+              <input type="number" min="0" step="${type === 'amount' ? 1 / minorPerMajor(this.baseCurrency) : 'any'}" inputmode="decimal" data-member-id="${this.escapeHtml(member.id)}" value="${shares[member.id] === undefined ? '' : type === 'amount' ? this.moneyInputValue(shares[member.id]) : shares[member.id]}">
+              <span class="split-share-unit">${type === 'percent' ? '%' : ''}</span>
+            </label>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  // Even percentages that still add up to exactly 100
+  defaultShares(type, members) {
+    const shares = {};
+    if (type !== 'percent' || members.length === 0) return shares;
+    
+    const even = Math.floor(10000 / members.length) / 100;
+    members.forEach((member, i) => {
+      shares[member.id] = i === 0 ? Math.round((100 - even * (members.length - 1)) * 100) / 100 : even;
+    });
+    return shares;
+  }
+
+  // The split chosen in an editor, or an error explaining why it doesn't add up
+  readSplit(containerId, amount) {
+    const editor = this.splitEditors[containerId];
+    let split;
+    
+    if (editor.type === 'equal') {
+      // Editing an even split keeps the members it was shared between
+      const memberIds = editor.original.type === 'equal' && editor.original.memberIds
+        ? editor.original.memberIds
+        : this.activeMembers().map(m => m.id);
+      split = { type: 'equal', memberIds };
+    } else if (editor.type === 'percent' || editor.type === 'amount') {
+      const shares = {};
+      document.querySelectorAll(`#${containerId} .split-share input`).forEach(input => {
+        shares[input.dataset.memberId] = (editor.type === 'amount' ? this.parseMoney(input.value) : parseFloat(input.value)) || 0;
+      });
+      split = { type: editor.type, shares };
+    } else {
+      split = { type: 'personal' };
+    }
+    
+    return { split, error: validateSplit(split, amount, this.baseCurrency) };
+  }
+
+  describeSplit(split) {
+    if (!split || split.type === 'personal') return null;
+    if (split.type === 'equal') return split.memberIds.length === 2 ? '50/50' : `Split ${split.memberIds.length} ways`;
+    if (split.type === 'percent') return Object.values(split.shares).join('/') + '%';
+    return `Split by ${currencySymbol(this.baseCurrency)}`;
+  }
+
   // Person selection
-  selectPerson(person) {
-    this.selectedPerson = person;
+  selectPerson(memberId) {
+    this.selectedMemberId = memberId;
     this.updatePersonToggle();
   }
 
   updatePersonToggle() {
-    document.querySelectorAll('.person-btn:not(.settings-user-btn):not(.edit-person-btn):not(.recurring-person-btn)').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.person === this.selectedPerson);
+    document.querySelectorAll('#person-toggle .person-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.memberId === this.selectedMemberId);
     });
   }
 
@@ -436,7 +874,7 @@ class SpendTrackApp {
       name: name,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      updatedBy: this.selectedPerson,
+      updatedBy: this.getCurrentUserName(),
       deletedAt: null
     };
     
@@ -457,8 +895,10 @@ class SpendTrackApp {
     
     const date = document.getElementById('tx-date').value;
     const vendor = document.getElementById('tx-vendor').value.trim();
-    const amount = parseInt(document.getElementById('tx-amount').value);
+    const currency = document.getElementById('tx-currency').value || this.baseCurrency;
+    const entered = this.parseMoney(document.getElementById('tx-amount').value, currency);
     const memo = document.getElementById('tx-memo').value.trim();
+    const moneyBack = document.getElementById('tx-refund').checked;
     
     // Validation
     if (!this.selectedCategory) {
@@ -466,30 +906,57 @@ class SpendTrackApp {
       return;
     }
     
+    // Spending in another currency is converted with the rate for its date
+    const foreign = currency !== this.baseCurrency;
+    const rate = foreign ? rateFor(this.rates, this.baseCurrency, currency, date) : null;
+    if (foreign && rate === null) {
+      alert(`Please add an exchange rate for ${currency} in Settings`);
+      return;
+    }
+    const amount = entered && foreign ? convertToBase(entered, currency, rate, this.baseCurrency) : entered;
+    
     if (!amount || amount < 1) {
       alert('Please enter a valid amount');
       return;
     }
     
+    const member = this.getMember(this.selectedMemberId);
+    if (!member) {
+      alert('Please add a household member in Settings');
+      return;
+    }
+    
+    const { split, error } = this.readSplit('tx-split', amount);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
     const category = this.categories.find(c => c.id === this.selectedCategory);
     
     const transaction = {
       id: generateUUID(),
+      type: moneyBack ? 'refund' : 'expense',
       date: date,
-      person: this.selectedPerson,
+      person: member.name,
+      memberId: member.id,
+      split: moneyBack ? this.flipSplitShares(split) : split,
       category: category ? category.name : 'Other',
       categoryId: this.selectedCategory,
       vendor: vendor,
-      amount: amount,
+      amount: moneyBack ? -amount : amount,
+      ...(foreign ? { currency, originalAmount: moneyBack ? -entered : entered, rate } : {}),
       memo: memo,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      updatedBy: this.selectedPerson,
+      updatedBy: this.getCurrentUserName(),
       deletedAt: null
     };
     
+    const budgetAlerts = this.budgetAlertsFor(transaction);
     await db.saveTransaction(transaction);
     this.transactions.push(transaction);
+    budgetAlerts.forEach(message => this.showToast(message, 'warning'));
     
     // Store for undo
     this.lastAddedTransaction = transaction;
@@ -499,12 +966,42 @@ class SpendTrackApp {
     document.getElementById('tx-vendor').value = '';
     document.getElementById('tx-amount').value = '';
     document.getElementById('tx-memo').value = '';
+    document.getElementById('tx-refund').checked = false;
     this.setDefaultDate();
+    this.updateConversion();
+    this.renderSplitEditor('tx-split', this.defaultSplit());
     
     // Trigger sync
     syncService.sync();
   }
 
+  // The currency picker only shows once there are rates for other currencies
+  renderCurrencyPicker() {
+    const select = document.getElementById('tx-currency');
+    const currencies = [this.baseCurrency, ...this.rateCurrencies()];
+    const selected = currencies.includes(select.value) ? select.value : this.baseCurrency;
+    select.innerHTML = currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('');
+    select.value = selected;
+    select.classList.toggle('hidden', currencies.length < 2);
+    this.updateConversion();
+  }
+
+  // What the amount being entered comes to in the base currency
+  updateConversion() {
+    const currency = document.getElementById('tx-currency').value || this.baseCurrency;
+    const input = document.getElementById('tx-amount');
+    const note = document.getElementById('tx-conversion');
+    this.showAmountCurrency(input, document.getElementById('tx-currency-symbol'), currency);
+    input.placeholder = this.moneyInputValue(0, currency);
+    
+    const rate = currency === this.baseCurrency ? null : rateFor(this.rates, this.baseCurrency, currency, document.getElementById('tx-date').value);
+    const entered = this.parseMoney(input.value, currency);
+    note.textContent = rate === null ? '' : entered
+      ? `${this.formatMoney(entered, currency)} is ${this.formatMoney(convertToBase(entered, currency, rate, this.baseCurrency))} at ${rate}`
+      : `1 ${currency} is ${rate} ${this.baseCurrency}`;
+    note.classList.toggle('hidden', rate === null);
+  }
+
   showUndoNotification() {
     const container = document.getElementById('undo-container');
     container.classList.remove('hidden');
@@ -550,10 +1047,21 @@ class SpendTrackApp {
     });
   }
 
+  // The filters set on the transactions view, in the form exports take them too
+  transactionFilters() {
+    return {
+      person: this.transactionPersonFilter || 'all',
+      category: document.getElementById('filter-category').value,
+      from: document.getElementById('filter-date-from').value,
+      to: document.getElementById('filter-date-to').value,
+      search: document.getElementById('filter-search').value
+    };
+  }
+
   setTransactionPersonFilter(filter) {
     this.transactionPersonFilter = filter;
     document.querySelectorAll('.filter-person-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.filter === filter);
+      btn.classList.toggle('active', btn.dataset.memberId === filter);
     });
     this.renderTransactionsList();
   }
@@ -562,28 +1070,13 @@ class SpendTrackApp {
     const container = document.getElementById('transactions-list');
     const totalEl = document.getElementById('transactions-total');
     
-    // Get filter values
-    const personFilter = this.transactionPersonFilter || 'all';
-    const categoryFilter = document.getElementById('filter-category').value;
-    const dateFrom = document.getElementById('filter-date-from').value;
-    const dateTo = document.getElementById('filter-date-to').value;
-    const searchQuery = document.getElementById('filter-search').value.toLowerCase();
-    
     // Filter transactions
-    let filtered = this.transactions.filter(tx => {
-      if (personFilter !== 'all' && tx.person !== personFilter) return false;
-      if (categoryFilter !== 'all' && tx.category !== categoryFilter) return false;
-      if (dateFrom && tx.date < dateFrom) return false;
-      if (dateTo && tx.date > dateTo) return false;
-      if (searchQuery) {
-        const searchIn = `${tx.vendor} ${tx.memo}`.toLowerCase();
-        if (!searchIn.includes(searchQuery)) return false;
-      }
-      return true;
-    });
+    let filtered = filterTransactions(this.transactions, this.transactionFilters(), tx => this.memberOf(tx));
     
-    // Sort by date (newest first)
+    // Sort by date (newest first), with refunds under the purchase they are for
     filtered.sort((a, b) => new Date(b.date) - new Date(a.date) || new Date(b.createdAt) - new Date(a.createdAt));
+    filtered = groupRefunds(filtered);
+    const shownIds = new Set(filtered.map(tx => tx.id));
     
     // Render
     if (filtered.length === 0) {
@@ -592,29 +1085,120 @@ class SpendTrackApp {
       return;
     }
     
-    container.innerHTML = filtered.map(tx => `
-      <div class="transaction-item" data-id="${tx.id}">
+    container.innerHTML = filtered.map(tx => {
+      const member = this.memberOf(tx);
+      const splitLabel = this.describeSplit(tx.split);
+      const refund = isRefund(tx);
+      const linked = refund && shownIds.has(tx.refundOf);
+      const refundLabel = refund ? this.describeRefund(tx, linked) : null;
+      const refunded = refund ? 0 : refundedAmount(tx, this.transactions);
+      return `
+      <div class="transaction-item${refund ? ' refund-item' : ''}${linked ? ' linked' : ''}${this.bulkSelection.has(tx.id) ? ' selected' : ''}" data-id="${this.escapeHtml(tx.id)}">
         <div class="transaction-header">
-          <span class="transaction-vendor">${tx.vendor || tx.category}</span>
-          <span class="transaction-amount">$${tx.amount}</span>
+          <span class="transaction-vendor">${this.escapeHtml(tx.vendor || tx.category)}</span>
+          <span class="transaction-amount">${this.formatMoney(tx.amount)}</span>
         </div>
         <div class="transaction-details">
-          <span class="transaction-person ${tx.person.toLowerCase()}">${tx.person}</span>
-          <span class="transaction-tag">${tx.category}</span>
+          <span class="transaction-person"${member ? ` style="color: ${this.escapeHtml(member.color)}"` : ''}>${this.escapeHtml(member ? member.name : tx.person)}</span>
+          <span class="transaction-tag">${this.escapeHtml(tx.category)}</span>
+          ${tx.currency ? `<span class="transaction-tag currency-tag">${this.formatMoney(tx.originalAmount, tx.currency)}</span>` : ''}
+          ${splitLabel ? `<span class="transaction-tag split-tag">${this.escapeHtml(splitLabel)}</span>` : ''}
+          ${refundLabel ? `<span class="transaction-tag refund-tag">${this.escapeHtml(refundLabel)}</span>` : ''}
+          ${refunded ? `<span class="transaction-tag refund-tag">${this.formatMoney(refunded)} refunded</span>` : ''}
           <span class="transaction-date">${this.formatDate(tx.date)}</span>
-          ${tx.memo ? `<span class="transaction-memo">${tx.memo}</span>` : ''}
+          ${tx.memo ? `<span class="transaction-memo">${this.escapeHtml(tx.memo)}</span>` : ''}
         </div>
       </div>
-    `).join('');
+    `;
+    }).join('');
     
     // Add click handlers
     container.querySelectorAll('.transaction-item').forEach(item => {
-      item.addEventListener('click', () => this.openEditModal(item.dataset.id));
+      item.addEventListener('click', () => {
+        if (this.bulkMode) {
+          this.toggleBulkSelection(item.dataset.id);
+        } else {
+          this.openEditModal(item.dataset.id);
+        }
+      });
     });
     
     // Calculate total
     const total = filtered.reduce((sum, tx) => sum + tx.amount, 0);
-    totalEl.innerHTML = `Total: $${total.toLocaleString()}`;
+    const byCurrency = currencyBreakdown(filtered, this.baseCurrency);
+    totalEl.innerHTML = `Total: ${this.formatMoney(total)}` + (byCurrency.length > 1
+      ? `<div class="currency-totals">${byCurrency.map(entry => this.describeCurrencyTotal(entry)).join(' · ')}</div>`
+      : '');
+  }
+
+  // "€50.00 ($54.00)", or just the amount for the base currency
+  describeCurrencyTotal(entry) {
+    const paid = this.formatMoney(entry.original, entry.currency);
+    return entry.currency === this.baseCurrency ? paid : `${paid} (${this.formatMoney(entry.amount)})`;
+  }
+
+  // Under its purchase a refund is just "Refund"; elsewhere it says what it was for
+  describeRefund(refund, linked) {
+    const original = !linked && refund.refundOf ? this.transactions.find(t => t.id === refund.refundOf) : null;
+    return original ? `Refund of ${original.vendor || original.category}, ${this.formatDate(original.date)}` : 'Refund';
+  }
+
+  // Refunds keep fixed split shares negative like their amount; the editor shows them positive
+  flipSplitShares(split) {
+    if (!split || split.type !== 'amount' || !split.shares) return split;
+    const shares = {};
+    Object.entries(split.shares).forEach(([id, share]) => {
+      shares[id] = share ? -share : 0;
+    });
+    return { ...split, shares };
+  }
+
+  // Bulk editing: tap transactions to select them, then set one split on all of them
+  setBulkMode(on) {
+    this.bulkMode = on;
+    this.bulkSelection = new Set();
+    document.getElementById('bulk-select-btn').classList.toggle('hidden', on);
+    document.getElementById('bulk-bar').classList.toggle('hidden', !on);
+    if (on) {
+      this.renderSplitEditor('bulk-split', this.defaultSplit(), ['equal', 'percent', 'personal']);
+    }
+    this.updateBulkCount();
+    this.renderTransactionsList();
+  }
+
+  toggleBulkSelection(id) {
+    if (this.bulkSelection.has(id)) {
+      this.bulkSelection.delete(id);
+    } else {
+      this.bulkSelection.add(id);
+    }
+    document.querySelector(`.transaction-item[data-id="${id}"]`).classList.toggle('selected', this.bulkSelection.has(id));
+    this.updateBulkCount();
+  }
+
+  updateBulkCount() {
+    document.getElementById('bulk-count').textContent = `${this.bulkSelection.size} selected`;
+    document.getElementById('bulk-apply-btn').disabled = this.bulkSelection.size === 0;
+  }
+
+  async applyBulkSplit() {
+    const { split, error } = this.readSplit('bulk-split', null);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    const selected = this.transactions.filter(tx => this.bulkSelection.has(tx.id));
+    for (const tx of selected) {
+      tx.split = { ...split };
+      tx.updatedAt = new Date().toISOString();
+      tx.updatedBy = this.getCurrentUserName();
+      await db.saveTransaction(tx);
+    }
+    
+    this.showToast(`Split set on ${selected.length} transaction${selected.length === 1 ? '' : 's'}`, 'success');
+    this.setBulkMode(false);
+    syncService.sync();
   }
 
   formatDate(dateStr) {
@@ -627,21 +1211,37 @@ class SpendTrackApp {
     const tx = this.transactions.find(t => t.id === txId);
     if (!tx) return;
     
+    const refund = isRefund(tx);
+    const original = refund && tx.refundOf ? this.transactions.find(t => t.id === tx.refundOf) : null;
+    const refundOf = document.getElementById('edit-tx-refund-of');
+    refundOf.textContent = original ? `Refund for ${original.vendor || original.category} on ${this.formatDate(original.date)} (${this.formatMoney(original.amount)})` : '';
+    refundOf.classList.toggle('hidden', !original);
+    document.getElementById('edit-modal-title').textContent = refund ? 'Edit Refund' : 'Edit Transaction';
+    document.getElementById('edit-tx-amount-label').textContent = refund ? 'Amount back' : 'Amount';
+    
+    // Spending in another currency is edited in that currency and keeps its rate
+    const amountInput = document.getElementById('edit-tx-amount');
+    const conversion = document.getElementById('edit-tx-conversion');
+    this.showAmountCurrency(amountInput, document.getElementById('edit-tx-currency-symbol'), tx.currency);
+    amountInput.value = this.moneyInputValue(Math.abs(tx.currency ? tx.originalAmount : tx.amount), tx.currency);
+    conversion.textContent = tx.currency ? `${tx.currency} at ${tx.rate}: ${this.formatMoney(Math.abs(tx.amount))}` : '';
+    conversion.classList.toggle('hidden', !tx.currency);
+    document.getElementById('refund-tx-btn').classList.toggle('hidden', refund);
+    
     document.getElementById('edit-tx-id').value = tx.id;
     document.getElementById('edit-tx-date').value = tx.date;
     document.getElementById('edit-tx-vendor').value = tx.vendor || '';
-    document.getElementById('edit-tx-amount').value = tx.amount;
     document.getElementById('edit-tx-memo').value = tx.memo || '';
     
     // Set person
-    document.querySelectorAll('.edit-person-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.person === tx.person);
-    });
+    const member = this.memberOf(tx);
+    this.renderPersonButtons('edit-person-toggle', 'person-btn edit-person-btn', member ? member.id : null);
+    this.renderSplitEditor('edit-tx-split', refund ? this.flipSplitShares(tx.split) : tx.split);
     
     // Populate and set category
     const categorySelect = document.getElementById('edit-tx-category');
     categorySelect.innerHTML = this.categories.map(cat => 
-      `<option value="${cat.name}" ${cat.name === tx.category ? 'selected' : ''}>${cat.name}</option>`
+      `<option value="${this.escapeHtml(cat.id)}" ${(tx.categoryId ? cat.id === tx.categoryId : cat.name === tx.category) ? 'selected' : ''}>${this.escapeHtml(cat.name)}</option>`
     ).join('');
     
     document.getElementById('edit-modal').classList.remove('hidden');
@@ -651,9 +1251,9 @@ class SpendTrackApp {
     document.getElementById('edit-modal').classList.add('hidden');
   }
 
-  selectEditPerson(person) {
+  selectEditPerson(memberId) {
     document.querySelectorAll('.edit-person-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.person === person);
+      btn.classList.toggle('active', btn.dataset.memberId === memberId);
     });
   }
 
@@ -665,17 +1265,59 @@ class SpendTrackApp {
     if (!tx) return;
     
     const activePerson = document.querySelector('.edit-person-btn.active');
+    const member = activePerson ? this.getMember(activePerson.dataset.memberId) : null;
+    const entered = this.parseMoney(document.getElementById('edit-tx-amount').value, tx.currency);
+    const amount = entered && tx.currency ? convertToBase(entered, tx.currency, tx.rate, this.baseCurrency) : entered;
+    if (!amount || amount < 1) {
+      alert('Please enter a valid amount');
+      return;
+    }
+    
+    const { split, error } = this.readSplit('edit-tx-split', amount);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    // Refunds are stored negative, and can't add up to more than their purchase
+    const refund = isRefund(tx);
+    const signed = refund ? -amount : amount;
+    const refundError = validateTransaction({ ...tx, amount: signed }, this.transactions, tx);
+    if (refundError) {
+      alert(refundError);
+      return;
+    }
+    
+    const category = this.categories.find(c => c.id === document.getElementById('edit-tx-category').value);
+    if (!category) {
+      alert('Please choose a category');
+      return;
+    }
     
     tx.date = document.getElementById('edit-tx-date').value;
-    tx.person = activePerson ? activePerson.dataset.person : tx.person;
-    tx.category = document.getElementById('edit-tx-category').value;
+    if (member) {
+      tx.person = member.name;
+      tx.memberId = member.id;
+    }
+    Object.assign(tx, categoryFields(category));
     tx.vendor = document.getElementById('edit-tx-vendor').value.trim();
-    tx.amount = parseInt(document.getElementById('edit-tx-amount').value);
+    tx.amount = signed;
+    if (tx.currency) tx.originalAmount = refund ? -entered : entered;
+    tx.split = refund ? this.flipSplitShares(split) : split;
     tx.memo = document.getElementById('edit-tx-memo').value.trim();
     tx.updatedAt = new Date().toISOString();
-    tx.updatedBy = this.settings.lastUser;
+    tx.updatedBy = this.getCurrentUserName();
     
     await db.saveTransaction(tx);
+    
+    // A purchase's refunds come out of the same category
+    for (const linked of refundsOf(tx, this.transactions).filter(r => r.categoryId !== tx.categoryId || r.category !== tx.category)) {
+      Object.assign(linked, categoryFields(category));
+      linked.updatedAt = tx.updatedAt;
+      linked.updatedBy = tx.updatedBy;
+      await db.saveTransaction(linked);
+    }
+    
     this.closeEditModal();
     this.renderTransactionsList();
     syncService.sync();
@@ -683,57 +1325,434 @@ class SpendTrackApp {
 
   async handleDeleteTransaction() {
     const id = document.getElementById('edit-tx-id').value;
+    const tx = this.transactions.find(t => t.id === id);
+    const refunds = tx ? refundsOf(tx, this.transactions) : [];
     
-    if (!confirm('Delete this transaction?')) return;
+    const message = refunds.length > 0
+      ? `Delete this transaction and its ${refunds.length === 1 ? 'refund' : `${refunds.length} refunds`}?`
+      : 'Delete this transaction?';
+    if (!confirm(message)) return;
     
-    await db.deleteTransaction(id);
-    this.transactions = this.transactions.filter(t => t.id !== id);
+    const deleted = [id, ...refunds.map(refund => refund.id)];
+    for (const deletedId of deleted) {
+      await db.deleteTransaction(deletedId);
+    }
+    this.transactions = this.transactions.filter(t => !deleted.includes(t.id));
     
     this.closeEditModal();
     this.renderTransactionsList();
     syncService.sync();
   }
 
-  // Analytics
-  setAnalyticsFilter(filter) {
-    this.analyticsFilter = filter;
-    document.querySelectorAll('.analytics-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.filter === filter);
-    });
-    this.renderAnalytics();
+  // Refunds: money back for a purchase, suggesting whatever hasn't come back yet
+  showRefundModal(txId) {
+    const original = this.transactions.find(t => t.id === txId);
+    if (!original) return;
+    
+    // Refunds for spending in another currency are entered in that currency
+    const currency = original.currency;
+    const refunded = this.refundedInCurrency(original);
+    const remaining = this.paidInCurrency(original) - refunded;
+    document.getElementById('refund-of').value = original.id;
+    document.getElementById('refund-for').textContent =
+      `For ${original.vendor || original.category} on ${this.formatDate(original.date)}: ${this.formatMoney(this.paidInCurrency(original), currency)}` +
+      (refunded > 0 ? `, ${this.formatMoney(refunded, currency)} already refunded` : '');
+    const amountInput = document.getElementById('refund-amount');
+    this.showAmountCurrency(amountInput, document.getElementById('refund-currency-symbol'), currency);
+    amountInput.value = remaining > 0 ? this.moneyInputValue(remaining, currency) : '';
+    document.getElementById('refund-date').value = this.getTodayInCentral();
+    document.getElementById('refund-memo').value = '';
+    
+    this.closeEditModal();
+    document.getElementById('refund-modal').classList.remove('hidden');
   }
 
-  renderAnalytics() {
-    // Filter transactions by person
-    let filtered = this.transactions;
-    if (this.analyticsFilter !== 'combined') {
-      filtered = filtered.filter(tx => tx.person === this.analyticsFilter);
-    }
-    
-    // Calculate stats
-    const today = this.getTodayInCentral();
-    const weekStart = this.getWeekStart(today);
-    const monthStart = today.substring(0, 7) + '-01';
-    
-    const weekTotal = filtered
-      .filter(tx => tx.date >= weekStart && tx.date <= today)
-      .reduce((sum, tx) => sum + tx.amount, 0);
-    
-    const monthTotal = filtered
-      .filter(tx => tx.date >= monthStart && tx.date <= today)
-      .reduce((sum, tx) => sum + tx.amount, 0);
+  paidInCurrency(original) {
+    return original.currency ? original.originalAmount : original.amount;
+  }
+
+  // How much of a purchase has come back, in the currency it was paid in
+  refundedInCurrency(original) {
+    if (!original.currency) return refundedAmount(original, this.transactions);
+    return -refundsOf(original, this.transactions)
+      .reduce((sum, refund) => sum + (refund.currency === original.currency ? refund.originalAmount : 0), 0);
+  }
+
+  closeRefundModal() {
+    document.getElementById('refund-modal').classList.add('hidden');
+  }
+
+  async handleRefund(e) {
+    e.preventDefault();
     
-    const allTimeTotal = filtered.reduce((sum, tx) => sum + tx.amount, 0);
+    const original = this.transactions.find(t => t.id === document.getElementById('refund-of').value);
+    const currency = original ? original.currency : undefined;
+    const entered = this.parseMoney(document.getElementById('refund-amount').value, currency);
+    if (!original || !entered || entered < 1) {
+      alert('Please enter a valid amount');
+      return;
+    }
     
-    document.getElementById('stat-week').textContent = `$${weekTotal.toLocaleString()}`;
-    document.getElementById('stat-month').textContent = `$${monthTotal.toLocaleString()}`;
-    document.getElementById('stat-total').textContent = `$${allTimeTotal.toLocaleString()}`;
+    // Converted at the purchase's rate; refunding all that's left brings back exactly what's
+    // left, so rounding can't make the refunds add up to more than the purchase
+    let amount = entered;
+    if (currency) {
+      amount = entered === this.paidInCurrency(original) - this.refundedInCurrency(original)
+        ? original.amount - refundedAmount(original, this.transactions)
+        : convertToBase(entered, currency, original.rate, this.baseCurrency);
+    }
     
-    // Category chart
-    this.renderCategoryChart(filtered);
+    // The refund goes back to whoever paid, out of the same category and split
+    const now = new Date().toISOString();
+    const refund = {
+      id: generateUUID(),
+      type: 'refund',
+      refundOf: original.id,
+      date: document.getElementById('refund-date').value,
+      person: original.person,
+      memberId: original.memberId,
+      split: refundSplit(original, -amount),
+      category: original.category,
+      categoryId: original.categoryId,
+      vendor: original.vendor,
+      amount: -amount,
+      ...(currency ? { currency, originalAmount: -entered, rate: original.rate } : {}),
+      memo: document.getElementById('refund-memo').value.trim(),
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: this.getCurrentUserName(),
+      deletedAt: null
+    };
+    const error = validateTransaction(refund, this.transactions);
+    if (error) {
+      alert(error);
+      return;
+    }
     
-    // Weekly chart
-    this.renderWeeklyChart(filtered);
+    await db.saveTransaction(refund);
+    this.transactions.push(refund);
+    this.closeRefundModal();
+    this.renderTransactionsList();
+    this.showToast(`Refund of ${this.formatMoney(entered, currency)} recorded`, 'success');
+    syncService.sync();
+  }
+
+  // Balance: who owes whom from the shared transactions and repayments
+  memberName(id) {
+    const member = this.getMember(id);
+    return member ? member.name : 'Someone';
+  }
+
+  describeTransfers(transfers) {
+    if (transfers.length === 0) return 'All square';
+    return transfers.map(t => `${this.memberName(t.from)} owes ${this.memberName(t.to)} ${this.formatMoney(t.amount)}`).join(', ');
+  }
+
+  payerOf(tx) {
+    return (this.memberOf(tx) || {}).id;
+  }
+
+  currentBalances() {
+    return computeBalances(this.transactions, tx => this.payerOf(tx), this.settlements);
+  }
+
+  renderBalance() {
+    const payerOf = tx => this.payerOf(tx);
+    const balances = this.currentBalances();
+    const transfers = settleUp(balances);
+    
+    document.getElementById('balance-summary').innerHTML = transfers.length === 0
+      ? '<div class="balance-transfer">All square 🎉</div>'
+      : transfers.map(t => {
+        const from = this.getMember(t.from);
+        const to = this.getMember(t.to);
+        return `
+          <div class="balance-transfer">
+            <span><strong${from ? ` style="color: ${this.escapeHtml(from.color)}"` : ''}>${this.escapeHtml(this.memberName(t.from))}</strong> owes <strong${to ? ` style="color: ${this.escapeHtml(to.color)}"` : ''}>${this.escapeHtml(this.memberName(t.to))}</strong></span>
+            <span class="balance-amount">${this.formatMoney(t.amount)}</span>
+            <button type="button" class="btn btn-small btn-secondary" data-settle-from="${this.escapeHtml(t.from)}" data-settle-to="${this.escapeHtml(t.to)}">Settle up</button>
+          </div>
+        `;
+      }).join('');
+    
+    // Everyone in the household, plus removed members who still have money to settle
+    const shown = this.members.filter(m => !m.deletedAt || Math.abs(balances[m.id] || 0) >= 1);
+    document.getElementById('balance-members').innerHTML = shown.map(member => {
+      const value = balances[member.id] || 0;
+      const status = value >= 1 ? `is owed ${this.formatMoney(value)}` : value <= -1 ? `owes ${this.formatMoney(-value)}` : 'settled';
+      return `
+        <div class="balance-member">
+          <span class="member-avatar" style="background: ${this.escapeHtml(member.color)}">${this.escapeHtml(member.initials || memberInitials(member.name))}</span>
+          <span class="balance-member-name">${this.escapeHtml(member.name)}</span>
+          <span class="balance-member-status ${value >= 1 ? 'owed' : value <= -1 ? 'owes' : ''}">${status}</span>
+        </div>
+      `;
+    }).join('');
+    
+    const history = balanceHistory(this.transactions, payerOf, this.settlements).reverse().slice(0, 50);
+    document.getElementById('balance-history').innerHTML = history.length === 0
+      ? '<div class="no-transactions">No shared spending yet</div>'
+      : history.map(({ transaction: tx, settlement, balances: after }) => settlement ? `
+        <div class="balance-history-item">
+          <div class="transaction-header">
+            <span class="transaction-vendor">${this.escapeHtml(this.describeSettlement(settlement))}</span>
+            <span class="transaction-amount">${this.formatMoney(settlement.amount)}</span>
+          </div>
+          <div class="transaction-details">
+            <span class="transaction-tag">Repayment</span>
+            <span class="transaction-date">${this.formatDate(settlement.date)}</span>
+          </div>
+          <div class="balance-history-after">${this.escapeHtml(this.describeTransfers(settleUp(after)))}</div>
+        </div>
+      ` : `
+        <div class="balance-history-item">
+          <div class="transaction-header">
+            <span class="transaction-vendor">${this.escapeHtml(tx.vendor || tx.category)}</span>
+            <span class="transaction-amount">${this.formatMoney(tx.amount)}</span>
+          </div>
+          <div class="transaction-details">
+            <span class="transaction-person">${this.escapeHtml(this.memberName(payerOf(tx)))} paid</span>
+            <span class="transaction-tag">${this.escapeHtml(this.describeSplit(tx.split))}</span>
+            <span class="transaction-date">${this.formatDate(tx.date)}</span>
+          </div>
+          <div class="balance-history-after">${this.escapeHtml(this.describeTransfers(settleUp(after)))}</div>
+        </div>
+      `).join('');
+    
+    const settlements = [...this.settlements].sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''));
+    document.getElementById('settlements-list').innerHTML = settlements.length === 0
+      ? '<div class="no-transactions">No repayments yet</div>'
+      : settlements.map(settlement => `
+        <div class="balance-history-item">
+          <div class="transaction-header">
+            <span class="transaction-vendor">${this.escapeHtml(this.describeSettlement(settlement))}</span>
+            <span class="transaction-amount">${this.formatMoney(settlement.amount)}</span>
+          </div>
+          <div class="transaction-details">
+            <span class="transaction-date">${this.formatDate(settlement.date)}</span>
+            ${settlement.memo ? `<span class="transaction-memo">${this.escapeHtml(settlement.memo)}</span>` : ''}
+            <button type="button" class="btn btn-small btn-secondary" data-undo-settlement="${this.escapeHtml(settlement.id)}">Undo</button>
+          </div>
+        </div>
+      `).join('');
+  }
+
+  describeSettlement(settlement) {
+    return `${this.memberName(settlement.fromMemberId)} paid ${this.memberName(settlement.toMemberId)}`;
+  }
+
+  // Settle up: record a repayment, suggesting what the payer still owes
+  showSettleModal(transfer = null) {
+    const active = this.activeMembers();
+    const suggested = transfer || settleUp(this.currentBalances())[0] || {};
+    const from = suggested.from || this.getDefaultMemberId();
+    const to = suggested.to || (active.find(m => m.id !== from) || {}).id || null;
+    
+    this.renderPersonButtons('settle-from-toggle', 'person-btn settle-from-btn', from);
+    this.renderPersonButtons('settle-to-toggle', 'person-btn settle-to-btn', to);
+    document.getElementById('settle-date').value = this.getTodayInCentral();
+    document.getElementById('settle-memo').value = '';
+    this.suggestSettleAmount();
+    
+    document.getElementById('settle-modal').classList.remove('hidden');
+  }
+
+  closeSettleModal() {
+    document.getElementById('settle-modal').classList.add('hidden');
+  }
+
+  selectSettlePerson(side, memberId) {
+    document.querySelectorAll(`.settle-${side}-btn`).forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.memberId === memberId);
+    });
+    this.suggestSettleAmount();
+  }
+
+  selectedSettlePeople() {
+    const from = document.querySelector('.settle-from-btn.active');
+    const to = document.querySelector('.settle-to-btn.active');
+    return { fromMemberId: from ? from.dataset.memberId : null, toMemberId: to ? to.dataset.memberId : null };
+  }
+
+  // Prefill what the payer owes the payee, if anything
+  suggestSettleAmount() {
+    const { fromMemberId, toMemberId } = this.selectedSettlePeople();
+    const owed = settleUp(this.currentBalances()).find(t => t.from === fromMemberId && t.to === toMemberId);
+    
+    document.getElementById('settle-amount').value = owed ? this.moneyInputValue(owed.amount) : '';
+    document.getElementById('settle-suggestion').textContent = owed
+      ? `${this.memberName(fromMemberId)} owes ${this.memberName(toMemberId)} ${this.formatMoney(owed.amount)}`
+      : '';
+  }
+
+  async handleSettle(e) {
+    e.preventDefault();
+    
+    const now = new Date().toISOString();
+    const settlement = {
+      id: generateUUID(),
+      ...this.selectedSettlePeople(),
+      amount: this.parseMoney(document.getElementById('settle-amount').value),
+      date: document.getElementById('settle-date').value,
+      memo: document.getElementById('settle-memo').value.trim(),
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: this.getCurrentUserName(),
+      deletedAt: null
+    };
+    
+    const error = validateSettlement(settlement, this.members);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    await db.saveSettlement(settlement);
+    this.settlements.push(settlement);
+    this.closeSettleModal();
+    this.renderBalance();
+    this.showToast(`${this.describeSettlement(settlement)} ${this.formatMoney(settlement.amount)}`, 'success');
+    syncService.sync();
+  }
+
+  async undoSettlement(id) {
+    const settlement = this.settlements.find(s => s.id === id);
+    if (!settlement) return;
+    if (!confirm(`Undo "${this.describeSettlement(settlement)} ${this.formatMoney(settlement.amount)}"?`)) return;
+    
+    await db.deleteSettlement(id);
+    this.settlements = this.settlements.filter(s => s.id !== id);
+    this.renderBalance();
+    syncService.sync();
+  }
+
+  // Analytics
+  setAnalyticsFilter(filter) {
+    this.analyticsFilter = filter;
+    document.querySelectorAll('.analytics-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.memberId === filter);
+    });
+    this.renderAnalytics();
+  }
+
+  renderAnalytics() {
+    // Filter transactions by person
+    let filtered = this.transactions;
+    if (this.analyticsFilter !== 'combined') {
+      filtered = filtered.filter(tx => (this.memberOf(tx) || {}).id === this.analyticsFilter);
+    }
+    
+    // Calculate stats
+    const today = this.getTodayInCentral();
+    const weekStart = this.getWeekStart(today);
+    const monthStart = today.substring(0, 7) + '-01';
+    
+    const weekTotal = filtered
+      .filter(tx => tx.date >= weekStart && tx.date <= today)
+      .reduce((sum, tx) => sum + tx.amount, 0);
+    
+    const monthTotal = filtered
+      .filter(tx => tx.date >= monthStart && tx.date <= today)
+      .reduce((sum, tx) => sum + tx.amount, 0);
+    
+    const allTimeTotal = filtered.reduce((sum, tx) => sum + tx.amount, 0);
+    
+    document.getElementById('stat-week').textContent = this.formatMoney(weekTotal);
+    document.getElementById('stat-month').textContent = this.formatMoney(monthTotal);
+    document.getElementById('stat-total').textContent = this.formatMoney(allTimeTotal);
+    
+    // Person chart, only useful when comparing everyone
+    document.getElementById('person-chart-section').classList.toggle('hidden', this.analyticsFilter !== 'combined');
+    this.renderPersonChart(filtered);
+    
+    // Category chart, spending by currency, and how the household is doing against its budgets
+    this.renderCategoryChart(filtered);
+    this.renderCurrencyChart(filtered);
+    this.renderBudgetChart();
+    this.renderEnvelopes();
+    
+    // Weekly chart
+    this.renderWeeklyChart(filtered);
+  }
+
+  // Upcoming
+  setUpcomingDays(days) {
+    this.upcomingDays = days;
+    document.querySelectorAll('.upcoming-range-btn').forEach(btn => {
+      btn.classList.toggle('active', Number(btn.dataset.days) === days);
+    });
+    this.renderUpcoming();
+  }
+
+  renderUpcoming() {
+    const today = this.getTodayInCentral();
+    const days = dailyTotals(upcomingCharges(this.recurring, today, this.upcomingDays, this.transactions), today, this.upcomingDays);
+    this.renderMonthForecast(today);
+    this.renderUpcomingCalendar(days);
+    this.renderUpcomingList(days);
+  }
+
+  renderMonthForecast(today) {
+    const forecast = monthEndForecast(this.transactions, this.recurring, today);
+    const rows = [
+      ['Spent so far', forecast.spent],
+      [`Everyday spending, ${this.formatMoney(forecast.pace)} a day for ${forecast.daysLeft} more day${forecast.daysLeft === 1 ? '' : 's'}`, forecast.everydayToCome],
+      ['Recurring bills still due', forecast.scheduled]
+    ];
+    document.getElementById('month-forecast').innerHTML = `
+      <p class="stat-value">${this.formatMoney(forecast.projected)}</p>
+      ${rows.map(([label, amount]) => `
+        <div class="month-forecast-row">
+          <span>${label}</span>
+          <span>${this.formatMoney(amount)}</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // A grid of weeks from Monday, with the days before today left blank
+  renderUpcomingCalendar(days) {
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const blanks = (new Date(days[0].date + 'T12:00:00').getDay() + 6) % 7;
+    const cells = [
+      ...Array.from({ length: blanks }, () => '<div class="calendar-day empty"></div>'),
+      ...days.map((day, i) => {
+        const dayOfMonth = Number(day.date.substring(8, 10));
+        const label = i === 0 || dayOfMonth === 1 ? `${dayOfMonth} ${new Date(day.date + 'T12:00:00').toLocaleDateString('en-US', { month: 'short' })}` : dayOfMonth;
+        const names = day.charges.map(charge => charge.recurring.vendor).join(', ');
+        return `
+          <div class="calendar-day${day.amount > 0 ? ' has-charges' : ''}${i === 0 ? ' today' : ''}"${names ? ` title="${this.escapeHtml(names)}"` : ''}>
+            <span class="calendar-date">${label}</span>
+            ${day.amount > 0 ? `<span class="calendar-amount">${this.formatMoney(day.amount)}</span>` : ''}
+          </div>
+        `;
+      })
+    ];
+    document.getElementById('upcoming-calendar').innerHTML = `
+      ${weekdays.map(name => `<div class="calendar-weekday">${name}</div>`).join('')}
+      ${cells.join('')}
+    `;
+  }
+
+  renderUpcomingList(days) {
+    const container = document.getElementById('upcoming-list');
+    const billed = days.filter(day => day.charges.length > 0);
+    if (billed.length === 0) {
+      container.innerHTML = `<div class="no-transactions">No recurring bills in the next ${this.upcomingDays} days</div>`;
+      return;
+    }
+    container.innerHTML = billed.map(day => `
+      <div class="balance-history-item">
+        <div class="upcoming-date">${this.formatDate(day.date)}</div>
+        ${day.charges.map(charge => `
+          <div class="month-forecast-row">
+            <span>${this.escapeHtml(charge.recurring.vendor)} <span class="upcoming-category">${this.escapeHtml(charge.recurring.category)}</span></span>
+            <span>${this.formatMoney(charge.amount)}</span>
+          </div>
+        `).join('')}
+        <div class="balance-history-after">Running total ${this.formatMoney(day.total)}</div>
+      </div>
+    `).join('');
   }
 
   getWeekStart(dateStr) {
@@ -744,6 +1763,42 @@ class SpendTrackApp {
     return date.toISOString().split('T')[0];
   }
 
+  renderPersonChart(transactions) {
+    const container = document.getElementById('person-chart');
+    
+    // Group by member; names no member has any more are shown as they are
+    const byPerson = new Map();
+    transactions.forEach(tx => {
+      const member = this.memberOf(tx);
+      const key = member ? member.id : tx.person;
+      const entry = byPerson.get(key) || { name: member ? member.name : tx.person, color: member ? member.color : null, amount: 0 };
+      entry.amount += tx.amount;
+      byPerson.set(key, entry);
+    });
+    
+    const sorted = Array.from(byPerson.values()).sort((a, b) => b.amount - a.amount);
+    const maxAmount = sorted.length > 0 ? sorted[0].amount : 0;
+    
+    if (sorted.length === 0) {
+      container.innerHTML = '<div class="no-transactions">No data</div>';
+      return;
+    }
+    
+    container.innerHTML = sorted.map(person => {
+      const percentage = maxAmount > 0 ? (person.amount / maxAmount) * 100 : 0;
+      return `
+        <div class="category-bar">
+          <span class="category-bar-label">${this.escapeHtml(person.name)}</span>
+          <div class="category-bar-track">
+            <div class="category-bar-fill" style="width: ${Math.max(percentage, 15)}%${person.color ? `; background: ${this.escapeHtml(person.color)}` : ''}">
+              <span class="category-bar-value">${this.formatMoney(person.amount)}</span>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
   renderCategoryChart(transactions) {
     const container = document.getElementById('category-chart');
     
@@ -766,10 +1821,31 @@ class SpendTrackApp {
       const percentage = maxAmount > 0 ? (amount / maxAmount) * 100 : 0;
       return `
         <div class="category-bar">
-          <span class="category-bar-label">${category}</span>
+          <span class="category-bar-label">${this.escapeHtml(category)}</span>
+          <div class="category-bar-track">
+            <div class="category-bar-fill" style="width: ${Math.max(percentage, 15)}%">
+              <span class="category-bar-value">${this.formatMoney(amount)}</span>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Only shown once something was paid in another currency
+  renderCurrencyChart(transactions) {
+    const byCurrency = currencyBreakdown(transactions, this.baseCurrency);
+    document.getElementById('currency-chart-section').classList.toggle('hidden', byCurrency.length < 2);
+    const maxAmount = byCurrency.length > 0 ? byCurrency[0].amount : 0;
+    
+    document.getElementById('currency-chart').innerHTML = byCurrency.map(entry => {
+      const percentage = maxAmount > 0 ? (entry.amount / maxAmount) * 100 : 0;
+      return `
+        <div class="category-bar">
+          <span class="category-bar-label">${this.escapeHtml(entry.currency)}</span>
           <div class="category-bar-track">
             <div class="category-bar-fill" style="width: ${Math.max(percentage, 15)}%">
-              <span class="category-bar-value">$${amount.toLocaleString()}</span>
+              <span class="category-bar-value">${this.describeCurrencyTotal(entry)}</span>
             </div>
           </div>
         </div>
@@ -777,6 +1853,167 @@ class SpendTrackApp {
     }).join('');
   }
 
+  // What a category has to spend in the period containing `date`: for envelopes that
+  // includes what rolled over and what was moved in or out
+  budgetAmountFor(category, date) {
+    if (!isEnvelope(category)) return category.budget;
+    return envelopeBalance(category, this.transactions, this.envelopeMoves, date).total;
+  }
+
+  // Budgets are for the whole household, so this ignores the person filter
+  renderBudgetChart() {
+    const today = this.getTodayInCentral();
+    const threshold = this.household.budgetAlertThreshold;
+    const rows = budgetProgress(this.categories, this.transactions, today, threshold, category => this.budgetAmountFor(category, today))
+      .map(row => ({ ...row, label: row.category.name }));
+    
+    const total = this.household.householdBudget;
+    if (total > 0) {
+      const period = this.household.householdBudgetPeriod || 'monthly';
+      const spent = spentInPeriod(this.transactions, period, today);
+      rows.unshift({ label: 'Total', period, amount: total, spent, percent: Math.round(spent / total * 100), level: budgetLevel(spent, total, threshold) });
+    }
+    
+    document.getElementById('budget-chart-section').classList.toggle('hidden', rows.length === 0);
+    document.getElementById('budget-chart').innerHTML = rows.map(row => `
+      <div class="category-bar budget-bar">
+        <span class="category-bar-label">${this.escapeHtml(row.label)}</span>
+        <div class="category-bar-track">
+          <div class="category-bar-fill ${row.level}" style="width: ${Math.max(Math.min(row.percent, 100), 15)}%">
+            <span class="category-bar-value">${row.percent}%</span>
+          </div>
+        </div>
+        <span class="budget-bar-value">${this.formatMoney(row.spent)} of ${this.formatMoney(row.amount)}/${row.period === 'weekly' ? 'wk' : 'mo'}</span>
+      </div>
+    `).join('');
+  }
+
+  // Warnings for a transaction about to be added that takes its category's budget, or the
+  // household's, past the alert threshold or over budget
+  budgetAlertsFor(transaction) {
+    const threshold = this.household.budgetAlertThreshold;
+    const alerts = [];
+    const describe = (level, name, amount, period) => (level === 'over'
+      ? `${name} is over its ${period} budget of ${this.formatMoney(amount)}`
+      : `${name} has used ${threshold}% of its ${period} budget of ${this.formatMoney(amount)}`);
+    
+    const category = this.categories.find(c => c.id === transaction.categoryId);
+    if (category && category.budget > 0) {
+      const period = category.budgetPeriod || 'monthly';
+      const amount = this.budgetAmountFor(category, transaction.date);
+      const before = spentInPeriod(this.transactions, period, transaction.date, category);
+      const level = budgetAlert(before, before + transaction.amount, amount, threshold);
+      if (level) alerts.push(describe(level, category.name, amount, period));
+    }
+    
+    const total = this.household.householdBudget;
+    if (total > 0) {
+      const period = this.household.householdBudgetPeriod || 'monthly';
+      const before = spentInPeriod(this.transactions, period, transaction.date);
+      const level = budgetAlert(before, before + transaction.amount, total, threshold);
+      if (level) alerts.push(describe(level, 'The household', total, period));
+    }
+    return alerts;
+  }
+
+  // Envelopes: what each monthly budget has left this month, and the moves between them
+  renderEnvelopes() {
+    const envelopes = envelopeBalances(this.categories, this.transactions, this.envelopeMoves, this.getTodayInCentral());
+    document.getElementById('envelopes-section').classList.toggle('hidden', envelopes.length === 0);
+    
+    document.getElementById('envelopes-list').innerHTML = envelopes.map(envelope => {
+      const details = [`${this.formatMoney(envelope.allowance)} budget`];
+      if (envelope.carried) details.push(`${envelope.carried > 0 ? '+' : '−'}${this.formatMoney(Math.abs(envelope.carried))} from last month`);
+      if (envelope.movedIn) details.push(`+${this.formatMoney(envelope.movedIn)} moved in`);
+      if (envelope.movedOut) details.push(`−${this.formatMoney(envelope.movedOut)} moved out`);
+      details.push(`${this.formatMoney(envelope.spent)} spent`);
+      return `
+        <div class="envelope-item">
+          <div class="transaction-header">
+            <span class="transaction-vendor">${this.escapeHtml(envelope.category.name)}${envelope.category.rollover ? ' <span class="transaction-tag">Rolls over</span>' : ''}</span>
+            <span class="envelope-available ${envelope.available < 0 ? 'negative' : ''}">${this.formatMoney(envelope.available)}</span>
+          </div>
+          <div class="transaction-details">${details.join(' · ')}</div>
+        </div>
+      `;
+    }).join('');
+    
+    const categoryName = id => (this.categories.find(c => c.id === id) || { name: 'Deleted category' }).name;
+    const moves = [...this.envelopeMoves]
+      .sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''))
+      .slice(0, 20);
+    document.getElementById('envelope-moves').innerHTML = moves.length === 0
+      ? '<div class="no-transactions">No money moved yet</div>'
+      : moves.map(move => `
+        <div class="balance-history-item">
+          <div class="transaction-header">
+            <span class="transaction-vendor">${this.escapeHtml(categoryName(move.fromCategoryId))} → ${this.escapeHtml(categoryName(move.toCategoryId))}</span>
+            <span class="transaction-amount">${this.formatMoney(move.amount)}</span>
+          </div>
+          <div class="transaction-details">
+            <span class="transaction-person">${this.escapeHtml(move.createdBy || move.updatedBy || '')}</span>
+            <span class="transaction-date">${this.formatDate(move.date)}</span>
+            ${move.memo ? `<span class="transaction-memo">${this.escapeHtml(move.memo)}</span>` : ''}
+          </div>
+        </div>
+      `).join('');
+  }
+
+  showMoveModal() {
+    const today = this.getTodayInCentral();
+    const envelopes = envelopeBalances(this.categories, this.transactions, this.envelopeMoves, today);
+    const options = envelopes.map(envelope =>
+      `<option value="${this.escapeHtml(envelope.category.id)}">${this.escapeHtml(envelope.category.name)} (${this.formatMoney(envelope.available)} left)</option>`
+    ).join('');
+    
+    document.getElementById('move-from').innerHTML = options;
+    document.getElementById('move-to').innerHTML = options;
+    // Suggest topping up the emptiest envelope from the fullest
+    const byAvailable = [...envelopes].sort((a, b) => b.available - a.available);
+    if (byAvailable.length > 1) {
+      document.getElementById('move-from').value = byAvailable[0].category.id;
+      document.getElementById('move-to').value = byAvailable[byAvailable.length - 1].category.id;
+    }
+    document.getElementById('move-amount').value = '';
+    document.getElementById('move-memo').value = '';
+    document.getElementById('move-modal').classList.remove('hidden');
+  }
+
+  closeMoveModal() {
+    document.getElementById('move-modal').classList.add('hidden');
+  }
+
+  async handleMoveMoney(e) {
+    e.preventDefault();
+    
+    const now = new Date().toISOString();
+    const move = {
+      id: generateUUID(),
+      fromCategoryId: document.getElementById('move-from').value,
+      toCategoryId: document.getElementById('move-to').value,
+      amount: this.parseMoney(document.getElementById('move-amount').value),
+      date: this.getTodayInCentral(),
+      memo: document.getElementById('move-memo').value.trim(),
+      createdAt: now,
+      createdBy: this.getCurrentUserName(),
+      updatedAt: now,
+      updatedBy: this.getCurrentUserName(),
+      deletedAt: null
+    };
+    
+    const error = validateEnvelopeMove(move, this.categories);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    await db.saveEnvelopeMove(move);
+    this.envelopeMoves.push(move);
+    this.closeMoveModal();
+    this.renderAnalytics();
+    syncService.sync();
+  }
+
   renderWeeklyChart(transactions) {
     const container = document.getElementById('weekly-chart');
     
@@ -813,7 +2050,7 @@ class SpendTrackApp {
       return `
         <div class="week-bar">
           <div class="week-bar-fill" style="height: ${Math.max(height, 2)}%">
-            <span class="week-bar-value">$${week.total}</span>
+            <span class="week-bar-value">${this.formatMoney(week.total)}</span>
           </div>
           <span class="week-bar-label">${week.label}</span>
         </div>
@@ -829,30 +2066,173 @@ class SpendTrackApp {
   // Settings
   renderSettings() {
     this.updateSettingsUserToggle();
+    this.renderMembersList();
     this.renderCategoriesList();
+    this.renderBudgetSettings();
+    this.renderCurrencySettings();
     this.renderRecurringList();
+    this.loadBackups();
+    this.renderAccount();
   }
 
   updateSettingsUserToggle() {
+    const defaultMemberId = this.getDefaultMemberId();
     document.querySelectorAll('.settings-user-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.person === this.settings.lastUser);
+      btn.classList.toggle('active', btn.dataset.memberId === defaultMemberId);
     });
   }
 
-  async setDefaultUser(person) {
-    this.settings.lastUser = person;
-    this.selectedPerson = person;
+  async setDefaultUser(memberId) {
+    this.settings.defaultMemberId = memberId;
+    this.selectedMemberId = memberId;
     await this.saveSettings();
     this.updateSettingsUserToggle();
     this.updatePersonToggle();
   }
 
+  renderMembersList() {
+    const container = document.getElementById('members-list');
+    
+    container.innerHTML = this.activeMembers().map(member => `
+      <div class="category-item member-item" data-id="${this.escapeHtml(member.id)}">
+        <span class="member-avatar" style="background: ${this.escapeHtml(member.color)}">${this.escapeHtml(member.initials || memberInitials(member.name))}</span>
+        <span class="category-item-name">${this.escapeHtml(member.name)}</span>
+        <div class="category-item-actions">
+          ${this.currentUser && this.currentUser.memberId === member.id ? '' : '<button class="password-member-btn" title="Set starting password">🔑</button>'}
+          <button class="edit-member-btn" title="Edit">✏️</button>
+          <button class="delete-member-btn" title="Remove">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+    
+    container.querySelectorAll('.edit-member-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.member-item').dataset.id;
+        this.editMember(id);
+      });
+    });
+    
+    container.querySelectorAll('.delete-member-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.member-item').dataset.id;
+        this.deleteMemberFromSettings(id);
+      });
+    });
+    
+    container.querySelectorAll('.password-member-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.member-item').dataset.id;
+        this.setMemberPassword(id);
+      });
+    });
+    
+    this.resetMemberForm();
+  }
+
+  resetMemberForm() {
+    document.getElementById('member-id').value = '';
+    document.getElementById('member-name-input').value = '';
+    document.getElementById('member-initials-input').value = '';
+    document.getElementById('member-color-input').value = nextMemberColor(this.members);
+    document.getElementById('member-save-btn').textContent = 'Add';
+    document.getElementById('member-cancel-btn').classList.add('hidden');
+  }
+
+  editMember(id) {
+    const member = this.getMember(id);
+    if (!member) return;
+    
+    document.getElementById('member-id').value = member.id;
+    document.getElementById('member-name-input').value = member.name;
+    document.getElementById('member-initials-input').value = member.initials || '';
+    document.getElementById('member-color-input').value = member.color;
+    document.getElementById('member-save-btn').textContent = 'Save';
+    document.getElementById('member-cancel-btn').classList.remove('hidden');
+    document.getElementById('member-name-input').focus();
+  }
+
+  async handleSaveMember(e) {
+    e.preventDefault();
+    
+    const id = document.getElementById('member-id').value;
+    const name = document.getElementById('member-name-input').value.trim();
+    const initials = document.getElementById('member-initials-input').value.trim().toUpperCase() || memberInitials(name);
+    const color = document.getElementById('member-color-input').value;
+    if (!name) return;
+    
+    // Names are also sign-in names, so they must be unique
+    const sameName = findMemberByName(this.members, name);
+    if (sameName && sameName.id !== id) {
+      alert(`There is already a member called ${sameName.name}`);
+      return;
+    }
+    
+    const existing = id ? this.getMember(id) : null;
+    const member = {
+      ...(existing || { id: generateUUID(), createdAt: new Date().toISOString(), deletedAt: null }),
+      name,
+      initials,
+      color,
+      updatedAt: new Date().toISOString(),
+      updatedBy: this.getCurrentUserName()
+    };
+    
+    await db.saveMember(member);
+    this.members = existing ? this.members.map(m => (m.id === id ? member : m)) : [...this.members, member];
+    
+    this.renderMembersList();
+    this.renderMemberPickers();
+    syncService.sync();
+  }
+
+  // New members can't sign in until someone sets their first password; after that only they can change it
+  async setMemberPassword(id) {
+    const member = this.getMember(id);
+    if (!member) return;
+    const password = prompt(`Starting password for ${member.name} (at least 8 characters). They can change it under Settings → Account.`);
+    if (password === null) return;
+    
+    try {
+      // The server has to know about members added on this device first
+      await syncService.sync();
+      const response = await fetch(`/api/members/${encodeURIComponent(id)}/password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password }),
+        credentials: 'include'
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Could not set the password');
+      this.showToast(`${member.name} can now sign in`, 'success');
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  async deleteMemberFromSettings(id) {
+    const member = this.getMember(id);
+    if (!member) return;
+    
+    if (this.currentUser && this.currentUser.memberId === id) {
+      alert('You cannot remove yourself from the household');
+      return;
+    }
+    if (!confirm(`Remove ${member.name} from the household? Their transactions are kept, but they will no longer be able to sign in.`)) return;
+    
+    const removed = await db.deleteMember(id);
+    this.members = this.members.map(m => (m.id === id ? removed : m));
+    
+    this.renderMembersList();
+    this.renderMemberPickers();
+    syncService.sync();
+  }
+
   renderCategoriesList() {
     const container = document.getElementById('categories-list');
     
     container.innerHTML = this.categories.map(cat => `
-      <div class="category-item" data-id="${cat.id}">
-        <span class="category-item-name">${cat.name}</span>
+      <div class="category-item" data-id="${this.escapeHtml(cat.id)}">
+        <span class="category-item-name">${this.escapeHtml(cat.name)}</span>
         <div class="category-item-actions">
           <button class="edit-cat-btn" title="Edit">✏️</button>
           <button class="delete-cat-btn" title="Delete">🗑️</button>
@@ -893,7 +2273,7 @@ class SpendTrackApp {
       name: name,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      updatedBy: this.settings.lastUser,
+      updatedBy: this.getCurrentUserName(),
       deletedAt: null
     };
     
@@ -914,7 +2294,7 @@ class SpendTrackApp {
     
     cat.name = newName.trim();
     cat.updatedAt = new Date().toISOString();
-    cat.updatedBy = this.settings.lastUser;
+    cat.updatedBy = this.getCurrentUserName();
     
     await db.saveCategory(cat);
     this.renderCategoriesList();
@@ -940,8 +2320,298 @@ class SpendTrackApp {
     syncService.sync();
   }
 
-  // Recurring transactions
-  renderRecurringList() {
+  // Budgets: one row per category plus the household total, saved together
+  renderBudgetSettings() {
+    const periodOptions = selected => BUDGET_PERIODS.map(period =>
+      `<option value="${period}"${period === selected ? ' selected' : ''}>${period === 'weekly' ? 'Weekly' : 'Monthly'}</option>`
+    ).join('');
+    
+    document.getElementById('household-budget').value = this.moneyInputValue(this.household.householdBudget || null);
+    document.getElementById('household-budget-period').value = this.household.householdBudgetPeriod || 'monthly';
+    document.getElementById('budget-threshold').value = this.household.budgetAlertThreshold;
+    document.getElementById('category-budgets').innerHTML = this.categories.map(cat => `
+      <div class="budget-row" data-id="${this.escapeHtml(cat.id)}">
+        <span class="budget-row-name">${this.escapeHtml(cat.name)}</span>
+        <input type="number" class="budget-amount base-amount" min="0.01" step="0.01" inputmode="decimal" placeholder="None" value="${this.moneyInputValue(cat.budget || null)}">
+        <select class="budget-period">${periodOptions(cat.budgetPeriod || 'monthly')}</select>
+        <label class="budget-rollover" title="Monthly budgets only: carry what's left (or overspent) into next month">
+          <input type="checkbox"${cat.rollover ? ' checked' : ''}> Roll over
+        </label>
+      </div>
+    `).join('');
+    this.showBaseCurrency();
+  }
+
+  async handleSaveBudgets(e) {
+    e.preventDefault();
+    const parseBudget = value => (value.trim() === '' ? null : this.parseMoney(value) ?? NaN);
+    
+    const household = {
+      householdBudget: parseBudget(document.getElementById('household-budget').value),
+      householdBudgetPeriod: document.getElementById('household-budget-period').value,
+      budgetAlertThreshold: parseInt(document.getElementById('budget-threshold').value)
+    };
+    const error = validateBudget(household.householdBudget, household.householdBudgetPeriod) ||
+      validateAlertThreshold(household.budgetAlertThreshold);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    const changed = [];
+    for (const row of document.querySelectorAll('#category-budgets .budget-row')) {
+      const cat = this.categories.find(c => c.id === row.dataset.id);
+      if (!cat) continue;
+      const budget = parseBudget(row.querySelector('.budget-amount').value);
+      const budgetPeriod = row.querySelector('.budget-period').value;
+      const rollover = Boolean(budget) && budgetPeriod === 'monthly' && row.querySelector('.budget-rollover input').checked;
+      const invalid = validateBudget(budget, budgetPeriod);
+      if (invalid) {
+        alert(`${cat.name}: ${invalid}`);
+        return;
+      }
+      if (budget !== (cat.budget || null) || (budget && budgetPeriod !== (cat.budgetPeriod || 'monthly')) || rollover !== Boolean(cat.rollover)) {
+        changed.push({ cat, budget, budgetPeriod, rollover });
+      }
+    }
+    
+    // Envelopes replay their history, so every change to a budget is kept from the month it was made
+    const month = monthOf(this.getTodayInCentral());
+    for (const { cat, budget, budgetPeriod, rollover } of changed) {
+      const keepsRolling = rollover && cat.rollover && cat.rolloverSince && (cat.budgetPeriod || 'monthly') === 'monthly';
+      cat.budgetHistory = [...(cat.budgetHistory || []).filter(change => change.since !== month), { since: month, amount: budget }];
+      cat.rollover = rollover;
+      cat.rolloverSince = rollover ? (keepsRolling ? cat.rolloverSince : month) : null;
+      cat.budget = budget;
+      cat.budgetPeriod = budgetPeriod;
+      cat.updatedAt = new Date().toISOString();
+      cat.updatedBy = this.getCurrentUserName();
+      await db.saveCategory(cat);
+    }
+    
+    this.household = { ...this.household, ...household };
+    await db.setSetting('household', this.household);
+    await db.setSetting('householdPending', true);
+    
+    this.showToast('Budgets saved', 'success');
+    syncService.sync();
+  }
+
+  // Currencies: the base everything adds up in, and the rates for the others
+  renderCurrencySettings() {
+    // Changing the base would leave every recorded amount in the wrong currency
+    const locked = this.transactions.length > 0;
+    const input = document.getElementById('base-currency');
+    input.value = this.baseCurrency;
+    input.disabled = locked;
+    document.getElementById('base-currency-save-btn').classList.toggle('hidden', locked);
+    document.getElementById('base-currency-locked').classList.toggle('hidden', !locked);
+    
+    const rates = this.rates
+      .filter(rate => !rate.deletedAt && rate.base === this.baseCurrency)
+      .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+    const container = document.getElementById('rates-list');
+    container.innerHTML = rates.length === 0
+      ? '<div class="no-transactions">No exchange rates</div>'
+      : rates.map(rate => `
+        <div class="category-item rate-item" data-id="${this.escapeHtml(rate.id)}">
+          <span class="category-item-name">1 ${this.escapeHtml(rate.currency)} = ${this.escapeHtml(rate.rate)} ${this.escapeHtml(rate.base)}</span>
+          <span class="rate-date">from ${this.formatDate(rate.date)}</span>
+          <div class="category-item-actions">
+            <button class="edit-rate-btn" title="Edit">✏️</button>
+            <button class="delete-rate-btn" title="Delete">🗑️</button>
+          </div>
+        </div>
+      `).join('');
+    
+    container.querySelectorAll('.edit-rate-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => this.editRate(e.target.closest('.rate-item').dataset.id));
+    });
+    container.querySelectorAll('.delete-rate-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => this.deleteRate(e.target.closest('.rate-item').dataset.id));
+    });
+    
+    this.resetRateForm();
+  }
+
+  async handleSaveBaseCurrency(e) {
+    e.preventDefault();
+    const baseCurrency = document.getElementById('base-currency').value.trim().toUpperCase();
+    if (!isCurrencyCode(baseCurrency)) {
+      alert('Currency must be a three-letter code like EUR');
+      return;
+    }
+    if (this.transactions.length > 0) {
+      alert("The base currency can't change once there are transactions");
+      return;
+    }
+    
+    this.household = { ...this.household, baseCurrency };
+    await db.setSetting('household', this.household);
+    await db.setSetting('householdPending', true);
+    
+    this.showBaseCurrency();
+    this.renderCurrencySettings();
+    this.showToast(`Amounts are now in ${baseCurrency}`, 'success');
+    syncService.sync();
+  }
+
+  resetRateForm() {
+    document.getElementById('rate-id').value = '';
+    document.getElementById('rate-currency').value = '';
+    document.getElementById('rate-value').value = '';
+    document.getElementById('rate-date').value = this.getTodayInCentral();
+    document.getElementById('rate-save-btn').textContent = 'Add';
+    document.getElementById('rate-cancel-btn').classList.add('hidden');
+  }
+
+  editRate(id) {
+    const rate = this.rates.find(r => r.id === id);
+    if (!rate) return;
+    
+    document.getElementById('rate-id').value = rate.id;
+    document.getElementById('rate-currency').value = rate.currency;
+    document.getElementById('rate-value').value = rate.rate;
+    document.getElementById('rate-date').value = rate.date;
+    document.getElementById('rate-save-btn').textContent = 'Save';
+    document.getElementById('rate-cancel-btn').classList.remove('hidden');
+    document.getElementById('rate-value').focus();
+  }
+
+  // A rate for the same currency and date replaces the one there was
+  async saveRate(fields) {
+    const existing = this.rates.find(r => r.id === fields.id) ||
+      this.rates.find(r => !r.deletedAt && r.base === fields.base && r.currency === fields.currency && r.date === fields.date);
+    const now = new Date().toISOString();
+    const rate = existing
+      ? Object.assign(existing, fields, { id: existing.id, updatedAt: now, updatedBy: this.getCurrentUserName() })
+      : { ...fields, id: generateUUID(), createdAt: now, updatedAt: now, updatedBy: this.getCurrentUserName(), deletedAt: null };
+    
+    await db.saveRate(rate);
+    if (!existing) this.rates.push(rate);
+  }
+
+  async handleSaveRate(e) {
+    e.preventDefault();
+    
+    const rate = {
+      id: document.getElementById('rate-id').value || undefined,
+      base: this.baseCurrency,
+      currency: document.getElementById('rate-currency').value.trim().toUpperCase(),
+      rate: parseFloat(document.getElementById('rate-value').value),
+      date: document.getElementById('rate-date').value
+    };
+    const error = validateRate(rate);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    await this.saveRate(rate);
+    this.renderCurrencySettings();
+    syncService.sync();
+  }
+
+  async deleteRate(id) {
+    const rate = this.rates.find(r => r.id === id);
+    if (!rate || !confirm(`Delete the ${rate.currency} rate from ${this.formatDate(rate.date)}? Spending already recorded keeps its rate.`)) return;
+    
+    await db.deleteRate(id);
+    this.rates = this.rates.filter(r => r.id !== id);
+    this.renderCurrencySettings();
+    syncService.sync();
+  }
+
+  // Rates from a CSV of currency,rate,date lines; nothing is saved if any line is wrong
+  handleImportRates(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+    
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      const { rates, errors } = parseRatesCsv(event.target.result, this.baseCurrency, this.getTodayInCentral());
+      if (errors.length > 0) {
+        alert(`Couldn't import the rates:\n${errors.join('\n')}`);
+        return;
+      }
+      if (rates.length === 0) {
+        alert('The file has no rates');
+        return;
+      }
+      
+      for (const rate of rates) {
+        await this.saveRate(rate);
+      }
+      this.renderCurrencySettings();
+      this.showToast(`${rates.length} exchange ${rates.length === 1 ? 'rate' : 'rates'} imported`, 'success');
+      syncService.sync();
+    };
+    reader.readAsText(file);
+  }
+
+  // Bills to confirm: drafts the server added for recurring bills whose amount varies
+  renderDrafts() {
+    const drafts = [...this.drafts].sort((a, b) => a.date.localeCompare(b.date));
+    document.getElementById('draft-inbox').classList.toggle('hidden', drafts.length === 0);
+    const container = document.getElementById('draft-list');
+    container.innerHTML = drafts.map(draft => `
+      <div class="balance-history-item draft-item" data-id="${this.escapeHtml(draft.id)}">
+        <div class="month-forecast-row">
+          <span>${this.escapeHtml(draft.vendor)} <span class="upcoming-category">${this.escapeHtml(draft.category)}</span></span>
+          <span>${this.formatDate(draft.date)}</span>
+        </div>
+        <div class="draft-actions">
+          <input type="number" class="draft-amount base-amount" inputmode="decimal" value="${this.moneyInputValue(draft.amount)}" aria-label="Amount">
+          <button type="button" class="btn btn-small btn-primary draft-confirm">Confirm</button>
+          <button type="button" class="btn btn-small btn-secondary draft-skip">Skip</button>
+        </div>
+      </div>
+    `).join('');
+    
+    container.querySelectorAll('.draft-item').forEach(item => {
+      const input = item.querySelector('.draft-amount');
+      this.showAmountCurrency(input, null);
+      item.querySelector('.draft-confirm').addEventListener('click', () => this.confirmDraft(item.dataset.id, input.value));
+      item.querySelector('.draft-skip').addEventListener('click', () => this.skipDraft(item.dataset.id));
+    });
+  }
+
+  async confirmDraft(id, value) {
+    const draft = this.drafts.find(tx => tx.id === id);
+    if (!draft) return;
+    const amount = this.parseMoney(value);
+    if (!amount || amount < 1) {
+      alert('Please enter a valid amount');
+      return;
+    }
+    
+    draft.amount = amount;
+    draft.draft = false;
+    draft.updatedAt = new Date().toISOString();
+    draft.updatedBy = this.getCurrentUserName();
+    await db.saveTransaction(draft);
+    
+    this.drafts = this.drafts.filter(tx => tx.id !== id);
+    this.transactions.push(draft);
+    this.renderDrafts();
+    this.showToast(`Added ${draft.vendor} for ${this.formatMoney(amount)}`, 'success');
+    syncService.sync();
+  }
+
+  // A skipped bill is deleted, and stays deleted: the server adds each date only once
+  async skipDraft(id) {
+    const draft = this.drafts.find(tx => tx.id === id);
+    if (!draft || !confirm(`Skip ${draft.vendor} on ${this.formatDate(draft.date)}? It won't be added.`)) return;
+    
+    await db.deleteTransaction(id);
+    this.drafts = this.drafts.filter(tx => tx.id !== id);
+    this.renderDrafts();
+    syncService.sync();
+  }
+
+  // Recurring transactions
+  renderRecurringList() {
     const container = document.getElementById('recurring-list');
     
     if (this.recurring.length === 0) {
@@ -949,37 +2619,137 @@ class SpendTrackApp {
       return;
     }
     
-    const frequencyLabels = {
-      weekly: 'Weekly',
-      biweekly: 'Every 2 weeks',
-      monthly: 'Monthly',
-      yearly: 'Yearly'
-    };
-    
     container.innerHTML = this.recurring.map(rec => `
-      <div class="recurring-item" data-id="${rec.id}">
+      <div class="recurring-item${rec.pausedAt ? ' paused' : ''}" data-id="${this.escapeHtml(rec.id)}">
         <div class="recurring-item-info">
-          <span class="recurring-item-vendor">${rec.vendor}</span>
-          <span class="recurring-item-details">${rec.category} • ${frequencyLabels[rec.frequency]} • ${rec.person}</span>
+          <span class="recurring-item-vendor">${this.escapeHtml(rec.vendor)}</span>
+          <span class="recurring-item-details">${this.escapeHtml(rec.category)} • ${describeSchedule(rec)} • ${this.escapeHtml((this.memberOf(rec) || { name: rec.person }).name)}${rec.amountVaries ? ' • Amount varies' : ''}${rec.pausedAt ? ' • <span class="paused-tag">Paused</span>' : ''}</span>
         </div>
-        <span class="recurring-item-amount">$${rec.amount}</span>
+        <span class="recurring-item-amount">${this.formatMoney(rec.amount)}</span>
       </div>
     `).join('');
     
     container.querySelectorAll('.recurring-item').forEach(item => {
       item.addEventListener('click', () => this.showRecurringModal(item.dataset.id));
     });
+    
+    this.renderSubscriptionSuggestions();
+  }
+
+  // Subscriptions found in the history that have no recurring entry yet, and entries whose
+  // latest charge went up (see subscriptions.js)
+  renderSubscriptionSuggestions() {
+    const increases = priceIncreases(this.transactions, this.recurring);
+    document.getElementById('price-increases').classList.toggle('hidden', increases.length === 0);
+    const increaseList = document.getElementById('price-increase-list');
+    increaseList.innerHTML = increases.map(increase => `
+      <div class="recurring-item suggestion-item" data-id="${this.escapeHtml(increase.recurring.id)}">
+        <div class="recurring-item-info">
+          <span class="recurring-item-vendor">${this.escapeHtml(increase.recurring.vendor)}</span>
+          <span class="recurring-item-details">Was ${this.formatMoney(increase.from)}, charged ${this.formatMoney(increase.to)} on ${this.formatDate(increase.date)}</span>
+        </div>
+        <div class="suggestion-actions">
+          <span class="recurring-item-amount price-increase-amount">+${this.formatMoney(increase.to - increase.from)}</span>
+          <button type="button" class="btn btn-small btn-secondary">Update Amount</button>
+        </div>
+      </div>
+    `).join('');
+    increaseList.querySelectorAll('.suggestion-item').forEach((item, i) => {
+      item.querySelector('button').addEventListener('click', () => this.updateRecurringAmount(item.dataset.id, increases[i].to));
+    });
+    
+    const suggestions = detectSubscriptions(this.transactions, this.recurring, this.getTodayInCentral());
+    document.getElementById('subscription-suggestions').classList.toggle('hidden', suggestions.length === 0);
+    const suggestionList = document.getElementById('subscription-suggestion-list');
+    suggestionList.innerHTML = suggestions.map(suggestion => `
+      <div class="recurring-item suggestion-item">
+        <div class="recurring-item-info">
+          <span class="recurring-item-vendor">${this.escapeHtml(suggestion.vendor)}</span>
+          <span class="recurring-item-details">${this.escapeHtml(suggestion.category)} • ${describeSchedule(suggestion)} • ${suggestion.transactionIds.length} charges since ${this.formatDate(suggestion.startDate)}</span>
+        </div>
+        <div class="suggestion-actions">
+          <span class="recurring-item-amount">${this.formatMoney(suggestion.amount)}</span>
+          <button type="button" class="btn btn-small btn-primary">Create Recurring</button>
+        </div>
+      </div>
+    `).join('');
+    suggestionList.querySelectorAll('.suggestion-item').forEach((item, i) => {
+      item.querySelector('button').addEventListener('click', () => this.createSuggestedRecurring(suggestions[i]));
+    });
+  }
+
+  // The entry carries on from the last charge, so the server only adds charges after it
+  async createSuggestedRecurring(suggestion) {
+    const member = this.memberOf(suggestion) || this.getMember(this.getDefaultMemberId());
+    const now = new Date().toISOString();
+    const recurringData = {
+      id: generateUUID(),
+      person: member ? member.name : suggestion.person,
+      memberId: member ? member.id : suggestion.memberId,
+      category: suggestion.category,
+      vendor: suggestion.vendor,
+      amount: suggestion.amount,
+      frequency: suggestion.frequency,
+      interval: suggestion.interval,
+      monthlyOn: suggestion.frequency === 'monthly' ? 'day' : null,
+      startDate: suggestion.startDate,
+      endDate: null,
+      occurrences: null,
+      pausedAt: null,
+      memo: '',
+      lastGenerated: suggestion.lastDate,
+      createdAt: now,
+      updatedAt: now,
+      updatedBy: this.getCurrentUserName(),
+      deletedAt: null
+    };
+    
+    const error = validateRecurring(recurringData);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    await db.saveRecurring(recurringData);
+    this.recurring.push(recurringData);
+    
+    // Link the past charges, so they show as this entry's
+    for (const tx of this.transactions.filter(t => suggestion.transactionIds.includes(t.id))) {
+      tx.recurringId = recurringData.id;
+      tx.updatedAt = now;
+      tx.updatedBy = recurringData.updatedBy;
+      await db.saveTransaction(tx);
+    }
+    
+    this.renderRecurringList();
+    this.showToast(`${suggestion.vendor} is now recurring, with ${suggestion.transactionIds.length} past charges linked`, 'success');
+    syncService.sync();
+  }
+
+  async updateRecurringAmount(id, amount) {
+    const rec = this.recurring.find(r => r.id === id);
+    if (!rec) return;
+    
+    rec.amount = amount;
+    rec.updatedAt = new Date().toISOString();
+    rec.updatedBy = this.getCurrentUserName();
+    await db.saveRecurring(rec);
+    
+    this.renderRecurringList();
+    this.showToast(`${rec.vendor} is now ${this.formatMoney(amount)}`, 'success');
+    syncService.sync();
   }
 
   showRecurringModal(id = null) {
     const modal = document.getElementById('recurring-modal');
     const title = document.getElementById('recurring-modal-title');
     const deleteBtn = document.getElementById('delete-recurring-btn');
+    const pauseBtn = document.getElementById('pause-recurring-btn');
     
     // Populate category select
     const categorySelect = document.getElementById('recurring-category');
     categorySelect.innerHTML = this.categories.map(cat => 
-      `<option value="${cat.name}">${cat.name}</option>`
+      `<option value="${this.escapeHtml(cat.name)}">${this.escapeHtml(cat.name)}</option>`
     ).join('');
     
     if (id) {
@@ -989,33 +2759,49 @@ class SpendTrackApp {
       
       title.textContent = 'Edit Recurring Transaction';
       deleteBtn.classList.remove('hidden');
+      pauseBtn.classList.remove('hidden');
+      pauseBtn.textContent = rec.pausedAt ? 'Resume' : 'Pause';
       
+      // Schedules from before intervals were every 2 weeks as 'biweekly'
+      const biweekly = rec.frequency === 'biweekly';
       document.getElementById('recurring-id').value = rec.id;
       document.getElementById('recurring-vendor').value = rec.vendor;
-      document.getElementById('recurring-amount').value = rec.amount;
-      document.getElementById('recurring-frequency').value = rec.frequency;
+      document.getElementById('recurring-amount').value = this.moneyInputValue(rec.amount);
+      document.getElementById('recurring-amount-varies').checked = !!rec.amountVaries;
+      document.getElementById('recurring-suggest-amount').value = rec.suggestAmount || 'last';
+      document.getElementById('recurring-frequency').value = biweekly ? 'weekly' : rec.frequency;
+      document.getElementById('recurring-interval').value = (rec.interval || 1) * (biweekly ? 2 : 1);
       document.getElementById('recurring-start').value = rec.startDate;
+      document.getElementById('recurring-ends').value = rec.endDate ? 'date' : rec.occurrences ? 'count' : 'never';
+      document.getElementById('recurring-end-date').value = rec.endDate || '';
+      document.getElementById('recurring-occurrences').value = rec.occurrences || '';
       document.getElementById('recurring-memo').value = rec.memo || '';
+      this.updateRecurringScheduleFields(rec.monthlyOn);
       categorySelect.value = rec.category;
       
-      document.querySelectorAll('.recurring-person-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.person === rec.person);
-      });
+      const member = this.memberOf(rec);
+      this.renderPersonButtons('recurring-person-toggle', 'person-btn recurring-person-btn', member ? member.id : null);
     } else {
       // Add mode
       title.textContent = 'Add Recurring Transaction';
       deleteBtn.classList.add('hidden');
+      pauseBtn.classList.add('hidden');
       
       document.getElementById('recurring-id').value = '';
       document.getElementById('recurring-vendor').value = '';
       document.getElementById('recurring-amount').value = '';
+      document.getElementById('recurring-amount-varies').checked = false;
+      document.getElementById('recurring-suggest-amount').value = 'last';
       document.getElementById('recurring-frequency').value = 'monthly';
+      document.getElementById('recurring-interval').value = 1;
       document.getElementById('recurring-start').value = this.getTodayInCentral();
+      document.getElementById('recurring-ends').value = 'never';
+      document.getElementById('recurring-end-date').value = '';
+      document.getElementById('recurring-occurrences').value = '';
       document.getElementById('recurring-memo').value = '';
+      this.updateRecurringScheduleFields('day');
       
-      document.querySelectorAll('.recurring-person-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.person === this.settings.lastUser);
-      });
+      this.renderPersonButtons('recurring-person-toggle', 'person-btn recurring-person-btn', this.getDefaultMemberId());
     }
     
     modal.classList.remove('hidden');
@@ -1025,9 +2811,25 @@ class SpendTrackApp {
     document.getElementById('recurring-modal').classList.add('hidden');
   }
 
-  selectRecurringPerson(person) {
+  // The day-of-month choices depend on the start date ("the 2nd Tuesday"), and only monthly
+  // schedules have them. Keeps the choice made when the start date still allows it.
+  updateRecurringScheduleFields(monthlyOn = null) {
+    const select = document.getElementById('recurring-monthly-on');
+    const selected = monthlyOn || select.value || 'day';
+    const rules = monthlyRulesFor(document.getElementById('recurring-start').value);
+    select.innerHTML = rules.map(rule => `<option value="${rule.value}">${rule.label}</option>`).join('');
+    select.value = rules.some(rule => rule.value === selected) ? selected : 'day';
+    document.getElementById('recurring-monthly-group').classList.toggle('hidden', document.getElementById('recurring-frequency').value !== 'monthly');
+    
+    const ends = document.getElementById('recurring-ends').value;
+    document.getElementById('recurring-end-date').classList.toggle('hidden', ends !== 'date');
+    document.getElementById('recurring-occurrences').classList.toggle('hidden', ends !== 'count');
+    document.getElementById('recurring-suggest-group').classList.toggle('hidden', !document.getElementById('recurring-amount-varies').checked);
+  }
+
+  selectRecurringPerson(memberId) {
     document.querySelectorAll('.recurring-person-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.person === person);
+      btn.classList.toggle('active', btn.dataset.memberId === memberId);
     });
   }
 
@@ -1036,23 +2838,46 @@ class SpendTrackApp {
     
     const id = document.getElementById('recurring-id').value;
     const activePerson = document.querySelector('.recurring-person-btn.active');
+    const existing = id ? this.recurring.find(r => r.id === id) : null;
+    const member = this.getMember(activePerson ? activePerson.dataset.memberId : this.getDefaultMemberId());
+    if (!member && !existing) {
+      alert('Please add a household member in Settings');
+      return;
+    }
     
+    const frequency = document.getElementById('recurring-frequency').value;
+    const ends = document.getElementById('recurring-ends').value;
+    const amountVaries = document.getElementById('recurring-amount-varies').checked;
     const recurringData = {
       id: id || generateUUID(),
-      person: activePerson ? activePerson.dataset.person : this.settings.lastUser,
+      person: member ? member.name : existing.person,
+      memberId: member ? member.id : existing.memberId,
       category: document.getElementById('recurring-category').value,
       vendor: document.getElementById('recurring-vendor').value.trim(),
-      amount: parseInt(document.getElementById('recurring-amount').value),
-      frequency: document.getElementById('recurring-frequency').value,
+      amount: this.parseMoney(document.getElementById('recurring-amount').value),
+      amountVaries,
+      suggestAmount: amountVaries ? document.getElementById('recurring-suggest-amount').value : null,
+      frequency,
+      interval: parseInt(document.getElementById('recurring-interval').value, 10),
+      monthlyOn: frequency === 'monthly' ? document.getElementById('recurring-monthly-on').value : null,
       startDate: document.getElementById('recurring-start').value,
+      endDate: ends === 'date' ? document.getElementById('recurring-end-date').value : null,
+      occurrences: ends === 'count' ? parseInt(document.getElementById('recurring-occurrences').value, 10) : null,
+      pausedAt: existing ? existing.pausedAt || null : null,
       memo: document.getElementById('recurring-memo').value.trim(),
       lastGenerated: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      updatedBy: this.settings.lastUser,
+      updatedBy: this.getCurrentUserName(),
       deletedAt: null
     };
     
+    const error = validateRecurring(recurringData);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
     if (id) {
       // Update existing
       const index = this.recurring.findIndex(r => r.id === id);
@@ -1070,9 +2895,6 @@ class SpendTrackApp {
     this.closeRecurringModal();
     this.renderRecurringList();
     syncService.sync();
-    
-    // Process any due recurring transactions
-    await this.processRecurringTransactions();
   }
 
   async handleDeleteRecurring() {
@@ -1089,69 +2911,114 @@ class SpendTrackApp {
     syncService.sync();
   }
 
-  async processRecurringTransactions() {
+  // Pausing keeps the schedule; resuming skips what fell due while it was paused
+  async handlePauseRecurring() {
+    const rec = this.recurring.find(r => r.id === document.getElementById('recurring-id').value);
+    if (!rec) return;
+    
     const today = this.getTodayInCentral();
+    Object.assign(rec, rec.pausedAt ? resumeChanges(rec, today) : pauseChanges(today), {
+      updatedAt: new Date().toISOString(),
+      updatedBy: this.getCurrentUserName()
+    });
+    await db.saveRecurring(rec);
+    this.closeRecurringModal();
+    this.renderRecurringList();
+    this.showToast(rec.pausedAt ? `${rec.vendor} paused` : `${rec.vendor} resumed`, 'success');
+    syncService.sync();
+  }
+
+  // Conflict review
+  async showConflictsModal() {
+    const list = document.getElementById('conflicts-list');
+    list.innerHTML = '<div class="no-transactions">Loading...</div>';
+    document.getElementById('conflicts-modal').classList.remove('hidden');
     
-    for (const rec of this.recurring) {
-      if (rec.deletedAt) continue;
-      
-      let nextDate = rec.lastGenerated ? this.getNextRecurringDate(rec.lastGenerated, rec.frequency) : rec.startDate;
-      
-      while (nextDate <= today) {
-        // Check if transaction already exists for this date
-        const exists = this.transactions.some(tx => 
-          tx.recurringId === rec.id && tx.date === nextDate
-        );
-        
-        if (!exists) {
-          const transaction = {
-            id: generateUUID(),
-            date: nextDate,
-            person: rec.person,
-            category: rec.category,
-            vendor: rec.vendor,
-            amount: rec.amount,
-            memo: rec.memo || `Recurring: ${rec.vendor}`,
-            recurringId: rec.id,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            updatedBy: 'System',
-            deletedAt: null
-          };
-          
-          await db.saveTransaction(transaction);
-          this.transactions.push(transaction);
-        }
-        
-        rec.lastGenerated = nextDate;
-        nextDate = this.getNextRecurringDate(nextDate, rec.frequency);
-      }
-      
-      // Update recurring record
-      rec.updatedAt = new Date().toISOString();
-      await db.saveRecurring(rec);
+    try {
+      const response = await fetch('/api/conflicts', { credentials: 'include' });
+      if (!response.ok) throw new Error('Could not load conflicts');
+      this.conflicts = await response.json();
+      this.renderConflictsList();
+    } catch (error) {
+      list.innerHTML = '<div class="no-transactions">Conflicts can only be reviewed while online</div>';
     }
   }
 
-  getNextRecurringDate(dateStr, frequency) {
-    const date = new Date(dateStr + 'T12:00:00');
+  closeConflictsModal() {
+    document.getElementById('conflicts-modal').classList.add('hidden');
+  }
+
+  renderConflictsList() {
+    const list = document.getElementById('conflicts-list');
     
-    switch (frequency) {
-      case 'weekly':
-        date.setDate(date.getDate() + 7);
-        break;
-      case 'biweekly':
-        date.setDate(date.getDate() + 14);
-        break;
-      case 'monthly':
-        date.setMonth(date.getMonth() + 1);
-        break;
-      case 'yearly':
-        date.setFullYear(date.getFullYear() + 1);
-        break;
+    if (this.conflicts.length === 0) {
+      list.innerHTML = '<div class="no-transactions">No conflicts to review</div>';
+      return;
     }
     
-    return date.toISOString().split('T')[0];
+    list.innerHTML = this.conflicts.map(conflict => `
+      <div class="conflict-item" data-id="${this.escapeHtml(conflict.id)}">
+        <div class="conflict-item-title">${this.escapeHtml(this.describeConflictRecord(conflict))}</div>
+        <div class="conflict-item-field">Both of you changed <strong>${this.escapeHtml(conflict.field)}</strong></div>
+        <div class="conflict-options">
+          <button type="button" class="conflict-option" data-choice="kept">
+            <span class="conflict-option-value">${this.escapeHtml(this.formatConflictValue(conflict.field, conflict.kept.value))}</span>
+            <span class="conflict-option-meta">${this.escapeHtml(conflict.kept.updatedBy || 'Unknown')} • current</span>
+          </button>
+          <button type="button" class="conflict-option" data-choice="overwritten">
+            <span class="conflict-option-value">${this.escapeHtml(this.formatConflictValue(conflict.field, conflict.overwritten.value))}</span>
+            <span class="conflict-option-meta">${this.escapeHtml(conflict.overwritten.updatedBy || 'Unknown')} • overwritten</span>
+          </button>
+        </div>
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.conflict-option').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.conflict-item').dataset.id;
+        this.resolveConflict(id, btn.dataset.choice);
+      });
+    });
+  }
+
+  describeConflictRecord(conflict) {
+    if (conflict.collection === 'categories') {
+      const cat = this.categories.find(c => c.id === conflict.recordId);
+      return cat ? `Category: ${cat.name}` : 'Category';
+    }
+    if (conflict.collection === 'recurring') {
+      const rec = this.recurring.find(r => r.id === conflict.recordId);
+      return rec ? `Recurring: ${rec.vendor}` : 'Recurring transaction';
+    }
+    const tx = this.transactions.find(t => t.id === conflict.recordId);
+    return tx ? `${tx.vendor || tx.category} • ${this.formatDate(tx.date)}` : 'Transaction';
+  }
+
+  formatConflictValue(field, value) {
+    if (field === 'deletedAt') return value ? 'Deleted' : 'Not deleted';
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (field === 'amount') return this.formatMoney(value);
+    return value;
+  }
+
+  async resolveConflict(id, choice) {
+    try {
+      const response = await fetch(`/api/conflicts/${id}/resolve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ choice }),
+        credentials: 'include'
+      });
+      if (!response.ok) throw new Error('Could not resolve conflict');
+      
+      this.conflicts = this.conflicts.filter(c => c.id !== id);
+      this.renderConflictsList();
+      
+      // Pull the restored value back down
+      if (choice === 'overwritten') syncService.sync();
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
   }
 
   // Export
@@ -1163,6 +3030,42 @@ class SpendTrackApp {
     window.location.href = '/api/export/csv';
   }
 
+  // Exports hold the transactions the transactions view's filters show
+  showExportModal() {
+    const count = filterTransactions(this.transactions, this.transactionFilters(), tx => this.memberOf(tx)).length;
+    document.getElementById('export-summary').textContent = count === 1
+      ? '1 transaction matches the filters.'
+      : `${count} transactions match the filters.`;
+    this.updateExportColumns();
+    document.getElementById('export-modal').classList.remove('hidden');
+  }
+
+  closeExportModal() {
+    document.getElementById('export-modal').classList.add('hidden');
+  }
+
+  // OFX statements have no room for extra columns
+  updateExportColumns() {
+    const ofx = document.querySelector('input[name="export-format"]:checked').value === 'ofx';
+    document.getElementById('export-columns').classList.toggle('disabled', ofx);
+    document.querySelectorAll('input[name="export-column"]').forEach(input => {
+      input.disabled = ofx;
+    });
+  }
+
+  async handleExport(e) {
+    e.preventDefault();
+    const format = document.querySelector('input[name="export-format"]:checked').value;
+    const params = new URLSearchParams(filtersQuery(this.transactionFilters()));
+    const columns = Array.from(document.querySelectorAll('input[name="export-column"]:checked:not(:disabled)')).map(input => input.value);
+    if (columns.length > 0) params.set('columns', columns.join(','));
+    
+    // The server exports what it has, so send anything still waiting first
+    await syncService.sync();
+    this.closeExportModal();
+    window.location.href = `/api/export/${format}${params.toString() ? `?${params}` : ''}`;
+  }
+
   // Import
   showImportModal() {
     const modal = document.getElementById('import-modal');
@@ -1212,59 +3115,89 @@ class SpendTrackApp {
     const confirmBtn = document.getElementById('import-confirm-btn');
     
     error.classList.add('hidden');
+    preview.classList.add('hidden');
+    confirmBtn.disabled = true;
     
-    // Validate structure
-    if (!importData || typeof importData !== 'object') {
-      this.showImportError('Invalid import data format');
-      return;
-    }
-    
-    const { transactions, categories, settings, recurring } = importData;
-    
-    if (!Array.isArray(transactions) || !Array.isArray(categories) || !Array.isArray(recurring)) {
-      this.showImportError('Missing required data arrays');
-      return;
-    }
-    
-    if (!settings || typeof settings !== 'object') {
-      this.showImportError('Missing or invalid settings');
+    // The same schema the server checks; older exports pass and are upgraded by the server
+    const errors = validateExport(importData);
+    if (errors.length > 0) {
+      this.showImportErrors(errors);
       return;
     }
     
-    // Validate transaction structure
-    for (const tx of transactions) {
-      if (!tx.id || !tx.date || !tx.person || !tx.category || tx.amount === undefined) {
-        this.showImportError('Invalid transaction structure');
+    // Store validated data for import
+    this.pendingImportData = importData;
+    this.loadImportPreview();
+  }
+
+  // The server works out what each mode would do to the data it holds
+  async loadImportPreview() {
+    try {
+      const response = await fetch('/api/import/json/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.pendingImportData),
+        credentials: 'include'
+      });
+      const preview = await response.json();
+      if (!response.ok && preview.errors) {
+        this.showImportErrors(preview.errors);
         return;
       }
+      if (!response.ok) throw new Error(preview.error || 'Could not preview the import');
+      this.importPreview = preview;
+    } catch (error) {
+      this.showImportError(error instanceof TypeError ? 'Importing needs a connection' : error.message);
+      return;
     }
     
-    // Validate category structure
-    for (const cat of categories) {
-      if (!cat.id || !cat.name) {
-        this.showImportError('Invalid category structure');
-        return;
-      }
-    }
+    document.querySelectorAll('.import-mode-summary').forEach(el => {
+      const totals = { added: 0, updated: 0, deleted: 0 };
+      Object.entries(this.importPreview[el.dataset.mode]).forEach(([collection, counts]) => {
+        if (collection === 'settings') return;
+        Object.keys(totals).forEach(change => { totals[change] += counts[change]; });
+      });
+      el.textContent = `${totals.added} added, ${totals.updated} updated, ${totals.deleted} deleted`;
+    });
+    this.renderImportPreview();
+    document.getElementById('import-preview').classList.remove('hidden');
+    document.getElementById('import-confirm-btn').disabled = false;
+  }
+
+  selectedImportMode() {
+    return document.querySelector('input[name="import-mode"]:checked').value;
+  }
+
+  renderImportPreview() {
+    const labels = { transactions: 'Transactions', categories: 'Categories', recurring: 'Recurring', members: 'Members', settlements: 'Repayments', envelopeMoves: 'Envelope moves', rates: 'Exchange rates', bankProfiles: 'Bank profiles' };
+    const preview = this.importPreview[this.selectedImportMode()];
     
-    // Validate recurring structure
-    for (const rec of recurring) {
-      if (!rec.id || !rec.person || !rec.category || !rec.vendor || rec.amount === undefined) {
-        this.showImportError('Invalid recurring transaction structure');
-        return;
-      }
+    const rows = Object.entries(labels).filter(([collection]) => preview[collection]).map(([collection, label]) => {
+      const counts = preview[collection];
+      const parts = ['added', 'updated', 'unchanged', 'deleted'].filter(change => counts[change]).map(change => `${counts[change]} ${change}`);
+      return `
+        <div class="preview-item">
+          <span>${label}:</span>
+          <span>${parts.length ? parts.join(', ') : 'Nothing'}</span>
+        </div>
+      `;
+    });
+    if (preview.settings.length > 0) {
+      rows.push(`
+        <div class="preview-item">
+          <span>Settings:</span>
+          <span>${this.escapeHtml(preview.settings.join(', '))}</span>
+        </div>
+      `);
     }
-    
-    // Store validated data for import
-    this.pendingImportData = importData;
-    
-    // Show preview
-    document.getElementById('preview-tx-count').textContent = transactions.length;
-    document.getElementById('preview-cat-count').textContent = categories.length;
-    document.getElementById('preview-rec-count').textContent = recurring.length;
-    
-    preview.classList.remove('hidden');
-    confirmBtn.disabled = false;
+    document.getElementById('import-preview-items').innerHTML = rows.join('');
+  }
+
+  // Every problem in the file, a few at a time
+  showImportErrors(errors) {
+    const lines = errors.slice(0, 5).map(describeExportError);
+    if (errors.length > 5) lines.push(`…and ${errors.length - 5} more`);
+    this.showImportError(lines.join('\n'));
   }
 
   showImportError(message) {
@@ -1290,7 +3223,7 @@ class SpendTrackApp {
     success.classList.add('hidden');
     
     try {
-      const response = await fetch('/api/import/json', {
+      const response = await fetch(`/api/import/json?mode=${this.selectedImportMode()}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(this.pendingImportData),
@@ -1302,37 +3235,16 @@ class SpendTrackApp {
         throw new Error(data.error || 'Import failed');
       }
       
-      const result = await response.json();
-      
-      // Update local data
-      this.transactions = this.pendingImportData.transactions;
-      this.categories = this.pendingImportData.categories;
-      this.recurring = this.pendingImportData.recurring;
-      this.settings = this.pendingImportData.settings;
-      
-      // Save to local DB
-      for (const tx of this.transactions) {
-        await db.saveTransaction(tx);
-      }
-      for (const cat of this.categories) {
-        await db.saveCategory(cat);
-      }
-      for (const rec of this.recurring) {
-        await db.saveRecurring(rec);
-      }
-      for (const [key, value] of Object.entries(this.settings)) {
-        await db.setSetting(key, value);
-      }
-      
       success.classList.remove('hidden');
       this.pendingImportData = null;
+      this.importPreview = null;
       
-      // Reload UI after 1.5 seconds
+      // Pull the imported records down, then reload the UI after 1.5 seconds
+      await syncService.sync({ force: true });
       setTimeout(() => {
         this.closeImportModal();
         this.switchView('add');
         this.renderCategories();
-        syncService.sync();
       }, 1500);
       
     } catch (error) {
@@ -1340,6 +3252,565 @@ class SpendTrackApp {
       confirmBtn.disabled = false;
     }
   }
+
+  // Backups
+  // Bank statements: a CSV read with a saved bank profile, previewed so likely duplicates
+  // can be left out, and the rows picked added as new transactions
+  showStatementModal() {
+    this.statement = null;
+    document.getElementById('statement-file-input').value = '';
+    document.getElementById('statement-profile-form').classList.add('hidden');
+    document.getElementById('statement-preview').classList.add('hidden');
+    document.getElementById('statement-error').classList.add('hidden');
+    document.getElementById('statement-import-btn').disabled = true;
+    document.getElementById('statement-import-btn').textContent = 'Import';
+    document.getElementById('statement-modal').classList.remove('hidden');
+  }
+
+  closeStatementModal() {
+    document.getElementById('statement-modal').classList.add('hidden');
+    document.getElementById('statement-file-input').value = '';
+    this.statement = null;
+  }
+
+  showStatementError(message) {
+    const error = document.getElementById('statement-error');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+  }
+
+  handleStatementFileSelect(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      this.statement = null;
+      document.getElementById('statement-profile-form').classList.add('hidden');
+      document.getElementById('statement-preview').classList.add('hidden');
+      document.getElementById('statement-import-btn').disabled = true;
+      const owners = (await db.getSetting('statementOwners')) || {};
+      if (/\.(ofx|qfx|qif)$/i.test(file.name)) {
+        this.readBankFile(event.target.result, owners);
+        return;
+      }
+      
+      const cells = parseCsv(event.target.result);
+      if (cells.length === 0) {
+        this.showStatementError('The file is empty');
+        return;
+      }
+      
+      // Start from the profile used last time, or a guess from the file's header
+      const lastId = await db.getSetting('lastBankProfileId');
+      this.statement = { format: 'csv', text: event.target.result, cells, rows: [], owners };
+      this.renderStatementChoices();
+      this.showBankProfile(this.bankProfiles.find(p => p.id === lastId) || guessBankProfile(cells));
+    };
+    reader.readAsText(file);
+  }
+
+  // OFX/QFX and QIF files are read by the server and need no profile. Their accounts are
+  // remembered by number (OFX) or type (QIF, which has no number) for the owner.
+  async readBankFile(text, owners) {
+    let statement;
+    try {
+      const response = await fetch('/api/import/statement', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text }),
+        credentials: 'include'
+      });
+      statement = await response.json();
+      if (!response.ok) throw new Error(statement.error || 'Could not read the file');
+    } catch (error) {
+      this.showStatementError(error instanceof TypeError ? 'OFX, QFX and QIF files are read by the server, so importing them needs a connection' : error.message);
+      return;
+    }
+    if (statement.currency && statement.currency !== this.baseCurrency) {
+      this.showStatementError(`This statement is in ${statement.currency}; only statements in ${this.baseCurrency} can be imported`);
+      return;
+    }
+    
+    const { account } = statement;
+    this.statement = { ...statement, ownerKey: `${statement.format}:${account.id || account.type}`, rows: [], owners };
+    this.renderStatementChoices();
+    this.showStatementRows(statement.rows, statement.errors);
+  }
+
+  // The owner defaults to whoever owned this account last time
+  renderStatementChoices() {
+    const owner = this.statement.ownerKey && this.statement.owners[this.statement.ownerKey];
+    this.renderPersonButtons('statement-person-toggle', 'person-btn statement-person-btn', this.getMember(owner) ? owner : this.selectedMemberId);
+    this.renderSplitEditor('statement-split', this.defaultSplit(), ['equal', 'percent', 'personal']);
+  }
+
+  selectBankProfile(id) {
+    this.showBankProfile(this.bankProfiles.find(p => p.id === id) || guessBankProfile(this.statement.cells));
+  }
+
+  // Column pickers are labelled with the first line, so a header names them and data shows an example
+  showBankProfile(profile) {
+    const first = this.statement.cells[0];
+    const width = Math.max(...this.statement.cells.map(cells => cells.length));
+    document.querySelectorAll('#statement-profile-form .statement-column').forEach(select => {
+      select.innerHTML = '';
+      for (let i = 0; i < width; i++) {
+        select.add(new Option(first[i] ? `${i + 1}: ${first[i]}` : `Column ${i + 1}`, i));
+      }
+    });
+    
+    const profiles = document.getElementById('statement-profile');
+    profiles.innerHTML = '';
+    this.bankProfiles.forEach(p => profiles.add(new Option(p.name, p.id)));
+    profiles.add(new Option('New profile', ''));
+    profiles.value = profile.id || '';
+    if (profile.id && this.getMember(this.statement.owners[profile.id])) this.selectStatementPerson(this.statement.owners[profile.id]);
+    
+    document.getElementById('statement-profile-name').value = profile.name || '';
+    document.getElementById('statement-has-header').checked = Boolean(profile.hasHeader);
+    document.getElementById('statement-date-column').value = profile.dateColumn;
+    document.getElementById('statement-date-format').value = profile.dateFormat;
+    document.getElementById('statement-description-column').value = profile.descriptionColumn;
+    document.getElementById('statement-amount-column').value = profile.amountColumn;
+    document.getElementById('statement-sign').value = profile.sign;
+    document.getElementById('statement-credit-column').value = profile.creditColumn ?? '';
+    document.getElementById('statement-profile-form').classList.remove('hidden');
+    this.updateStatementPreview();
+  }
+
+  readBankProfile() {
+    const column = id => (document.getElementById(id).value === '' ? null : Number(document.getElementById(id).value));
+    const sign = document.getElementById('statement-sign').value;
+    return {
+      id: document.getElementById('statement-profile').value || undefined,
+      name: document.getElementById('statement-profile-name').value.trim(),
+      hasHeader: document.getElementById('statement-has-header').checked,
+      dateColumn: column('statement-date-column'),
+      dateFormat: document.getElementById('statement-date-format').value,
+      descriptionColumn: column('statement-description-column'),
+      amountColumn: column('statement-amount-column'),
+      sign,
+      creditColumn: sign === 'columns' ? column('statement-credit-column') : null
+    };
+  }
+
+  updateStatementPreview() {
+    const profile = this.readBankProfile();
+    document.getElementById('statement-credit-group').classList.toggle('hidden', profile.sign !== 'columns');
+    document.getElementById('statement-delete-profile-btn').classList.toggle('hidden', !profile.id);
+    
+    // The name only matters once the profile is saved
+    const invalid = validateBankProfile({ ...profile, name: profile.name || 'Statement' });
+    const { rows, errors } = invalid ? { rows: [], errors: [invalid] } : parseStatement(this.statement.text, profile, minorPerMajor(this.baseCurrency));
+    this.showStatementRows(rows, errors);
+  }
+
+  showStatementRows(rows, errors) {
+    this.showStatementError(errors.length > 3 ? `${errors.slice(0, 3).join('\n')}\n…and ${errors.length - 3} more` : errors.join('\n'));
+    
+    const fallback = this.settings.lastCategory || (this.categories.find(c => c.name === 'Other') || this.categories[0] || {}).id;
+    this.statement.rows = flagDuplicates(rows, this.transactions).map(row => ({
+      ...row,
+      selected: !row.duplicateOf,
+      categoryId: suggestCategory(row.description, this.transactions) || fallback
+    }));
+    document.getElementById('statement-preview').classList.toggle('hidden', rows.length === 0);
+    this.renderStatementRows();
+  }
+
+  renderStatementRows() {
+    const container = document.getElementById('statement-rows');
+    const categoryOptions = this.categories.map(cat => `<option value="${this.escapeHtml(cat.id)}">${this.escapeHtml(cat.name)}</option>`).join('');
+    
+    container.innerHTML = this.statement.rows.map((row, i) => {
+      const duplicate = row.duplicateOf ? this.transactions.find(t => t.id === row.duplicateOf) : null;
+      const tag = row.alreadyImported ? 'Already imported'
+        : duplicate ? `Already recorded? ${duplicate.vendor || duplicate.category}, ${this.formatDate(duplicate.date)}` : '';
+      return `
+      <label class="statement-row${duplicate ? ' duplicate' : ''}" data-index="${i}">
+        <input type="checkbox" class="statement-row-check"${row.selected ? ' checked' : ''}${row.alreadyImported ? ' disabled' : ''}>
+        <div class="statement-row-details">
+          <div class="transaction-header">
+            <span class="transaction-vendor"></span>
+            <span class="transaction-amount">${this.formatMoney(row.amount)}</span>
+          </div>
+          <div class="transaction-details">
+            <span class="transaction-date">${this.formatDate(row.date)}</span>
+            <select class="statement-row-category">${categoryOptions}</select>
+            ${tag ? `<span class="transaction-tag duplicate-tag">${this.escapeHtml(tag)}</span>` : ''}
+          </div>
+        </div>
+      </label>
+    `;
+    }).join('');
+    
+    // Descriptions come from the bank, so they go in as text
+    container.querySelectorAll('.statement-row').forEach(el => {
+      const row = this.statement.rows[el.dataset.index];
+      el.querySelector('.transaction-vendor').textContent = row.description || '(no description)';
+      el.querySelector('.statement-row-category').value = row.categoryId;
+    });
+    this.updateStatementSummary();
+  }
+
+  handleStatementRowChange(e) {
+    const el = e.target.closest('.statement-row');
+    if (!el) return;
+    const row = this.statement.rows[el.dataset.index];
+    if (e.target.classList.contains('statement-row-check')) row.selected = e.target.checked;
+    if (e.target.classList.contains('statement-row-category')) row.categoryId = e.target.value;
+    this.updateStatementSummary();
+  }
+
+  updateStatementSummary() {
+    const rows = this.statement.rows;
+    const picked = rows.filter(row => row.selected);
+    const imported = rows.filter(row => row.alreadyImported).length;
+    const duplicates = rows.filter(row => row.duplicateOf).length - imported;
+    const total = picked.reduce((sum, row) => sum + row.amount, 0);
+    
+    document.getElementById('statement-summary').textContent =
+      `${rows.length} ${rows.length === 1 ? 'row' : 'rows'}` +
+      (imported > 0 ? `, ${imported} already imported` : '') +
+      (duplicates > 0 ? `, ${duplicates} possibly already recorded` : '') +
+      `. Importing ${picked.length} (${this.formatMoney(total)}).`;
+    const importBtn = document.getElementById('statement-import-btn');
+    importBtn.textContent = picked.length > 0 ? `Import ${picked.length}` : 'Import';
+    importBtn.disabled = picked.length === 0;
+  }
+
+  selectStatementPerson(memberId) {
+    document.querySelectorAll('.statement-person-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.memberId === memberId);
+    });
+  }
+
+  // Saved on import, so the next statement from the same bank is read the same way
+  async saveBankProfile(fields) {
+    const existing = this.bankProfiles.find(p => p.id === fields.id);
+    if (existing && Object.keys(fields).every(key => fields[key] === existing[key])) return existing;
+    
+    const now = new Date().toISOString();
+    const profile = existing
+      ? Object.assign(existing, fields, { updatedAt: now, updatedBy: this.getCurrentUserName() })
+      : { ...fields, id: generateUUID(), createdAt: now, updatedAt: now, updatedBy: this.getCurrentUserName(), deletedAt: null };
+    await db.saveBankProfile(profile);
+    if (!existing) this.bankProfiles.push(profile);
+    return profile;
+  }
+
+  async deleteBankProfile() {
+    const profile = this.bankProfiles.find(p => p.id === document.getElementById('statement-profile').value);
+    if (!profile || !confirm(`Delete the bank profile "${profile.name}"?`)) return;
+    
+    await db.deleteBankProfile(profile.id);
+    this.bankProfiles = this.bankProfiles.filter(p => p.id !== profile.id);
+    this.showBankProfile(guessBankProfile(this.statement.cells));
+    syncService.sync();
+  }
+
+  async handleStatementImport() {
+    const csv = this.statement.format === 'csv';
+    const fields = csv ? this.readBankProfile() : null;
+    const invalid = csv && validateBankProfile(fields);
+    if (invalid) {
+      alert(fields.name ? invalid : 'Please name the bank profile so its columns are remembered next time');
+      return;
+    }
+    
+    const activePerson = document.querySelector('.statement-person-btn.active');
+    const member = activePerson ? this.getMember(activePerson.dataset.memberId) : null;
+    if (!member) {
+      alert('Please choose whose account this is');
+      return;
+    }
+    
+    const picked = this.statement.rows.filter(row => row.selected);
+    const { split, error } = this.readSplit('statement-split', picked[0].amount);
+    if (error) {
+      alert(error);
+      return;
+    }
+    
+    const profile = csv ? await this.saveBankProfile(fields) : null;
+    if (profile) await db.setSetting('lastBankProfileId', profile.id);
+    await db.setSetting('statementOwners', { ...this.statement.owners, [profile ? profile.id : this.statement.ownerKey]: member.id });
+    
+    // Money back on the statement (returns, cashback) comes in as refunds not tied to a purchase
+    const now = new Date().toISOString();
+    for (const row of picked) {
+      const category = this.categories.find(c => c.id === row.categoryId);
+      const transaction = {
+        id: generateUUID(),
+        type: row.amount < 0 ? 'refund' : 'expense',
+        date: row.date,
+        person: member.name,
+        memberId: member.id,
+        split,
+        category: category ? category.name : 'Other',
+        categoryId: row.categoryId,
+        vendor: row.description,
+        amount: row.amount,
+        memo: '',
+        createdAt: now,
+        updatedAt: now,
+        updatedBy: this.getCurrentUserName(),
+        deletedAt: null
+      };
+      if (row.importId) transaction.importId = row.importId;
+      await db.saveTransaction(transaction);
+      this.transactions.push(transaction);
+    }
+    
+    this.closeStatementModal();
+    this.showToast(`${picked.length} ${picked.length === 1 ? 'transaction' : 'transactions'} imported${profile ? ` from ${profile.name}` : ''}`, 'success');
+    syncService.sync();
+  }
+
+  async loadBackups() {
+    const list = document.getElementById('backups-list');
+    
+    try {
+      const response = await fetch('/api/backups', { credentials: 'include' });
+      if (!response.ok) throw new Error('Could not load backups');
+      const { backups, retention } = await response.json();
+      
+      document.getElementById('backups-help').textContent =
+        `The server backs up your data every day and keeps ${retention.daily} daily, ${retention.weekly} weekly and ${retention.monthly} monthly copies. ` +
+        `Backups taken before a restore or import are kept for ${retention.safetyDays} days.`;
+      this.renderBackupsList(backups);
+    } catch (error) {
+      list.innerHTML = '<div class="no-transactions">Backups are only available while online</div>';
+    }
+  }
+
+  renderBackupsList(backups) {
+    const list = document.getElementById('backups-list');
+    
+    if (backups.length === 0) {
+      list.innerHTML = '<div class="no-transactions">No backups yet</div>';
+      return;
+    }
+    
+    const reasonLabels = {
+      scheduled: 'Daily',
+      manual: 'Manual',
+      'pre-import': 'Before import',
+      'pre-restore': 'Before restore'
+    };
+    
+    list.innerHTML = backups.map(backup => {
+      const details = backup.error
+        ? 'Unreadable'
+        : `${reasonLabels[backup.reason] || 'Backup'} • ${backup.counts.transactions} transactions`;
+      
+      return `
+        <div class="backup-item" data-name="${this.escapeHtml(backup.name)}">
+          <div class="backup-item-info">
+            <span class="backup-item-date">${new Date(backup.createdAt).toLocaleString()}</span>
+            <span class="backup-item-details">${details}</span>
+          </div>
+          <div class="backup-item-actions">
+            <a class="btn btn-secondary btn-small" href="/api/backups/${encodeURIComponent(backup.name)}" download>Download</a>
+            ${backup.error ? '' : '<button type="button" class="btn btn-secondary btn-small backup-restore-btn">Restore</button>'}
+          </div>
+        </div>
+      `;
+    }).join('');
+    
+    list.querySelectorAll('.backup-restore-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.showRestoreModal(e.target.closest('.backup-item').dataset.name);
+      });
+    });
+  }
+
+  async backupNow() {
+    try {
+      const response = await fetch('/api/backups', { method: 'POST', credentials: 'include' });
+      if (!response.ok) throw new Error('Backup failed');
+      this.showToast('Backup created', 'success');
+      this.loadBackups();
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  async showRestoreModal(name) {
+    this.pendingRestore = name;
+    const diffEl = document.getElementById('restore-diff');
+    const confirmBtn = document.getElementById('restore-confirm-btn');
+    
+    document.getElementById('restore-backup-name').textContent = name;
+    document.getElementById('restore-error').classList.add('hidden');
+    diffEl.innerHTML = '<div class="no-transactions">Comparing with current data...</div>';
+    confirmBtn.disabled = true;
+    document.getElementById('restore-modal').classList.remove('hidden');
+    
+    try {
+      const response = await fetch(`/api/backups/${encodeURIComponent(name)}/diff`, { credentials: 'include' });
+      const diff = await response.json();
+      if (!response.ok) throw new Error(diff.error || 'Could not compare backup');
+      
+      this.renderRestoreDiff(diff);
+      confirmBtn.disabled = false;
+    } catch (error) {
+      diffEl.innerHTML = '';
+      this.showRestoreError(error.message);
+    }
+  }
+
+  // Summarise what a restore would add, change and remove per collection
+  renderRestoreDiff(diff) {
+    const labels = { transactions: 'Transactions', categories: 'Categories', recurring: 'Recurring', members: 'Members', settlements: 'Repayments', envelopeMoves: 'Envelope moves', rates: 'Exchange rates', bankProfiles: 'Bank profiles' };
+    
+    // Older backups have no members, and leave them alone
+    const rows = Object.entries(labels).filter(([collection]) => diff[collection]).map(([collection, label]) => {
+      const counts = diff[collection];
+      const parts = [];
+      if (counts.added) parts.push(`${counts.added} restored`);
+      if (counts.changed) parts.push(`${counts.changed} changed`);
+      if (counts.removed) parts.push(`${counts.removed} removed`);
+      return `
+        <div class="restore-diff-row">
+          <span>${label}</span>
+          <span>${parts.length ? parts.join(', ') : 'No changes'}</span>
+        </div>
+      `;
+    });
+    
+    if (diff.settings.length > 0) {
+      rows.push(`
+        <div class="restore-diff-row">
+          <span>Settings</span>
+          <span>${this.escapeHtml(diff.settings.join(', '))}</span>
+        </div>
+      `);
+    }
+    
+    document.getElementById('restore-diff').innerHTML = rows.join('');
+  }
+
+  showRestoreError(message) {
+    const error = document.getElementById('restore-error');
+    error.textContent = message;
+    error.classList.remove('hidden');
+  }
+
+  closeRestoreModal() {
+    document.getElementById('restore-modal').classList.add('hidden');
+    this.pendingRestore = null;
+  }
+
+  async handleRestoreConfirm() {
+    if (!this.pendingRestore) return;
+    
+    const confirmBtn = document.getElementById('restore-confirm-btn');
+    confirmBtn.disabled = true;
+    
+    try {
+      const response = await fetch(`/api/backups/${encodeURIComponent(this.pendingRestore)}/restore`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Restore failed');
+      
+      this.closeRestoreModal();
+      this.showToast('Backup restored', 'success');
+      this.loadBackups();
+      
+      // Pull the restored records down
+      syncService.sync({ force: true });
+    } catch (error) {
+      this.showRestoreError(error.message);
+      confirmBtn.disabled = false;
+    }
+  }
+
+  // Account & sessions
+  async renderAccount() {
+    document.getElementById('account-name').textContent = this.getCurrentUserName();
+    const list = document.getElementById('sessions-list');
+    
+    try {
+      const response = await fetch('/api/auth/sessions', { credentials: 'include' });
+      if (!response.ok) throw new Error('Could not load sessions');
+      this.renderSessionsList(await response.json());
+    } catch (error) {
+      list.innerHTML = '<div class="no-transactions">Sessions are only available while online</div>';
+    }
+  }
+
+  renderSessionsList(sessions) {
+    const list = document.getElementById('sessions-list');
+    
+    list.innerHTML = sessions.map(session => `
+      <div class="session-item" data-id="${this.escapeHtml(session.id)}">
+        <div class="session-item-info">
+          <span class="session-item-user">${this.escapeHtml(session.userName || 'Unknown')}${session.current ? ' • this device' : ''}</span>
+          <span class="session-item-details">${this.describeDevice(session.userAgent)} • last active ${this.formatSyncTime(new Date(session.lastSeenAt))}</span>
+        </div>
+        <button type="button" class="btn btn-secondary btn-small session-revoke-btn">${session.current ? 'Log out' : 'Revoke'}</button>
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.session-revoke-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.revokeSession(e.target.closest('.session-item').dataset.id);
+      });
+    });
+  }
+
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name)) || 'Browser';
+    const device = ['iPhone', 'iPad', 'Android', 'Mac', 'Windows', 'Linux'].find(name => userAgent.includes(name)) || 'device';
+    return `${browser === 'Edg' ? 'Edge' : browser} on ${device}`;
+  }
+
+  async revokeSession(id) {
+    if (!confirm('Sign this device out?')) return;
+    
+    try {
+      const response = await fetch(`/api/auth/sessions/${id}`, { method: 'DELETE', credentials: 'include' });
+      if (response.status === 401) {
+        this.showLoginScreen();
+        return;
+      }
+      if (!response.ok) throw new Error('Could not revoke session');
+      this.renderAccount();
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  async handleChangePassword(e) {
+    e.preventDefault();
+    const form = e.target;
+    const currentPassword = document.getElementById('current-password-input').value;
+    const newPassword = document.getElementById('new-password-input').value;
+    
+    try {
+      const response = await fetch('/api/auth/password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword }),
+        credentials: 'include'
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Could not change password');
+      
+      form.reset();
+      this.showToast(result.revokedSessions > 0
+        ? `Password changed; ${result.revokedSessions} other device(s) signed out`
+        : 'Password changed', 'success');
+      this.renderAccount();
+    } catch (error) {
+      this.showToast(error.message, 'error');
+    }
+  }
 }
 
 // Initialize app when DOM is ready
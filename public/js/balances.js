@@ -0,0 +1,197 @@
+// Shared-expense splits and the running balance between members, shared by the app and the server
+//
+// A transaction's `split` says how its cost is shared between members:
+//   { type: 'equal', memberIds: [...] }              evenly between those members
+//   { type: 'percent', shares: { [memberId]: 60 } }  percentages adding up to 100
+//   { type: 'amount', shares: { [memberId]: 1200 } } fixed amounts (in minor units) adding up to the total
+//   { type: 'personal' }                              the payer's own spending
+// Transactions without a split (everything from before splits) count as personal.
+//
+// Settlements are repayments between members ("Samantha paid James $230"). They are kept
+// apart from transactions because they move the balance without being spending:
+//   { fromMemberId, toMemberId, amount, date, memo }
+//
+// Balances are keyed by member id. A member's balance is what they paid towards other
+// people's shares minus what others paid towards theirs: positive means they are owed.
+const money = typeof module !== 'undefined' && module.exports ? require('./money') : globalThis;
+
+const SPLIT_TYPES = ['equal', 'percent', 'amount', 'personal'];
+
+// Amounts are in minor units (see money.js); differences below one are rounding, not money
+const BALANCE_EPSILON = 0.5;
+
+function roundMoney(value) {
+  return Math.round(value);
+}
+
+// A problem with a split for a transaction of `amount` in `currency`, or null when it is valid
+function validateSplit(split, amount, currency) {
+  if (!split) return null;
+  if (!SPLIT_TYPES.includes(split.type)) return `Unknown split type "${split.type}"`;
+
+  if (split.type === 'equal') {
+    return Array.isArray(split.memberIds) && split.memberIds.length > 0 ? null : 'Choose who shares the cost';
+  }
+  if (split.type === 'percent' || split.type === 'amount') {
+    const values = Object.values(split.shares || {});
+    if (values.length === 0 || values.some(value => typeof value !== 'number' || !(value >= 0))) {
+      return 'Shares must be zero or more';
+    }
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (split.type === 'percent' && Math.abs(total - 100) > BALANCE_EPSILON) {
+      return `Percentages add up to ${roundMoney(total)}%, not 100%`;
+    }
+    if (split.type === 'amount' && Math.abs(total - amount) > BALANCE_EPSILON) {
+      return `Shares add up to ${money.formatAmount(roundMoney(total), currency)}, not ${money.formatAmount(amount, currency)}`;
+    }
+  }
+  return null;
+}
+
+// What each member's share of a transaction's cost is, keyed by member id
+function splitShares(transaction, payerId) {
+  const split = transaction.split || { type: 'personal' };
+  const amount = transaction.amount || 0;
+  const shares = {};
+
+  if (split.type === 'equal' && Array.isArray(split.memberIds) && split.memberIds.length > 0) {
+    split.memberIds.forEach(id => {
+      shares[id] = amount / split.memberIds.length;
+    });
+  } else if (split.type === 'percent' && split.shares) {
+    Object.entries(split.shares).forEach(([id, percent]) => {
+      shares[id] = amount * percent / 100;
+    });
+  } else if (split.type === 'amount' && split.shares) {
+    Object.assign(shares, split.shares);
+  } else {
+    shares[payerId] = amount;
+  }
+  return shares;
+}
+
+// How a transaction moves each member's balance: the payer is credited with the whole
+// amount and everyone is charged their share, so personal spending moves nothing
+function balanceChanges(transaction, payerId) {
+  const changes = {};
+  Object.entries(splitShares(transaction, payerId)).forEach(([id, share]) => {
+    changes[id] = (changes[id] || 0) - share;
+  });
+  changes[payerId] = (changes[payerId] || 0) + (transaction.amount || 0);
+
+  Object.keys(changes).forEach(id => {
+    if (Math.abs(changes[id]) < BALANCE_EPSILON) delete changes[id];
+  });
+  return changes;
+}
+
+// A repayment credits whoever paid it and charges whoever received it
+function settlementChanges(settlement) {
+  return { [settlement.fromMemberId]: settlement.amount, [settlement.toMemberId]: -settlement.amount };
+}
+
+// A problem with a settlement between `members`, or null when it is valid
+function validateSettlement(settlement, members) {
+  const exists = id => members.some(member => member.id === id);
+  if (!settlement.fromMemberId || !exists(settlement.fromMemberId)) return 'Choose who paid';
+  if (!settlement.toMemberId || !exists(settlement.toMemberId)) return 'Choose who was paid';
+  if (settlement.fromMemberId === settlement.toMemberId) return 'A member cannot repay themselves';
+  if (!Number.isInteger(settlement.amount) || settlement.amount <= 0) {
+    return 'Amount must be more than zero';
+  }
+  if (typeof settlement.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(settlement.date)) return 'Date is required';
+  return null;
+}
+
+function isCounted(transaction, payerOf) {
+  return !transaction.deletedAt && Boolean(payerOf(transaction));
+}
+
+function byDate(a, b) {
+  return (a.date || '').localeCompare(b.date || '') || (a.createdAt || '').localeCompare(b.createdAt || '');
+}
+
+// Everything that moves the balance, as { transaction } or { settlement } entries with their changes
+function balanceEntries(transactions, payerOf, settlements) {
+  const entries = transactions.filter(tx => isCounted(tx, payerOf))
+    .map(tx => ({ record: tx, entry: { transaction: tx }, changes: balanceChanges(tx, payerOf(tx)) }));
+  settlements.filter(settlement => !settlement.deletedAt).forEach(settlement => {
+    entries.push({ record: settlement, entry: { settlement }, changes: settlementChanges(settlement) });
+  });
+  return entries;
+}
+
+// Net balance of every member across all transactions and settlements. `payerOf` maps a
+// transaction to the id of the member who paid, or null when it can't be attributed to anyone.
+function computeBalances(transactions, payerOf, settlements = []) {
+  const balances = {};
+  balanceEntries(transactions, payerOf, settlements).forEach(({ changes }) => {
+    Object.entries(changes).forEach(([id, change]) => {
+      balances[id] = (balances[id] || 0) + change;
+    });
+  });
+
+  Object.keys(balances).forEach(id => {
+    balances[id] = roundMoney(balances[id]);
+  });
+  return balances;
+}
+
+// Oldest first: every transaction or settlement that moved the balance, with the balances after it
+function balanceHistory(transactions, payerOf, settlements = []) {
+  const running = {};
+  const history = [];
+
+  balanceEntries(transactions, payerOf, settlements).sort((a, b) => byDate(a.record, b.record)).forEach(({ entry, changes }) => {
+    if (Object.keys(changes).length === 0) return;
+
+    Object.entries(changes).forEach(([id, change]) => {
+      running[id] = (running[id] || 0) + change;
+    });
+    const balances = {};
+    Object.entries(running).forEach(([id, value]) => {
+      balances[id] = roundMoney(value);
+    });
+    history.push({ ...entry, changes, balances });
+  });
+  return history;
+}
+
+// The fewest payments that square everyone up: the biggest debtor pays the biggest creditor
+function settleUp(balances) {
+  const debtors = [];
+  const creditors = [];
+  Object.entries(balances).forEach(([id, value]) => {
+    if (value < -BALANCE_EPSILON) debtors.push({ id, amount: -value });
+    if (value > BALANCE_EPSILON) creditors.push({ id, amount: value });
+  });
+  debtors.sort((a, b) => b.amount - a.amount);
+  creditors.sort((a, b) => b.amount - a.amount);
+
+  const transfers = [];
+  let d = 0;
+  let c = 0;
+  while (d < debtors.length && c < creditors.length) {
+    const amount = Math.min(debtors[d].amount, creditors[c].amount);
+    transfers.push({ from: debtors[d].id, to: creditors[c].id, amount: roundMoney(amount) });
+    debtors[d].amount -= amount;
+    creditors[c].amount -= amount;
+    if (debtors[d].amount < BALANCE_EPSILON) d++;
+    if (creditors[c].amount < BALANCE_EPSILON) c++;
+  }
+  return transfers;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPLIT_TYPES,
+    validateSplit,
+    splitShares,
+    balanceChanges,
+    settlementChanges,
+    validateSettlement,
+    computeBalances,
+    balanceHistory,
+    settleUp
+  };
+}
@@ -0,0 +1,113 @@
+// Category and household budgets, shared by the app and the server
+//
+// A category may carry a budget: `budget` (an amount, or null for none) and
+// `budgetPeriod` ('monthly' or 'weekly'). The household total lives in the server
+// settings under the HOUSEHOLD_SETTINGS keys, together with the alert threshold:
+// the percentage of a budget at which adding a transaction starts to warn.
+const BUDGET_PERIODS = ['monthly', 'weekly'];
+const DEFAULT_ALERT_THRESHOLD = 80;
+const HOUSEHOLD_SETTINGS = ['householdBudget', 'householdBudgetPeriod', 'budgetAlertThreshold'];
+
+// A problem with a budget, or null when it is valid. No amount means no budget.
+function validateBudget(amount, period) {
+  if (amount === null || amount === undefined) return null;
+  if (!Number.isInteger(amount) || amount <= 0) return 'Budget must be more than zero';
+  if (period !== undefined && !BUDGET_PERIODS.includes(period)) return `Unknown budget period "${period}"`;
+  return null;
+}
+
+function validateAlertThreshold(threshold) {
+  if (threshold === null || threshold === undefined) return null;
+  return typeof threshold === 'number' && threshold > 0 && threshold <= 100 ? null : 'Alert threshold must be between 1 and 100%';
+}
+
+function shiftDate(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// The first and last day (inclusive) of the budget period containing `today`. Weeks start on Monday.
+function budgetPeriodRange(period, today) {
+  if (period === 'weekly') {
+    const day = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const start = shiftDate(today, -(day === 0 ? 6 : day - 1));
+    return { start, end: shiftDate(start, 6) };
+  }
+  const [year, month] = today.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const prefix = today.substring(0, 7);
+  return { start: `${prefix}-01`, end: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+}
+
+// The fields that put a transaction in `category`. Budgets and envelopes go by the id when
+// there is one, so it changes with the name.
+function categoryFields(category) {
+  return { category: category.name, categoryId: category.id };
+}
+
+function inCategory(transaction, category) {
+  return transaction.categoryId ? transaction.categoryId === category.id : transaction.category === category.name;
+}
+
+// What was spent in the budget period containing `today`, optionally only on one category
+function spentInPeriod(transactions, period, today, category = null) {
+  const { start, end } = budgetPeriodRange(period, today);
+  return transactions
+    .filter(tx => !tx.deletedAt && tx.date >= start && tx.date <= end)
+    .filter(tx => !category || inCategory(tx, category))
+    .reduce((sum, tx) => sum + (tx.amount || 0), 0);
+}
+
+// 'over' past the budget, 'warning' from the threshold up to it, otherwise 'ok'
+function budgetLevel(spent, amount, threshold = DEFAULT_ALERT_THRESHOLD) {
+  if (spent > amount) return 'over';
+  if (spent >= amount * threshold / 100) return 'warning';
+  return 'ok';
+}
+
+// Spent versus budget for every budgeted category, fullest first. `amountOf` gives the
+// amount to measure against, for budgets that aren't simply the category's budget (envelopes).
+function budgetProgress(categories, transactions, today, threshold = DEFAULT_ALERT_THRESHOLD, amountOf = category => category.budget) {
+  return categories
+    .filter(category => !category.deletedAt && category.budget > 0)
+    .map(category => {
+      const period = category.budgetPeriod || 'monthly';
+      const spent = spentInPeriod(transactions, period, today, category);
+      const amount = amountOf(category);
+      return {
+        category,
+        period,
+        amount,
+        spent,
+        percent: amount > 0 ? Math.round(spent / amount * 100) : 100,
+        level: amount > 0 ? budgetLevel(spent, amount, threshold) : 'over'
+      };
+    })
+    .sort((a, b) => b.percent - a.percent);
+}
+
+// The alert worth raising when spending goes from `before` to `after`: only when it
+// moves the budget up a level, so every purchase past 80% doesn't warn again
+function budgetAlert(before, after, amount, threshold = DEFAULT_ALERT_THRESHOLD) {
+  const levels = ['ok', 'warning', 'over'];
+  const from = budgetLevel(before, amount, threshold);
+  const to = budgetLevel(after, amount, threshold);
+  return levels.indexOf(to) > levels.indexOf(from) ? to : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUDGET_PERIODS,
+    DEFAULT_ALERT_THRESHOLD,
+    HOUSEHOLD_SETTINGS,
+    validateBudget,
+    validateAlertThreshold,
+    budgetPeriodRange,
+    categoryFields,
+    spentInPeriod,
+    budgetLevel,
+    budgetProgress,
+    budgetAlert
+  };
+}
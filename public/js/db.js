@@ -1,15 +1,32 @@
 // IndexedDB wrapper for offline storage
 const DB_NAME = 'SpendTrackDB';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 
 const STORES = {
   transactions: 'transactions',
   categories: 'categories',
   settings: 'settings',
   recurring: 'recurring',
+  members: 'members',
+  settlements: 'settlements',
+  envelopeMoves: 'envelopeMoves',
+  rates: 'rates',
+  bankProfiles: 'bankProfiles',
   syncQueue: 'syncQueue'
 };
 
+// Sync queue entry type for each synced store
+const QUEUE_TYPES = {
+  transactions: 'transaction',
+  categories: 'category',
+  recurring: 'recurring',
+  members: 'member',
+  settlements: 'settlement',
+  envelopeMoves: 'envelopeMove',
+  rates: 'rate',
+  bankProfiles: 'bankProfile'
+};
+
 class Database {
   constructor() {
     this.db = null;
@@ -55,15 +72,72 @@ class Database {
           recStore.createIndex('nextDate', 'nextDate', { unique: false });
         }
 
+        // Household members store
+        if (!db.objectStoreNames.contains(STORES.members)) {
+          db.createObjectStore(STORES.members, { keyPath: 'id' });
+        }
+
+        // Repayments between members
+        if (!db.objectStoreNames.contains(STORES.settlements)) {
+          const settlementStore = db.createObjectStore(STORES.settlements, { keyPath: 'id' });
+          settlementStore.createIndex('date', 'date', { unique: false });
+        }
+
+        // Money moved between budget envelopes
+        if (!db.objectStoreNames.contains(STORES.envelopeMoves)) {
+          const moveStore = db.createObjectStore(STORES.envelopeMoves, { keyPath: 'id' });
+          moveStore.createIndex('date', 'date', { unique: false });
+        }
+
+        // Exchange rates for spending in other currencies
+        if (!db.objectStoreNames.contains(STORES.rates)) {
+          const rateStore = db.createObjectStore(STORES.rates, { keyPath: 'id' });
+          rateStore.createIndex('currency', 'currency', { unique: false });
+        }
+
+        // How to read each bank's statement CSV
+        if (!db.objectStoreNames.contains(STORES.bankProfiles)) {
+          db.createObjectStore(STORES.bankProfiles, { keyPath: 'id' });
+        }
+
         // Sync queue for pending changes
         if (!db.objectStoreNames.contains(STORES.syncQueue)) {
           const syncStore = db.createObjectStore(STORES.syncQueue, { keyPath: 'id', autoIncrement: true });
           syncStore.createIndex('type', 'type', { unique: false });
         }
+
+        // Version 5 counts amounts in cents; convert what was saved in whole dollars
+        if (event.oldVersion >= 1 && event.oldVersion < 5) {
+          this.migrateToMinorUnits(event.target.transaction);
+        }
       };
     });
   }
 
+  migrateToMinorUnits(upgrade) {
+    const convert = (storeName, change) => {
+      const store = upgrade.objectStore(storeName);
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const converted = change(cursor.value);
+        if (converted !== cursor.value) cursor.update(converted);
+        cursor.continue();
+      };
+    };
+
+    MONEY_COLLECTIONS.forEach(storeName => {
+      convert(storeName, record => recordToMinorUnits(storeName, record));
+    });
+    const collectionOf = Object.fromEntries(Object.entries(QUEUE_TYPES).map(([store, type]) => [type, store]));
+    convert(STORES.syncQueue, entry => (
+      collectionOf[entry.type] ? { ...entry, data: recordToMinorUnits(collectionOf[entry.type], entry.data) } : entry
+    ));
+    convert(STORES.settings, setting => (
+      setting.key === 'household' ? { ...setting, value: settingsToMinorUnits(setting.value) } : setting
+    ));
+  }
+
   async ensureReady() {
     if (!this.db) {
       await this.ready;
@@ -140,6 +214,27 @@ class Database {
     });
   }
 
+  // Save a synced record: stamp per-field edit times and queue exactly which
+  // fields changed, plus the server revision the edit started from
+  async saveRecord(storeName, record) {
+    const previous = await this.get(storeName, record.id);
+    const changedFields = getChangedFields(previous, record);
+    if (previous && changedFields.length === 0) return record;
+
+    const editedAt = record.updatedAt || new Date().toISOString();
+    record.fieldUpdatedAt = { ...((previous && previous.fieldUpdatedAt) || record.fieldUpdatedAt || {}) };
+    changedFields.forEach(field => {
+      record.fieldUpdatedAt[field] = editedAt;
+    });
+
+    await this.put(storeName, record);
+    await this.addToSyncQueue(QUEUE_TYPES[storeName], record, {
+      changedFields,
+      baseRev: previous ? previous.rev : undefined
+    });
+    return record;
+  }
+
   // Transaction-specific methods
   async getTransactions() {
     const all = await this.getAll(STORES.transactions);
@@ -151,9 +246,7 @@ class Database {
   }
 
   async saveTransaction(transaction) {
-    await this.put(STORES.transactions, transaction);
-    await this.addToSyncQueue('transaction', transaction);
-    return transaction;
+    return this.saveRecord(STORES.transactions, transaction);
   }
 
   async deleteTransaction(id) {
@@ -161,8 +254,7 @@ class Database {
     if (tx) {
       tx.deletedAt = new Date().toISOString();
       tx.updatedAt = new Date().toISOString();
-      await this.put(STORES.transactions, tx);
-      await this.addToSyncQueue('transaction', tx);
+      await this.saveRecord(STORES.transactions, tx);
     }
     return tx;
   }
@@ -178,9 +270,7 @@ class Database {
   }
 
   async saveCategory(category) {
-    await this.put(STORES.categories, category);
-    await this.addToSyncQueue('category', category);
-    return category;
+    return this.saveRecord(STORES.categories, category);
   }
 
   async deleteCategory(id) {
@@ -188,8 +278,7 @@ class Database {
     if (cat) {
       cat.deletedAt = new Date().toISOString();
       cat.updatedAt = new Date().toISOString();
-      await this.put(STORES.categories, cat);
-      await this.addToSyncQueue('category', cat);
+      await this.saveRecord(STORES.categories, cat);
     }
     return cat;
   }
@@ -205,9 +294,7 @@ class Database {
   }
 
   async saveRecurring(recurring) {
-    await this.put(STORES.recurring, recurring);
-    await this.addToSyncQueue('recurring', recurring);
-    return recurring;
+    return this.saveRecord(STORES.recurring, recurring);
   }
 
   async deleteRecurring(id) {
@@ -215,12 +302,107 @@ class Database {
     if (rec) {
       rec.deletedAt = new Date().toISOString();
       rec.updatedAt = new Date().toISOString();
-      await this.put(STORES.recurring, rec);
-      await this.addToSyncQueue('recurring', rec);
+      await this.saveRecord(STORES.recurring, rec);
     }
     return rec;
   }
 
+  // Member-specific methods
+  async getMembers() {
+    const all = await this.getAll(STORES.members);
+    return all.filter(m => !m.deletedAt);
+  }
+
+  // Removed members are kept so old transactions still show who they belong to
+  async getAllMembersIncludingDeleted() {
+    return this.getAll(STORES.members);
+  }
+
+  async saveMember(member) {
+    return this.saveRecord(STORES.members, member);
+  }
+
+  async deleteMember(id) {
+    const member = await this.get(STORES.members, id);
+    if (member) {
+      member.deletedAt = new Date().toISOString();
+      member.updatedAt = new Date().toISOString();
+      await this.saveRecord(STORES.members, member);
+    }
+    return member;
+  }
+
+  // Settlement-specific methods
+  async getSettlements() {
+    const all = await this.getAll(STORES.settlements);
+    return all.filter(s => !s.deletedAt);
+  }
+
+  async saveSettlement(settlement) {
+    return this.saveRecord(STORES.settlements, settlement);
+  }
+
+  // Undoing a repayment soft deletes it, so the undo syncs too
+  async deleteSettlement(id) {
+    const settlement = await this.get(STORES.settlements, id);
+    if (settlement) {
+      settlement.deletedAt = new Date().toISOString();
+      settlement.updatedAt = new Date().toISOString();
+      await this.saveRecord(STORES.settlements, settlement);
+    }
+    return settlement;
+  }
+
+  // Envelope moves are only ever added, so the history they replay stays intact
+  async getEnvelopeMoves() {
+    const all = await this.getAll(STORES.envelopeMoves);
+    return all.filter(m => !m.deletedAt);
+  }
+
+  async saveEnvelopeMove(move) {
+    return this.saveRecord(STORES.envelopeMoves, move);
+  }
+
+  // Exchange rate methods
+  async getRates() {
+    const all = await this.getAll(STORES.rates);
+    return all.filter(rate => !rate.deletedAt);
+  }
+
+  async saveRate(rate) {
+    return this.saveRecord(STORES.rates, rate);
+  }
+
+  async deleteRate(id) {
+    const rate = await this.get(STORES.rates, id);
+    if (rate) {
+      rate.deletedAt = new Date().toISOString();
+      rate.updatedAt = new Date().toISOString();
+      await this.saveRecord(STORES.rates, rate);
+    }
+    return rate;
+  }
+
+  // Bank profile methods
+  async getBankProfiles() {
+    const all = await this.getAll(STORES.bankProfiles);
+    return all.filter(profile => !profile.deletedAt);
+  }
+
+  async saveBankProfile(profile) {
+    return this.saveRecord(STORES.bankProfiles, profile);
+  }
+
+  async deleteBankProfile(id) {
+    const profile = await this.get(STORES.bankProfiles, id);
+    if (profile) {
+      profile.deletedAt = new Date().toISOString();
+      profile.updatedAt = new Date().toISOString();
+      await this.saveRecord(STORES.bankProfiles, profile);
+    }
+    return profile;
+  }
+
   // Settings methods
   async getSetting(key) {
     const result = await this.get(STORES.settings, key);
@@ -241,11 +423,15 @@ class Database {
   }
 
   // Sync queue methods
-  async addToSyncQueue(type, data) {
+  async addToSyncQueue(type, data, edit = {}) {
     await this.put(STORES.syncQueue, {
       type,
       data,
-      timestamp: new Date().toISOString()
+      changedFields: edit.changedFields,
+      baseRev: edit.baseRev,
+      timestamp: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: null
     });
   }
 
@@ -253,63 +439,180 @@ class Database {
     return this.getAll(STORES.syncQueue);
   }
 
+  async getSyncQueueByType(type) {
+    await this.ensureReady();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(STORES.syncQueue, 'readonly');
+      const index = tx.objectStore(STORES.syncQueue).index('type');
+      const request = index.getAll(type);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getSyncQueueCount() {
+    await this.ensureReady();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(STORES.syncQueue, 'readonly');
+      const request = tx.objectStore(STORES.syncQueue).count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async removeFromSyncQueue(entryIds) {
+    await this.ensureReady();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(STORES.syncQueue, 'readwrite');
+      const store = tx.objectStore(STORES.syncQueue);
+
+      entryIds.forEach(id => store.delete(id));
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Record the server revisions of acked records (id -> rev) without queueing an edit, and
+  // move edits still queued for them onto those revisions: they were made on top of the
+  // acked edit, so the server must not see it as someone else's change
+  async setRevisions(storeName, revs) {
+    if (revs.size === 0) return;
+    const records = [];
+    for (const [id, rev] of revs) {
+      const record = await this.get(storeName, id);
+      if (record && (record.rev || 0) < rev) records.push({ ...record, rev });
+    }
+    await this.bulkPut(storeName, records);
+
+    const queued = (await this.getSyncQueueByType(QUEUE_TYPES[storeName]))
+      .filter(entry => revs.has(entry.data.id) && (entry.baseRev || 0) < revs.get(entry.data.id))
+      .map(entry => ({ ...entry, baseRev: revs.get(entry.data.id) }));
+    await this.bulkPut(STORES.syncQueue, queued);
+  }
+
   async clearSyncQueue() {
     return this.clear(STORES.syncQueue);
   }
 
+  // Sync cursor: the last server revision this device has pulled for a collection
+  async getSyncCursor(collection) {
+    return (await this.getSetting(`syncCursor:${collection}`)) || 0;
+  }
+
+  async setSyncCursor(collection, cursor) {
+    await this.setSetting(`syncCursor:${collection}`, cursor);
+  }
+
+  // The server store the cursor belongs to (it changes when the server recovers from a backup)
+  async getSyncEpoch(collection) {
+    return (await this.getSetting(`syncEpoch:${collection}`)) || null;
+  }
+
+  async setSyncEpoch(collection, epoch) {
+    await this.setSetting(`syncEpoch:${collection}`, epoch);
+  }
+
   // Merge server data with local (last-write-wins)
   async mergeTransactions(serverTransactions) {
-    const localTransactions = await this.getAllTransactionsIncludingDeleted();
-    const merged = this.mergeRecords(localTransactions, serverTransactions);
-    await this.clear(STORES.transactions);
-    await this.bulkPut(STORES.transactions, merged);
-    return merged.filter(t => !t.deletedAt);
+    return this.mergeIntoStore(STORES.transactions, serverTransactions);
   }
 
   async mergeCategories(serverCategories) {
-    const localCategories = await this.getAllCategoriesIncludingDeleted();
-    const merged = this.mergeRecords(localCategories, serverCategories);
-    await this.clear(STORES.categories);
-    await this.bulkPut(STORES.categories, merged);
-    return merged.filter(c => !c.deletedAt);
+    return this.mergeIntoStore(STORES.categories, serverCategories);
   }
 
   async mergeRecurring(serverRecurring) {
-    const localRecurring = await this.getAllRecurringIncludingDeleted();
-    const merged = this.mergeRecords(localRecurring, serverRecurring);
-    await this.clear(STORES.recurring);
-    await this.bulkPut(STORES.recurring, merged);
-    return merged.filter(r => !r.deletedAt);
+    return this.mergeIntoStore(STORES.recurring, serverRecurring);
+  }
+
+  async mergeMembers(serverMembers) {
+    return this.mergeIntoStore(STORES.members, serverMembers);
+  }
+
+  async mergeSettlements(serverSettlements) {
+    return this.mergeIntoStore(STORES.settlements, serverSettlements);
+  }
+
+  async mergeRates(serverRates) {
+    return this.mergeIntoStore(STORES.rates, serverRates);
+  }
+
+  async mergeBankProfiles(serverProfiles) {
+    return this.mergeIntoStore(STORES.bankProfiles, serverProfiles);
   }
 
-  mergeRecords(localRecords, serverRecords) {
-    const merged = new Map();
+  async mergeEnvelopeMoves(serverMoves) {
+    return this.mergeIntoStore(STORES.envelopeMoves, serverMoves);
+  }
 
-    // Add all local records
-    for (const record of localRecords) {
-      merged.set(record.id, record);
+  // Only the incoming records are written, so a delta touches a handful of rows.
+  // Fields with unsynced local edits keep their local value unless the server
+  // changed them concurrently, mirroring what the server will decide on push.
+  async mergeIntoStore(storeName, serverRecords) {
+    const stats = { added: 0, updated: 0 };
+    if (serverRecords.length === 0) return stats;
+
+    const localById = new Map();
+    for (const record of await this.getAll(storeName)) {
+      localById.set(record.id, record);
     }
+    const pending = collapseQueueEntries(await this.getSyncQueueByType(QUEUE_TYPES[storeName]));
 
-    // Merge server records using last-write-wins
+    const winners = [];
     for (const serverRecord of serverRecords) {
-      const localRecord = merged.get(serverRecord.id);
+      const localRecord = localById.get(serverRecord.id);
+      const edit = pending.get(serverRecord.id);
+      const merged = localRecord && edit
+        ? mergeRecord(serverRecord, { ...localRecord, changedFields: edit.changedFields, baseRev: edit.baseRev }).record
+        : serverRecord;
 
       if (!localRecord) {
-        merged.set(serverRecord.id, serverRecord);
-      } else {
-        const localTime = new Date(localRecord.updatedAt).getTime();
-        const serverTime = new Date(serverRecord.updatedAt).getTime();
-
-        if (serverTime > localTime) {
-          merged.set(serverRecord.id, serverRecord);
-        }
+        stats.added++;
+      } else if (getChangedFields(localRecord, merged).length > 0) {
+        stats.updated++;
       }
+      winners.push(merged);
     }
 
-    return Array.from(merged.values());
+    await this.bulkPut(storeName, winners);
+    return stats;
   }
 }
 
+// Collapse queued edits per record: latest data, every field edited, and the
+// base revision of the oldest edit. Entries from before field tracking have no
+// `changedFields`, which makes the merge fall back to per-field timestamps.
+function collapseQueueEntries(entries) {
+  const byRecord = new Map();
+  const sorted = [...entries].sort((a, b) => a.id - b.id);
+
+  for (const entry of sorted) {
+    const current = byRecord.get(entry.data.id);
+    if (!current) {
+      byRecord.set(entry.data.id, {
+        entryIds: [entry.id],
+        data: entry.data,
+        changedFields: entry.changedFields ? [...entry.changedFields] : null,
+        baseRev: entry.baseRev
+      });
+      continue;
+    }
+
+    current.entryIds.push(entry.id);
+    current.data = entry.data;
+    if (current.changedFields && entry.changedFields) {
+      entry.changedFields.forEach(field => {
+        if (!current.changedFields.includes(field)) current.changedFields.push(field);
+      });
+    } else {
+      current.changedFields = null;
+    }
+  }
+
+  return byRecord;
+}
+
 // Generate UUID
 function generateUUID() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
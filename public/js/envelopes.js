@@ -0,0 +1,110 @@
+// Envelope budgeting, shared by the app and the server
+//
+// A monthly category budget with `rollover` set works as an envelope: what's left at the
+// end of a month carries into the next, and overspending comes out of the next month's
+// allowance. Money can also be moved between envelopes. Moves are recorded, never edited:
+//   { id, fromCategoryId, toCategoryId, amount, date, memo }
+//
+// Nothing is stored as a running total. An envelope's balance is replayed month by month
+// from `rolloverSince` (the first month it rolled over), the budget it had in each month
+// (`budgetHistory`: [{ since: 'YYYY-MM', amount }]), the transactions and the moves, so it
+// can always be checked against history.
+
+function monthOf(date) {
+  return String(date || '').substring(0, 7);
+}
+
+function nextMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return m === 12 ? `${year + 1}-01` : `${year}-${String(m + 1).padStart(2, '0')}`;
+}
+
+// The budget a category had in `month`: the latest change made by then, or its current
+// budget for categories budgeted before changes were recorded
+function budgetForMonth(category, month) {
+  const changes = (category.budgetHistory || [])
+    .filter(change => change.since <= month)
+    .sort((a, b) => a.since.localeCompare(b.since));
+  if (changes.length > 0) return changes[changes.length - 1].amount || 0;
+  return category.budget || 0;
+}
+
+function isEnvelope(category) {
+  return Boolean(category && !category.deletedAt && category.budget > 0 && (category.budgetPeriod || 'monthly') === 'monthly');
+}
+
+function rollsOver(category) {
+  return isEnvelope(category) && Boolean(category.rollover && category.rolloverSince);
+}
+
+function spentOnCategory(transactions, category, month) {
+  return transactions
+    .filter(tx => !tx.deletedAt && monthOf(tx.date) === month)
+    .filter(tx => (tx.categoryId ? tx.categoryId === category.id : tx.category === category.name))
+    .reduce((sum, tx) => sum + (tx.amount || 0), 0);
+}
+
+function movedInMonth(moves, month, field, categoryId) {
+  return moves
+    .filter(move => !move.deletedAt && move[field] === categoryId && monthOf(move.date) === month)
+    .reduce((sum, move) => sum + move.amount, 0);
+}
+
+// Oldest first: each month of an envelope up to the one containing `today`. Envelopes that
+// don't roll over only have the current month, since nothing carries into it.
+function envelopeHistory(category, transactions, moves, today) {
+  const current = monthOf(today);
+  let month = rollsOver(category) && category.rolloverSince < current ? category.rolloverSince : current;
+  let carried = 0;
+  const history = [];
+
+  for (;;) {
+    const allowance = budgetForMonth(category, month);
+    const movedIn = movedInMonth(moves, month, 'toCategoryId', category.id);
+    const movedOut = movedInMonth(moves, month, 'fromCategoryId', category.id);
+    const spent = spentOnCategory(transactions, category, month);
+    const available = allowance + carried + movedIn - movedOut - spent;
+
+    history.push({ month, allowance, carried, movedIn, movedOut, spent, available });
+    if (month >= current) break;
+    carried = available;
+    month = nextMonth(month);
+  }
+  return history;
+}
+
+// This month's envelope: what it started with and what's available now
+function envelopeBalance(category, transactions, moves, today) {
+  const history = envelopeHistory(category, transactions, moves, today);
+  const month = history[history.length - 1];
+  return { ...month, category, total: month.allowance + month.carried + month.movedIn - month.movedOut };
+}
+
+// Every envelope, in category order
+function envelopeBalances(categories, transactions, moves, today) {
+  return categories.filter(isEnvelope).map(category => envelopeBalance(category, transactions, moves, today));
+}
+
+// A problem with a move between `categories`, or null when it is valid
+function validateEnvelopeMove(move, categories) {
+  const envelope = id => categories.find(category => category.id === id && isEnvelope(category));
+  if (!move.fromCategoryId || !envelope(move.fromCategoryId)) return 'Choose an envelope to move money from';
+  if (!move.toCategoryId || !envelope(move.toCategoryId)) return 'Choose an envelope to move money to';
+  if (move.fromCategoryId === move.toCategoryId) return 'Choose two different envelopes';
+  if (!Number.isInteger(move.amount) || move.amount <= 0) return 'Amount must be more than zero';
+  if (typeof move.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(move.date)) return 'Date is required';
+  return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    monthOf,
+    nextMonth,
+    budgetForMonth,
+    isEnvelope,
+    envelopeHistory,
+    envelopeBalance,
+    envelopeBalances,
+    validateEnvelopeMove
+  };
+}
@@ -0,0 +1,36 @@
+// Transaction filters, shared by the transactions view and the server's exports, so an
+// export holds exactly what the view shows:
+//   { person, category, from, to, search }
+// `person` is a member id and `category` a category name, either 'all' (or left out) for
+// everyone; `from` and `to` are YYYY-MM-DD and include the day itself; `search` looks in
+// the vendor and memo, ignoring case.
+const TRANSACTION_FILTERS = ['person', 'category', 'from', 'to', 'search'];
+
+// `memberOf` finds a transaction's member, including records that only name their person
+function filterTransactions(transactions, filters, memberOf) {
+  const { person, category, from, to } = filters;
+  const search = String(filters.search || '').trim().toLowerCase();
+  return transactions.filter(tx => {
+    if (tx.deletedAt) return false;
+    if (person && person !== 'all' && (memberOf(tx) || {}).id !== person) return false;
+    if (category && category !== 'all' && tx.category !== category) return false;
+    if (from && tx.date < from) return false;
+    if (to && tx.date > to) return false;
+    if (search && !`${tx.vendor || ''} ${tx.memo || ''}`.toLowerCase().includes(search)) return false;
+    return true;
+  });
+}
+
+// The filters set in a query string's parameters, for export links
+function filtersQuery(filters) {
+  const params = new URLSearchParams();
+  TRANSACTION_FILTERS.forEach(name => {
+    const value = filters[name];
+    if (value && value !== 'all') params.set(name, value);
+  });
+  return params.toString();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TRANSACTION_FILTERS, filterTransactions, filtersQuery };
+}
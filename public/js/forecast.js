@@ -0,0 +1,87 @@
+// Upcoming bills and the month-end forecast, shared by the app and its tests
+//
+// Upcoming charges are the dates recurring entries (recurring.js) fall on from today on
+// that haven't been added as transactions yet. The month-end forecast adds to what has
+// been spent so far this month the everyday spending still to come at this month's pace,
+// and the recurring charges still due. Recurring charges already made are left out of the
+// pace, so a big rent payment on the 1st doesn't read as a month of big spending.
+// Nothing here reads the clock: `today` (YYYY-MM-DD) is passed in.
+const schedules = typeof module !== 'undefined' && module.exports ? require('./recurring') : globalThis;
+
+const UPCOMING_DAYS = [30, 60, 90];
+
+// The charges due from `today` through `to`, in date order: { date, recurring, amount }.
+// Paused entries have none from the day they were paused. Bills whose amount varies are
+// expected to come to what their next draft would suggest from the confirmed `transactions`.
+function chargesBetween(recurring, today, to, transactions) {
+  return recurring
+    .filter(rec => !rec.deletedAt)
+    .flatMap(rec => {
+      const next = rec.lastGenerated ? schedules.addDays(rec.lastGenerated, 1) : rec.startDate;
+      const amount = rec.amountVaries ? schedules.draftAmount(rec, transactions) : rec.amount;
+      return schedules.recurringDates(rec, next > today ? next : today, to)
+        .filter(date => !rec.pausedAt || date < rec.pausedAt)
+        .map(date => ({ date, recurring: rec, amount }));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.recurring.vendor).localeCompare(String(b.recurring.vendor)));
+}
+
+// The charges due in the `days` days starting today
+function upcomingCharges(recurring, today, days, transactions = []) {
+  return chargesBetween(recurring, today, schedules.addDays(today, days - 1), transactions);
+}
+
+// Every day of the `days` from today with what is charged on it and the running total to
+// then: { date, amount, charges, total }
+function dailyTotals(charges, today, days) {
+  const byDate = new Map();
+  charges.forEach(charge => {
+    if (!byDate.has(charge.date)) byDate.set(charge.date, []);
+    byDate.get(charge.date).push(charge);
+  });
+
+  let total = 0;
+  return Array.from({ length: days }, (_, i) => {
+    const date = schedules.addDays(today, i);
+    const dayCharges = byDate.get(date) || [];
+    const amount = dayCharges.reduce((sum, charge) => sum + charge.amount, 0);
+    total += amount;
+    return { date, amount, charges: dayCharges, total };
+  });
+}
+
+function daysInMonthOf(date) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// What this month's spending will come to: { spent, everyday, pace, everydayToCome,
+// scheduled, projected, daysLeft }. `pace` is everyday spending per day so far; amounts are
+// in minor units, rounded.
+function monthEndForecast(transactions, recurring, today) {
+  const month = today.substring(0, 7);
+  const day = Number(today.substring(8, 10));
+  const lastDay = `${month}-${String(daysInMonthOf(today)).padStart(2, '0')}`;
+  const daysLeft = daysInMonthOf(today) - day;
+
+  const sofar = transactions.filter(tx => !tx.deletedAt && tx.date.startsWith(month) && tx.date <= today);
+  const spent = sofar.reduce((sum, tx) => sum + tx.amount, 0);
+  const everyday = sofar.filter(tx => !tx.recurringId).reduce((sum, tx) => sum + tx.amount, 0);
+  const pace = everyday / day;
+  const everydayToCome = Math.round(pace * daysLeft);
+  const scheduled = chargesBetween(recurring, today, lastDay, transactions).reduce((sum, charge) => sum + charge.amount, 0);
+
+  return {
+    spent,
+    everyday,
+    pace: Math.round(pace),
+    everydayToCome,
+    scheduled,
+    projected: spent + everydayToCome + scheduled,
+    daysLeft
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UPCOMING_DAYS, upcomingCharges, dailyTotals, monthEndForecast };
+}
@@ -0,0 +1,35 @@
+// Household members, shared by the app and the server
+//
+// Transactions and recurring records store the member's id in `memberId` and a copy
+// of their name in `person`, the way they store `categoryId` and `category`. Records
+// from before members existed only have the name, so lookups fall back to it.
+const MEMBER_COLORS = ['#3b82f6', '#ec4899', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6', '#6366f1'];
+
+// "Mary Jane" -> "MJ", "James" -> "J"
+function memberInitials(name) {
+  return String(name || '').trim().split(/\s+/).filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+}
+
+// The first palette colour nobody has yet, cycling once they are all taken
+function nextMemberColor(members) {
+  const used = new Set(members.filter(m => !m.deletedAt).map(m => m.color));
+  return MEMBER_COLORS.find(color => !used.has(color)) || MEMBER_COLORS[members.length % MEMBER_COLORS.length];
+}
+
+function findMemberByName(members, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return members.find(member => !member.deletedAt && member.name.toLowerCase() === wanted) || null;
+}
+
+// The member a record belongs to, including members since removed
+function memberFor(members, record) {
+  return (record.memberId && members.find(member => member.id === record.memberId)) ||
+    findMemberByName(members, record.person);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MEMBER_COLORS, memberInitials, nextMemberColor, findMemberByName, memberFor };
+}
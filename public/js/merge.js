@@ -0,0 +1,129 @@
+// Field-level record merge, shared by the server and the IndexedDB layer
+//
+// Every record carries `fieldUpdatedAt` (field -> ISO timestamp of its last edit).
+// A pushed edit may also carry `changedFields` (what this device actually edited)
+// and `baseRev` (the server revision the edit started from). With those, fields
+// the device didn't touch never overwrite the server, and a field edited on both
+// sides since `baseRev` is reported as a conflict instead of being silently lost.
+const MERGE_META_FIELDS = ['id', 'rev', 'fieldRevs', 'createdAt', 'updatedAt', 'updatedBy', 'fieldUpdatedAt', 'changedFields', 'baseRev'];
+
+function isSameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function getDataFields(...records) {
+  const fields = new Set();
+  for (const record of records) {
+    if (!record) continue;
+    Object.keys(record).forEach(key => {
+      if (!MERGE_META_FIELDS.includes(key)) fields.add(key);
+    });
+  }
+  return Array.from(fields);
+}
+
+// Data fields whose values differ between two versions of a record
+function getChangedFields(previous, next) {
+  return getDataFields(previous, next).filter(field => !isSameValue(previous && previous[field], next && next[field]));
+}
+
+// The revision at which each field last changed, for conflict detection: `previous`'s, with
+// the fields `record` changes stamped `rev`. Every server write stores this with the record.
+function stampFieldRevisions(previous, record, rev) {
+  const fieldRevs = { ...((previous && previous.fieldRevs) || {}) };
+  getChangedFields(previous, record).forEach(field => {
+    fieldRevs[field] = rev;
+  });
+  return fieldRevs;
+}
+
+function getFieldTime(record, field) {
+  const stamp = (record.fieldUpdatedAt && record.fieldUpdatedAt[field]) || record.updatedAt;
+  return new Date(stamp).getTime() || 0;
+}
+
+function stripEditInfo(record) {
+  const { changedFields, baseRev, ...clean } = record;
+  return clean;
+}
+
+// Merge one client version into the server version of the same record.
+// Returns the server object itself when nothing changes, so callers can detect no-ops.
+function mergeRecord(serverRecord, clientRecord) {
+  if (!serverRecord) {
+    return { record: stripEditInfo(clientRecord), conflicts: [] };
+  }
+
+  const edited = Array.isArray(clientRecord.changedFields) ? clientRecord.changedFields : null;
+  const hasBase = clientRecord.baseRev !== undefined && clientRecord.baseRev !== null;
+  const merged = { ...serverRecord, fieldUpdatedAt: { ...(serverRecord.fieldUpdatedAt || {}) } };
+  const conflicts = [];
+  let clientWon = false;
+
+  for (const field of getDataFields(serverRecord, clientRecord)) {
+    const serverValue = serverRecord[field];
+    const clientValue = clientRecord[field];
+    if (isSameValue(serverValue, clientValue)) continue;
+
+    // Devices that say what they edited only compete on those fields
+    if (edited && !edited.includes(field)) continue;
+
+    const clientTime = getFieldTime(clientRecord, field);
+    const serverTime = getFieldTime(serverRecord, field);
+    const serverChangedSinceBase = edited && hasBase &&
+      ((serverRecord.fieldRevs && serverRecord.fieldRevs[field]) || 0) > clientRecord.baseRev;
+
+    // Without a concurrent server edit the client's own edit always applies
+    const useClient = edited && !serverChangedSinceBase ? true : clientTime > serverTime;
+
+    if (serverChangedSinceBase) {
+      const serverSide = { value: serverValue, updatedAt: new Date(serverTime).toISOString(), updatedBy: serverRecord.updatedBy };
+      const clientSide = { value: clientValue, updatedAt: new Date(clientTime).toISOString(), updatedBy: clientRecord.updatedBy };
+      conflicts.push({
+        field,
+        kept: useClient ? clientSide : serverSide,
+        overwritten: useClient ? serverSide : clientSide
+      });
+    }
+
+    if (useClient) {
+      merged[field] = clientValue;
+      merged.fieldUpdatedAt[field] = new Date(clientTime).toISOString();
+      clientWon = true;
+    }
+  }
+
+  if (!clientWon) {
+    return { record: serverRecord, conflicts };
+  }
+
+  if (new Date(clientRecord.updatedAt) > new Date(serverRecord.updatedAt)) {
+    merged.updatedAt = clientRecord.updatedAt;
+    merged.updatedBy = clientRecord.updatedBy;
+  }
+
+  return { record: merged, conflicts };
+}
+
+// Merge a batch of client records into the server records (field-level)
+function mergeRecords(serverRecords, clientRecords, onConflict) {
+  const merged = new Map();
+
+  for (const record of serverRecords) {
+    merged.set(record.id, record);
+  }
+
+  for (const clientRecord of clientRecords) {
+    const { record, conflicts } = mergeRecord(merged.get(clientRecord.id), clientRecord);
+    merged.set(clientRecord.id, record);
+    if (onConflict) {
+      conflicts.forEach(conflict => onConflict({ recordId: clientRecord.id, ...conflict }));
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { mergeRecord, mergeRecords, getChangedFields, stampFieldRevisions, isSameValue };
+}
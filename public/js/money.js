@@ -0,0 +1,224 @@
+// Money, shared by the app and the server
+//
+// Every amount is an integer number of minor units (cents): transaction and recurring
+// amounts, fixed split shares, repayments, envelope moves and budgets. Totals stay exact,
+// and only input and display deal in dollars.
+//
+// Data from before minor units counted whole dollars. Exports and backups say which they
+// hold with `amountUnits: 'minor'`, and so do syncs from app versions that use minor units;
+// anything without it is converted with the *ToMinorUnits helpers on the way in.
+//
+// Other currencies have their own minor units: cents for most, whole yen for JPY.
+const AMOUNT_UNITS = 'minor';
+const MINOR_PER_MAJOR = 100;
+const DEFAULT_CURRENCY = 'USD';
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+// Collections whose records hold amounts
+const MONEY_COLLECTIONS = ['transactions', 'recurring', 'categories', 'settlements', 'envelopeMoves'];
+
+function toMinorUnits(major) {
+  return Math.round(Number(major) * MINOR_PER_MAJOR);
+}
+
+function isCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+function currencyDecimals(currency = DEFAULT_CURRENCY) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+}
+
+function minorPerMajor(currency = DEFAULT_CURRENCY) {
+  return 10 ** currencyDecimals(currency);
+}
+
+// "4.75", "$1,234.5", "12" -> 475, 123450, 1200; null when it isn't an amount
+function parseAmount(input, currency = DEFAULT_CURRENCY) {
+  const text = String(input === null || input === undefined ? '' : input).trim().replace(/[$€£¥,\s]/g, '');
+  const pattern = currencyDecimals(currency) === 0 ? /^-?\d+$/ : /^-?(\d+\.?\d{0,2}|\.\d{1,2})$/;
+  if (!pattern.test(text)) return null;
+  return Math.round(Number(text) * minorPerMajor(currency));
+}
+
+// 475 -> "$4.75", -1200 -> "−$12.00", (1250, 'EUR') -> "€12.50", (800, 'JPY') -> "¥800"
+function formatAmount(minor, currency = DEFAULT_CURRENCY) {
+  const decimals = currencyDecimals(currency);
+  const major = Math.abs(Math.round(minor || 0)) / minorPerMajor(currency);
+  const text = major.toLocaleString('en-US', { style: 'currency', currency, minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  return Math.round(minor || 0) < 0 ? `−${text}` : text;
+}
+
+// "$" for USD, "€" for EUR, "CA$" for CAD
+function currencySymbol(currency = DEFAULT_CURRENCY) {
+  const part = new Intl.NumberFormat('en-US', { style: 'currency', currency }).formatToParts(0).find(p => p.type === 'currency');
+  return part ? part.value : currency;
+}
+
+// The value for an <input type="number"> in major units: 475 -> "4.75"
+function amountInputValue(minor, currency = DEFAULT_CURRENCY) {
+  return minor === null || minor === undefined ? '' : (minor / minorPerMajor(currency)).toFixed(currencyDecimals(currency));
+}
+
+function isMinorAmount(value) {
+  return typeof value === 'number' && Number.isInteger(value);
+}
+
+function convertAmount(value) {
+  return typeof value === 'number' ? toMinorUnits(value) : value;
+}
+
+// A record from before minor units, in minor units. Percent shares are left alone.
+function recordToMinorUnits(collection, record) {
+  if (!record || typeof record !== 'object' || !MONEY_COLLECTIONS.includes(collection)) return record;
+
+  if (collection === 'categories') {
+    const converted = { ...record };
+    if (record.budget !== undefined) converted.budget = convertAmount(record.budget);
+    if (Array.isArray(record.budgetHistory)) {
+      converted.budgetHistory = record.budgetHistory.map(change => ({ ...change, amount: convertAmount(change.amount) }));
+    }
+    return converted;
+  }
+
+  const converted = { ...record, amount: convertAmount(record.amount) };
+  if (record.amount === undefined) delete converted.amount;
+  if (record.split && record.split.type === 'amount' && record.split.shares) {
+    const shares = {};
+    Object.entries(record.split.shares).forEach(([id, share]) => {
+      shares[id] = convertAmount(share);
+    });
+    converted.split = { ...record.split, shares };
+  }
+  return converted;
+}
+
+function settingsToMinorUnits(settings) {
+  if (!settings || typeof settings !== 'object' || settings.householdBudget === undefined) return settings;
+  return { ...settings, householdBudget: convertAmount(settings.householdBudget) };
+}
+
+// A whole export or backup in minor units, converting it if it is from before them
+function dataToMinorUnits(data) {
+  if (!data || typeof data !== 'object' || data.amountUnits === AMOUNT_UNITS) return data;
+
+  const converted = { ...data, amountUnits: AMOUNT_UNITS };
+  MONEY_COLLECTIONS.forEach(collection => {
+    if (Array.isArray(data[collection])) {
+      converted[collection] = data[collection].map(record => recordToMinorUnits(collection, record));
+    }
+  });
+  if (data.settings) converted.settings = settingsToMinorUnits(data.settings);
+  return converted;
+}
+
+// Exchange rates are kept by the household rather than fetched, so everything works offline.
+// Each says what one unit of `currency` is worth in the `base` currency from `date` on:
+//   { id, base: 'USD', currency: 'EUR', rate: 1.08, date: '2024-06-01' }
+// A transaction in another currency keeps what was paid (`currency`, `originalAmount`) and
+// the `rate` used, and its `amount` is converted to the base currency, so totals, budgets
+// and balances all add up in one currency. Editing the rates later leaves recorded
+// transactions as they were.
+const CURRENCY_SETTINGS = ['baseCurrency'];
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// A problem with an exchange rate, or null when it is valid
+function validateRate(rate) {
+  if (!isCurrencyCode(rate.base)) return 'Choose the base currency';
+  if (!isCurrencyCode(rate.currency)) return 'Currency must be a three-letter code like EUR';
+  if (rate.currency === rate.base) return 'The base currency needs no rate';
+  if (typeof rate.rate !== 'number' || !Number.isFinite(rate.rate) || !(rate.rate > 0)) return 'Rate must be more than zero';
+  if (!isDate(rate.date)) return 'Date is required';
+  return null;
+}
+
+// The rate for `currency` on `date`: the latest from then or before, or failing that the
+// earliest there is. Null when the table has no rate for it at all.
+function rateFor(rates, base, currency, date) {
+  const usable = rates
+    .filter(rate => !rate.deletedAt && rate.base === base && rate.currency === currency)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (usable.length === 0) return null;
+  const known = usable.filter(rate => rate.date <= date);
+  return (known.length > 0 ? known[known.length - 1] : usable[0]).rate;
+}
+
+// `originalAmount` (in the minor units of `currency`) in the minor units of `base`
+function convertToBase(originalAmount, currency, rate, base) {
+  return Math.round(originalAmount / minorPerMajor(currency) * rate * minorPerMajor(base));
+}
+
+// A problem with a transaction's currency fields, or null. Transactions in the base currency have none.
+function validateForeignAmount(transaction) {
+  if (transaction.currency === undefined || transaction.currency === null) return null;
+  if (!isCurrencyCode(transaction.currency)) return 'Currency must be a three-letter code like EUR';
+  if (!Number.isInteger(transaction.originalAmount) || transaction.originalAmount === 0) return 'The amount paid is required';
+  if (Math.sign(transaction.originalAmount) !== Math.sign(transaction.amount)) return 'The amount paid and the converted amount must have the same sign';
+  if (typeof transaction.rate !== 'number' || !Number.isFinite(transaction.rate) || !(transaction.rate > 0)) return 'Exchange rate is required';
+  return null;
+}
+
+// Rates from CSV lines of `currency,rate,date`, e.g. "EUR,1.0825,2024-06-01". A header line
+// is skipped, and rates without a date count from `today`.
+function parseRatesCsv(text, base, today) {
+  const rates = [];
+  const errors = [];
+  String(text || '').split(/\r?\n/).forEach((line, i) => {
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    if (cells.every(cell => cell === '')) return;
+    if (i === 0 && /currency/i.test(cells[0])) return;
+
+    const rate = { base, currency: cells[0].toUpperCase(), rate: cells[1] ? Number(cells[1]) : NaN, date: cells[2] || today };
+    const error = validateRate(rate);
+    if (error) {
+      errors.push(`Line ${i + 1}: ${error}`);
+    } else {
+      rates.push(rate);
+    }
+  });
+  return { rates, errors };
+}
+
+// Totals per currency paid, biggest first: what was paid in each (`original`) and what it
+// came to in the base currency (`amount`)
+function currencyBreakdown(transactions, base) {
+  const byCurrency = {};
+  transactions.filter(tx => !tx.deletedAt).forEach(tx => {
+    const currency = tx.currency || base;
+    const entry = byCurrency[currency] = byCurrency[currency] || { currency, original: 0, amount: 0, count: 0 };
+    entry.original += tx.currency ? tx.originalAmount : tx.amount;
+    entry.amount += tx.amount;
+    entry.count++;
+  });
+  return Object.values(byCurrency).sort((a, b) => b.amount - a.amount);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AMOUNT_UNITS,
+    DEFAULT_CURRENCY,
+    CURRENCY_SETTINGS,
+    MONEY_COLLECTIONS,
+    toMinorUnits,
+    isCurrencyCode,
+    currencyDecimals,
+    minorPerMajor,
+    parseAmount,
+    formatAmount,
+    currencySymbol,
+    amountInputValue,
+    isMinorAmount,
+    recordToMinorUnits,
+    settingsToMinorUnits,
+    dataToMinorUnits,
+    validateRate,
+    rateFor,
+    convertToBase,
+    validateForeignAmount,
+    parseRatesCsv,
+    currencyBreakdown
+  };
+}
@@ -0,0 +1,242 @@
+// Recurring schedules, shared by the app and the server
+//
+// A recurring record repeats every `interval` (default 1) days, weeks, months or years from
+// its `startDate`:
+//   { frequency: 'monthly', interval: 2, monthlyOn: 'weekday', startDate: '2024-06-11' }
+// 'biweekly' (from before intervals) is every 2 weeks. Monthly schedules fall on the start
+// date's day by default, clamped to the end of shorter months, so one starting Jan 31 runs
+// Feb 29, Mar 31, Apr 30. `monthlyOn` can instead be:
+//   'weekday'            the same weekday of the month as the start ("the 2nd Tuesday")
+//   'last-weekday'       the month's last of that weekday ("the last Friday")
+//   'last-day'           the month's last day
+//   'last-business-day'  the month's last Monday to Friday
+// Yearly schedules keep the start's month and day, so Feb 29 falls on Feb 28 in other years.
+//
+// A schedule ends after `endDate` or after `occurrences` dates, whichever it has. While
+// `pausedAt` (a date) is set nothing from then on is due; resuming skips what was missed.
+// `lastGenerated` is the last date already added as a transaction.
+//
+// Bills whose amount changes each time (power, water) have `amountVaries` set. Their
+// transactions are added as drafts (`draft: true`) for a member to confirm or correct, and
+// don't count as spending until then. Drafts suggest the last confirmed amount, or with
+// `suggestAmount: 'average'` the average of the last few; `amount` until there are any.
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly', 'yearly'];
+const MONTHLY_RULES = ['day', 'weekday', 'last-weekday', 'last-day', 'last-business-day'];
+const SUGGESTED_AMOUNTS = ['last', 'average'];
+const MAX_INTERVAL = 366;
+const AVERAGE_OF = 6;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+// Dates are YYYY-MM-DD and worked on in UTC, so time zones and daylight saving never move them
+function parseDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function isDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDay(parseDay(value)) === value;
+}
+
+function addDays(date, days) {
+  const next = parseDay(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return formatDay(next);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// The frequency and interval a record repeats at, with 'biweekly' as every 2 weeks
+function scheduleOf(recurring) {
+  const interval = Number.isInteger(recurring.interval) && recurring.interval > 0 ? recurring.interval : 1;
+  if (recurring.frequency === 'biweekly') return { unit: 'weekly', interval: interval * 2 };
+  return { unit: recurring.frequency, interval };
+}
+
+// The day in `year`/`month` (0-11) a monthly schedule falls on
+function monthlyDay(recurring, year, month) {
+  const start = parseDay(recurring.startDate);
+  const last = daysInMonth(year, month);
+  const weekday = start.getUTCDay();
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const firstOfWeekday = 1 + ((weekday - firstWeekday + 7) % 7);
+  const lastOfWeekday = firstOfWeekday + Math.floor((last - firstOfWeekday) / 7) * 7;
+
+  switch (recurring.monthlyOn) {
+    case 'weekday': {
+      // A start in a month's 5th week is taken as the last one, since not every month has a 5th
+      const week = Math.ceil(start.getUTCDate() / 7);
+      return week > 4 ? lastOfWeekday : firstOfWeekday + (week - 1) * 7;
+    }
+    case 'last-weekday':
+      return lastOfWeekday;
+    case 'last-day':
+      return last;
+    case 'last-business-day': {
+      const lastWeekday = new Date(Date.UTC(year, month, last)).getUTCDay();
+      return last - (lastWeekday === 0 ? 2 : lastWeekday === 6 ? 1 : 0);
+    }
+    default:
+      return Math.min(start.getUTCDate(), last);
+  }
+}
+
+// The `n`th step of the schedule from its start (0 is the start's own step). Monthly steps
+// can land before the start date in its first month ("the last business day" after a start
+// on the 30th), and those aren't occurrences.
+function scheduleStep(recurring, n) {
+  const { unit, interval } = scheduleOf(recurring);
+  const start = parseDay(recurring.startDate);
+  if (unit === 'daily') return addDays(recurring.startDate, n * interval);
+  if (unit === 'weekly') return addDays(recurring.startDate, n * interval * 7);
+
+  const months = unit === 'yearly' ? n * interval * 12 : n * interval;
+  const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + months) / 12);
+  const month = (start.getUTCMonth() + months) % 12;
+  const day = unit === 'yearly' ? Math.min(start.getUTCDate(), daysInMonth(year, month)) : monthlyDay(recurring, year, month);
+  return formatDay(new Date(Date.UTC(year, month, day)));
+}
+
+// Every date the schedule falls on from `from` to `to` (both included), within its end date
+// and occurrence count. Pausing isn't taken into account; see dueDates.
+function recurringDates(recurring, from, to) {
+  if (validateSchedule(recurring)) return [];
+  const dates = [];
+  let count = 0;
+  for (let n = 0; ; n++) {
+    const date = scheduleStep(recurring, n);
+    if (date < recurring.startDate) continue;
+    if (date > to || (recurring.endDate && date > recurring.endDate)) break;
+    count += 1;
+    if (recurring.occurrences && count > recurring.occurrences) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+}
+
+// The schedule's first date after `date`, or null once it has ended. Looks up to ten intervals
+// ahead, which always finds the next date of a schedule that hasn't ended.
+function nextRecurringDate(recurring, date) {
+  const { unit, interval } = scheduleOf(recurring);
+  const days = { daily: 1, weekly: 7, monthly: 31, yearly: 366 }[unit] * interval * 10;
+  const [next] = recurringDates(recurring, addDays(date, 1), addDays(date, days));
+  return next || null;
+}
+
+// The dates due by `today` that haven't been added yet. A paused schedule is only due up to
+// the day before it was paused.
+function dueDates(recurring, today) {
+  if (recurring.deletedAt) return [];
+  const from = recurring.lastGenerated ? addDays(recurring.lastGenerated, 1) : recurring.startDate;
+  const to = recurring.pausedAt && recurring.pausedAt <= today ? addDays(recurring.pausedAt, -1) : today;
+  return from <= to ? recurringDates(recurring, from, to) : [];
+}
+
+// The changes that pause a schedule from `today`, or resume it. What fell due while it was
+// paused is skipped rather than added all at once; a date due today still is.
+function pauseChanges(today) {
+  return { pausedAt: today };
+}
+
+function resumeChanges(recurring, today) {
+  const missed = recurringDates(recurring, recurring.lastGenerated ? addDays(recurring.lastGenerated, 1) : recurring.startDate, addDays(today, -1));
+  return { pausedAt: null, lastGenerated: missed.length > 0 ? missed[missed.length - 1] : recurring.lastGenerated || null };
+}
+
+// A problem with a record's schedule, or null when it is valid
+function validateSchedule(recurring) {
+  if (!RECURRING_FREQUENCIES.includes(recurring.frequency)) return `Unknown frequency "${recurring.frequency}"`;
+  if (recurring.interval !== undefined && recurring.interval !== null &&
+    !(Number.isInteger(recurring.interval) && recurring.interval > 0 && recurring.interval <= MAX_INTERVAL)) {
+    return `Repeat every 1 to ${MAX_INTERVAL}`;
+  }
+  if (recurring.monthlyOn && !MONTHLY_RULES.includes(recurring.monthlyOn)) return `Unknown monthly rule "${recurring.monthlyOn}"`;
+  if (!isDay(recurring.startDate)) return 'Start date is required';
+  if (recurring.endDate && !isDay(recurring.endDate)) return 'End date must be a date';
+  if (recurring.endDate && recurring.endDate < recurring.startDate) return 'The end date is before the start date';
+  if (recurring.occurrences !== undefined && recurring.occurrences !== null &&
+    !(Number.isInteger(recurring.occurrences) && recurring.occurrences > 0)) {
+    return 'The number of times must be a whole number above zero';
+  }
+  if (recurring.pausedAt && !isDay(recurring.pausedAt)) return 'Paused date must be a date';
+  return null;
+}
+
+// What a varying bill's next draft suggests, from the entry's confirmed transactions
+function draftAmount(recurring, transactions) {
+  const confirmed = transactions
+    .filter(tx => tx.recurringId === recurring.id && !tx.deletedAt && !tx.draft)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (confirmed.length === 0) return recurring.amount;
+  if (recurring.suggestAmount !== 'average') return confirmed[confirmed.length - 1].amount;
+  const recent = confirmed.slice(-AVERAGE_OF);
+  return Math.round(recent.reduce((sum, tx) => sum + tx.amount, 0) / recent.length);
+}
+
+// A problem with a recurring record, or null. Deleting is always allowed.
+function validateRecurring(recurring) {
+  if (recurring.deletedAt) return null;
+  if (!Number.isInteger(recurring.amount) || recurring.amount <= 0) return 'Amount must be more than zero';
+  if (recurring.suggestAmount && !SUGGESTED_AMOUNTS.includes(recurring.suggestAmount)) {
+    return `Unknown suggested amount "${recurring.suggestAmount}"`;
+  }
+  return validateSchedule(recurring);
+}
+
+// The monthly rules a start date allows, with labels: "the 2nd Tuesday", and "the last
+// Tuesday" only in a month's last week
+function monthlyRulesFor(startDate) {
+  if (!isDay(startDate)) return [{ value: 'day', label: 'On the same day' }];
+  const start = parseDay(startDate);
+  const day = start.getUTCDate();
+  const weekday = WEEKDAY_NAMES[start.getUTCDay()];
+  const week = Math.ceil(day / 7);
+  const rules = [{ value: 'day', label: `On day ${day}${day > 28 ? ' (or the last day)' : ''}` }];
+  if (week <= 4) rules.push({ value: 'weekday', label: `On the ${ORDINALS[week - 1]} ${weekday}` });
+  if (day + 7 > daysInMonth(start.getUTCFullYear(), start.getUTCMonth())) {
+    rules.push({ value: 'last-weekday', label: `On the last ${weekday}` });
+  }
+  rules.push({ value: 'last-day', label: 'On the last day' }, { value: 'last-business-day', label: 'On the last business day' });
+  return rules;
+}
+
+// "Monthly", "Every 2 weeks", "Every 3 months, on the last business day, until 2025-06-30"
+function describeSchedule(recurring) {
+  const { unit, interval } = scheduleOf(recurring);
+  const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+  const plain = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+  const parts = [interval === 1 ? plain[unit] || recurring.frequency : `Every ${interval} ${units[unit]}s`];
+  if (unit === 'monthly' && recurring.monthlyOn && recurring.monthlyOn !== 'day') {
+    const rule = monthlyRulesFor(recurring.startDate).find(r => r.value === recurring.monthlyOn);
+    parts.push(rule ? rule.label.toLowerCase() : recurring.monthlyOn);
+  }
+  if (recurring.endDate) parts.push(`until ${recurring.endDate}`);
+  if (recurring.occurrences) parts.push(`${recurring.occurrences} time${recurring.occurrences === 1 ? '' : 's'}`);
+  return parts.join(', ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECURRING_FREQUENCIES,
+    MONTHLY_RULES,
+    SUGGESTED_AMOUNTS,
+    addDays,
+    recurringDates,
+    nextRecurringDate,
+    dueDates,
+    pauseChanges,
+    resumeChanges,
+    draftAmount,
+    validateSchedule,
+    validateRecurring,
+    monthlyRulesFor,
+    describeSchedule
+  };
+}
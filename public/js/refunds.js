@@ -0,0 +1,97 @@
+// Refunds, shared by the app and the server
+//
+// Money coming back (a returned item, a reimbursed dinner, a cashback credit) is a
+// transaction with `type: 'refund'` and a negative amount, so it subtracts wherever amounts
+// are added up: totals, analytics, budgets, envelopes and balances. A refund for a purchase
+// links to it with `refundOf` and takes its payer, category and split; a credit that isn't
+// for any one purchase has no link. Transactions without a type are spending.
+const TRANSACTION_TYPES = ['expense', 'refund'];
+
+function isRefund(transaction) {
+  return Boolean(transaction) && transaction.type === 'refund';
+}
+
+// Refunds linked to `transaction` that still count
+function refundsOf(transaction, transactions) {
+  return transactions.filter(tx => isRefund(tx) && !tx.deletedAt && tx.refundOf === transaction.id);
+}
+
+// How much of a purchase has come back, as a positive amount
+function refundedAmount(transaction, transactions) {
+  return -refundsOf(transaction, transactions).reduce((sum, refund) => sum + refund.amount, 0);
+}
+
+// A problem with a transaction's type, amount or link, or null when it is valid. `previous`
+// is the stored version: a refund keeps a link it already had even if the purchase has since
+// been deleted, and deleting is always allowed.
+function validateTransaction(transaction, transactions, previous = null) {
+  const type = transaction.type || 'expense';
+  if (!TRANSACTION_TYPES.includes(type)) return `Unknown transaction type "${type}"`;
+  if (transaction.deletedAt) return null;
+
+  if (!Number.isInteger(transaction.amount) || transaction.amount === 0) {
+    return 'Amount is required';
+  }
+  if (type === 'expense' && transaction.amount < 0) return 'Only refunds can be negative';
+  if (type === 'refund' && transaction.amount > 0) return 'Refunds must be negative';
+  if (!transaction.refundOf) return null;
+  if (type !== 'refund') return 'Only refunds can be linked to a purchase';
+
+  const original = transactions.find(tx => tx.id === transaction.refundOf);
+  if (!original || original.deletedAt) {
+    return previous && previous.refundOf === transaction.refundOf ? null : 'The refunded purchase does not exist';
+  }
+  if (isRefund(original)) return 'A refund cannot be refunded';
+
+  const others = refundsOf(original, transactions).filter(refund => refund.id !== transaction.id);
+  const refunded = -others.reduce((sum, refund) => sum + refund.amount, 0) - transaction.amount;
+  return refunded > original.amount ? 'Refunds add up to more than the purchase' : null;
+}
+
+// The split for a refund of `amount` (negative) from `original`: shared the way the purchase
+// was, with fixed shares scaled down and rounded so they still add up
+function refundSplit(original, amount) {
+  const split = original.split;
+  if (!split || split.type !== 'amount' || !split.shares || !original.amount) return split ? { ...split } : split;
+
+  const ids = Object.keys(split.shares);
+  const shares = {};
+  let allotted = 0;
+  ids.forEach(id => {
+    shares[id] = Math.round(split.shares[id] * amount / original.amount);
+    allotted += shares[id];
+  });
+  if (ids.length > 0) shares[ids[0]] += amount - allotted;
+  return { ...split, shares };
+}
+
+// `transactions` in the same order, except that refunds follow the purchase they are for
+// (when it is in the list), so a purchase and its refunds are shown together
+function groupRefunds(transactions) {
+  const shown = new Set(transactions.map(tx => tx.id));
+  const refundsFor = {};
+  transactions.forEach(tx => {
+    if (isRefund(tx) && tx.refundOf && shown.has(tx.refundOf)) {
+      (refundsFor[tx.refundOf] = refundsFor[tx.refundOf] || []).push(tx);
+    }
+  });
+
+  const grouped = [];
+  transactions.forEach(tx => {
+    if (isRefund(tx) && tx.refundOf && shown.has(tx.refundOf)) return;
+    grouped.push(tx, ...(refundsFor[tx.id] || []));
+  });
+  return grouped;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRANSACTION_TYPES,
+    isRefund,
+    refundsOf,
+    refundedAmount,
+    validateTransaction,
+    refundSplit,
+    groupRefunds
+  };
+}
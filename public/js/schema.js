@@ -0,0 +1,105 @@
+// The JSON export format, shared by the app and the server
+//
+// Exports say which version of the format they are in with `schemaVersion`:
+//   1  amounts in whole dollars, transactions naming their category but not linking it
+//   2  amounts in minor units (`amountUnits: 'minor'`)
+//   3  transactions link their category by `categoryId`
+// Exports from before the version was written are 1, or 2 when they say their amounts are
+// in minor units. The server upgrades older exports one version at a time before importing
+// them (lib/exports.js), so EXPORT_SCHEMA only describes the current version.
+const SCHEMA_VERSION = 3;
+
+// What each collection's records must have. `required` collections are in every export;
+// the others were added over time, and an export without them leaves them as they are.
+// Field types: 'id' and 'text' are non-empty text, 'date' is YYYY-MM-DD, 'amount' is a
+// number of minor units and 'positive' one above zero.
+const EXPORT_SCHEMA = {
+  transactions: { label: 'Transaction', required: true, fields: { id: 'id', date: 'date', person: 'text', category: 'text', amount: 'amount' } },
+  categories: { label: 'Category', required: true, fields: { id: 'id', name: 'text' } },
+  recurring: { label: 'Recurring transaction', required: true, fields: { id: 'id', person: 'text', category: 'text', vendor: 'text', amount: 'amount' } },
+  members: { label: 'Member', fields: { id: 'id', name: 'text' } },
+  settlements: { label: 'Repayment', fields: { id: 'id', fromMemberId: 'id', toMemberId: 'id', amount: 'positive' } },
+  envelopeMoves: { label: 'Envelope move', fields: { id: 'id', fromCategoryId: 'id', toCategoryId: 'id', amount: 'positive' } },
+  rates: { label: 'Exchange rate', fields: { id: 'id' } },
+  bankProfiles: { label: 'Bank profile', fields: { id: 'id' } }
+};
+
+// Whole numbers once amounts are in minor units; older exports are converted on import
+function isFieldValid(type, value, minorUnits) {
+  switch (type) {
+    case 'id':
+    case 'text':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    case 'amount':
+      return typeof value === 'number' && Number.isFinite(value) && (!minorUnits || Number.isInteger(value));
+    case 'positive':
+      return typeof value === 'number' && value > 0 && (!minorUnits || Number.isInteger(value));
+    default:
+      return true;
+  }
+}
+
+// The version an export is in
+function exportVersion(data) {
+  if (data.schemaVersion !== undefined) return data.schemaVersion;
+  return data.amountUnits === 'minor' ? 2 : 1;
+}
+
+// Every problem with an export, as { collection, index, id, error }, with `collection` and
+// `index` null for the export as a whole. An empty list means it can be imported.
+function validateExport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ collection: null, index: null, id: null, error: 'Not an export' }];
+  }
+  const version = exportVersion(data);
+  if (!Number.isInteger(version) || version < 1) {
+    return [{ collection: null, index: null, id: null, error: `Unknown schema version "${data.schemaVersion}"` }];
+  }
+  if (version > SCHEMA_VERSION) {
+    return [{ collection: null, index: null, id: null, error: `This export is from a newer version of the app (schema ${version})` }];
+  }
+
+  const errors = [];
+  if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+    errors.push({ collection: 'settings', index: null, id: null, error: 'Settings are missing' });
+  }
+  const minorUnits = version >= 2;
+  Object.entries(EXPORT_SCHEMA).forEach(([collection, { label, required, fields }]) => {
+    const records = data[collection];
+    if (records === undefined && !required) return;
+    if (!Array.isArray(records)) {
+      errors.push({ collection, index: null, id: null, error: `${label} list is missing` });
+      return;
+    }
+    records.forEach((record, index) => {
+      if (!record || typeof record !== 'object') {
+        errors.push({ collection, index, id: null, error: 'Not a record' });
+        return;
+      }
+      const missing = Object.keys(fields).filter(field => !isFieldValid(fields[field], record[field], minorUnits));
+      if (missing.length > 0) {
+        errors.push({ collection, index, id: record.id || null, error: `Missing or invalid ${missing.join(', ')}` });
+      }
+    });
+  });
+  return errors;
+}
+
+// "Transaction 4 (tx-1): Missing or invalid date", with rows counted from 1
+function describeExportError({ collection, index, id, error }) {
+  if (index === null || index === undefined) return error;
+  const label = EXPORT_SCHEMA[collection] ? EXPORT_SCHEMA[collection].label : collection;
+  return `${label} ${index + 1}${id ? ` (${id})` : ''}: ${error}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCHEMA_VERSION,
+    EXPORT_SCHEMA,
+    exportVersion,
+    validateExport,
+    describeExportError
+  };
+}
@@ -0,0 +1,267 @@
+// Bank statement import, shared by the app and the server
+//
+// A bank or card CSV is read with a bank profile saying which columns hold what, saved so
+// the next statement from the same bank needs no mapping:
+//   { id, name, hasHeader, dateColumn, dateFormat, descriptionColumn, amountColumn, sign, creditColumn }
+// Columns count from 0. `sign` is how the bank writes spending: 'negative' (most bank
+// accounts), 'positive' (most card statements), or 'columns' for separate debit and credit
+// columns, with money back in `creditColumn`. Rows come out like transactions: in minor
+// units, spending positive and money back negative.
+//
+// Importing only ever adds transactions. Rows that look like ones already recorded (same
+// amount, a few days apart, a similar vendor) are flagged so they can be left out.
+//
+// Rows from OFX/QFX and QIF files (read on the server, see lib/bankfiles.js) carry an
+// `importId` that the transaction keeps. A row whose id is already recorded is never
+// imported again, so importing the same file twice adds nothing.
+const STATEMENT_SIGNS = ['negative', 'positive', 'columns'];
+const STATEMENT_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+const DUPLICATE_DAYS = 3;
+const DUPLICATE_SIMILARITY = 0.5;
+
+// Rows of cells, with quoted cells holding commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function isColumn(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// A problem with a bank profile, or null when it is valid
+function validateBankProfile(profile) {
+  if (typeof profile.name !== 'string' || !profile.name.trim()) return 'Profile name is required';
+  if (!isColumn(profile.dateColumn)) return 'Choose the date column';
+  if (!STATEMENT_DATE_FORMATS.includes(profile.dateFormat)) return `Unknown date format "${profile.dateFormat}"`;
+  if (!isColumn(profile.descriptionColumn)) return 'Choose the description column';
+  if (!isColumn(profile.amountColumn)) return 'Choose the amount column';
+  if (!STATEMENT_SIGNS.includes(profile.sign)) return `Unknown sign convention "${profile.sign}"`;
+  if (profile.sign === 'columns' && !isColumn(profile.creditColumn)) return 'Choose the credit column';
+  return null;
+}
+
+// A starting mapping for a statement with no profile yet (its rows from parseCsv): columns
+// found by their usual header names, and the date format from the first date
+function guessBankProfile(rows) {
+  const header = rows[0] || [];
+  const find = pattern => header.findIndex(cell => pattern.test(cell));
+  const column = (pattern, fallback) => (find(pattern) === -1 ? fallback : find(pattern));
+  const debit = find(/debit|withdrawal|paid out/i);
+  const credit = find(/credit|deposit|paid in/i);
+  const named = find(/date|amount|desc/i) !== -1;
+  const separate = debit !== -1 && credit !== -1;
+  const dateColumn = column(/date/i, 0);
+  const sample = String((rows[named ? 1 : 0] || [])[dateColumn] || '').trim().split(/[-/.]/);
+  const dateFormat = /^\d{4}$/.test(sample[0]) ? 'YYYY-MM-DD' : Number(sample[0]) > 12 ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+
+  return {
+    name: '',
+    hasHeader: named,
+    dateColumn,
+    dateFormat,
+    descriptionColumn: column(/desc|payee|merchant|narrative|details|name/i, 1),
+    amountColumn: separate ? debit : column(/amount/i, 2),
+    sign: separate ? 'columns' : 'negative',
+    creditColumn: separate ? credit : null
+  };
+}
+
+// "06/01/2024" as MM/DD/YYYY -> "2024-06-01"; null when it isn't a date in that format
+function parseStatementDate(value, format) {
+  const parts = String(value || '').trim().split(/[-/.]/);
+  if (parts.length !== 3) return null;
+  const [year, month, day] = format === 'YYYY-MM-DD' ? parts
+    : format === 'MM/DD/YYYY' ? [parts[2], parts[0], parts[1]]
+    : [parts[2], parts[1], parts[0]];
+  if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || !/^\d{1,2}$/.test(day)) return null;
+
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+// "-1,234.56", "$12.00", "(12.00)" and "12.00-" in minor units; 0 for an empty cell, null
+// when it isn't an amount
+function parseStatementAmount(value, unitsPerMajor = 100) {
+  let text = String(value || '').trim().replace(/[$€£¥,\s]/g, '');
+  if (text === '') return 0;
+  let negative = false;
+  if (/^\(.*\)$/.test(text) || /-$/.test(text)) {
+    negative = true;
+    text = text.replace(/^\(|\)$|-$/g, '');
+  }
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+  const amount = Math.round(Number(text) * unitsPerMajor);
+  return negative ? -amount : amount;
+}
+
+// The rows of a statement read with `profile`, and a message for every line that couldn't
+// be read. Lines with no amount (such as balance lines) are skipped.
+function parseStatement(text, profile, unitsPerMajor = 100) {
+  const rows = [];
+  const errors = [];
+  parseCsv(text).forEach((cells, i) => {
+    if ((i === 0 && profile.hasHeader) || cells.every(cell => cell.trim() === '')) return;
+
+    const line = i + 1;
+    const date = parseStatementDate(cells[profile.dateColumn], profile.dateFormat);
+    const debit = parseStatementAmount(cells[profile.amountColumn], unitsPerMajor);
+    const credit = profile.sign === 'columns' ? parseStatementAmount(cells[profile.creditColumn], unitsPerMajor) : 0;
+    if (!date) {
+      errors.push(`Line ${line}: "${cells[profile.dateColumn] || ''}" is not a ${profile.dateFormat} date`);
+      return;
+    }
+    if (debit === null || credit === null) {
+      errors.push(`Line ${line}: the amount is not a number`);
+      return;
+    }
+
+    const amount = profile.sign === 'negative' ? -debit
+      : profile.sign === 'positive' ? debit
+      : Math.abs(debit) - Math.abs(credit);
+    if (amount === 0) return;
+    rows.push({ line, date, description: String(cells[profile.descriptionColumn] || '').trim(), amount });
+  });
+  return { rows, errors };
+}
+
+// Lower-case letters only, so "AMZN Mktp US*2K4" and "Amzn mktp" compare alike
+function normalizeVendor(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+}
+
+function bigrams(text) {
+  const pairs = [];
+  text.split(' ').forEach(word => {
+    for (let i = 0; i < word.length - 1; i++) pairs.push(word.substring(i, i + 2));
+  });
+  return pairs;
+}
+
+// How alike two vendor names are, from 0 to 1 (the share of letter pairs they have in common)
+function vendorSimilarity(a, b) {
+  const left = normalizeVendor(a);
+  const right = normalizeVendor(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.includes(right) || right.includes(left)) return 0.9;
+
+  const pairs = bigrams(right);
+  let shared = 0;
+  bigrams(left).forEach(pair => {
+    const index = pairs.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      pairs.splice(index, 1);
+    }
+  });
+  const total = bigrams(left).length + bigrams(right).length;
+  return total > 0 ? 2 * shared / total : 0;
+}
+
+function daysApart(a, b) {
+  return Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+}
+
+// The recorded transaction a statement row most likely duplicates, or null. Transactions
+// entered without a vendor match on amount and date alone.
+function findDuplicate(row, transactions, exclude = new Set()) {
+  let best = null;
+  transactions.forEach(tx => {
+    if (tx.deletedAt || exclude.has(tx.id) || tx.amount !== row.amount || daysApart(tx.date, row.date) > DUPLICATE_DAYS) return;
+    const similarity = tx.vendor ? vendorSimilarity(row.description, tx.vendor) : (tx.date === row.date ? 1 : 0);
+    if (similarity >= DUPLICATE_SIMILARITY && (!best || similarity > best.similarity)) best = { transaction: tx, similarity };
+  });
+  return best ? best.transaction : null;
+}
+
+// Statement rows with `duplicateOf` set to the id of the transaction each likely repeats.
+// A transaction only accounts for one row, so two identical coffees on one day still
+// leave the second to import.
+// Rows recorded before by `importId` are marked `alreadyImported`.
+function flagDuplicates(rows, transactions) {
+  const imported = {};
+  transactions.forEach(tx => {
+    if (tx.importId && !tx.deletedAt) imported[tx.importId] = tx;
+  });
+  const matched = new Set();
+  return rows.map(row => {
+    const previous = row.importId ? imported[row.importId] : null;
+    const duplicate = previous || findDuplicate(row, transactions, matched);
+    if (duplicate) matched.add(duplicate.id);
+    return { ...row, duplicateOf: duplicate ? duplicate.id : null, alreadyImported: Boolean(previous) };
+  });
+}
+
+// A problem with a transaction's `importId`, or null: each statement line is recorded once
+function validateImport(transaction, transactions) {
+  if (transaction.importId === undefined || transaction.importId === null || transaction.deletedAt) return null;
+  if (typeof transaction.importId !== 'string' || !transaction.importId) return 'Import id must be text';
+  const recorded = transactions.some(tx => tx.id !== transaction.id && !tx.deletedAt && tx.importId === transaction.importId);
+  return recorded ? 'This statement line has already been imported' : null;
+}
+
+// The category of the recorded transaction whose vendor is most like `description`, or null
+function suggestCategory(description, transactions) {
+  let best = null;
+  transactions.forEach(tx => {
+    if (tx.deletedAt || !tx.vendor || !tx.categoryId) return;
+    const similarity = vendorSimilarity(description, tx.vendor);
+    if (similarity >= DUPLICATE_SIMILARITY && (!best || similarity > best.similarity)) best = { categoryId: tx.categoryId, similarity };
+  });
+  return best ? best.categoryId : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STATEMENT_SIGNS,
+    STATEMENT_DATE_FORMATS,
+    parseCsv,
+    validateBankProfile,
+    guessBankProfile,
+    parseStatementDate,
+    parseStatementAmount,
+    parseStatement,
+    vendorSimilarity,
+    findDuplicate,
+    flagDuplicates,
+    validateImport,
+    suggestCategory
+  };
+}
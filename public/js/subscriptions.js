@@ -0,0 +1,126 @@
+// Finding subscriptions in the transaction history, shared by the app and its tests
+//
+// A vendor charged at least three times, at a steady interval (weekly, every two weeks,
+// monthly, every 2, 3 or 6 months, or yearly) and for similar amounts, is suggested as a
+// recurring entry, unless one already exists for it or the charges have stopped. Vendors
+// are matched ignoring case, digits and punctuation, and a charge is a recurring entry's
+// when its vendor starts with the entry's, so "NETFLIX.COM 8891" is Netflix's.
+// Subscriptions that already have a recurring entry are checked for price increases instead.
+// Nothing here reads the clock: `today` (YYYY-MM-DD) is passed in.
+const MIN_CHARGES = 3;
+
+// How far apart charges are for each schedule, in days, and how far they may stray
+const SUBSCRIPTION_INTERVALS = [
+  { frequency: 'weekly', interval: 1, days: 7, tolerance: 1 },
+  { frequency: 'weekly', interval: 2, days: 14, tolerance: 2 },
+  { frequency: 'monthly', interval: 1, days: 30.44, tolerance: 4 },
+  { frequency: 'monthly', interval: 2, days: 60.88, tolerance: 5 },
+  { frequency: 'monthly', interval: 3, days: 91.31, tolerance: 6 },
+  { frequency: 'monthly', interval: 6, days: 182.62, tolerance: 8 },
+  { frequency: 'yearly', interval: 1, days: 365.25, tolerance: 10 }
+];
+
+// Charges count as the same subscription when each is within this share of their median
+const AMOUNT_TOLERANCE = 0.25;
+
+function vendorKey(vendor) {
+  return String(vendor || '').toLowerCase().replace(/[^\p{L}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Whether a charge from `vendor` is for the entry named `recurringVendor`. Banks add
+// references after the name, so only the start has to match.
+function isVendor(vendor, recurringVendor) {
+  const key = vendorKey(vendor);
+  const wanted = vendorKey(recurringVendor);
+  return wanted !== '' && (key === wanted || key.startsWith(`${wanted} `));
+}
+
+function dayNumber(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Spending a subscription could be: not deleted, not a refund and not a draft waiting to be
+// confirmed, in date order
+function subscriptionCharges(transactions) {
+  return transactions
+    .filter(tx => !tx.deletedAt && !tx.draft && tx.amount > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// The schedule every gap between `dates` fits, or null
+function intervalOf(dates) {
+  const gaps = dates.slice(1).map((date, i) => dayNumber(date) - dayNumber(dates[i]));
+  return SUBSCRIPTION_INTERVALS.find(candidate => gaps.every(gap => Math.abs(gap - candidate.days) <= candidate.tolerance)) || null;
+}
+
+// Suggested recurring entries, most recently charged first:
+//   { vendor, category, person, memberId, frequency, interval, amount, startDate, lastDate,
+//     transactionIds }
+// `amount` is the latest charge, and `transactionIds` the charges to link to the new entry.
+function detectSubscriptions(transactions, recurring, today) {
+  const existing = recurring.filter(rec => !rec.deletedAt);
+  const byVendor = new Map();
+  subscriptionCharges(transactions).filter(tx => !tx.recurringId).forEach(tx => {
+    const key = vendorKey(tx.vendor);
+    if (!key || existing.some(rec => isVendor(tx.vendor, rec.vendor))) return;
+    if (!byVendor.has(key)) byVendor.set(key, []);
+    byVendor.get(key).push(tx);
+  });
+
+  const suggestions = [];
+  byVendor.forEach(group => {
+    if (group.length < MIN_CHARGES) return;
+    const schedule = intervalOf(group.map(tx => tx.date));
+    if (!schedule) return;
+
+    const typical = median(group.map(tx => tx.amount));
+    if (group.some(tx => Math.abs(tx.amount - typical) > typical * AMOUNT_TOLERANCE)) return;
+
+    // Stopped: the next charge is overdue by more than half an interval
+    const last = group[group.length - 1];
+    if (dayNumber(today) - dayNumber(last.date) > schedule.days * 1.5) return;
+
+    suggestions.push({
+      vendor: last.vendor,
+      category: last.category,
+      person: last.person,
+      memberId: last.memberId,
+      frequency: schedule.frequency,
+      interval: schedule.interval,
+      amount: last.amount,
+      startDate: group[0].date,
+      lastDate: last.date,
+      transactionIds: group.map(tx => tx.id)
+    });
+  });
+  return suggestions.sort((a, b) => b.lastDate.localeCompare(a.lastDate));
+}
+
+// Recurring entries whose latest charge costs more than the entry's amount:
+//   { recurring, from, to, date }
+// Charges are the entry's own transactions and others from the same vendor. Entries whose
+// amount varies are left out, since they are confirmed each time anyway.
+function priceIncreases(transactions, recurring) {
+  const all = subscriptionCharges(transactions);
+  return recurring
+    .filter(rec => !rec.deletedAt && !rec.amountVaries)
+    .map(rec => {
+      const matching = all.filter(tx => tx.recurringId === rec.id || (!tx.recurringId && isVendor(tx.vendor, rec.vendor)));
+      if (matching.length === 0) return null;
+      const date = matching[matching.length - 1].date;
+      const to = Math.max(...matching.filter(tx => tx.date === date).map(tx => tx.amount));
+      return to > rec.amount ? { recurring: rec, from: rec.amount, to, date } : null;
+    })
+    .filter(Boolean);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SUBSCRIPTION_INTERVALS, vendorKey, detectSubscriptions, priceIncreases };
+}
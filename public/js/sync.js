@@ -1,4 +1,11 @@
 // Sync service for offline-first functionality
+// Failed queue entries wait 5s, 10s, 20s... up to 5 minutes before the next attempt
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Household settings shared through the server: budgets and the base currency
+const SHARED_SETTINGS = [...HOUSEHOLD_SETTINGS, ...CURRENCY_SETTINGS];
+
 class SyncService {
   constructor(database) {
     this.db = database;
@@ -6,11 +13,21 @@ class SyncService {
     this.isSyncing = false;
     this.syncCallbacks = [];
     this.syncResultCallbacks = [];
+    this.pendingCallbacks = [];
+    this.pendingCount = 0;
+    this.ignoreBackoff = false;
+    this.retryTimer = null;
     this.lastSyncTime = null;
     this.syncStats = {
       transactions: { added: 0, updated: 0, conflicted: 0 },
       categories: { added: 0, updated: 0 },
-      recurring: { added: 0, updated: 0 }
+      recurring: { added: 0, updated: 0 },
+      members: { added: 0, updated: 0 },
+      settlements: { added: 0, updated: 0, rejected: 0 },
+      envelopeMoves: { added: 0, updated: 0, rejected: 0 },
+      rates: { added: 0, updated: 0, rejected: 0 },
+      bankProfiles: { added: 0, updated: 0, rejected: 0 },
+      settings: { added: 0, updated: 0 }
     };
     
     // Listen for online/offline events
@@ -34,6 +51,10 @@ class SyncService {
     this.syncResultCallbacks.push(callback);
   }
 
+  onPendingChange(callback) {
+    this.pendingCallbacks.push(callback);
+  }
+
   notifyStatusChange() {
     const status = this.getStatus();
     this.syncCallbacks.forEach(cb => cb(status));
@@ -43,31 +64,53 @@ class SyncService {
     this.syncResultCallbacks.forEach(cb => cb(result));
   }
 
+  async refreshPendingCount() {
+    this.pendingCount = await this.db.getSyncQueueCount();
+    this.pendingCallbacks.forEach(cb => cb(this.pendingCount));
+  }
+
   getStatus() {
     if (!this.isOnline) return 'offline';
     if (this.isSyncing) return 'syncing';
     return 'synced';
   }
 
-  async sync() {
+  // `force` retries queued entries that are still waiting out their backoff
+  async sync({ force = false } = {}) {
+    await this.refreshPendingCount();
     if (!this.isOnline || this.isSyncing) return;
     
     this.isSyncing = true;
+    this.ignoreBackoff = force;
     this.notifyStatusChange();
     this.resetStats();
     
     try {
+      // Sync recurring entries first: the server adds the transactions they have due, and
+      // the transaction sync brings those down
+      await this.syncRecurring();
+      
       // Sync transactions
       await this.syncTransactions();
       
       // Sync categories
       await this.syncCategories();
       
-      // Sync recurring
-      await this.syncRecurring();
+      // Sync household members
+      await this.syncMembers();
+      
+      // Sync repayments, after members so they can be checked against them
+      await this.syncSettlements();
+      
+      // Sync envelope moves, after categories so they can be checked against them
+      await this.syncEnvelopeMoves();
+      
+      // Sync exchange rates and bank profiles
+      await this.syncRates();
+      await this.syncBankProfiles();
       
-      // Clear sync queue after successful sync
-      await this.db.clearSyncQueue();
+      // Sync household settings (budgets, base currency)
+      await this.syncHouseholdSettings();
       
       this.lastSyncTime = new Date();
       const result = {
@@ -83,27 +126,74 @@ class SyncService {
       const result = {
         success: false,
         error: error.message,
+        recovery: error.recovery || null,
         timestamp: new Date()
       };
       this.notifySyncResult(result);
     } finally {
       this.isSyncing = false;
+      this.ignoreBackoff = false;
       this.notifyStatusChange();
+      await this.refreshPendingCount();
+      await this.scheduleRetry();
     }
   }
 
+  // Wake up again when the earliest failed entry is due for another attempt
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    
+    const queue = await this.db.getSyncQueue();
+    const retryTimes = queue
+      .filter(entry => entry.nextAttemptAt)
+      .map(entry => new Date(entry.nextAttemptAt).getTime());
+    if (retryTimes.length === 0) return;
+    
+    const delay = Math.max(Math.min(...retryTimes) - Date.now(), 0);
+    this.retryTimer = setTimeout(() => this.sync(), delay);
+  }
+
+  async markFailed(entries, error) {
+    if (entries.length === 0) return;
+    
+    const now = Date.now();
+    const failed = entries.map(entry => {
+      const attempts = (entry.attempts || 0) + 1;
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+      return {
+        ...entry,
+        attempts,
+        nextAttemptAt: new Date(now + delay).toISOString(),
+        lastError: error
+      };
+    });
+    await this.db.bulkPut(STORES.syncQueue, failed);
+  }
+
   resetStats() {
     this.syncStats = {
       transactions: { added: 0, updated: 0, conflicted: 0 },
       categories: { added: 0, updated: 0 },
-      recurring: { added: 0, updated: 0 }
+      recurring: { added: 0, updated: 0 },
+      members: { added: 0, updated: 0 },
+      settlements: { added: 0, updated: 0, rejected: 0 },
+      envelopeMoves: { added: 0, updated: 0, rejected: 0 },
+      rates: { added: 0, updated: 0, rejected: 0 },
+      bankProfiles: { added: 0, updated: 0, rejected: 0 },
+      settings: { added: 0, updated: 0 }
     };
   }
 
   generateSyncMessage() {
     const tx = this.syncStats.transactions;
     const cat = this.syncStats.categories;
-    const total = tx.added + tx.updated + cat.added + cat.updated;
+    const settled = this.syncStats.settlements;
+    const moved = this.syncStats.envelopeMoves;
+    const rated = this.syncStats.rates;
+    const scheduled = this.syncStats.recurring;
+    const total = tx.added + tx.updated + tx.conflicted + (tx.rejected || 0) + cat.added + cat.updated + (cat.rejected || 0) +
+      settled.rejected + moved.rejected + rated.rejected + (scheduled.rejected || 0);
     
     if (total === 0) return 'Cool';
     
@@ -112,31 +202,21 @@ class SyncService {
     if (tx.updated > 0) parts.push(`${tx.updated} transaction${tx.updated > 1 ? 's' : ''} updated`);
     if (cat.added > 0) parts.push(`${cat.added} categor${cat.added > 1 ? 'ies' : 'y'} added`);
     if (cat.updated > 0) parts.push(`${cat.updated} categor${cat.updated > 1 ? 'ies' : 'y'} updated`);
+    if (tx.rejected > 0) parts.push(`${tx.rejected} transaction${tx.rejected > 1 ? 's' : ''} rejected`);
+    if (cat.rejected > 0) parts.push(`${cat.rejected} categor${cat.rejected > 1 ? 'ies' : 'y'} rejected`);
+    if (rated.rejected > 0) parts.push(`${rated.rejected} exchange rate${rated.rejected > 1 ? 's' : ''} rejected`);
+    if (settled.rejected > 0) parts.push(`${settled.rejected} repayment${settled.rejected > 1 ? 's' : ''} rejected`);
+    if (moved.rejected > 0) parts.push(`${moved.rejected} envelope move${moved.rejected > 1 ? 's' : ''} rejected`);
+    if (scheduled.rejected > 0) parts.push(`${scheduled.rejected} recurring transaction${scheduled.rejected > 1 ? 's' : ''} rejected`);
+    if (tx.conflicted > 0) parts.push(`${tx.conflicted} conflict${tx.conflicted > 1 ? 's' : ''} to review`);
     
     return parts.join(', ');
   }
 
   async syncTransactions() {
-    const localTransactions = await this.db.getAllTransactionsIncludingDeleted();
-    
     try {
-      const response = await fetch('/api/transactions/sync', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ transactions: localTransactions }),
-        credentials: 'include'
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        const serverTransactions = Array.isArray(data) ? data : data.transactions || [];
-        const stats = data.stats || { added: 0, updated: 0, conflicted: 0 };
-        
-        this.syncStats.transactions = stats;
-        await this.db.mergeTransactions(serverTransactions);
-      } else if (response.status === 401) {
-        window.location.reload();
-      }
+      const stats = await this.syncCollection('transactions', '/api/transactions/sync');
+      if (stats) this.syncStats.transactions = stats;
     } catch (error) {
       console.error('Transaction sync failed:', error);
       throw error;
@@ -144,24 +224,9 @@ class SyncService {
   }
 
   async syncCategories() {
-    const localCategories = await this.db.getAllCategoriesIncludingDeleted();
-    
     try {
-      const response = await fetch('/api/categories/sync', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ categories: localCategories }),
-        credentials: 'include'
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        const serverCategories = Array.isArray(data) ? data : data.categories || [];
-        const stats = data.stats || { added: 0, updated: 0 };
-        
-        this.syncStats.categories = stats;
-        await this.db.mergeCategories(serverCategories);
-      }
+      const stats = await this.syncCollection('categories', '/api/categories/sync');
+      if (stats) this.syncStats.categories = stats;
     } catch (error) {
       console.error('Category sync failed:', error);
       throw error;
@@ -169,28 +234,166 @@ class SyncService {
   }
 
   async syncRecurring() {
-    const localRecurring = await this.db.getAllRecurringIncludingDeleted();
+    try {
+      const stats = await this.syncCollection('recurring', '/api/recurring/sync');
+      if (stats) this.syncStats.recurring = stats;
+    } catch (error) {
+      console.error('Recurring sync failed:', error);
+      throw error;
+    }
+  }
+
+  async syncMembers() {
+    try {
+      const stats = await this.syncCollection('members', '/api/members/sync');
+      if (stats) this.syncStats.members = stats;
+    } catch (error) {
+      console.error('Member sync failed:', error);
+      throw error;
+    }
+  }
+
+  async syncSettlements() {
+    try {
+      const stats = await this.syncCollection('settlements', '/api/settlements/sync');
+      if (stats) this.syncStats.settlements = stats;
+    } catch (error) {
+      console.error('Settlement sync failed:', error);
+      throw error;
+    }
+  }
+
+  async syncEnvelopeMoves() {
+    try {
+      const stats = await this.syncCollection('envelopeMoves', '/api/envelope-moves/sync');
+      if (stats) this.syncStats.envelopeMoves = stats;
+    } catch (error) {
+      console.error('Envelope move sync failed:', error);
+      throw error;
+    }
+  }
+
+  async syncRates() {
+    try {
+      const stats = await this.syncCollection('rates', '/api/rates/sync');
+      if (stats) this.syncStats.rates = stats;
+    } catch (error) {
+      console.error('Exchange rate sync failed:', error);
+      throw error;
+    }
+  }
+
+  async syncBankProfiles() {
+    try {
+      const stats = await this.syncCollection('bankProfiles', '/api/bank-profiles/sync');
+      if (stats) this.syncStats.bankProfiles = stats;
+    } catch (error) {
+      console.error('Bank profile sync failed:', error);
+      throw error;
+    }
+  }
+
+  // Household settings are a single small object, so there is no delta sync: a device
+  // with unsaved changes sends its copy (last write wins), everyone else fetches the server's
+  async syncHouseholdSettings() {
+    const pending = await this.db.getSetting('householdPending');
+    const local = (await this.db.getSetting('household')) || {};
+    
+    const response = await fetch('/api/settings', pending ? {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...local, amountUnits: AMOUNT_UNITS }),
+      credentials: 'include'
+    } : { credentials: 'include' });
     
+    if (response.status === 401) {
+      window.location.reload();
+      return;
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      // Settings the server refuses would be refused forever, so take the server's instead
+      if (response.status === 400) await this.db.setSetting('householdPending', false);
+      throw new Error(body.error || `Server returned ${response.status} for settings`);
+    }
+    
+    const settings = await response.json();
+    const household = {};
+    SHARED_SETTINGS.forEach(key => {
+      if (settings[key] !== undefined) household[key] = settings[key];
+    });
+    
+    const changed = SHARED_SETTINGS.some(key => (local[key] ?? null) !== (household[key] ?? null));
+    await this.db.setSetting('household', household);
+    await this.db.setSetting('householdPending', false);
+    this.syncStats.settings = { added: 0, updated: changed ? 1 : 0 };
+  }
+
+  // Delta sync: push the queued changes for a collection, pull records changed on
+  // the server since our cursor, and drop queue entries only once the server acks them
+  async syncCollection(collection, endpoint) {
+    const since = await this.db.getSyncCursor(collection);
+    const epoch = await this.db.getSyncEpoch(collection);
+    const entries = await this.db.getSyncQueueByType(QUEUE_TYPES[collection]);
+    const now = Date.now();
+    const due = entries.filter(entry =>
+      this.ignoreBackoff || !entry.nextAttemptAt || new Date(entry.nextAttemptAt).getTime() <= now
+    );
+    
+    // Several queued edits of the same record collapse into one field-level edit
+    const outgoing = Array.from(collapseQueueEntries(due).values()).map(edit => ({
+      ...edit.data,
+      changedFields: edit.changedFields,
+      baseRev: edit.baseRev
+    }));
+    
+    let response;
     try {
-      const response = await fetch('/api/recurring/sync', {
+      response = await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ recurring: localRecurring }),
+        body: JSON.stringify({ [collection]: outgoing, since, epoch, amountUnits: AMOUNT_UNITS }),
         credentials: 'include'
       });
-      
-      if (response.ok) {
-        const data = await response.json();
-        const serverRecurring = Array.isArray(data) ? data : data.recurring || [];
-        const stats = data.stats || { added: 0, updated: 0 };
-        
-        this.syncStats.recurring = stats;
-        await this.db.mergeRecurring(serverRecurring);
-      }
     } catch (error) {
-      console.error('Recurring sync failed:', error);
+      await this.markFailed(due, error.message);
+      throw error;
+    }
+    
+    if (response.status === 401) {
+      window.location.reload();
+      return null;
+    }
+    
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const message = body.storageCorrupt ? body.error : `Server returned ${response.status} for ${collection}`;
+      await this.markFailed(due, message);
+      const error = new Error(message);
+      error.recovery = body.storageCorrupt ? body.recovery : null;
       throw error;
     }
+    
+    const data = await response.json();
+    const ackedRevs = new Map((data.acked || []).map(ack => [ack.id, ack.rev]));
+    const acked = new Set(ackedRevs.keys());
+    // Records the server refused will never be accepted, so retrying them is pointless:
+    // they leave the queue and go back to the server's version, or away if it has none
+    const rejected = new Set((data.rejected || []).map(r => r.id));
+    const serverRecords = data[collection] || [];
+    
+    await this.db.removeFromSyncQueue(due.filter(entry => acked.has(entry.data.id) || rejected.has(entry.data.id)).map(entry => entry.id));
+    await this.markFailed(due.filter(entry => !acked.has(entry.data.id) && !rejected.has(entry.data.id)), 'Not acknowledged by server');
+    for (const id of rejected) {
+      if (!serverRecords.some(record => record.id === id)) await this.db.delete(STORES[collection], id);
+    }
+    // Our accepted edits are now part of those revisions, so later edits start from them
+    await this.db.setRevisions(STORES[collection], ackedRevs);
+    
+    const stats = await this.db.mergeIntoStore(STORES[collection], serverRecords);
+    await this.db.setSyncCursor(collection, data.cursor);
+    if (data.epoch) await this.db.setSyncEpoch(collection, data.epoch);
+    return { ...stats, conflicted: data.conflicted || 0, rejected: rejected.size };
   }
 
   async fetchInitialData() {
@@ -199,43 +402,40 @@ class SyncService {
       return {
         transactions: await this.db.getTransactions(),
         categories: await this.db.getCategories(),
-        recurring: await this.db.getRecurring()
+        recurring: await this.db.getRecurring(),
+        members: await this.db.getAllMembersIncludingDeleted(),
+        settlements: await this.db.getSettlements(),
+        envelopeMoves: await this.db.getEnvelopeMoves(),
+        rates: await this.db.getRates(),
+        bankProfiles: await this.db.getBankProfiles()
       };
     }
     
     try {
-      // Fetch from server
-      const [txRes, catRes, recRes] = await Promise.all([
-        fetch('/api/transactions', { credentials: 'include' }),
-        fetch('/api/categories', { credentials: 'include' }),
-        fetch('/api/recurring', { credentials: 'include' })
-      ]);
-      
-      if (txRes.ok && catRes.ok && recRes.ok) {
-        const transactions = await txRes.json();
-        const categories = await catRes.json();
-        const recurring = await recRes.json();
-        
-        // Merge with local data
-        const mergedTx = await this.db.mergeTransactions(transactions);
-        const mergedCat = await this.db.mergeCategories(categories);
-        const mergedRec = await this.db.mergeRecurring(recurring);
-        
-        return {
-          transactions: mergedTx,
-          categories: mergedCat,
-          recurring: mergedRec
-        };
-      }
+      // Pull whatever changed since the last checkpoint into the local store
+      await this.syncTransactions();
+      await this.syncCategories();
+      await this.syncRecurring();
+      await this.syncMembers();
+      await this.syncSettlements();
+      await this.syncEnvelopeMoves();
+      await this.syncRates();
+      await this.syncBankProfiles();
+      await this.syncHouseholdSettings();
     } catch (error) {
       console.error('Failed to fetch initial data:', error);
     }
     
-    // Fallback to local data
+    // Serve from the local store, which now mirrors the server
     return {
       transactions: await this.db.getTransactions(),
       categories: await this.db.getCategories(),
-      recurring: await this.db.getRecurring()
+      recurring: await this.db.getRecurring(),
+      members: await this.db.getAllMembersIncludingDeleted(),
+      settlements: await this.db.getSettlements(),
+      envelopeMoves: await this.db.getEnvelopeMoves(),
+      rates: await this.db.getRates(),
+      bankProfiles: await this.db.getBankProfiles()
     };
   }
 }
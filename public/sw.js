@@ -1,9 +1,22 @@
 // Service Worker for offline-first PWA
-const CACHE_NAME = 'spendtrack-v1';
+const CACHE_NAME = 'spendtrack-v29';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
   '/css/styles.css',
+  '/js/money.js',
+  '/js/merge.js',
+  '/js/members.js',
+  '/js/balances.js',
+  '/js/refunds.js',
+  '/js/budgets.js',
+  '/js/envelopes.js',
+  '/js/statements.js',
+  '/js/schema.js',
+  '/js/filters.js',
+  '/js/recurring.js',
+  '/js/forecast.js',
+  '/js/subscriptions.js',
   '/js/db.js',
   '/js/sync.js',
   '/js/app.js',
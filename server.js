@@ -3,6 +3,56 @@ const express = require('express');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { mergeRecords, getChangedFields, stampFieldRevisions } = require('./public/js/merge');
+const { createStorage, StorageCorruptError, quarantineFiles } = require('./lib/storage');
+const {
+  hashPassword,
+  verifyPassword,
+  authenticate,
+  publicUser,
+  syncAccounts,
+  createSession,
+  findSession,
+  listSessions,
+  revokeSessions,
+  pruneSessions
+} = require('./lib/auth');
+const {
+  DEFAULT_RETENTION,
+  createBackup,
+  readBackup,
+  listBackups,
+  findNewestBackup,
+  diffBackup,
+  restoreBackup,
+  pruneBackups,
+  scheduleBackups
+} = require('./lib/backups');
+const { migrateMembers, linkRecordsToMembers, withMemberIds } = require('./lib/members');
+const { IMPORT_MODES, planImport, previewImport } = require('./lib/imports');
+const { exportData, upgradeExport, parseExportColumns, exportRows, toCsv, toXlsx, toOfx } = require('./lib/exports');
+const { migrateAmounts, pushedInMinorUnits } = require('./lib/amounts');
+const { findMemberByName, memberFor } = require('./public/js/members');
+const { computeBalances, settleUp, validateSettlement } = require('./public/js/balances');
+const { DEFAULT_ALERT_THRESHOLD, validateBudget, validateAlertThreshold } = require('./public/js/budgets');
+const { envelopeBalances, validateEnvelopeMove } = require('./public/js/envelopes');
+const { isRefund, validateTransaction } = require('./public/js/refunds');
+const {
+  AMOUNT_UNITS,
+  DEFAULT_CURRENCY,
+  isCurrencyCode,
+  settingsToMinorUnits,
+  minorPerMajor,
+  validateRate,
+  validateForeignAmount
+} = require('./public/js/money');
+const { validateBankProfile, validateImport } = require('./public/js/statements');
+const { parseBankFile } = require('./lib/bankfiles');
+const { validateExport, describeExportError } = require('./public/js/schema');
+const { filterTransactions } = require('./public/js/filters');
+const { validateRecurring } = require('./public/js/recurring');
+const { planRecurring, validateOccurrence, scheduleRecurring } = require('./lib/recurring');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,200 +64,585 @@ app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Data directory setup
-const DATA_DIR = path.join(__dirname, 'data');
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Data file paths
-const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
-const CATEGORIES_FILE = path.join(DATA_DIR, 'categories.json');
-const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
-const RECURRING_FILE = path.join(DATA_DIR, 'recurring.json');
-
-// Initialize data files if they don't exist
-function initDataFile(filePath, defaultData) {
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
-  }
-}
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 const defaultCategories = [
-  { id: 'cat-1', name: 'Groceries', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-2', name: 'Eating Out', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-3', name: 'Gas', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-4', name: 'Uber', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-5', name: 'Entertainment', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-6', name: 'Shopping', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-7', name: 'Bills', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null },
-  { id: 'cat-8', name: 'Other', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'James', deletedAt: null }
+  { id: 'cat-1', name: 'Groceries', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-2', name: 'Eating Out', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-3', name: 'Gas', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-4', name: 'Uber', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-5', name: 'Entertainment', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-6', name: 'Shopping', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-7', name: 'Bills', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null },
+  { id: 'cat-8', name: 'Other', createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), updatedBy: 'System', deletedAt: null }
 ];
 
 const defaultSettings = {
-  lastUser: 'James',
   lastCategory: null,
-  timezone: 'America/Chicago'
+  timezone: 'America/Chicago',
+  householdBudget: null,
+  householdBudgetPeriod: 'monthly',
+  budgetAlertThreshold: DEFAULT_ALERT_THRESHOLD,
+  baseCurrency: DEFAULT_CURRENCY
 };
 
-initDataFile(TRANSACTIONS_FILE, []);
-initDataFile(CATEGORIES_FILE, defaultCategories);
-initDataFile(SETTINGS_FILE, defaultSettings);
-initDataFile(RECURRING_FILE, []);
+// Members created on first run, each with an account starting with the shared PASSWORD.
+// After that the household is managed from Settings.
+const HOUSEHOLD = (process.env.HOUSEHOLD_MEMBERS || 'James,Samantha').split(',').map(name => name.trim()).filter(Boolean);
+const MIN_PASSWORD_LENGTH = 8;
+
+// Backup directory setup
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+if (!fs.existsSync(BACKUP_DIR)) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+}
 
-// Helper functions
-function readJSON(filePath) {
+const BACKUP_RETENTION = {
+  daily: parseInt(process.env.BACKUP_KEEP_DAILY, 10) || DEFAULT_RETENTION.daily,
+  weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || DEFAULT_RETENTION.weekly,
+  monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY, 10) || DEFAULT_RETENTION.monthly,
+  safetyDays: parseInt(process.env.BACKUP_KEEP_SAFETY_DAYS, 10) || DEFAULT_RETENTION.safetyDays
+};
+const BACKUP_INTERVAL_MS = (parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// SQLite by default; STORAGE_BACKEND=json keeps the old one-file-per-collection layout
+const STORAGE_OPTIONS = { backend: process.env.STORAGE_BACKEND || 'sqlite', dataDir: DATA_DIR };
+
+// `storageError` is set when the data on disk can't be read. The API then refuses to
+// serve it (instead of syncing an empty collection over good data) until it is recovered.
+let storage = null;
+let storageError = null;
+// The household date recurring transactions were last added for (see addDueRecurring)
+let recurringAddedOn = null;
+
+function seedStorage() {
+  storage.seed({ categories: defaultCategories, settings: defaultSettings });
+  migrateMembers(storage, HOUSEHOLD);
+  migrateAmounts(storage);
+  syncAccounts(storage, PASSWORD || undefined);
+  if (storage.users.all().length === 0) {
+    console.warn('No accounts exist yet; set PASSWORD to create them');
+  }
+}
+
+function openStorage() {
   try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (e) {
-    return [];
+    storage = createStorage(STORAGE_OPTIONS);
+    seedStorage();
+    storageError = null;
+  } catch (error) {
+    if (!(error instanceof StorageCorruptError)) throw error;
+    reportCorruption(error);
   }
 }
 
-function writeJSON(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+function reportCorruption(error) {
+  storageError = error;
+  const backup = findNewestBackup(BACKUP_DIR);
+  console.error(`Refusing to serve data: ${error.message}`);
+  console.error(backup
+    ? `Newest backup is ${backup.name}; POST /api/recovery/restore (or sync from the app) to recover from it`
+    : `No usable backup found in ${BACKUP_DIR}`);
+}
+
+// Move the damaged files aside and rebuild the store from a backup. The new epoch
+// makes every client drop its sync cursor and pull the restored data in full.
+function recoverFromBackup(backup) {
+  if (storage) storage.close();
+  const quarantined = quarantineFiles(storageError.files);
+  
+  storage = createStorage(STORAGE_OPTIONS);
+  storage.transaction(() => {
+    restoreBackup(storage, backup.data);
+    storage.renewEpoch();
+    // Backups are exports, already in minor units, so the new store must not run the
+    // one-time migrations over them again. Older backups without members still get theirs.
+    const now = new Date().toISOString();
+    storage.backend.setMeta('seededAt', now);
+    storage.backend.setMeta('amountsInMinorUnitsAt', now);
+    if (Array.isArray(backup.data.members)) storage.backend.setMeta('membersMigratedAt', now);
+  });
+  seedStorage();
+  storageError = null;
+  recurringAddedOn = null;
+  
+  return quarantined;
+}
+
+function recoveryStatus() {
+  const backup = storageError ? findNewestBackup(BACKUP_DIR) : null;
+  return {
+    corrupt: Boolean(storageError),
+    error: storageError ? storageError.message : null,
+    backup: backup ? { name: backup.name, backedUpAt: backup.backedUpAt } : null
+  };
+}
+
+openStorage();
+
+// Merge client changes into a collection and return only what changed since the cursor.
+// Every stored change gets the next revision number in its collection, so clients can
+// ask for "everything after revision N" instead of the whole collection.
+// `acked` lists the pushed records the server accepted as { id, rev }, so clients can drop them
+// from their queue and base their next edit on that revision rather than the one they
+// started from; `conflicts` lists fields both sides edited since the client's base revision.
+function syncCollection(repository, pushedRecords, since) {
+  const clientRecords = pushedRecords.filter(r => r && r.id && r.updatedAt);
+  
+  return repository.transaction(() => {
+    const serverRecords = repository.getMany(clientRecords.map(r => r.id));
+    const serverById = new Map(serverRecords.map(r => [r.id, r]));
+    const conflicts = [];
+    let rev = repository.maxRevision();
+    
+    const changed = mergeRecords(serverRecords, clientRecords, conflict => conflicts.push(conflict))
+      .filter(record => serverById.get(record.id) !== record)
+      .map(record => {
+        rev += 1;
+        return { ...record, rev, fieldRevs: stampFieldRevisions(serverById.get(record.id), record, rev) };
+      });
+    
+    if (changed.length > 0) {
+      repository.putMany(changed);
+    }
+    
+    // Pushed records only come back when the merge kept server values the client
+    // doesn't have; everything else comes back when it changed after the cursor
+    const pushedById = new Map(clientRecords.map(r => [r.id, r]));
+    const stored = repository.getMany(Array.from(pushedById.keys()));
+    const mergedPushed = stored.filter(r => getChangedFields(pushedById.get(r.id), r).length > 0);
+    const others = (since > 0 ? repository.changedSince(since) : repository.all())
+      .filter(r => !pushedById.has(r.id));
+    
+    const acked = stored.map(r => ({ id: r.id, rev: r.rev }));
+    return { records: [...others, ...mergedPushed], cursor: rev, acked, conflicts };
+  });
+}
+
+function recordConflicts(collection, conflicts) {
+  if (conflicts.length === 0) return;
+  
+  const detectedAt = new Date().toISOString();
+  storage.conflicts.putMany(conflicts.map(conflict => (
+    { id: uuidv4(), collection, ...conflict, detectedAt, resolvedAt: null, resolvedBy: null }
+  )));
+}
+
+// Store records with new revisions above the current ones, so every client pulls them on
+// its next delta sync. `writes` are { current, record } pairs, as planned by planImport.
+function putRestamped(repository, writes) {
+  if (writes.length === 0) return;
+  let rev = repository.maxRevision();
+  repository.putMany(writes.map(({ current, record }) => {
+    rev += 1;
+    return { ...record, rev, fieldRevs: stampFieldRevisions(current, record, rev) };
+  }));
+}
+
+// A cursor from before the store was rebuilt means nothing any more, so that client starts over
+function parseCursor(value, epoch) {
+  if (epoch && epoch !== storage.epoch) return 0;
+  const cursor = parseInt(value, 10);
+  return Number.isFinite(cursor) && cursor > 0 ? cursor : 0;
+}
+
+// Sync for collections whose records are checked before they are stored. Those that fail
+// `validate` are left out of the merge and rejected instead of acked, so the pushing device
+// drops them rather than retrying forever; the stored versions go back with the response
+// so the device can put them back as they were.
+function syncValidated(collection, pushed, since, validate) {
+  const repository = storage[collection];
+  const rejected = [];
+  const valid = pushed.filter(record => {
+    const error = record && record.id ? validate(record) : null;
+    if (error) rejected.push({ id: record.id, error });
+    return !error;
+  });
+
+  const { records, cursor, acked, conflicts } = syncCollection(repository, valid, since);
+  recordConflicts(collection, conflicts);
+
+  const restored = repository.getMany(rejected.map(r => r.id));
+  return { [collection]: [...records, ...restored], cursor, epoch: storage.epoch, acked, rejected, conflicted: conflicts.length };
+}
+
+// Today's date where the household lives
+function householdToday() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: storage.getSettings().timezone || 'America/Chicago' });
+}
+
+// Single-record upsert used by the POST routes: keeps the stored version unless the client's is newer
+function upsertRecord(repository, record) {
+  return repository.transaction(() => {
+    const existing = repository.get(record.id);
+    if (!existing || new Date(record.updatedAt) > new Date(existing.updatedAt)) {
+      record.rev = repository.nextRevision();
+      record.fieldRevs = stampFieldRevisions(existing, record, record.rev);
+      repository.put(record);
+    }
+    return record;
+  });
+}
+
+function updateRecord(repository, id, changes) {
+  return repository.transaction(() => {
+    const existing = repository.get(id);
+    if (!existing) return null;
+    const rev = repository.nextRevision();
+    const updated = { ...existing, ...changes, rev };
+    return repository.put({ ...updated, fieldRevs: stampFieldRevisions(existing, updated, rev) });
+  });
+}
+
+// Soft delete, so the deletion syncs to other devices
+function deleteRecord(repository, id, user) {
+  const now = new Date().toISOString();
+  return updateRecord(repository, id, { deletedAt: now, updatedAt: now, updatedBy: user.name });
 }
 
 // Auth middleware
+const SESSION_COOKIE = 'session';
+
+function liveStorage() {
+  if (!storage) throw storageError;
+  return storage;
+}
+
+function currentSession(req) {
+  return findSession(liveStorage(), req.cookies[SESSION_COOKIE]);
+}
+
 function authMiddleware(req, res, next) {
-  const authToken = req.cookies.authToken;
-  if (authToken === PASSWORD) {
+  const current = currentSession(req);
+  if (current) {
+    req.user = current.user;
+    req.session = current.session;
     next();
   } else {
     res.status(401).json({ error: 'Unauthorized' });
   }
 }
 
+// The damaged store may not be able to vouch for sessions, so recovery also accepts the server PASSWORD
+function recoveryAuthMiddleware(req, res, next) {
+  let current = null;
+  try {
+    current = currentSession(req);
+  } catch (error) {
+    if (!(error instanceof StorageCorruptError)) throw error;
+  }
+  
+  if (current || (PASSWORD && req.body && req.body.password === PASSWORD)) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Unauthorized', passwordRequired: Boolean(PASSWORD) });
+  }
+}
+
+// The signed-in user, not whatever the client claims, is recorded as the editor
+function stampAuthor(records, user) {
+  return records.map(record => (record && typeof record === 'object' ? { ...record, updatedBy: user.name } : record));
+}
+
 // Auth routes
 app.post('/api/auth/login', (req, res) => {
-  const { password } = req.body;
-  if (password === PASSWORD) {
-    res.cookie('authToken', PASSWORD, {
-      httpOnly: true,
-      maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-      sameSite: 'strict'
-    });
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ error: 'Invalid password' });
+  const { name, password } = req.body;
+  const user = authenticate(liveStorage(), name, password);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid name or password' });
   }
+  
+  pruneSessions(storage);
+  const { token } = createSession(storage, user, { userAgent: req.get('User-Agent') || null });
+  
+  res.clearCookie('authToken');
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    maxAge: 365 * 24 * 60 * 60 * 1000, // the server-side session decides when it expires
+    sameSite: 'strict',
+    secure: req.secure
+  });
+  res.json({ success: true, user: publicUser(user) });
 });
 
 app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('authToken');
+  const current = currentSession(req);
+  if (current) {
+    revokeSessions(storage, [current.session]);
+  }
+  res.clearCookie(SESSION_COOKIE);
   res.json({ success: true });
 });
 
 app.get('/api/auth/check', (req, res) => {
-  const authToken = req.cookies.authToken;
-  res.json({ authenticated: authToken === PASSWORD });
+  const current = currentSession(req);
+  res.json({ authenticated: Boolean(current), user: current ? publicUser(current.user) : null });
 });
 
-// Transaction routes
-app.get('/api/transactions', authMiddleware, (req, res) => {
-  const transactions = readJSON(TRANSACTIONS_FILE);
-  res.json(transactions);
+app.get('/api/auth/sessions', authMiddleware, (req, res) => {
+  res.json(listSessions(storage).map(session => ({ ...session, current: session.id === req.session.id })));
 });
 
-app.post('/api/transactions/sync', authMiddleware, (req, res) => {
-  const clientTransactions = req.body.transactions || [];
-  let serverTransactions = readJSON(TRANSACTIONS_FILE);
+app.delete('/api/auth/sessions/:id', authMiddleware, (req, res) => {
+  const session = storage.sessions.get(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  revokeSessions(storage, [session]);
+  if (session.id === req.session.id) {
+    res.clearCookie(SESSION_COOKIE);
+  }
+  res.json({ success: true });
+});
+
+// Changing your password signs out your other devices
+app.post('/api/auth/password', authMiddleware, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!verifyPassword(currentPassword, req.user.passwordHash)) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
   
-  // Merge using last-write-wins
-  const merged = mergeRecords(serverTransactions, clientTransactions);
-  writeJSON(TRANSACTIONS_FILE, merged);
+  const others = storage.sessions.findBy('userId', req.user.id).filter(session => session.id !== req.session.id);
+  storage.transaction(() => {
+    storage.users.put({ ...req.user, passwordHash: hashPassword(newPassword), updatedAt: new Date().toISOString() });
+    revokeSessions(storage, others);
+  });
   
-  res.json(merged);
+  res.json({ success: true, revokedSessions: others.filter(session => !session.revokedAt).length });
 });
 
-app.post('/api/transactions', authMiddleware, (req, res) => {
-  const transactions = readJSON(TRANSACTIONS_FILE);
-  const newTransaction = req.body;
+// Recovery routes, still reachable while the data routes below refuse to serve
+app.get('/api/recovery', recoveryAuthMiddleware, (req, res) => {
+  res.json(recoveryStatus());
+});
+
+app.post('/api/recovery/restore', recoveryAuthMiddleware, (req, res) => {
+  if (!storageError) {
+    return res.status(409).json({ error: 'Data is not damaged; nothing to recover' });
+  }
   
-  // Check if transaction with this ID already exists
-  const existingIndex = transactions.findIndex(t => t.id === newTransaction.id);
-  if (existingIndex >= 0) {
-    // Update if client version is newer
-    if (new Date(newTransaction.updatedAt) > new Date(transactions[existingIndex].updatedAt)) {
-      transactions[existingIndex] = newTransaction;
-    }
-  } else {
-    transactions.push(newTransaction);
+  const backup = findNewestBackup(BACKUP_DIR);
+  if (!backup) {
+    return res.status(404).json({ error: 'No usable backup found' });
   }
   
-  writeJSON(TRANSACTIONS_FILE, transactions);
-  res.json(newTransaction);
+  try {
+    const quarantined = recoverFromBackup(backup);
+    console.log(`Recovered data from ${backup.name}; damaged files kept as ${quarantined.join(', ')}`);
+    res.json({ success: true, restoredFrom: backup.name, backedUpAt: backup.backedUpAt, quarantined });
+  } catch (error) {
+    console.error('Recovery error:', error);
+    res.status(500).json({ error: 'Failed to recover data: ' + error.message });
+  }
+});
+
+function sendStorageCorrupt(res) {
+  res.status(503).json({ error: 'Server data is damaged and needs recovery', storageCorrupt: true, recovery: recoveryStatus() });
+}
+
+// Refuse to serve damaged data, and say how to recover it
+app.use('/api', (req, res, next) => {
+  if (!storageError) return next();
+  sendStorageCorrupt(res);
+});
+
+// Transaction routes. Amounts, currencies and refund links are checked before they are
+// stored, so a refund always comes out of a purchase that exists and was at least that much,
+// and a statement line that was imported once can't be imported again. `recorded` are the
+// transactions an import counts against when they differ from `transactions`.
+function transactionError(transaction, transactions, previous, recorded = transactions) {
+  return validateTransaction(transaction, transactions, previous) ||
+    (transaction.deletedAt ? null : validateForeignAmount(transaction)) ||
+    validateImport(transaction, recorded);
+}
+
+// Records by id, grouped by `key` (records it gives no key are left out of the groups), so a
+// validator can look up the few records one transaction is checked against
+function recordIndex(records, key) {
+  const byId = new Map();
+  const groups = new Map();
+  const index = {
+    get: id => byId.get(id),
+    group: value => (groups.has(value) ? [...groups.get(value).values()] : []),
+    set(record) {
+      const old = byId.get(record.id);
+      if (old && key(old) != null) groups.get(key(old)).delete(record.id);
+      byId.set(record.id, record);
+      const value = key(record);
+      if (value == null) return;
+      if (!groups.has(value)) groups.set(value, new Map());
+      groups.get(value).set(record.id, record);
+    }
+  };
+  records.forEach(record => index.set(record));
+  return index;
+}
+
+// A purchase and its refund can arrive in the same sync, so `pushed` purchases count
+// straight away; pushed refunds count towards a purchase once they have passed. Statement
+// lines count as imported once they have passed too, so the first of two copies is kept.
+// New transactions for a recurring date that already has one (from app versions that added
+// their own) are turned away; ones already stored can still be edited. The stored
+// transactions are loaded and indexed once, so each pushed record is only checked against
+// its purchase, that purchase's refunds and the transactions sharing its import or date.
+function transactionValidator(pushed = []) {
+  const stored = storage.transactions.all();
+  const previousById = new Map(stored.map(tx => [tx.id, tx]));
+  const known = recordIndex(stored, tx => (isRefund(tx) ? tx.refundOf : null));
+  const imports = recordIndex(stored, tx => tx.importId);
+  const occurrences = recordIndex(stored, tx => (tx.recurringId ? JSON.stringify([tx.recurringId, tx.date]) : null));
+  pushed.filter(tx => tx && tx.id && !isRefund(tx)).forEach(tx => {
+    known.set({ ...known.get(tx.id), ...tx });
+  });
+
+  return transaction => {
+    const previous = previousById.get(transaction.id) || null;
+    const record = { ...previous, ...transaction };
+    const purchase = [known.get(record.refundOf), ...known.group(record.refundOf)].filter(Boolean);
+    const occurrence = record.recurringId ? occurrences.group(JSON.stringify([record.recurringId, record.date])) : [];
+    const error = transactionError(record, purchase, previous, imports.group(record.importId)) ||
+      (previous ? null : validateOccurrence(record, occurrence));
+    if (!error) [known, imports, occurrences].forEach(index => index.set(record));
+    return error;
+  };
+}
+
+app.get('/api/transactions', authMiddleware, (req, res) => {
+  res.json(storage.transactions.all());
+});
+
+app.post('/api/transactions/sync', authMiddleware, (req, res) => {
+  addDueRecurringDaily();
+  const clientTransactions = withMemberIds(stampAuthor(pushedInMinorUnits(req.body, 'transactions'), req.user), storage.members.all());
+  const since = parseCursor(req.body.since, req.body.epoch);
+  
+  // Field-level merge, then send back only what changed since the client's cursor
+  res.json(syncValidated('transactions', clientTransactions, since, transactionValidator(clientTransactions)));
+});
+
+app.post('/api/transactions', authMiddleware, (req, res) => {
+  const [record] = withMemberIds([{ ...req.body, updatedBy: req.user.name }], storage.members.all());
+  const error = transactionValidator([record])(record);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(upsertRecord(storage.transactions, record));
 });
 
 app.put('/api/transactions/:id', authMiddleware, (req, res) => {
-  const transactions = readJSON(TRANSACTIONS_FILE);
-  const index = transactions.findIndex(t => t.id === req.params.id);
+  if (!storage.transactions.get(req.params.id)) {
+    return res.status(404).json({ error: 'Transaction not found' });
+  }
   
-  if (index >= 0) {
-    const updated = { ...transactions[index], ...req.body };
-    transactions[index] = updated;
-    writeJSON(TRANSACTIONS_FILE, transactions);
-    res.json(updated);
-  } else {
-    res.status(404).json({ error: 'Transaction not found' });
+  const [changes] = withMemberIds([{ ...req.body, id: req.params.id, updatedBy: req.user.name }], storage.members.all());
+  const error = transactionValidator([changes])(changes);
+  if (error) {
+    return res.status(400).json({ error });
   }
+  res.json(updateRecord(storage.transactions, req.params.id, changes));
 });
 
 app.delete('/api/transactions/:id', authMiddleware, (req, res) => {
-  const transactions = readJSON(TRANSACTIONS_FILE);
-  const index = transactions.findIndex(t => t.id === req.params.id);
+  const deleted = deleteRecord(storage.transactions, req.params.id, req.user);
   
-  if (index >= 0) {
-    // Soft delete
-    transactions[index].deletedAt = new Date().toISOString();
-    transactions[index].updatedAt = new Date().toISOString();
-    writeJSON(TRANSACTIONS_FILE, transactions);
-    res.json(transactions[index]);
+  if (deleted) {
+    res.json(deleted);
   } else {
     res.status(404).json({ error: 'Transaction not found' });
   }
 });
 
-// Category routes
+// Drafts of bills whose amount varies (public/js/recurring.js) aren't spending until a
+// member confirms them, so balances, envelopes and exports leave them out
+function confirmedTransactions(transactions) {
+  return transactions.filter(tx => !tx.draft);
+}
+
+// Who owes whom, from every shared transaction and repayment
+app.get('/api/balance', authMiddleware, (req, res) => {
+  const members = storage.members.all();
+  const payerOf = tx => (memberFor(members, tx) || {}).id;
+  const balances = computeBalances(confirmedTransactions(storage.transactions.all()), payerOf, storage.settlements.all());
+  res.json({ balances, settleUp: settleUp(balances) });
+});
+
+// Settlement routes. Repayments are checked against the members before they are stored,
+// since a bad one would quietly skew everyone's balance.
+function settlementError(settlement) {
+  const existing = settlement.id ? storage.settlements.get(settlement.id) : null;
+  return validateSettlement({ ...existing, ...settlement }, storage.members.all());
+}
+
+app.get('/api/settlements', authMiddleware, (req, res) => {
+  res.json(storage.settlements.all());
+});
+
+app.post('/api/settlements/sync', authMiddleware, (req, res) => {
+  const pushed = stampAuthor(pushedInMinorUnits(req.body, 'settlements'), req.user);
+  const since = parseCursor(req.body.since, req.body.epoch);
+
+  res.json(syncValidated('settlements', pushed, since, settlementError));
+});
+
+app.post('/api/settlements', authMiddleware, (req, res) => {
+  const error = settlementError(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(upsertRecord(storage.settlements, { ...req.body, updatedBy: req.user.name }));
+});
+
+// Undo: the repayment is soft deleted and stops counting towards the balance
+app.delete('/api/settlements/:id', authMiddleware, (req, res) => {
+  const deleted = deleteRecord(storage.settlements, req.params.id, req.user);
+
+  if (deleted) {
+    res.json(deleted);
+  } else {
+    res.status(404).json({ error: 'Settlement not found' });
+  }
+});
+
+// Category routes. A synced edit may carry only some fields, so its budget is checked
+// against what is stored.
+function categoryError(category) {
+  const existing = category.id ? storage.categories.get(category.id) : null;
+  const merged = { ...existing, ...category };
+  return validateBudget(merged.budget, merged.budgetPeriod);
+}
+
 app.get('/api/categories', authMiddleware, (req, res) => {
-  const categories = readJSON(CATEGORIES_FILE);
-  res.json(categories);
+  res.json(storage.categories.all());
 });
 
 app.post('/api/categories/sync', authMiddleware, (req, res) => {
-  const clientCategories = req.body.categories || [];
-  let serverCategories = readJSON(CATEGORIES_FILE);
-  
-  const merged = mergeRecords(serverCategories, clientCategories);
-  writeJSON(CATEGORIES_FILE, merged);
+  const clientCategories = stampAuthor(pushedInMinorUnits(req.body, 'categories'), req.user);
+  const since = parseCursor(req.body.since, req.body.epoch);
   
-  res.json(merged);
+  res.json(syncValidated('categories', clientCategories, since, categoryError));
 });
 
 app.post('/api/categories', authMiddleware, (req, res) => {
-  const categories = readJSON(CATEGORIES_FILE);
-  const newCategory = req.body;
-  
-  const existingIndex = categories.findIndex(c => c.id === newCategory.id);
-  if (existingIndex >= 0) {
-    if (new Date(newCategory.updatedAt) > new Date(categories[existingIndex].updatedAt)) {
-      categories[existingIndex] = newCategory;
-    }
-  } else {
-    categories.push(newCategory);
+  const error = validateBudget(req.body.budget, req.body.budgetPeriod);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  
-  writeJSON(CATEGORIES_FILE, categories);
-  res.json(newCategory);
+  res.json(upsertRecord(storage.categories, { ...req.body, updatedBy: req.user.name }));
 });
 
 app.put('/api/categories/:id', authMiddleware, (req, res) => {
-  const categories = readJSON(CATEGORIES_FILE);
-  const index = categories.findIndex(c => c.id === req.params.id);
+  const error = validateBudget(req.body.budget, req.body.budgetPeriod);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const updated = updateRecord(storage.categories, req.params.id, { ...req.body, updatedBy: req.user.name });
   
-  if (index >= 0) {
-    const updated = { ...categories[index], ...req.body };
-    categories[index] = updated;
-    writeJSON(CATEGORIES_FILE, categories);
+  if (updated) {
     res.json(updated);
   } else {
     res.status(404).json({ error: 'Category not found' });
@@ -215,72 +650,312 @@ app.put('/api/categories/:id', authMiddleware, (req, res) => {
 });
 
 app.delete('/api/categories/:id', authMiddleware, (req, res) => {
-  const categories = readJSON(CATEGORIES_FILE);
-  const index = categories.findIndex(c => c.id === req.params.id);
+  const deleted = deleteRecord(storage.categories, req.params.id, req.user);
   
-  if (index >= 0) {
-    categories[index].deletedAt = new Date().toISOString();
-    categories[index].updatedAt = new Date().toISOString();
-    writeJSON(CATEGORIES_FILE, categories);
-    res.json(categories[index]);
+  if (deleted) {
+    res.json(deleted);
   } else {
     res.status(404).json({ error: 'Category not found' });
   }
 });
 
+// Envelope routes. Moves between envelopes are an audit trail, so once stored they can't be
+// edited or deleted: a mistake is put right by moving the money back.
+function envelopeMoveError(move) {
+  const existing = storage.envelopeMoves.get(move.id);
+  if (existing) {
+    return getChangedFields(existing, { ...existing, ...move }).length > 0 ? 'Envelope moves cannot be changed' : null;
+  }
+  return validateEnvelopeMove(move, storage.categories.all());
+}
+
+// Every envelope's balance, replayed from history, for the month containing `date` (default today)
+app.get('/api/envelopes', authMiddleware, (req, res) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : householdToday();
+  const envelopes = envelopeBalances(storage.categories.all(), confirmedTransactions(storage.transactions.all()), storage.envelopeMoves.all(), date)
+    .map(({ category, ...envelope }) => ({ categoryId: category.id, name: category.name, ...envelope }));
+  res.json({ date, envelopes });
+});
+
+app.get('/api/envelope-moves', authMiddleware, (req, res) => {
+  res.json(storage.envelopeMoves.all());
+});
+
+app.post('/api/envelope-moves/sync', authMiddleware, (req, res) => {
+  const pushed = stampAuthor(pushedInMinorUnits(req.body, 'envelopeMoves'), req.user);
+  const since = parseCursor(req.body.since, req.body.epoch);
+
+  res.json(syncValidated('envelopeMoves', pushed, since, envelopeMoveError));
+});
+
+app.post('/api/envelope-moves', authMiddleware, (req, res) => {
+  const error = envelopeMoveError(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(upsertRecord(storage.envelopeMoves, { ...req.body, updatedBy: req.user.name }));
+});
+
+// Exchange rate routes. The household keeps its own rate table, so there is nothing to fetch.
+function rateError(rate) {
+  const existing = rate.id ? storage.rates.get(rate.id) : null;
+  return validateRate({ ...existing, ...rate });
+}
+
+app.get('/api/rates', authMiddleware, (req, res) => {
+  res.json(storage.rates.all());
+});
+
+app.post('/api/rates/sync', authMiddleware, (req, res) => {
+  const pushed = stampAuthor(req.body.rates || [], req.user);
+  const since = parseCursor(req.body.since, req.body.epoch);
+
+  res.json(syncValidated('rates', pushed, since, rateError));
+});
+
+app.post('/api/rates', authMiddleware, (req, res) => {
+  const error = rateError(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(upsertRecord(storage.rates, { ...req.body, updatedBy: req.user.name }));
+});
+
+// Bank profile routes: how to read each bank's statement CSV. Statements are read and
+// checked for duplicates in the app, and the rows picked are added as new transactions.
+function bankProfileError(profile) {
+  if (profile.deletedAt) return null;
+  const existing = profile.id ? storage.bankProfiles.get(profile.id) : null;
+  return validateBankProfile({ ...existing, ...profile });
+}
+
+app.get('/api/bank-profiles', authMiddleware, (req, res) => {
+  res.json(storage.bankProfiles.all());
+});
+
+app.post('/api/bank-profiles/sync', authMiddleware, (req, res) => {
+  const pushed = stampAuthor(req.body.bankProfiles || [], req.user);
+  const since = parseCursor(req.body.since, req.body.epoch);
+
+  res.json(syncValidated('bankProfiles', pushed, since, bankProfileError));
+});
+
+app.post('/api/bank-profiles', authMiddleware, (req, res) => {
+  const error = bankProfileError(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(upsertRecord(storage.bankProfiles, { ...req.body, updatedBy: req.user.name }));
+});
+
+// OFX/QFX and QIF statements are read here rather than in the app; the rows come back for
+// the same preview and import as a CSV statement
+app.post('/api/import/statement', authMiddleware, express.json({ limit: '10mb' }), (req, res) => {
+  const text = req.body && req.body.text;
+  const statement = typeof text === 'string' ? parseBankFile(text, minorPerMajor(storage.getSettings().baseCurrency || DEFAULT_CURRENCY)) : null;
+  if (!statement) {
+    return res.status(400).json({ error: 'Not an OFX, QFX or QIF file' });
+  }
+  res.json(statement);
+});
+
+// Household member routes. Members double as accounts, so every change is mirrored into users.
+// `pending` are members being stored alongside this one, which it can't share a name with either.
+function validateMember(member, id, pending = []) {
+  if (typeof member.name !== 'string' || !member.name.trim()) {
+    return 'Member name is required';
+  }
+  const pendingIds = new Set(pending.map(m => m.id));
+  const existing = findMemberByName([...storage.members.all().filter(m => !pendingIds.has(m.id)), ...pending], member.name);
+  if (existing && existing.id !== id) {
+    return `There is already a member called ${existing.name}`;
+  }
+  return null;
+}
+
+app.get('/api/members', authMiddleware, (req, res) => {
+  res.json(storage.members.all());
+});
+
+// Pushed members get the same checks as the routes below: unique names, and nobody removes
+// themselves
+function memberValidator(user) {
+  const accepted = [];
+  return member => {
+    if (member.deletedAt) {
+      return member.id === user.memberId ? 'You cannot remove yourself from the household' : null;
+    }
+    const error = validateMember(member, member.id, accepted);
+    if (!error) accepted.push(member);
+    return error;
+  };
+}
+
+app.post('/api/members/sync', authMiddleware, (req, res) => {
+  const clientMembers = stampAuthor(req.body.members || [], req.user);
+  const since = parseCursor(req.body.since, req.body.epoch);
+
+  const result = syncValidated('members', clientMembers, since, memberValidator(req.user));
+  syncAccounts(storage, null);
+  res.json(result);
+});
+
+app.post('/api/members', authMiddleware, (req, res) => {
+  const error = validateMember(req.body, req.body.id);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const member = upsertRecord(storage.members, { ...req.body, name: req.body.name.trim(), updatedBy: req.user.name });
+  syncAccounts(storage, null);
+  res.json(member);
+});
+
+app.put('/api/members/:id', authMiddleware, (req, res) => {
+  const error = req.body.name === undefined ? null : validateMember(req.body, req.params.id);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const updated = updateRecord(storage.members, req.params.id, { ...req.body, updatedBy: req.user.name });
+
+  if (updated) {
+    syncAccounts(storage, null);
+    res.json(updated);
+  } else {
+    res.status(404).json({ error: 'Member not found' });
+  }
+});
+
+// Members added after the first run have an account without a password (see syncAccounts).
+// Someone already in the household sets their first one; after that only they can change it.
+app.post('/api/members/:id/password', authMiddleware, (req, res) => {
+  const { password } = req.body;
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  const user = storage.users.active().find(candidate => candidate.memberId === req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
+  if (user.passwordHash) {
+    return res.status(409).json({ error: `${user.name} already has a password` });
+  }
+  
+  storage.users.put({ ...user, passwordHash: hashPassword(password), updatedAt: new Date().toISOString() });
+  res.json({ success: true });
+});
+
+// Removing a member also closes their account, so you can't remove yourself
+app.delete('/api/members/:id', authMiddleware, (req, res) => {
+  if (req.params.id === req.user.memberId) {
+    return res.status(409).json({ error: 'You cannot remove yourself from the household' });
+  }
+
+  const deleted = deleteRecord(storage.members, req.params.id, req.user);
+
+  if (deleted) {
+    syncAccounts(storage, null);
+    res.json(deleted);
+  } else {
+    res.status(404).json({ error: 'Member not found' });
+  }
+});
+
 // Settings routes
 app.get('/api/settings', authMiddleware, (req, res) => {
-  const settings = readJSON(SETTINGS_FILE);
-  res.json(settings);
+  res.json(storage.getSettings());
 });
 
+// Transactions keep their amounts in the base currency, so it is chosen before there are any
+function baseCurrencyError(currency) {
+  if (currency === undefined) return null;
+  if (!isCurrencyCode(currency)) return 'Currency must be a three-letter code like EUR';
+  const current = storage.getSettings().baseCurrency || DEFAULT_CURRENCY;
+  if (currency !== current && storage.transactions.active().length > 0) {
+    return 'The base currency can\'t change once there are transactions';
+  }
+  return null;
+}
+
 app.put('/api/settings', authMiddleware, (req, res) => {
-  const settings = { ...readJSON(SETTINGS_FILE), ...req.body };
-  writeJSON(SETTINGS_FILE, settings);
+  // Older app versions send the household budget in whole dollars
+  const { amountUnits, ...body } = req.body;
+  const changes = amountUnits === AMOUNT_UNITS ? body : settingsToMinorUnits(body);
+  const error = validateBudget(changes.householdBudget, changes.householdBudgetPeriod) ||
+    validateAlertThreshold(changes.budgetAlertThreshold) ||
+    baseCurrencyError(changes.baseCurrency);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const settings = { ...storage.getSettings(), ...changes };
+  storage.saveSettings(settings);
   res.json(settings);
 });
 
-// Recurring transactions routes
+// Recurring transactions routes. Schedules are checked (public/js/recurring.js) so every
+// device can work out the same dates from them.
+function recurringError(recurring) {
+  const existing = recurring.id ? storage.recurring.get(recurring.id) : null;
+  return validateRecurring({ ...existing, ...recurring });
+}
+
+// The server adds what recurring entries have due (lib/recurring.js): on startup and hourly,
+// and as soon as an entry changes. Devices only show them. A transaction sync only adds
+// them when the day has turned since they were last added: syncs are frequent, and nothing
+// new falls due until the date changes.
+function addDueRecurring() {
+  if (storageError) return [];
+  const today = householdToday();
+  const plan = planRecurring(storage, today);
+  storage.transaction(() => {
+    putRestamped(storage.transactions, plan.transactions);
+    putRestamped(storage.recurring, plan.recurring);
+  });
+  recurringAddedOn = today;
+  return plan.transactions.map(({ record }) => record);
+}
+
+function addDueRecurringDaily() {
+  if (recurringAddedOn !== householdToday()) addDueRecurring();
+}
+
 app.get('/api/recurring', authMiddleware, (req, res) => {
-  const recurring = readJSON(RECURRING_FILE);
-  res.json(recurring);
+  res.json(storage.recurring.all());
 });
 
 app.post('/api/recurring/sync', authMiddleware, (req, res) => {
-  const clientRecurring = req.body.recurring || [];
-  let serverRecurring = readJSON(RECURRING_FILE);
-  
-  const merged = mergeRecords(serverRecurring, clientRecurring);
-  writeJSON(RECURRING_FILE, merged);
+  const clientRecurring = withMemberIds(stampAuthor(pushedInMinorUnits(req.body, 'recurring'), req.user), storage.members.all());
+  const since = parseCursor(req.body.since, req.body.epoch);
   
-  res.json(merged);
+  const result = syncValidated('recurring', clientRecurring, since, recurringError);
+  addDueRecurring();
+  res.json(result);
 });
 
 app.post('/api/recurring', authMiddleware, (req, res) => {
-  const recurring = readJSON(RECURRING_FILE);
-  const newRecurring = req.body;
-  
-  const existingIndex = recurring.findIndex(r => r.id === newRecurring.id);
-  if (existingIndex >= 0) {
-    if (new Date(newRecurring.updatedAt) > new Date(recurring[existingIndex].updatedAt)) {
-      recurring[existingIndex] = newRecurring;
-    }
-  } else {
-    recurring.push(newRecurring);
+  const error = recurringError(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  
-  writeJSON(RECURRING_FILE, recurring);
-  res.json(newRecurring);
+  const [record] = withMemberIds([{ ...req.body, updatedBy: req.user.name }], storage.members.all());
+  const saved = upsertRecord(storage.recurring, record);
+  addDueRecurring();
+  res.json(saved);
 });
 
 app.put('/api/recurring/:id', authMiddleware, (req, res) => {
-  const recurring = readJSON(RECURRING_FILE);
-  const index = recurring.findIndex(r => r.id === req.params.id);
+  const error = recurringError({ ...req.body, id: req.params.id });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const [changes] = withMemberIds([{ ...req.body, updatedBy: req.user.name }], storage.members.all());
+  const updated = updateRecord(storage.recurring, req.params.id, changes);
   
-  if (index >= 0) {
-    const updated = { ...recurring[index], ...req.body };
-    recurring[index] = updated;
-    writeJSON(RECURRING_FILE, recurring);
+  if (updated) {
+    addDueRecurring();
     res.json(updated);
   } else {
     res.status(404).json({ error: 'Recurring transaction not found' });
@@ -288,179 +963,274 @@ app.put('/api/recurring/:id', authMiddleware, (req, res) => {
 });
 
 app.delete('/api/recurring/:id', authMiddleware, (req, res) => {
-  const recurring = readJSON(RECURRING_FILE);
-  const index = recurring.findIndex(r => r.id === req.params.id);
+  const deleted = deleteRecord(storage.recurring, req.params.id, req.user);
   
-  if (index >= 0) {
-    recurring[index].deletedAt = new Date().toISOString();
-    recurring[index].updatedAt = new Date().toISOString();
-    writeJSON(RECURRING_FILE, recurring);
-    res.json(recurring[index]);
+  if (deleted) {
+    res.json(deleted);
   } else {
     res.status(404).json({ error: 'Recurring transaction not found' });
   }
 });
 
-// Backup directory setup
-const BACKUP_DIR = path.join(DATA_DIR, 'backups');
-if (!fs.existsSync(BACKUP_DIR)) {
-  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+// Conflict review routes
+app.get('/api/conflicts', authMiddleware, (req, res) => {
+  res.json(storage.conflicts.all().filter(c => !c.resolvedAt));
+});
+
+app.post('/api/conflicts/:id/resolve', authMiddleware, (req, res) => {
+  const { choice } = req.body;
+  const resolvedBy = req.user.name;
+  if (choice !== 'kept' && choice !== 'overwritten') {
+    return res.status(400).json({ error: 'choice must be "kept" or "overwritten"' });
+  }
+  
+  const conflict = storage.conflicts.get(req.params.id);
+  if (!conflict) {
+    return res.status(404).json({ error: 'Conflict not found' });
+  }
+  if (conflict.resolvedAt) {
+    return res.status(409).json({ error: 'Conflict already resolved' });
+  }
+  
+  const now = new Date().toISOString();
+  
+  storage.transaction(() => {
+    // Restoring the overwritten value is a fresh edit of that field, so it syncs out like any other change
+    if (choice === 'overwritten') {
+      const repository = storage.collection(conflict.collection);
+      const previous = repository.get(conflict.recordId);
+      
+      if (previous) {
+        const updated = {
+          ...previous,
+          [conflict.field]: conflict.overwritten.value,
+          fieldUpdatedAt: { ...(previous.fieldUpdatedAt || {}), [conflict.field]: now },
+          updatedAt: now,
+          updatedBy: resolvedBy,
+          rev: repository.nextRevision()
+        };
+        updated.fieldRevs = stampFieldRevisions(previous, updated, updated.rev);
+        repository.put(updated);
+      }
+    }
+    
+    conflict.resolution = choice;
+    conflict.resolvedAt = now;
+    conflict.resolvedBy = resolvedBy;
+    storage.conflicts.put(conflict);
+  });
+  
+  res.json(conflict);
+});
+
+// Backup routes
+function findBackup(req, res) {
+  let data;
+  try {
+    data = readBackup(BACKUP_DIR, req.params.name);
+  } catch (error) {
+    res.status(422).json({ error: error.message });
+    return null;
+  }
+  if (!data) {
+    res.status(404).json({ error: 'Backup not found' });
+  }
+  return data;
 }
 
-// Helper function to create backup
-function createBackup() {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupData = {
-    transactions: readJSON(TRANSACTIONS_FILE),
-    categories: readJSON(CATEGORIES_FILE),
-    settings: readJSON(SETTINGS_FILE),
-    recurring: readJSON(RECURRING_FILE),
-    backedUpAt: new Date().toISOString()
-  };
+app.get('/api/backups', authMiddleware, (req, res) => {
+  res.json({ backups: listBackups(BACKUP_DIR), retention: BACKUP_RETENTION });
+});
+
+app.post('/api/backups', authMiddleware, (req, res) => {
+  const name = createBackup(storage, BACKUP_DIR, 'manual');
+  res.json(listBackups(BACKUP_DIR).find(backup => backup.name === name));
+});
+
+app.get('/api/backups/:name', authMiddleware, (req, res) => {
+  if (!findBackup(req, res)) return;
+  res.download(path.join(BACKUP_DIR, req.params.name));
+});
+
+app.get('/api/backups/:name/diff', authMiddleware, (req, res) => {
+  const data = findBackup(req, res);
+  if (!data) return;
+  res.json(diffBackup(storage, data));
+});
+
+app.post('/api/backups/:name/restore', authMiddleware, (req, res) => {
+  const data = findBackup(req, res);
+  if (!data) return;
   
-  const backupFile = path.join(BACKUP_DIR, `backup-${timestamp}.json`);
-  writeJSON(backupFile, backupData);
-  return backupFile;
+  const diff = diffBackup(storage, data);
+  const safetyBackup = createBackup(storage, BACKUP_DIR, 'pre-restore');
+  storage.transaction(() => {
+    restoreBackup(storage, data);
+    linkRecordsToMembers(storage);
+    syncAccounts(storage, null);
+  });
+  
+  console.log(`Restored ${req.params.name} (previous data saved as ${safetyBackup})`);
+  res.json({ success: true, restored: req.params.name, safetyBackup, diff });
+});
+
+function runScheduledBackup() {
+  if (storageError) return;
+  const name = createBackup(storage, BACKUP_DIR, 'scheduled');
+  const pruned = pruneBackups(BACKUP_DIR, BACKUP_RETENTION);
+  console.log(`Backup ${name} written${pruned.length ? `; pruned ${pruned.length} old backup(s)` : ''}`);
 }
 
 // Export routes
 app.get('/api/export/json', authMiddleware, (req, res) => {
-  const data = {
-    transactions: readJSON(TRANSACTIONS_FILE),
-    categories: readJSON(CATEGORIES_FILE),
-    settings: readJSON(SETTINGS_FILE),
-    recurring: readJSON(RECURRING_FILE),
-    exportedAt: new Date().toISOString()
-  };
+  const data = { ...exportData(storage), exportedAt: new Date().toISOString() };
   
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Content-Disposition', `attachment; filename=spending-backup-${new Date().toISOString().split('T')[0]}.json`);
   res.json(data);
 });
 
+// Transaction exports take the transactions view's filters (person, category, from, to,
+// search) and optional `columns` (split, currency, recurring) as query parameters
+function exportedTransactions(req, res) {
+  const { columns, error } = parseExportColumns(req.query.columns);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  const members = storage.members.all();
+  const transactions = filterTransactions(confirmedTransactions(storage.transactions.active()), req.query, tx => memberFor(members, tx));
+  return { transactions, members, columns, baseCurrency: storage.getSettings().baseCurrency || DEFAULT_CURRENCY };
+}
+
+function sendExport(res, type, extension, body) {
+  res.setHeader('Content-Type', type);
+  res.setHeader('Content-Disposition', `attachment; filename=spending-${new Date().toISOString().split('T')[0]}.${extension}`);
+  res.send(body);
+}
+
 app.get('/api/export/csv', authMiddleware, (req, res) => {
-  const transactions = readJSON(TRANSACTIONS_FILE).filter(t => !t.deletedAt);
-  
-  const headers = ['Date', 'Person', 'Category', 'Vendor', 'Amount', 'Memo'];
-  const rows = transactions.map(t => [
-    t.date,
-    t.person,
-    t.category,
-    `"${(t.vendor || '').replace(/"/g, '""')}"`,
-    t.amount,
-    `"${(t.memo || '').replace(/"/g, '""')}"`
-  ]);
-  
-  const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-  
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename=spending-${new Date().toISOString().split('T')[0]}.csv`);
-  res.send(csv);
+  const exported = exportedTransactions(req, res);
+  if (exported) sendExport(res, 'text/csv', 'csv', toCsv(exportRows(exported.transactions, exported)));
 });
 
-// Import/Restore route
-app.post('/api/import/json', authMiddleware, express.json({ limit: '50mb' }), (req, res) => {
+app.get('/api/export/xlsx', authMiddleware, (req, res) => {
+  const exported = exportedTransactions(req, res);
+  if (exported) sendExport(res, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'xlsx', toXlsx(exported.transactions, exported));
+});
+
+app.get('/api/export/ofx', authMiddleware, (req, res) => {
+  const exported = exportedTransactions(req, res);
+  if (exported) sendExport(res, 'application/x-ofx', 'ofx', toOfx(exported.transactions, exported));
+});
+
+// Import/Restore routes. An export is checked against the schema, upgraded to the current
+// one, then checked record by record: refunds are negative and link to a purchase in the same
+// export (links it already had are kept even if the purchase was deleted), and recurring
+// schedules, rates and bank profiles must be usable. Every problem is reported, not just the first.
+function importRecordErrors(data) {
+  const errors = [];
+  const check = (collection, validate) => (data[collection] || []).forEach((record, index) => {
+    const error = validate(record);
+    if (error) errors.push({ collection, index, id: record.id, error });
+  });
+  check('transactions', tx => transactionError(tx, data.transactions, tx));
+  check('recurring', validateRecurring);
+  check('rates', validateRate);
+  check('bankProfiles', profile => (profile.deletedAt ? null : validateBankProfile(profile)));
+  return errors;
+}
+
+function readImportData(req, res) {
+  const errors = validateExport(req.body);
+  const importData = errors.length === 0 ? upgradeExport(req.body) : null;
+  if (importData) errors.push(...importRecordErrors(importData));
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    res.status(400).json({ error: `${describeExportError(errors[0])}${more}`, errors });
+    return null;
+  }
+  return importData;
+}
+
+// What importing would add, update, leave unchanged or delete under each mode
+app.post('/api/import/json/preview', authMiddleware, express.json({ limit: '50mb' }), (req, res) => {
+  const importData = readImportData(req, res);
+  if (!importData) return;
+  res.json(previewImport(storage, importData));
+});
+
+// `?mode=` is replace (the default), merge or append; see lib/imports.js
+app.post('/api/import/json', authMiddleware, express.json({ limit: '50mb' }), (req, res, next) => {
   try {
-    const importData = req.body;
-    
-    // Validate import data structure
-    if (!importData || typeof importData !== 'object') {
-      return res.status(400).json({ error: 'Invalid import data format' });
-    }
-    
-    const { transactions, categories, settings, recurring } = importData;
-    
-    // Validate required fields
-    if (!Array.isArray(transactions) || !Array.isArray(categories) || !Array.isArray(recurring)) {
-      return res.status(400).json({ error: 'Missing required data arrays (transactions, categories, recurring)' });
-    }
-    
-    if (!settings || typeof settings !== 'object') {
-      return res.status(400).json({ error: 'Missing or invalid settings object' });
-    }
-    
-    // Validate transaction structure
-    for (const tx of transactions) {
-      if (!tx.id || !tx.date || !tx.person || !tx.category || tx.amount === undefined) {
-        return res.status(400).json({ error: 'Invalid transaction structure: missing required fields' });
-      }
-    }
-    
-    // Validate category structure
-    for (const cat of categories) {
-      if (!cat.id || !cat.name) {
-        return res.status(400).json({ error: 'Invalid category structure: missing required fields' });
-      }
-    }
-    
-    // Validate recurring structure
-    for (const rec of recurring) {
-      if (!rec.id || !rec.person || !rec.category || !rec.vendor || rec.amount === undefined) {
-        return res.status(400).json({ error: 'Invalid recurring transaction structure: missing required fields' });
-      }
+    const mode = req.query.mode || 'replace';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Unknown import mode "${mode}"` });
     }
+    const importData = readImportData(req, res);
+    if (!importData) return;
     
     // Create backup of current data before import
-    createBackup();
+    createBackup(storage, BACKUP_DIR, 'pre-import');
     
-    // Write imported data to files
-    writeJSON(TRANSACTIONS_FILE, transactions);
-    writeJSON(CATEGORIES_FILE, categories);
-    writeJSON(SETTINGS_FILE, settings);
-    writeJSON(RECURRING_FILE, recurring);
+    const plan = planImport(storage, importData, mode);
+    storage.transaction(() => {
+      Object.entries(plan.collections).forEach(([collection, { writes }]) => {
+        putRestamped(storage[collection], writes);
+      });
+      storage.saveSettings(plan.settings);
+      linkRecordsToMembers(storage);
+      syncAccounts(storage, null);
+    });
+    // Imported entries get what they have due on the next sync
+    recurringAddedOn = null;
     
+    const counted = collection => (Array.isArray(importData[collection]) ? importData[collection].length : 0);
+    const changes = {};
+    Object.entries(plan.collections).forEach(([collection, { counts }]) => {
+      changes[collection] = counts;
+    });
     res.json({
       success: true,
       message: 'Data imported successfully',
+      mode,
       imported: {
-        transactions: transactions.length,
-        categories: categories.length,
-        recurring: recurring.length
-      }
+        transactions: counted('transactions'),
+        categories: counted('categories'),
+        recurring: counted('recurring'),
+        members: counted('members'),
+        settlements: counted('settlements'),
+        envelopeMoves: counted('envelopeMoves'),
+        rates: counted('rates'),
+        bankProfiles: counted('bankProfiles')
+      },
+      changes
     });
   } catch (error) {
+    if (error instanceof StorageCorruptError) return next(error);
     console.error('Import error:', error);
     res.status(500).json({ error: 'Failed to import data: ' + error.message });
   }
 });
 
-// Merge function for last-write-wins sync
-function mergeRecords(serverRecords, clientRecords) {
-  const merged = new Map();
-  
-  // Add all server records
-  for (const record of serverRecords) {
-    merged.set(record.id, record);
-  }
-  
-  // Merge client records using last-write-wins
-  for (const clientRecord of clientRecords) {
-    const serverRecord = merged.get(clientRecord.id);
-    
-    if (!serverRecord) {
-      // New record from client
-      merged.set(clientRecord.id, clientRecord);
-    } else {
-      // Compare updatedAt timestamps
-      const serverTime = new Date(serverRecord.updatedAt).getTime();
-      const clientTime = new Date(clientRecord.updatedAt).getTime();
-      
-      if (clientTime > serverTime) {
-        merged.set(clientRecord.id, clientRecord);
-      }
-    }
-  }
-  
-  return Array.from(merged.values());
-}
+// A data file found damaged mid-request switches the API into recovery mode
+app.use((error, req, res, next) => {
+  if (!(error instanceof StorageCorruptError)) return next(error);
+  reportCorruption(error);
+  sendStorageCorrupt(res);
+});
 
 // Serve index.html for all non-API routes (SPA support)
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Couples Spend App running on http://0.0.0.0:${PORT}`);
-});
+if (require.main === module) {
+  scheduleBackups({ backupDir: BACKUP_DIR, intervalMs: BACKUP_INTERVAL_MS, run: runScheduledBackup });
+  scheduleRecurring({ run: addDueRecurring });
+  app.listen(PORT, () => {
+    console.log(`Couples Spend App running on http://0.0.0.0:${PORT}`);
+  });
+}
 
-module.exports = { app, mergeRecords };
+module.exports = { app, mergeRecords, syncCollection };
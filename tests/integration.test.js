@@ -2,12 +2,22 @@ const { test, describe, before, after } = require('node:test');
 const assert = require('node:assert');
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { spawn } = require('child_process');
+const { createStorage } = require('../lib/storage');
+const { createBackup } = require('../lib/backups');
 
 // Test configuration
 const TEST_PORT = 3099;
 const TEST_PASSWORD = 'testpassword';
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-integration-'));
+
+// The server reads these when it is first required
+process.env.DATA_DIR = DATA_DIR;
+process.env.PASSWORD = TEST_PASSWORD;
+
+after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
 
 // Helper to make HTTP requests
 function makeRequest(options, body = null) {
@@ -741,4 +751,634 @@ describe('Integration Tests - Sync Behavior', () => {
   });
 });
 
+describe('Integration Tests - Accounts & Sessions', () => {
+  let server;
+
+  before(() => {
+    const { app } = require('../server.js');
+    return new Promise(resolve => {
+      server = app.listen(TEST_PORT, resolve);
+    });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  function request(method, urlPath, { cookie, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cookie) headers.Cookie = cookie;
+    return makeRequest({ hostname: 'localhost', port: TEST_PORT, path: urlPath, method, headers }, body);
+  }
+
+  async function login(name, password = TEST_PASSWORD) {
+    const res = await request('POST', '/api/auth/login', { body: { name, password } });
+    const setCookie = (res.headers['set-cookie'] || []).find(c => c.startsWith('session='));
+    return { res, cookie: setCookie ? setCookie.split(';')[0] : null };
+  }
+
+  test('should give each household member an account with the shared password', async () => {
+    const { res, cookie } = await login('samantha');
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.data.user.name, 'Samantha');
+    assert.ok(cookie);
+    assert.ok(!cookie.includes(TEST_PASSWORD), 'Cookie must not contain the password');
+  });
+
+  test('should reject unknown names, wrong passwords and the old password cookie', async () => {
+    assert.strictEqual((await login('Mallory')).res.status, 401);
+    assert.strictEqual((await login('James', 'wrong')).res.status, 401);
+
+    const res = await request('GET', '/api/transactions', { cookie: `authToken=${TEST_PASSWORD}` });
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('should record the signed-in user as the editor, whatever the client claims', async () => {
+    const { cookie } = await login('James');
+    await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: {
+        transactions: [{ id: 'tx-auth-1', date: '2024-01-15', person: 'Samantha', category: 'Gas', amount: 40, updatedAt: '2024-01-15T10:00:00.000Z', updatedBy: 'Samantha' }],
+        since: 0
+      }
+    });
+
+    const res = await request('GET', '/api/transactions', { cookie });
+    const tx = res.data.find(t => t.id === 'tx-auth-1');
+    assert.strictEqual(tx.updatedBy, 'James');
+    assert.strictEqual(tx.person, 'Samantha', 'Who spent the money is still up to the client');
+  });
+
+  test('should list sessions and stop accepting a revoked one', async () => {
+    const phone = await login('James');
+    const laptop = await login('James');
+
+    const sessions = (await request('GET', '/api/auth/sessions', { cookie: laptop.cookie })).data;
+    const current = sessions.filter(s => s.current);
+    assert.strictEqual(current.length, 1);
+    assert.ok(sessions.every(s => !('tokenHash' in s)), 'Token hashes stay on the server');
+
+    const phoneSession = (await request('GET', '/api/auth/sessions', { cookie: phone.cookie })).data.find(s => s.current);
+    const revoke = await request('DELETE', `/api/auth/sessions/${phoneSession.id}`, { cookie: laptop.cookie });
+    assert.strictEqual(revoke.status, 200);
+
+    assert.strictEqual((await request('GET', '/api/auth/check', { cookie: phone.cookie })).data.authenticated, false);
+    assert.strictEqual((await request('GET', '/api/auth/check', { cookie: laptop.cookie })).data.authenticated, true);
+  });
+
+  test('should sign out other devices when the password changes', async () => {
+    const other = await login('Samantha');
+    const { cookie } = await login('Samantha');
+
+    const tooShort = await request('POST', '/api/auth/password', { cookie, body: { currentPassword: TEST_PASSWORD, newPassword: 'short' } });
+    assert.strictEqual(tooShort.status, 400);
+    const wrong = await request('POST', '/api/auth/password', { cookie, body: { currentPassword: 'nope', newPassword: 'a-new-password' } });
+    assert.strictEqual(wrong.status, 403);
+
+    const res = await request('POST', '/api/auth/password', { cookie, body: { currentPassword: TEST_PASSWORD, newPassword: 'a-new-password' } });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.data.revokedSessions >= 1);
+
+    assert.strictEqual((await request('GET', '/api/auth/check', { cookie: other.cookie })).data.authenticated, false);
+    assert.strictEqual((await request('GET', '/api/auth/check', { cookie })).data.authenticated, true);
+    assert.strictEqual((await login('Samantha')).res.status, 401);
+    assert.strictEqual((await login('Samantha', 'a-new-password')).res.status, 200);
+  });
+
+  test('should give members added from another device an account they sign in to once given a password', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const sync = await request('POST', '/api/members/sync', {
+      cookie,
+      body: { members: [{ id: 'member-alex', name: 'Alex', color: '#10b981', initials: 'A', createdAt: now, updatedAt: now }], since: 0 }
+    });
+
+    assert.strictEqual(sync.status, 200);
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id), ['member-alex']);
+    assert.deepStrictEqual(sync.data.members.map(m => m.name).sort(), ['James', 'Samantha'], 'The pushed member is not echoed back');
+
+    assert.strictEqual((await login('alex')).res.status, 401, 'The shared password does not open new accounts');
+
+    const short = await request('POST', '/api/members/member-alex/password', { cookie, body: { password: 'short' } });
+    assert.strictEqual(short.status, 400);
+    const set = await request('POST', '/api/members/member-alex/password', { cookie, body: { password: 'alex-password' } });
+    assert.strictEqual(set.status, 200);
+    const again = await request('POST', '/api/members/member-alex/password', { cookie, body: { password: 'other-password' } });
+    assert.strictEqual(again.status, 409, 'Only the member can change a password once set');
+
+    const alex = await login('alex', 'alex-password');
+    assert.strictEqual(alex.res.status, 200);
+    assert.strictEqual(alex.res.data.user.memberId, 'member-alex');
+  });
+
+  test('should reject synced members with taken names and removing yourself', async () => {
+    const { res, cookie } = await login('James');
+    const now = new Date().toISOString();
+    const sync = await request('POST', '/api/members/sync', {
+      cookie,
+      body: {
+        members: [
+          { id: 'member-copy', name: ' james ', color: '#10b981', initials: 'J', createdAt: now, updatedAt: now },
+          { id: res.data.user.memberId, name: 'James', deletedAt: now, createdAt: now, updatedAt: now }
+        ],
+        since: 0
+      }
+    });
+
+    assert.strictEqual(sync.status, 200);
+    assert.deepStrictEqual(sync.data.acked, []);
+    assert.deepStrictEqual(sync.data.rejected.map(r => r.id).sort(), ['member-copy', res.data.user.memberId].sort());
+    assert.strictEqual((await login('James')).res.status, 200, 'James is still a member');
+  });
+
+  test('should link transactions that only name their person to the member', async () => {
+    const { cookie } = await login('James');
+    await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: {
+        transactions: [{ id: 'tx-member-1', date: '2024-01-15', person: 'Alex', category: 'Gas', amount: 25, updatedAt: '2024-01-15T10:00:00.000Z' }],
+        since: 0
+      }
+    });
+
+    const res = await request('GET', '/api/transactions', { cookie });
+    assert.strictEqual(res.data.find(t => t.id === 'tx-member-1').memberId, 'member-alex');
+  });
+
+  test('should report who owes whom from shared transactions', async () => {
+    const { res, cookie } = await login('James');
+    const jamesId = res.data.user.memberId;
+    const members = (await request('GET', '/api/members', { cookie })).data;
+    const samanthaId = members.find(m => m.name === 'Samantha').id;
+    const before = (await request('GET', '/api/balance', { cookie })).data.balances[jamesId] || 0;
+
+    await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: {
+        transactions: [{
+          id: 'tx-split-1', date: '2024-02-01', person: 'James', memberId: jamesId, category: 'Groceries', amount: 6001,
+          split: { type: 'equal', memberIds: [jamesId, samanthaId] }, updatedAt: '2024-02-01T10:00:00.000Z'
+        }],
+        since: 0,
+        amountUnits: 'minor'
+      }
+    });
+
+    const balance = (await request('GET', '/api/balance', { cookie })).data;
+    assert.strictEqual(balance.balances[jamesId], before + 3001, 'Half of $60.01, rounded to the cent');
+    assert.ok(balance.settleUp.some(t => t.from === samanthaId && t.to === jamesId));
+  });
+
+  test('should record repayments apart from transactions and reject invalid ones', async () => {
+    const { res, cookie } = await login('James');
+    const jamesId = res.data.user.memberId;
+    const samanthaId = (await request('GET', '/api/members', { cookie })).data.find(m => m.name === 'Samantha').id;
+    const before = (await request('GET', '/api/balance', { cookie })).data.balances[jamesId] || 0;
+    const now = new Date().toISOString();
+
+    const sync = await request('POST', '/api/settlements/sync', {
+      cookie,
+      body: {
+        settlements: [
+          { id: 'settle-1', fromMemberId: samanthaId, toMemberId: jamesId, amount: 1050, date: '2024-02-02', updatedAt: now },
+          { id: 'settle-bad', fromMemberId: jamesId, toMemberId: jamesId, amount: 1000, date: '2024-02-02', updatedAt: now }
+        ],
+        since: 0,
+        amountUnits: 'minor'
+      }
+    });
+    assert.strictEqual(sync.status, 200);
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id), ['settle-1']);
+    assert.deepStrictEqual(sync.data.rejected.map(r => r.id), ['settle-bad']);
+
+    const direct = await request('POST', '/api/settlements', { cookie, body: { id: 'settle-2', fromMemberId: samanthaId, toMemberId: jamesId, amount: -500, date: '2024-02-02', updatedAt: now } });
+    assert.strictEqual(direct.status, 400);
+
+    assert.strictEqual((await request('GET', '/api/balance', { cookie })).data.balances[jamesId], before - 1050);
+    const transactions = (await request('GET', '/api/transactions', { cookie })).data;
+    assert.ok(!transactions.some(t => t.id === 'settle-1'), 'Repayments are not transactions');
+
+    const undone = await request('DELETE', '/api/settlements/settle-1', { cookie });
+    assert.ok(undone.data.deletedAt);
+    assert.strictEqual((await request('GET', '/api/balance', { cookie })).data.balances[jamesId], before);
+  });
+
+  test('should store budgets on categories and the household, rejecting invalid ones', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+
+    const bad = await request('POST', '/api/categories', { cookie, body: { id: 'cat-budget', name: 'Pets', budget: -5000, updatedAt: now } });
+    assert.strictEqual(bad.status, 400);
+    const good = await request('POST', '/api/categories', { cookie, body: { id: 'cat-budget', name: 'Pets', budget: 5000, budgetPeriod: 'weekly', updatedAt: now } });
+    assert.strictEqual(good.status, 200);
+    assert.strictEqual(good.data.budget, 5000);
+
+    const synced = await request('POST', '/api/categories/sync', {
+      cookie,
+      body: {
+        categories: [
+          { id: 'cat-budget', budget: -5, budgetPeriod: 'yearly', changedFields: ['budget', 'budgetPeriod'], updatedAt: new Date().toISOString() },
+          { id: 'cat-synced', name: 'Garden', budget: 2500, budgetPeriod: 'monthly', updatedAt: now }
+        ],
+        since: 0,
+        amountUnits: 'minor'
+      }
+    });
+    assert.strictEqual(synced.status, 200);
+    assert.deepStrictEqual(synced.data.acked.map(ack => ack.id), ['cat-synced']);
+    assert.deepStrictEqual(synced.data.rejected.map(r => r.id), ['cat-budget']);
+    assert.strictEqual(synced.data.categories.find(c => c.id === 'cat-budget').budget, 5000, 'The rejected edit is answered with the stored category');
+
+    const badThreshold = await request('PUT', '/api/settings', { cookie, body: { budgetAlertThreshold: 150 } });
+    assert.strictEqual(badThreshold.status, 400);
+    const settings = await request('PUT', '/api/settings', { cookie, body: { householdBudget: 200050, householdBudgetPeriod: 'monthly', budgetAlertThreshold: 90, amountUnits: 'minor' } });
+    assert.strictEqual(settings.status, 200);
+    assert.strictEqual((await request('GET', '/api/settings', { cookie })).data.householdBudget, 200050);
+
+    // Older app versions send whole dollars
+    await request('PUT', '/api/settings', { cookie, body: { householdBudget: 1500 } });
+    assert.strictEqual((await request('GET', '/api/settings', { cookie })).data.householdBudget, 150000);
+  });
+
+  test('should record envelope moves once and replay envelope balances', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const month = new Date().toISOString().substring(0, 7);
+    for (const [id, name] of [['env-a', 'Dining'], ['env-b', 'Hobbies']]) {
+      await request('POST', '/api/categories', { cookie, body: { id, name, budget: 10000, budgetPeriod: 'monthly', updatedAt: now } });
+    }
+
+    const move = { id: 'move-1', fromCategoryId: 'env-a', toCategoryId: 'env-b', amount: 3000, date: `${month}-01`, updatedAt: now };
+    const first = await request('POST', '/api/envelope-moves/sync', { cookie, body: { envelopeMoves: [move], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(first.data.acked.map(ack => ack.id), ['move-1']);
+
+    const edit = await request('POST', '/api/envelope-moves/sync', { cookie, body: { envelopeMoves: [{ ...move, amount: 30000 }], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(edit.data.rejected.map(r => r.id), ['move-1'], 'Moves cannot be edited');
+    assert.strictEqual(edit.data.envelopeMoves.find(m => m.id === 'move-1').amount, 3000, 'The stored move comes back');
+
+    const { envelopes } = (await request('GET', `/api/envelopes?date=${month}-15`, { cookie })).data;
+    assert.strictEqual(envelopes.find(e => e.categoryId === 'env-a').total, 7000);
+    assert.strictEqual(envelopes.find(e => e.categoryId === 'env-b').total, 13000);
+  });
+
+  test('should convert whole dollars from older app versions and export cents as dollars', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+
+    await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: { transactions: [{ id: 'tx-dollars', date: '2024-03-01', person: 'James', category: 'Gas', vendor: 'Old app', amount: 12, updatedAt: now }], since: 0 }
+    });
+    await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: { transactions: [{ id: 'tx-cents', date: '2024-03-01', person: 'James', category: 'Gas', vendor: 'New app', amount: 1234, updatedAt: now }], since: 0, amountUnits: 'minor' }
+    });
+
+    const transactions = (await request('GET', '/api/transactions', { cookie })).data;
+    assert.strictEqual(transactions.find(t => t.id === 'tx-dollars').amount, 1200);
+    assert.strictEqual(transactions.find(t => t.id === 'tx-cents').amount, 1234);
+
+    const csv = (await request('GET', '/api/export/csv', { cookie })).data;
+    assert.match(csv, /"New app",12\.34,/);
+    assert.match(csv, /"Old app",12\.00,/);
+
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    assert.strictEqual(exported.amountUnits, 'minor');
+  });
+
+  test('should accept refunds linked to a purchase and reject ones that don\'t add up', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const purchase = { id: 'tx-jacket', date: '2024-04-01', person: 'James', category: 'Shopping', vendor: 'Outfitters', amount: 12000, updatedAt: now };
+    const refund = { id: 'tx-jacket-back', type: 'refund', refundOf: 'tx-jacket', date: '2024-04-03', person: 'James', category: 'Shopping', amount: -4000, updatedAt: now };
+    const tooMuch = { ...refund, id: 'tx-jacket-back-2', amount: -9000 };
+
+    const sync = await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [purchase, refund, tooMuch], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id).sort(), ['tx-jacket', 'tx-jacket-back']);
+    assert.deepStrictEqual(sync.data.rejected.map(r => r.id), ['tx-jacket-back-2']);
+
+    const edit = await request('PUT', '/api/transactions/tx-jacket-back', { cookie, body: { amount: 4000, updatedAt: now } });
+    assert.strictEqual(edit.status, 400, 'Refunds stay negative');
+
+    const orphan = await request('POST', '/api/transactions', { cookie, body: { ...refund, id: 'tx-orphan', refundOf: 'tx-missing' } });
+    assert.strictEqual(orphan.status, 400);
+
+    // Moving a refund to another purchase frees up the first one within the same sync
+    const later = new Date(Date.now() + 1000).toISOString();
+    const boots = { ...purchase, id: 'tx-boots', vendor: 'Boot Barn', amount: 5000, updatedAt: later };
+    const moved = { ...refund, refundOf: 'tx-boots', updatedAt: later };
+    const rest = { ...refund, id: 'tx-jacket-back-3', amount: -12000, updatedAt: later };
+    const moves = await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [boots, moved, rest], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(moves.data.rejected, []);
+    const overBoots = await request('POST', '/api/transactions', { cookie, body: { ...refund, id: 'tx-boots-back', refundOf: 'tx-boots', amount: -1001 } });
+    assert.strictEqual(overBoots.status, 400);
+
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    const badImport = await request('POST', '/api/import/json', { cookie, body: { ...exported, transactions: [...exported.transactions, { ...tooMuch, amount: -90000 }] } });
+    assert.strictEqual(badImport.status, 400);
+    const roundTrip = await request('POST', '/api/import/json', { cookie, body: exported });
+    assert.strictEqual(roundTrip.status, 200);
+
+    const transactions = (await request('GET', '/api/transactions', { cookie })).data;
+    assert.strictEqual(transactions.find(t => t.id === 'tx-jacket-back').amount, -4000);
+  });
+
+  test('should keep exchange rates and record spending in other currencies', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const euro = { id: 'rate-eur', base: 'USD', currency: 'EUR', rate: 1.1, date: '2024-05-01', updatedAt: now };
+    const free = { id: 'rate-free', base: 'USD', currency: 'GBP', rate: 0, date: '2024-05-01', updatedAt: now };
+
+    const sync = await request('POST', '/api/rates/sync', { cookie, body: { rates: [euro, free], since: 0 } });
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id), ['rate-eur']);
+    assert.deepStrictEqual(sync.data.rejected.map(r => r.id), ['rate-free']);
+    assert.strictEqual((await request('POST', '/api/rates', { cookie, body: { ...euro, id: 'rate-usd', currency: 'USD' } })).status, 400);
+
+    const paris = { id: 'tx-paris', date: '2024-05-02', person: 'James', category: 'Food', vendor: 'Café', amount: 2200, currency: 'EUR', originalAmount: 2000, rate: 1.1, updatedAt: now };
+    const noRate = { ...paris, id: 'tx-no-rate', rate: undefined };
+    const txSync = await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [paris, noRate], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(txSync.data.acked.map(ack => ack.id), ['tx-paris']);
+    assert.deepStrictEqual(txSync.data.rejected.map(r => r.id), ['tx-no-rate']);
+
+    const rebase = await request('PUT', '/api/settings', { cookie, body: { baseCurrency: 'EUR', amountUnits: 'minor' } });
+    assert.strictEqual(rebase.status, 400, 'Recorded amounts are in the old base currency');
+
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    assert.deepStrictEqual(exported.rates.map(r => r.id), ['rate-eur']);
+    assert.strictEqual(exported.settings.baseCurrency, 'USD');
+    const roundTrip = await request('POST', '/api/import/json', { cookie, body: exported });
+    assert.strictEqual(roundTrip.status, 200);
+    assert.strictEqual(roundTrip.data.imported.rates, 1);
+  });
+
+  test('should keep bank profiles for reading statements', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const checking = { id: 'bank-checking', name: 'Checking', hasHeader: true, dateColumn: 0, dateFormat: 'MM/DD/YYYY', descriptionColumn: 1, amountColumn: 2, sign: 'negative', updatedAt: now };
+    const unmapped = { ...checking, id: 'bank-unmapped', amountColumn: null };
+
+    const sync = await request('POST', '/api/bank-profiles/sync', { cookie, body: { bankProfiles: [checking, unmapped], since: 0 } });
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id), ['bank-checking']);
+    assert.deepStrictEqual(sync.data.rejected.map(r => r.id), ['bank-unmapped']);
+    assert.strictEqual((await request('POST', '/api/bank-profiles', { cookie, body: { ...checking, id: 'bank-card', sign: 'sideways' } })).status, 400);
+
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    assert.deepStrictEqual(exported.bankProfiles.map(p => p.id), ['bank-checking']);
+    const roundTrip = await request('POST', '/api/import/json', { cookie, body: exported });
+    assert.strictEqual(roundTrip.data.imported.bankProfiles, 1);
+  });
+
+  test('should version exports and report every bad record on import', async () => {
+    const { cookie } = await login('James');
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    assert.strictEqual(exported.schemaVersion, 3);
+
+    const bad = { ...exported, transactions: [...exported.transactions, { id: 'tx-bad-1', person: 'James', category: 'Food', amount: 100 }, { id: 'tx-bad-2', date: '2024-06-01', person: 'James', category: 'Food', amount: 0 }] };
+    const rejected = await request('POST', '/api/import/json/preview', { cookie, body: bad });
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(rejected.data.errors.map(e => [e.index, e.id]), [[exported.transactions.length, 'tx-bad-1']]);
+    const { errors } = (await request('POST', '/api/import/json', { cookie, body: { ...bad, transactions: bad.transactions.filter(t => t.id !== 'tx-bad-1') } })).data;
+    assert.deepStrictEqual(errors.map(e => [e.index, e.id, e.error]), [[exported.transactions.length, 'tx-bad-2', 'Amount is required']]);
+
+    // An export from before versions, in whole dollars and without category links
+    const food = exported.categories.find(c => !c.deletedAt);
+    const { schemaVersion, amountUnits, ...old } = exported;
+    const oldTransaction = { id: 'tx-v1', date: '2024-06-02', person: 'James', category: food.name, vendor: 'Deli', amount: 12.5, updatedAt: new Date().toISOString() };
+    const imported = await request('POST', '/api/import/json?mode=append', { cookie, body: { ...old, transactions: [oldTransaction], recurring: [], settlements: [] } });
+    assert.strictEqual(imported.status, 200);
+    const transaction = (await request('GET', '/api/transactions', { cookie })).data.find(t => t.id === 'tx-v1');
+    assert.strictEqual(transaction.amount, 1250);
+    assert.strictEqual(transaction.categoryId, food.id);
+  });
+
+  test('should merge or append an older export without losing newer edits', async () => {
+    const { cookie } = await login('James');
+    const later = new Date(Date.now() + 60000).toISOString();
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    const [first] = exported.transactions.filter(t => !t.deletedAt);
+
+    await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [{ ...first, memo: 'Edited since the export', updatedAt: later }], since: 0, amountUnits: 'minor' } });
+    const extra = { id: 'tx-from-old-phone', date: '2024-07-01', person: 'James', category: 'Food', vendor: 'Deli', amount: 900, updatedAt: first.updatedAt };
+    const older = { ...exported, transactions: [...exported.transactions, extra] };
+
+    const preview = await request('POST', '/api/import/json/preview', { cookie, body: older });
+    assert.deepStrictEqual(preview.data.append.transactions, { added: 1, updated: 0, unchanged: exported.transactions.length, deleted: 0 });
+    assert.strictEqual(preview.data.replace.transactions.updated, 1);
+    assert.strictEqual((await request('POST', '/api/import/json?mode=overwrite', { cookie, body: older })).status, 400);
+
+    const merged = await request('POST', '/api/import/json?mode=merge', { cookie, body: older });
+    assert.strictEqual(merged.data.mode, 'merge');
+    assert.strictEqual(merged.data.changes.transactions.added, 1);
+    const transactions = (await request('GET', '/api/transactions', { cookie })).data;
+    assert.strictEqual(transactions.find(t => t.id === first.id).memo, 'Edited since the export');
+    assert.ok(transactions.some(t => t.id === 'tx-from-old-phone'));
+  });
+
+  test('should read OFX files and import each statement line once', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const ofx = 'OFXHEADER:100\n<OFX><CCACCTFROM><ACCTID>4111</CCACCTFROM><BANKTRANLIST>' +
+      '<STMTTRN><DTPOSTED>20240610<TRNAMT>-12.50<FITID>A1<NAME>CINEMA</STMTTRN></BANKTRANLIST></OFX>';
+
+    const read = await request('POST', '/api/import/statement', { cookie, body: { text: ofx } });
+    assert.strictEqual(read.status, 200);
+    assert.deepStrictEqual(read.data.account, { id: '4111', type: 'card' });
+    const [row] = read.data.rows;
+    assert.deepStrictEqual(row, { line: 1, date: '2024-06-10', description: 'CINEMA', amount: 1250, importId: 'ofx:4111:A1' });
+    assert.strictEqual((await request('POST', '/api/import/statement', { cookie, body: { text: 'Date,Amount\n' } })).status, 400);
+
+    const transaction = { date: row.date, person: 'James', category: 'Entertainment', vendor: row.description, amount: row.amount, importId: row.importId, updatedAt: now };
+    const sync = await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: { transactions: [{ ...transaction, id: 'tx-ofx-1' }, { ...transaction, id: 'tx-ofx-2' }], since: 0, amountUnits: 'minor' }
+    });
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id), ['tx-ofx-1']);
+    assert.deepStrictEqual(sync.data.rejected.map(r => r.id), ['tx-ofx-2']);
+  });
+
+  test('should export the filtered transactions as CSV, XLSX and OFX', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    await request('POST', '/api/transactions/sync', {
+      cookie,
+      body: {
+        transactions: [
+          { id: 'tx-export-1', date: '2030-01-05', person: 'James', category: 'Food', vendor: 'Bakery', amount: 650, split: { type: 'personal' }, updatedAt: now },
+          { id: 'tx-export-2', date: '2030-02-07', person: 'Samantha', category: 'Food', vendor: 'Bakery', amount: 900, updatedAt: now },
+          { id: 'tx-export-3', date: '2030-02-08', person: 'James', category: 'Gas', vendor: 'Fuel', amount: 4000, updatedAt: now }
+        ],
+        since: 0,
+        amountUnits: 'minor'
+      }
+    });
+
+    const csv = await request('GET', '/api/export/csv?category=Food&from=2030-01-01&search=bakery&columns=split', { cookie });
+    assert.strictEqual(csv.status, 200);
+    const lines = csv.data.split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.strictEqual(lines[0], 'Date,Person,Category,Vendor,Amount,Memo,Split');
+    assert.strictEqual(lines[1], '"2030-01-05","James","Food","Bakery",6.50,"","Personal"');
+    assert.strictEqual((await request('GET', '/api/export/csv?columns=tags', { cookie })).status, 400);
+
+    const xlsx = await request('GET', '/api/export/xlsx?from=2030-01-01', { cookie });
+    assert.strictEqual(xlsx.headers['content-type'], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.match(xlsx.headers['content-disposition'], /\.xlsx$/);
+    assert.ok(xlsx.data.startsWith('PK'));
+
+    const ofx = await request('GET', '/api/export/ofx?from=2030-02-01', { cookie });
+    assert.match(ofx.data, /<FITID>tx-export-2/);
+    assert.match(ofx.data, /<FITID>tx-export-3/);
+    assert.doesNotMatch(ofx.data, /tx-export-1/);
+  });
+
+  test('should keep recurring schedules that every device can work out', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const rent = { id: 'rec-rent', person: 'Samantha', category: 'Bills', vendor: 'Landlord', amount: 150000, frequency: 'monthly', monthlyOn: 'last-business-day', startDate: '2024-01-31', occurrences: 12, updatedAt: now };
+    const broken = { ...rent, id: 'rec-broken', frequency: 'fortnightly' };
+
+    const sync = await request('POST', '/api/recurring/sync', { cookie, body: { recurring: [rent, broken], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(sync.data.acked.map(ack => ack.id), ['rec-rent']);
+    assert.deepStrictEqual(sync.data.rejected, [{ id: 'rec-broken', error: 'Unknown frequency "fortnightly"' }]);
+
+    const paused = await request('PUT', '/api/recurring/rec-rent', { cookie, body: { pausedAt: '2024-06-01', updatedAt: new Date().toISOString() } });
+    assert.strictEqual(paused.data.pausedAt, '2024-06-01');
+    assert.strictEqual((await request('PUT', '/api/recurring/rec-rent', { cookie, body: { interval: -1, updatedAt: new Date().toISOString() } })).status, 400);
+  });
+
+  test('should add recurring transactions on the server, once per date', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const gym = { id: 'rec-gym', person: 'James', category: 'Health', vendor: 'Gym', amount: 4500, frequency: 'monthly', startDate: '2024-01-15', occurrences: 3, updatedAt: now };
+
+    await request('POST', '/api/recurring/sync', { cookie, body: { recurring: [gym], since: 0, amountUnits: 'minor' } });
+    const added = (await request('GET', '/api/transactions', { cookie })).data.filter(t => t.recurringId === 'rec-gym');
+    assert.deepStrictEqual(added.map(t => t.id).sort(), ['recurring-rec-gym-2024-01-15', 'recurring-rec-gym-2024-02-15', 'recurring-rec-gym-2024-03-15']);
+    assert.strictEqual((await request('GET', '/api/recurring', { cookie })).data.find(r => r.id === 'rec-gym').lastGenerated, '2024-03-15');
+
+    // An app that still adds its own copy, offline, is turned away
+    const copy = { id: 'tx-phone-copy', date: '2024-02-15', person: 'James', category: 'Health', vendor: 'Gym', amount: 4500, recurringId: 'rec-gym', updatedAt: now };
+    const sync = await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [copy], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(sync.data.rejected, [{ id: 'tx-phone-copy', error: 'This recurring transaction has already been added' }]);
+    assert.strictEqual(sync.data.transactions.filter(t => t.recurringId === 'rec-gym').length, 3);
+  });
+
+  test('should add what imported recurring entries have due on the next sync', async () => {
+    const { cookie } = await login('James');
+    const exported = (await request('GET', '/api/export/json', { cookie })).data;
+    const swim = { id: 'rec-swim', person: 'James', category: 'Health', vendor: 'Pool', amount: 2000, frequency: 'monthly', startDate: '2024-05-01', occurrences: 2, updatedAt: new Date().toISOString() };
+
+    await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [], since: 0, amountUnits: 'minor' } });
+    const imported = await request('POST', '/api/import/json?mode=merge', { cookie, body: { ...exported, recurring: [...exported.recurring, swim] } });
+    assert.strictEqual(imported.status, 200);
+
+    const sync = await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [], since: 0, amountUnits: 'minor' } });
+    assert.deepStrictEqual(sync.data.transactions.filter(t => t.recurringId === 'rec-swim').map(t => t.date).sort(), ['2024-05-01', '2024-06-01']);
+  });
+
+  test('should add bills whose amount varies as drafts that only count once confirmed', async () => {
+    const { cookie } = await login('James');
+    const now = new Date().toISOString();
+    const power = { id: 'rec-power', person: 'James', category: 'Bills', vendor: 'Power Co', amount: 9000, amountVaries: true, frequency: 'monthly', startDate: '2024-01-20', occurrences: 2, updatedAt: now };
+
+    await request('POST', '/api/recurring/sync', { cookie, body: { recurring: [power], since: 0, amountUnits: 'minor' } });
+    const drafts = (await request('GET', '/api/transactions', { cookie })).data.filter(t => t.recurringId === 'rec-power');
+    assert.deepStrictEqual(drafts.map(t => [t.date, t.amount, t.draft]).sort(), [['2024-01-20', 9000, true], ['2024-02-20', 9000, true]]);
+    assert.ok(!(await request('GET', '/api/export/csv', { cookie })).data.includes('Power Co'));
+
+    const [january] = drafts.filter(t => t.date === '2024-01-20');
+    const confirmed = { ...january, amount: 11234, draft: false, updatedAt: new Date(Date.now() + 1000).toISOString() };
+    await request('POST', '/api/transactions/sync', { cookie, body: { transactions: [confirmed], since: 0, amountUnits: 'minor' } });
+    const csv = (await request('GET', '/api/export/csv', { cookie })).data;
+    assert.strictEqual(csv.split('\n').filter(line => line.includes('Power Co')).length, 1);
+    assert.ok(csv.includes('112.34'));
+  });
+
+  test('should reject duplicate names and removing yourself, and close removed members\' accounts', async () => {
+    const { res, cookie } = await login('James');
+
+    const duplicate = await request('POST', '/api/members', { cookie, body: { id: 'member-dup', name: ' alex ', updatedAt: new Date().toISOString() } });
+    assert.strictEqual(duplicate.status, 400);
+
+    const self = await request('DELETE', `/api/members/${res.data.user.memberId}`, { cookie });
+    assert.strictEqual(self.status, 409);
+
+    const removed = await request('DELETE', '/api/members/member-alex', { cookie });
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual((await login('Alex')).res.status, 401);
+  });
+
+  test('should revoke the session on logout', async () => {
+    const { cookie } = await login('James');
+    await request('POST', '/api/auth/logout', { cookie });
+
+    assert.strictEqual((await request('GET', '/api/auth/check', { cookie })).data.authenticated, false);
+  });
+});
+
+describe('Integration Tests - Recovery', () => {
+  const RECOVERY_PORT = 3098;
+  let dataDir;
+  let child;
+
+  function request(method, urlPath, { cookie, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cookie) headers.Cookie = cookie;
+    return makeRequest({ hostname: 'localhost', port: RECOVERY_PORT, path: urlPath, method, headers }, body);
+  }
+
+  // The store is opened once at startup, so damage found there needs a server of its own
+  async function startServer() {
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { ...process.env, DATA_DIR: dataDir, PORT: String(RECOVERY_PORT), PASSWORD: TEST_PASSWORD },
+      stdio: 'ignore'
+    });
+    for (let attempt = 0; attempt < 100; attempt++) {
+      try {
+        return await request('GET', '/api/recovery');
+      } catch (e) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    throw new Error('Server did not start');
+  }
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-recovery-'));
+    const backupDir = path.join(dataDir, 'backups');
+    fs.mkdirSync(backupDir);
+
+    // A backup of a household already in minor units, then a spend.db that can't be read
+    const source = createStorage({ dataDir: path.join(dataDir, 'source') });
+    source.members.put({ id: 'member-james', name: 'James', rev: 1 });
+    source.categories.put({ id: 'cat-bills', name: 'Bills', budget: 20000, budgetPeriod: 'monthly', rev: 1 });
+    source.transactions.put({ id: 'tx-1', date: '2024-01-15', person: 'James', memberId: 'member-james', category: 'Bills', amount: 1234, updatedAt: '2024-01-15T10:00:00.000Z', rev: 1 });
+    source.recurring.put({ id: 'rec-1', person: 'James', memberId: 'member-james', category: 'Bills', vendor: 'Power', amount: 5000, frequency: 'monthly', startDate: '2099-01-01', rev: 1 });
+    source.saveSettings({ householdBudget: 150000, householdBudgetPeriod: 'monthly' });
+    createBackup(source, backupDir, 'scheduled');
+    source.close();
+    fs.writeFileSync(path.join(dataDir, 'spend.db'), 'definitely not a database file'.repeat(200));
+  });
+
+  after(() => {
+    if (child) child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should recover damaged data from a backup without converting its amounts again', async () => {
+    await startServer();
+    const recovered = await request('POST', '/api/recovery/restore', { body: { password: TEST_PASSWORD } });
+    assert.strictEqual(recovered.status, 200, 'Only damaged data can be recovered');
+
+    const login = await request('POST', '/api/auth/login', { body: { name: 'James', password: TEST_PASSWORD } });
+    const cookie = login.headers['set-cookie'].find(c => c.startsWith('session=')).split(';')[0];
+    const get = async urlPath => (await request('GET', urlPath, { cookie })).data;
+
+    assert.strictEqual((await get('/api/transactions')).find(tx => tx.id === 'tx-1').amount, 1234);
+    assert.strictEqual((await get('/api/recurring')).find(rec => rec.id === 'rec-1').amount, 5000);
+    assert.strictEqual((await get('/api/categories')).find(cat => cat.id === 'cat-bills').budget, 20000);
+    assert.strictEqual((await get('/api/settings')).householdBudget, 150000);
+    assert.deepStrictEqual((await get('/api/categories')).map(cat => cat.id), ['cat-bills'], 'Default categories are not seeded into restored data');
+  });
+});
+
 console.log('Running integration tests...');
@@ -1,8 +1,103 @@
-const { test, describe } = require('node:test');
+const { test, describe, after, afterEach } = require('node:test');
 const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server opens its store when it is first required: keep it out of the repo's data directory
+const SERVER_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-unit-'));
+process.env.DATA_DIR = SERVER_DATA_DIR;
+process.env.PASSWORD = 'testpassword';
+
+after(() => fs.rmSync(SERVER_DATA_DIR, { recursive: true, force: true }));
 
 // Import merge function from server
-const { mergeRecords } = require('../server.js');
+const { mergeRecords, syncCollection } = require('../server.js');
+const { mergeRecord, getChangedFields } = require('../public/js/merge.js');
+const { createStorage, StorageCorruptError, writeFileAtomic, quarantineFiles } = require('../lib/storage');
+const {
+  hashPassword,
+  verifyPassword,
+  authenticate,
+  syncAccounts,
+  createSession,
+  findSession,
+  listSessions,
+  revokeSessions,
+  pruneSessions
+} = require('../lib/auth');
+const {
+  createBackup,
+  readBackup,
+  listBackups,
+  diffBackup,
+  restoreBackup,
+  selectBackupsToKeep,
+  pruneBackups
+} = require('../lib/backups');
+const { migrateMembers, withMemberIds } = require('../lib/members');
+const { planImport, previewImport } = require('../lib/imports');
+const { exportData, upgradeExport, parseExportColumns, exportRows, toCsv, monthSummaries, toXlsx, toOfx } = require('../lib/exports');
+const { writeXlsx, columnName } = require('../lib/xlsx');
+const { filterTransactions, filtersQuery } = require('../public/js/filters.js');
+const {
+  recurringDates,
+  nextRecurringDate,
+  dueDates,
+  pauseChanges,
+  resumeChanges,
+  draftAmount,
+  validateRecurring,
+  monthlyRulesFor,
+  describeSchedule
+} = require('../public/js/recurring.js');
+const { occurrenceId, planRecurring, validateOccurrence } = require('../lib/recurring');
+const { upcomingCharges, dailyTotals, monthEndForecast } = require('../public/js/forecast.js');
+const { vendorKey, detectSubscriptions, priceIncreases } = require('../public/js/subscriptions.js');
+const { SCHEMA_VERSION, validateExport, describeExportError } = require('../public/js/schema.js');
+const { memberInitials, nextMemberColor, memberFor } = require('../public/js/members.js');
+const { validateSplit, splitShares, computeBalances, balanceHistory, settleUp, validateSettlement } = require('../public/js/balances.js');
+const { validateBudget, budgetPeriodRange, spentInPeriod, budgetProgress, budgetAlert, categoryFields } = require('../public/js/budgets.js');
+const { budgetForMonth, envelopeHistory, envelopeBalance, validateEnvelopeMove } = require('../public/js/envelopes.js');
+const {
+  parseAmount,
+  formatAmount,
+  amountInputValue,
+  recordToMinorUnits,
+  dataToMinorUnits,
+  validateRate,
+  rateFor,
+  convertToBase,
+  validateForeignAmount,
+  parseRatesCsv,
+  currencyBreakdown
+} = require('../public/js/money.js');
+const { migrateAmounts, pushedInMinorUnits } = require('../lib/amounts');
+const { refundedAmount, validateTransaction, refundSplit, groupRefunds } = require('../public/js/refunds.js');
+const {
+  parseCsv,
+  validateBankProfile,
+  guessBankProfile,
+  parseStatementDate,
+  parseStatement,
+  vendorSimilarity,
+  flagDuplicates,
+  validateImport,
+  suggestCategory
+} = require('../public/js/statements.js');
+const { detectBankFile, parseOfx, parseBankFile } = require('../lib/bankfiles');
+
+// Temporary data directories, removed after each test
+const tempDirs = [];
+function makeTempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
 
 describe('Transaction Validation', () => {
   test('should validate transaction has required fields', () => {
@@ -11,7 +106,7 @@ describe('Transaction Validation', () => {
       date: '2024-01-15',
       person: 'James',
       category: 'Groceries',
-      amount: 50,
+      amount: 5000,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       updatedBy: 'James',
@@ -26,20 +121,20 @@ describe('Transaction Validation', () => {
   });
 
   test('should reject invalid amount', () => {
-    const invalidAmounts = [0, -5, null, undefined, 'abc'];
+    const invalidAmounts = ['0', '-5', '', null, undefined, 'abc', '1.234', '1.2.3'];
     
-    invalidAmounts.forEach(amount => {
+    invalidAmounts.forEach(input => {
+      const amount = parseAmount(input);
       const isValid = typeof amount === 'number' && amount > 0 && Number.isInteger(amount);
-      assert.strictEqual(isValid, false, `Amount ${amount} should be invalid`);
+      assert.strictEqual(isValid, false, `Amount ${input} should be invalid`);
     });
   });
 
-  test('should accept valid integer amounts', () => {
-    const validAmounts = [1, 10, 100, 1000, 9999];
+  test('should accept amounts in dollars and cents as integer cents', () => {
+    const validAmounts = { '0.01': 1, '4.75': 475, '12': 1200, '12.5': 1250, '.99': 99, '$1,234.56': 123456, '19.99': 1999 };
     
-    validAmounts.forEach(amount => {
-      const isValid = typeof amount === 'number' && amount > 0 && Number.isInteger(amount);
-      assert.strictEqual(isValid, true, `Amount ${amount} should be valid`);
+    Object.entries(validAmounts).forEach(([input, cents]) => {
+      assert.strictEqual(parseAmount(input), cents, `Amount ${input} should be ${cents} cents`);
     });
   });
 
@@ -214,52 +309,1582 @@ describe('Sync - Last Write Wins', () => {
   });
 });
 
-describe('Recurring Transactions', () => {
-  function getNextRecurringDate(dateStr, frequency) {
-    const date = new Date(dateStr + 'T12:00:00');
-    
-    switch (frequency) {
-      case 'weekly':
-        date.setDate(date.getDate() + 7);
-        break;
-      case 'biweekly':
-        date.setDate(date.getDate() + 14);
-        break;
-      case 'monthly':
-        date.setMonth(date.getMonth() + 1);
-        break;
-      case 'yearly':
-        date.setFullYear(date.getFullYear() + 1);
-        break;
+describe('Sync - Field-Level Merge', () => {
+  const base = {
+    id: 'tx-1',
+    vendor: 'Store',
+    amount: 100,
+    memo: 'Old memo',
+    updatedAt: '2024-01-15T10:00:00.000Z',
+    updatedBy: 'James',
+    rev: 3,
+    fieldRevs: { vendor: 1, amount: 1, memo: 1 }
+  };
+
+  test('should keep both edits when different fields changed offline', () => {
+    // Samantha's memo fix already reached the server
+    const server = {
+      ...base,
+      memo: 'Fixed memo',
+      updatedAt: '2024-01-15T12:00:00.000Z',
+      updatedBy: 'Samantha',
+      fieldUpdatedAt: { memo: '2024-01-15T12:00:00.000Z' },
+      rev: 4,
+      fieldRevs: { ...base.fieldRevs, memo: 4 }
+    };
+    // James fixed the amount earlier, starting from rev 3
+    const client = {
+      ...base,
+      amount: 120,
+      updatedAt: '2024-01-15T11:00:00.000Z',
+      fieldUpdatedAt: { amount: '2024-01-15T11:00:00.000Z' },
+      changedFields: ['amount'],
+      baseRev: 3
+    };
+
+    const { record, conflicts } = mergeRecord(server, client);
+
+    assert.strictEqual(record.amount, 120, 'James amount fix should survive');
+    assert.strictEqual(record.memo, 'Fixed memo', 'Samantha memo fix should survive');
+    assert.strictEqual(conflicts.length, 0);
+    assert.strictEqual(record.changedFields, undefined, 'Edit info should not be stored');
+  });
+
+  test('should report a conflict when both sides edited the same field', () => {
+    const server = {
+      ...base,
+      amount: 110,
+      updatedAt: '2024-01-15T12:00:00.000Z',
+      updatedBy: 'Samantha',
+      fieldUpdatedAt: { amount: '2024-01-15T12:00:00.000Z' },
+      rev: 4,
+      fieldRevs: { ...base.fieldRevs, amount: 4 }
+    };
+    const client = {
+      ...base,
+      amount: 120,
+      updatedAt: '2024-01-15T11:00:00.000Z',
+      fieldUpdatedAt: { amount: '2024-01-15T11:00:00.000Z' },
+      changedFields: ['amount'],
+      baseRev: 3
+    };
+
+    const { record, conflicts } = mergeRecord(server, client);
+
+    assert.strictEqual(record.amount, 110, 'Newer edit should be kept');
+    assert.strictEqual(conflicts.length, 1);
+    assert.strictEqual(conflicts[0].field, 'amount');
+    assert.strictEqual(conflicts[0].kept.value, 110);
+    assert.strictEqual(conflicts[0].overwritten.value, 120);
+    assert.strictEqual(conflicts[0].overwritten.updatedBy, 'James');
+  });
+
+  test('should not let untouched stale fields overwrite the server', () => {
+    const server = { ...base, memo: 'Newer memo', rev: 5, fieldRevs: { ...base.fieldRevs, memo: 5 } };
+    const client = { ...base, vendor: 'Renamed', updatedAt: '2024-01-15T13:00:00.000Z', changedFields: ['vendor'], baseRev: 3 };
+
+    const { record } = mergeRecord(server, client);
+
+    assert.strictEqual(record.vendor, 'Renamed');
+    assert.strictEqual(record.memo, 'Newer memo');
+  });
+
+  test('should return the server object untouched when the client changes nothing', () => {
+    const client = { ...base, changedFields: [], baseRev: 3 };
+    const { record } = mergeRecord(base, client);
+
+    assert.strictEqual(record, base);
+  });
+
+  test('should list changed data fields only', () => {
+    const changed = getChangedFields(base, { ...base, amount: 5, updatedAt: 'later', rev: 9 });
+    assert.deepStrictEqual(changed, ['amount']);
+  });
+});
+
+describe('Sync - Delta Cursor', () => {
+  function tempCollection(records) {
+    const storage = createStorage({ dataDir: makeTempDir('spend-sync-') });
+    storage.transactions.putMany(records);
+    return storage.transactions;
+  }
+
+  test('should return everything and the latest cursor on first sync', () => {
+    const repository = tempCollection([
+      { id: '1', name: 'A', updatedAt: '2024-01-15T10:00:00.000Z', rev: 1 },
+      { id: '2', name: 'B', updatedAt: '2024-01-15T10:00:00.000Z', rev: 2 }
+    ]);
+
+    const { records, cursor } = syncCollection(repository, [], 0);
+
+    assert.strictEqual(records.length, 2);
+    assert.strictEqual(cursor, 2);
+  });
+
+  test('should return records without a revision on first sync', () => {
+    const repository = tempCollection([
+      { id: '1', name: 'Seeded', updatedAt: '2024-01-15T10:00:00.000Z' }
+    ]);
+
+    const { records } = syncCollection(repository, [], 0);
+
+    assert.deepStrictEqual(records.map(r => r.id), ['1']);
+  });
+
+  test('should only return records changed after the cursor', () => {
+    const repository = tempCollection([
+      { id: '1', name: 'A', updatedAt: '2024-01-15T10:00:00.000Z', rev: 1 },
+      { id: '2', name: 'B', updatedAt: '2024-01-15T11:00:00.000Z', rev: 2 }
+    ]);
+
+    const { records, cursor } = syncCollection(repository, [], 1);
+
+    assert.deepStrictEqual(records.map(r => r.id), ['2']);
+    assert.strictEqual(cursor, 2);
+  });
+
+  test('should stamp pushed records with a new revision without echoing them back', () => {
+    const repository = tempCollection([
+      { id: '1', name: 'A', updatedAt: '2024-01-15T10:00:00.000Z', rev: 1 }
+    ]);
+
+    const { records, cursor } = syncCollection(repository, [
+      { id: '3', name: 'C', updatedAt: '2024-01-15T12:00:00.000Z' }
+    ], 1);
+
+    assert.strictEqual(records.length, 0, 'Pushed record should not be echoed');
+    assert.strictEqual(cursor, 2);
+
+    assert.strictEqual(repository.get('3').rev, 2);
+  });
+
+  test('should not bump the revision when a pushed record is older', () => {
+    const repository = tempCollection([
+      { id: '1', name: 'Server', updatedAt: '2024-01-15T12:00:00.000Z', rev: 4 }
+    ]);
+
+    const { records, cursor } = syncCollection(repository, [
+      { id: '1', name: 'Stale', updatedAt: '2024-01-15T10:00:00.000Z' }
+    ], 0);
+
+    assert.strictEqual(cursor, 4);
+    assert.strictEqual(records[0].name, 'Server', 'Client should receive the newer server version');
+  });
+
+  test('should acknowledge every valid pushed record, including stale ones', () => {
+    const repository = tempCollection([
+      { id: '1', name: 'Server', updatedAt: '2024-01-15T12:00:00.000Z', rev: 1 }
+    ]);
+
+    const { acked } = syncCollection(repository, [
+      { id: '1', name: 'Stale', updatedAt: '2024-01-15T10:00:00.000Z' },
+      { id: '2', name: 'New', updatedAt: '2024-01-15T11:00:00.000Z' },
+      { name: 'No id', updatedAt: '2024-01-15T11:00:00.000Z' },
+      { id: '3', name: 'No timestamp' }
+    ], 0);
+
+    assert.deepStrictEqual(acked, [{ id: '1', rev: 1 }, { id: '2', rev: 2 }], 'Invalid records should stay unacknowledged');
+  });
+
+  test('should not report a device\'s second edit of a field as a conflict with its first', () => {
+    const repository = tempCollection([]);
+
+    // Created on the device, so it starts without a revision
+    const created = syncCollection(repository, [
+      { id: '1', amount: 100, updatedAt: '2024-01-15T10:00:00.000Z', updatedBy: 'James', changedFields: ['amount'] }
+    ], 0);
+    const [first] = created.acked;
+    assert.deepStrictEqual(first, { id: '1', rev: 1 });
+
+    // The device bases each edit on the revision its last one was acked at
+    const second = syncCollection(repository, [
+      { id: '1', amount: 200, updatedAt: '2024-01-15T11:00:00.000Z', updatedBy: 'James', changedFields: ['amount'], baseRev: first.rev }
+    ], 1);
+    const third = syncCollection(repository, [
+      { id: '1', amount: 300, updatedAt: '2024-01-15T12:00:00.000Z', updatedBy: 'James', changedFields: ['amount'], baseRev: second.acked[0].rev }
+    ], 2);
+
+    assert.deepStrictEqual(second.conflicts, []);
+    assert.deepStrictEqual(third.conflicts, []);
+    assert.strictEqual(repository.get('1').amount, 300);
+
+    // Someone else's edit from the same base still conflicts
+    const other = syncCollection(repository, [
+      { id: '1', amount: 250, updatedAt: '2024-01-15T11:30:00.000Z', updatedBy: 'Alex', changedFields: ['amount'], baseRev: first.rev }
+    ], 3);
+    assert.strictEqual(other.conflicts.length, 1);
+  });
+
+  test('should track field revisions and surface conflicts', () => {
+    const repository = tempCollection([
+      { id: '1', amount: 10, memo: 'a', updatedAt: '2024-01-15T10:00:00.000Z', rev: 1, fieldRevs: { amount: 1, memo: 1 } }
+    ]);
+
+    // Samantha edits the amount from rev 1
+    syncCollection(repository, [
+      { id: '1', amount: 12, memo: 'a', updatedAt: '2024-01-15T11:00:00.000Z', updatedBy: 'Samantha', changedFields: ['amount'], baseRev: 1 }
+    ], 1);
+    // James also edited the amount (and the memo) from rev 1
+    const { conflicts } = syncCollection(repository, [
+      { id: '1', amount: 15, memo: 'b', updatedAt: '2024-01-15T10:30:00.000Z', updatedBy: 'James', changedFields: ['amount', 'memo'], baseRev: 1 }
+    ], 1);
+
+    const stored = repository.get('1');
+    assert.strictEqual(stored.amount, 12);
+    assert.strictEqual(stored.memo, 'b');
+    assert.strictEqual(stored.fieldRevs.memo, 3);
+    assert.strictEqual(conflicts.length, 1);
+    assert.strictEqual(conflicts[0].recordId, '1');
+    assert.strictEqual(conflicts[0].overwritten.value, 15);
+  });
+});
+
+describe('Storage', () => {
+  function tempDir() {
+    return makeTempDir('spend-storage-');
+  }
+
+  test('should migrate existing JSON files into SQLite once', () => {
+    const dataDir = tempDir();
+    fs.writeFileSync(path.join(dataDir, 'transactions.json'), JSON.stringify([
+      { id: 't1', date: '2024-01-15', person: 'James', category: 'Gas', amount: 40, updatedAt: '2024-01-15T10:00:00.000Z' }
+    ]));
+    fs.writeFileSync(path.join(dataDir, 'settings.json'), JSON.stringify({ lastUser: 'Samantha' }));
+
+    const storage = createStorage({ dataDir });
+
+    assert.strictEqual(storage.transactions.get('t1').amount, 40);
+    assert.strictEqual(storage.transactions.get('t1').rev, 1, 'Records without a revision should be numbered');
+    assert.strictEqual(storage.getSettings().lastUser, 'Samantha');
+    assert.ok(fs.existsSync(path.join(dataDir, 'transactions.json.migrated')));
+    assert.ok(!fs.existsSync(path.join(dataDir, 'transactions.json')));
+    storage.close();
+
+    // Reopening must not migrate (or seed) again
+    const reopened = createStorage({ dataDir });
+    reopened.seed({ categories: [{ id: 'cat-1', name: 'Groceries' }], settings: {} });
+    assert.strictEqual(reopened.transactions.all().length, 1);
+    assert.strictEqual(reopened.categories.all().length, 0);
+    reopened.close();
+  });
+
+  test('should seed default categories with revisions on first run', () => {
+    const storage = createStorage({ dataDir: tempDir() });
+    storage.seed({ categories: [{ id: 'cat-1', name: 'Groceries' }, { id: 'cat-2', name: 'Gas' }], settings: { lastUser: 'James' } });
+
+    assert.deepStrictEqual(storage.categories.all().map(c => c.rev), [1, 2]);
+    assert.strictEqual(storage.getSettings().lastUser, 'James');
+    storage.close();
+  });
+
+  test('should roll back every write in a failed transaction on both backends', () => {
+    for (const backend of ['sqlite', 'json']) {
+      const storage = createStorage({ backend, dataDir: tempDir() });
+      storage.transactions.put({ id: 't1', amount: 10, rev: 1 });
+
+      assert.throws(() => storage.transaction(() => {
+        storage.transactions.put({ id: 't1', amount: 99, rev: 2 });
+        storage.categories.put({ id: 'c1', name: 'New', rev: 1 });
+        throw new Error('boom');
+      }), /boom/);
+
+      assert.strictEqual(storage.transactions.get('t1').amount, 10, backend);
+      assert.strictEqual(storage.categories.get('c1'), null, backend);
+      storage.close();
     }
-    
-    return date.toISOString().split('T')[0];
+  });
+
+  test('should report damage SQLite finds on a later query as corruption', () => {
+    const storage = createStorage({ dataDir: tempDir() });
+    const db = storage.backend.db;
+    storage.backend.db = {
+      prepare() {
+        throw Object.assign(new Error('database disk image is malformed'), { code: 'SQLITE_CORRUPT' });
+      }
+    };
+
+    assert.throws(() => storage.transactions.all(), error => error instanceof StorageCorruptError && error.files[0].endsWith('spend.db'));
+    storage.backend.db = db;
+    storage.close();
+  });
+
+  test('should query transactions by revision on both backends', () => {
+    for (const backend of ['sqlite', 'json']) {
+      const storage = createStorage({ backend, dataDir: tempDir() });
+      storage.transactions.putMany([
+        { id: 'a', date: '2024-01-01', rev: 1 },
+        { id: 'b', date: '2024-01-02', rev: 3 },
+        { id: 'c', date: '2024-01-03', rev: 2 }
+      ]);
+
+      assert.deepStrictEqual(storage.transactions.changedSince(1).map(r => r.id), ['c', 'b'], backend);
+      assert.strictEqual(storage.transactions.nextRevision(), 4, backend);
+      storage.close();
+    }
+  });
+
+  test('should reject unknown backends', () => {
+    assert.throws(() => createStorage({ backend: 'mongo', dataDir: tempDir() }), /Unknown storage backend/);
+  });
+
+  test('should write files atomically without leaving temp files behind', () => {
+    const dataDir = tempDir();
+    const filePath = path.join(dataDir, 'data.json');
+    fs.writeFileSync(filePath, '{"old":true}');
+
+    writeFileAtomic(filePath, '{"new":true}');
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { new: true });
+    assert.deepStrictEqual(fs.readdirSync(dataDir), ['data.json']);
+  });
+
+  test('should refuse to open a truncated JSON file instead of treating it as empty', () => {
+    const dataDir = tempDir();
+    fs.writeFileSync(path.join(dataDir, 'transactions.json'), '[{"id": "t1", "amou');
+
+    assert.throws(
+      () => createStorage({ backend: 'json', dataDir }),
+      error => error instanceof StorageCorruptError && error.files[0].endsWith('transactions.json')
+    );
+  });
+
+  test('should refuse to open a damaged SQLite database', () => {
+    const dataDir = tempDir();
+    fs.writeFileSync(path.join(dataDir, 'spend.db'), 'definitely not a database file'.repeat(200));
+
+    assert.throws(() => createStorage({ dataDir }), StorageCorruptError);
+  });
+
+  test('should take over a write lock left by a dead process', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ backend: 'json', dataDir });
+    fs.writeFileSync(path.join(dataDir, '.write.lock'), '999999999');
+
+    storage.transactions.put({ id: 't1', rev: 1 });
+
+    assert.strictEqual(storage.transactions.get('t1').rev, 1);
+    assert.ok(!fs.existsSync(path.join(dataDir, '.write.lock')), 'Lock should be released after the write');
+  });
+
+  test('should move damaged files aside and start a new epoch', () => {
+    const dataDir = tempDir();
+    const storage = createStorage({ dataDir });
+    const epoch = storage.epoch;
+    storage.close();
+
+    const reopened = createStorage({ dataDir });
+    assert.ok(epoch);
+    assert.strictEqual(reopened.epoch, epoch, 'Epoch should survive a restart');
+    reopened.close();
+
+    const files = ['spend.db', 'spend.db-wal', 'spend.db-shm', 'missing.json'].map(name => path.join(dataDir, name));
+    const quarantined = quarantineFiles(files);
+    assert.ok(quarantined.some(name => name.startsWith('spend.db.corrupt-')));
+    assert.ok(!fs.existsSync(path.join(dataDir, 'spend.db')));
+
+    const rebuilt = createStorage({ dataDir });
+    assert.notStrictEqual(rebuilt.epoch, epoch);
+    rebuilt.close();
+  });
+});
+
+describe('Backups', () => {
+  function backupAt(iso) {
+    return { name: `backup-${iso.replace(/[:.]/g, '-')}.json`, createdAt: iso };
+  }
+
+  function tempStorage() {
+    const dataDir = makeTempDir('spend-backups-');
+    const backupDir = path.join(dataDir, 'backups');
+    fs.mkdirSync(backupDir);
+    return { storage: createStorage({ dataDir }), backupDir };
+  }
+
+  test('should keep the newest backup per day, week and month', () => {
+    // One backup every 12 hours for 400 days
+    const start = new Date('2024-01-01T00:00:00.000Z').getTime();
+    const backups = [];
+    for (let i = 0; i < 800; i++) {
+      backups.push(backupAt(new Date(start + i * 12 * 60 * 60 * 1000).toISOString()));
+    }
+
+    const keep = selectBackupsToKeep(backups, { daily: 14, weekly: 8, monthly: 12 });
+    const kept = backups.filter(b => keep.has(b.name)).map(b => b.createdAt).sort().reverse();
+
+    assert.strictEqual(kept[0], backups[backups.length - 1].createdAt, 'Newest backup is always kept');
+    assert.ok(kept.length >= 14 && kept.length <= 14 + 8 + 12);
+    assert.strictEqual(new Set(kept.slice(0, 14).map(t => t.slice(0, 10))).size, 14, 'One per day for 14 days');
+    assert.strictEqual(new Set(kept.map(t => t.slice(0, 7))).size, 12, 'Reaches back 12 months');
+  });
+
+  test('should prune backups outside the retention policy', () => {
+    const { backupDir } = tempStorage();
+    ['2024-01-01', '2024-01-02', '2024-01-02', '2024-01-03'].forEach((day, i) => {
+      const name = backupAt(`${day}T0${i}:00:00.000Z`).name;
+      fs.writeFileSync(path.join(backupDir, name), JSON.stringify({ transactions: [], categories: [], recurring: [] }));
+    });
+
+    const removed = pruneBackups(backupDir, { daily: 2, weekly: 0, monthly: 0 });
+
+    assert.deepStrictEqual(removed, [backupAt('2024-01-02T01:00:00.000Z').name, backupAt('2024-01-01T00:00:00.000Z').name]);
+    assert.strictEqual(listBackups(backupDir).length, 2);
+  });
+
+  test('should keep safety backups for a while even with a newer backup that day', () => {
+    const { backupDir } = tempStorage();
+    const write = (iso, reason) => {
+      const name = backupAt(iso).name;
+      fs.writeFileSync(path.join(backupDir, name), JSON.stringify({ transactions: [], categories: [], recurring: [], reason }));
+      return name;
+    };
+    const oldImport = write('2024-01-01T09:00:00.000Z', 'pre-import');
+    const preRestore = write('2024-03-10T09:00:00.000Z', 'pre-restore');
+    const scheduled = write('2024-03-10T10:00:00.000Z', 'scheduled');
+
+    const removed = pruneBackups(backupDir, { daily: 1, weekly: 0, monthly: 0, safetyDays: 30 }, new Date('2024-03-11T00:00:00.000Z'));
+
+    assert.deepStrictEqual(removed, [oldImport], 'Safety backups older than safetyDays go like any other');
+    assert.deepStrictEqual(listBackups(backupDir).map(b => b.name), [scheduled, preRestore]);
+  });
+
+  test('should only read files that look like backups', () => {
+    const { backupDir } = tempStorage();
+    assert.strictEqual(readBackup(backupDir, '../spend.db'), null);
+    assert.strictEqual(readBackup(backupDir, 'backup-missing.json'), null);
+  });
+
+  test('should summarise and restore a backup, soft-deleting newer records', () => {
+    const { storage, backupDir } = tempStorage();
+    storage.transactions.putMany([
+      { id: 't1', amount: 10, updatedAt: '2024-01-01T00:00:00.000Z', rev: 1 },
+      { id: 't2', amount: 20, updatedAt: '2024-01-01T00:00:00.000Z', rev: 2 }
+    ]);
+    const name = createBackup(storage, backupDir, 'manual');
+
+    storage.transactions.putMany([
+      { id: 't1', amount: 15, updatedAt: '2024-01-02T00:00:00.000Z', rev: 3 },
+      { id: 't3', amount: 30, updatedAt: '2024-01-02T00:00:00.000Z', rev: 4 }
+    ]);
+    storage.transactions.put({ id: 't2', amount: 20, deletedAt: '2024-01-02T00:00:00.000Z', rev: 5 });
+
+    const data = readBackup(backupDir, name);
+    assert.strictEqual(data.reason, 'manual');
+    assert.deepStrictEqual(diffBackup(storage, data).transactions, { added: 1, removed: 1, changed: 1, unchanged: 0 });
+
+    restoreBackup(storage, data);
+
+    assert.strictEqual(storage.transactions.get('t1').amount, 10);
+    assert.ok(!storage.transactions.get('t2').deletedAt);
+    assert.ok(storage.transactions.get('t3').deletedAt, 'Records missing from the backup are soft-deleted');
+    assert.ok(storage.transactions.changedSince(5).length === 3, 'Every touched record gets a new revision');
+    const t1 = storage.transactions.get('t1');
+    assert.strictEqual(t1.fieldRevs.amount, t1.rev, 'Restored fields are stamped so later edits from before it conflict');
+    const t3 = storage.transactions.get('t3');
+    assert.strictEqual(t3.fieldRevs.deletedAt, t3.rev);
+  });
+});
+
+describe('Export Schema', () => {
+  const current = () => ({
+    schemaVersion: SCHEMA_VERSION,
+    amountUnits: 'minor',
+    transactions: [{ id: 't1', date: '2024-06-01', person: 'James', category: 'Food', categoryId: 'c1', amount: 475 }],
+    categories: [{ id: 'c1', name: 'Food' }],
+    recurring: [],
+    settings: {}
+  });
+
+  test('should report every bad record with its row', () => {
+    assert.deepStrictEqual(validateExport(current()), []);
+
+    const data = current();
+    data.transactions.push({ id: 't2', date: '06/01/2024', person: 'James', category: 'Food', amount: 4.75 }, { id: 't3', person: '', category: 'Food', date: '2024-06-01', amount: 100 });
+    data.categories.push({ id: 'c2' });
+    const errors = validateExport(data);
+    assert.deepStrictEqual(errors.map(e => [e.collection, e.index, e.id]), [['transactions', 1, 't2'], ['transactions', 2, 't3'], ['categories', 1, 'c2']]);
+    assert.strictEqual(describeExportError(errors[0]), 'Transaction 2 (t2): Missing or invalid date, amount');
+
+    assert.deepStrictEqual(validateExport({ ...current(), recurring: undefined }).map(e => e.error), ['Recurring transaction list is missing']);
+    assert.match(validateExport({ ...current(), schemaVersion: SCHEMA_VERSION + 1 })[0].error, /newer version/);
+  });
+
+  test('should upgrade older exports to the current schema', () => {
+    const { schemaVersion, amountUnits, ...dollars } = current();
+    dollars.transactions = [{ id: 't1', date: '2024-06-01', person: 'James', category: ' food ', amount: 4.75 }];
+    assert.deepStrictEqual(validateExport(dollars), [], 'Unversioned exports in dollars are version 1');
+
+    const upgraded = upgradeExport(dollars);
+    assert.strictEqual(upgraded.schemaVersion, SCHEMA_VERSION);
+    assert.deepStrictEqual(upgraded.transactions[0], { id: 't1', date: '2024-06-01', person: 'James', category: ' food ', categoryId: 'c1', amount: 475 });
+    assert.deepStrictEqual(validateExport(upgraded), []);
+
+    const cents = upgradeExport({ ...dollars, amountUnits: 'minor', transactions: [{ ...dollars.transactions[0], amount: 475, category: 'Travel' }] });
+    assert.strictEqual(cents.transactions[0].amount, 475, 'Version 2 is already in minor units');
+    assert.strictEqual(cents.transactions[0].categoryId, undefined, 'Names no category has stay unlinked');
+    const latest = current();
+    assert.strictEqual(upgradeExport(latest), latest, 'Current exports are left as they are');
+  });
+
+  test('should write the schema version into exports', () => {
+    const storage = createStorage({ dataDir: makeTempDir('spend-export-') });
+    const data = exportData(storage);
+    assert.strictEqual(data.schemaVersion, SCHEMA_VERSION);
+    assert.strictEqual(data.amountUnits, 'minor');
+  });
+});
+
+describe('JSON Import', () => {
+  function importScenario() {
+    const storage = createStorage({ dataDir: makeTempDir('spend-import-') });
+    storage.transactions.putMany([
+      { id: 't1', amount: 1500, updatedAt: '2024-01-02T00:00:00.000Z', rev: 1 },
+      { id: 't2', amount: 2000, updatedAt: '2024-01-01T00:00:00.000Z', rev: 2 },
+      { id: 't3', amount: 3000, updatedAt: '2024-01-02T00:00:00.000Z', rev: 3 }
+    ]);
+    storage.saveSettings({ timezone: 'UTC' });
+    const data = {
+      transactions: [
+        { id: 't1', amount: 1000, updatedAt: '2024-01-01T00:00:00.000Z' },
+        { id: 't2', amount: 2500, updatedAt: '2024-01-03T00:00:00.000Z' },
+        { id: 't4', amount: 4000, updatedAt: '2024-01-01T00:00:00.000Z' }
+      ],
+      settings: { timezone: 'America/Chicago', weekStart: 'monday' }
+    };
+    return { storage, data };
+  }
+
+  test('should preview what each mode would do', () => {
+    const { storage, data } = importScenario();
+    const preview = previewImport(storage, data);
+
+    assert.deepStrictEqual(preview.replace.transactions, { added: 1, updated: 2, unchanged: 0, deleted: 1 });
+    assert.deepStrictEqual(preview.merge.transactions, { added: 1, updated: 1, unchanged: 1, deleted: 0 }, 'The newer stored edit of t1 is kept');
+    assert.deepStrictEqual(preview.append.transactions, { added: 1, updated: 0, unchanged: 2, deleted: 0 });
+    assert.deepStrictEqual(preview.replace.settings, ['timezone', 'weekStart']);
+    assert.deepStrictEqual(preview.merge.settings, ['weekStart'], 'Merging only fills in settings that aren\'t set');
+    assert.strictEqual(preview.merge.categories, undefined, 'Collections the export lacks are left alone');
+  });
+
+  test('should plan writes only for records that change', () => {
+    const { storage, data } = importScenario();
+    const ids = mode => planImport(storage, data, mode).collections.transactions.writes.map(w => w.record.id).sort();
+
+    assert.deepStrictEqual(ids('replace'), ['t1', 't2', 't3', 't4']);
+    assert.deepStrictEqual(ids('merge'), ['t2', 't4']);
+    assert.deepStrictEqual(ids('append'), ['t4']);
+
+    const removed = planImport(storage, data, 'replace', '2024-02-01T00:00:00.000Z').collections.transactions.writes.find(w => w.record.id === 't3');
+    assert.strictEqual(removed.record.deletedAt, '2024-02-01T00:00:00.000Z', 'Replacing soft-deletes what the export lacks');
+    assert.strictEqual(planImport(storage, data, 'merge').collections.transactions.writes.find(w => w.record.id === 't2').record.amount, 2500);
+  });
+});
+
+describe('Accounts & Sessions', () => {
+  function tempStorage() {
+    return createStorage({ dataDir: makeTempDir('spend-auth-') });
+  }
+
+  // A store whose household is `names`, each with an account using the shared password
+  function householdStorage(names) {
+    const storage = tempStorage();
+    migrateMembers(storage, names);
+    syncAccounts(storage, 'shared');
+    return storage;
   }
 
-  test('should calculate next weekly date', () => {
-    const next = getNextRecurringDate('2024-01-15', 'weekly');
-    assert.strictEqual(next, '2024-01-22');
+  test('should hash passwords with a per-password salt', () => {
+    const first = hashPassword('correct horse');
+    const second = hashPassword('correct horse');
+
+    assert.notStrictEqual(first, second);
+    assert.ok(!first.includes('correct horse'));
+    assert.strictEqual(verifyPassword('correct horse', first), true);
+    assert.strictEqual(verifyPassword('wrong horse', first), false);
+    assert.strictEqual(verifyPassword('anything', 'not-a-hash'), false);
+  });
+
+  test('should give each member an account, only with a password', () => {
+    const storage = tempStorage();
+    migrateMembers(storage, ['James', 'Samantha']);
+    assert.strictEqual(syncAccounts(storage, undefined), 0);
+    assert.strictEqual(syncAccounts(storage, 'shared'), 2);
+    assert.strictEqual(syncAccounts(storage, 'shared'), 0, 'Existing accounts are left alone');
+
+    assert.strictEqual(authenticate(storage, ' james ', 'shared').name, 'James');
+    assert.strictEqual(authenticate(storage, 'James', 'nope'), null);
+    assert.strictEqual(authenticate(storage, 'Nobody', 'shared'), null);
+  });
+
+  test('should give members added later an account without a password', () => {
+    const storage = householdStorage(['James']);
+    storage.members.put({ id: 'member-alex', name: 'Alex', createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' });
+
+    assert.strictEqual(syncAccounts(storage, null), 1);
+    assert.strictEqual(storage.users.all().find(u => u.memberId === 'member-alex').passwordHash, null);
+    assert.strictEqual(authenticate(storage, 'Alex', 'shared'), null, 'The shared password does not open it');
+    assert.strictEqual(authenticate(storage, 'Alex', ''), null);
+  });
+
+  test('should follow renamed and removed members', () => {
+    const storage = householdStorage(['James', 'Samantha']);
+    const [james, samantha] = storage.members.all();
+    const { token } = createSession(storage, authenticate(storage, 'Samantha', 'shared'));
+
+    storage.members.putMany([{ ...james, name: 'Jim' }, { ...samantha, deletedAt: new Date().toISOString() }]);
+    syncAccounts(storage, 'shared');
+
+    assert.strictEqual(authenticate(storage, 'Jim', 'shared').memberId, james.id);
+    assert.strictEqual(authenticate(storage, 'James', 'shared'), null);
+    assert.strictEqual(authenticate(storage, 'Samantha', 'shared'), null);
+    assert.strictEqual(findSession(storage, token), null, 'A removed member is signed out everywhere');
+    assert.strictEqual(storage.users.all().length, 2);
+  });
+
+  test('should link accounts from before members by name', () => {
+    const storage = tempStorage();
+    storage.users.put({ id: 'u1', name: 'James', passwordHash: hashPassword('own password'), createdAt: '2024-01-01T00:00:00.000Z' });
+    migrateMembers(storage, ['James']);
+    syncAccounts(storage, 'shared');
+
+    assert.strictEqual(storage.users.all().length, 1);
+    assert.strictEqual(authenticate(storage, 'James', 'own password').memberId, storage.members.all()[0].id);
+  });
+
+  test('should look sessions up by token and honour expiry and revocation', () => {
+    const storage = householdStorage(['James']);
+    const user = authenticate(storage, 'James', 'shared');
+
+    const { token, session } = createSession(storage, user);
+    assert.ok(!JSON.stringify(storage.sessions.get(session.id)).includes(token), 'Only a hash of the token is stored');
+    assert.strictEqual(findSession(storage, token).user.id, user.id);
+    assert.strictEqual(findSession(storage, 'forged-token'), null);
+
+    revokeSessions(storage, [session]);
+    assert.strictEqual(findSession(storage, token), null);
+    assert.strictEqual(listSessions(storage).length, 0);
+
+    const expired = createSession(storage, user, { ttlMs: -1000 });
+    assert.strictEqual(findSession(storage, expired.token), null);
+  });
+
+  test('should drop long-dead sessions', () => {
+    const storage = householdStorage(['James']);
+    const user = authenticate(storage, 'James', 'shared');
+    createSession(storage, user);
+    createSession(storage, user, { ttlMs: -60 * 24 * 60 * 60 * 1000 });
+
+    assert.strictEqual(pruneSessions(storage), 1);
+    assert.strictEqual(storage.sessions.all().length, 1);
+  });
+});
+
+describe('Household Members', () => {
+  function tempStorage() {
+    return createStorage({ dataDir: makeTempDir('spend-members-') });
+  }
+
+  test('should derive initials and hand out unused colours', () => {
+    assert.strictEqual(memberInitials('James'), 'J');
+    assert.strictEqual(memberInitials(' mary  jane watson '), 'MJ');
+    assert.strictEqual(nextMemberColor([]), '#3b82f6');
+    assert.strictEqual(nextMemberColor([{ color: '#3b82f6' }]), '#ec4899');
+    assert.strictEqual(nextMemberColor([{ color: '#ec4899' }, { color: '#3b82f6', deletedAt: '2024-01-01' }]), '#3b82f6');
+  });
+
+  test('should create the household on a fresh store only once', () => {
+    const storage = tempStorage();
+
+    assert.strictEqual(migrateMembers(storage, ['James', 'Samantha']), true);
+    assert.strictEqual(migrateMembers(storage, ['Someone']), false);
+
+    const members = storage.members.all();
+    assert.deepStrictEqual(members.map(m => [m.name, m.initials, m.color]), [['James', 'J', '#3b82f6'], ['Samantha', 'S', '#ec4899']]);
+    assert.ok(members.every(m => m.rev > 0), 'Members need revisions to sync');
+  });
+
+  test('should migrate existing records to members by name', () => {
+    const storage = tempStorage();
+    storage.transactions.putMany([
+      { id: 't1', person: 'James', amount: 10, rev: 1 },
+      { id: 't2', person: 'samantha', amount: 20, rev: 2 },
+      { id: 't3', person: 'Alex', amount: 30, rev: 3 }
+    ]);
+    storage.recurring.put({ id: 'r1', person: 'Samantha', amount: 40, rev: 1 });
+
+    migrateMembers(storage, ['James', 'Samantha']);
+
+    const byName = new Map(storage.members.all().map(m => [m.name, m]));
+    assert.deepStrictEqual(Array.from(byName.keys()), ['James', 'Samantha', 'Alex'], 'Unknown names become members too');
+    assert.strictEqual(storage.transactions.get('t1').memberId, byName.get('James').id);
+    assert.strictEqual(storage.transactions.get('t2').memberId, byName.get('Samantha').id);
+    assert.strictEqual(storage.transactions.get('t3').memberId, byName.get('Alex').id);
+    assert.strictEqual(storage.recurring.get('r1').memberId, byName.get('Samantha').id);
+    assert.strictEqual(storage.transactions.changedSince(3).length, 3, 'Linked records get new revisions so devices pull them');
   });
 
-  test('should calculate next biweekly date', () => {
-    const next = getNextRecurringDate('2024-01-15', 'biweekly');
-    assert.strictEqual(next, '2024-01-29');
+  test('should fill in members for records that only name the person', () => {
+    const members = [{ id: 'm1', name: 'James' }, { id: 'm2', name: 'Samantha' }];
+    const [legacy, edited, current, unknown] = withMemberIds([
+      { id: 't1', person: 'James' },
+      { id: 't2', person: 'Samantha', memberId: 'm1', changedFields: ['person'], baseRev: 3 },
+      { id: 't3', person: 'James', memberId: 'm1', changedFields: ['amount'], baseRev: 3 },
+      { id: 't4', person: 'Nobody' }
+    ], members);
+
+    assert.strictEqual(legacy.memberId, 'm1');
+    assert.strictEqual(edited.memberId, 'm2', 'An old client changing the name changes the member too');
+    assert.deepStrictEqual(edited.changedFields, ['person', 'memberId']);
+    assert.deepStrictEqual(current.changedFields, ['amount']);
+    assert.strictEqual(unknown.memberId, undefined);
+  });
+
+  test('should find a record\'s member by id, falling back to its name', () => {
+    const members = [{ id: 'm1', name: 'Jim' }, { id: 'm2', name: 'Sam', deletedAt: '2024-01-01' }];
+
+    assert.strictEqual(memberFor(members, { memberId: 'm1', person: 'James' }).name, 'Jim', 'Renames show on old records');
+    assert.strictEqual(memberFor(members, { memberId: 'm2', person: 'Sam' }).id, 'm2', 'Removed members still own their records');
+    assert.strictEqual(memberFor(members, { person: 'jim' }).id, 'm1');
+    assert.strictEqual(memberFor(members, { person: 'Sam' }), null);
+  });
+});
+
+describe('Money', () => {
+  test('should format cents as dollars', () => {
+    assert.strictEqual(formatAmount(475), '$4.75');
+    assert.strictEqual(formatAmount(123456), '$1,234.56');
+    assert.strictEqual(formatAmount(0), '$0.00');
+    assert.strictEqual(formatAmount(-1200), '−$12.00');
+    assert.strictEqual(amountInputValue(1999), '19.99');
+    assert.strictEqual(amountInputValue(null), '');
+  });
+
+  test('should add up cents exactly', () => {
+    const total = [parseAmount('0.10'), parseAmount('0.20'), parseAmount('0.30')].reduce((sum, amount) => sum + amount, 0);
+    assert.strictEqual(total, 60);
+    assert.strictEqual(formatAmount(total), '$0.60');
+  });
+
+  test('should convert records from whole dollars, leaving percentages alone', () => {
+    assert.deepStrictEqual(
+      recordToMinorUnits('transactions', { id: 't1', amount: 12, split: { type: 'amount', shares: { j: 5, s: 7 } } }),
+      { id: 't1', amount: 1200, split: { type: 'amount', shares: { j: 500, s: 700 } } }
+    );
+    assert.deepStrictEqual(
+      recordToMinorUnits('transactions', { id: 't2', amount: 10, split: { type: 'percent', shares: { j: 60, s: 40 } } }).split.shares,
+      { j: 60, s: 40 }
+    );
+    assert.deepStrictEqual(
+      recordToMinorUnits('categories', { id: 'c1', budget: 300, budgetHistory: [{ since: '2024-01', amount: 250 }] }),
+      { id: 'c1', budget: 30000, budgetHistory: [{ since: '2024-01', amount: 25000 }] }
+    );
+    assert.deepStrictEqual(recordToMinorUnits('categories', { id: 'c2', budget: null }), { id: 'c2', budget: null });
+  });
+
+  test('should convert exports from before minor units only once', () => {
+    const legacy = { transactions: [{ id: 't1', amount: 30 }], settlements: [{ id: 's1', amount: 7.5 }], settings: { householdBudget: 2000 } };
+    const converted = dataToMinorUnits(legacy);
+
+    assert.strictEqual(converted.amountUnits, 'minor');
+    assert.strictEqual(converted.transactions[0].amount, 3000);
+    assert.strictEqual(converted.settlements[0].amount, 750);
+    assert.strictEqual(converted.settings.householdBudget, 200000);
+    assert.strictEqual(dataToMinorUnits(converted), converted, 'Data in minor units is left alone');
+    assert.strictEqual(pushedInMinorUnits({ transactions: [{ id: 't1', amount: 30 }] }, 'transactions')[0].amount, 3000);
+    assert.strictEqual(pushedInMinorUnits({ transactions: [{ id: 't1', amount: 30 }], amountUnits: 'minor' }, 'transactions')[0].amount, 30);
+  });
+
+  test('should migrate a store to minor units once, with new revisions', () => {
+    const storage = createStorage({ dataDir: makeTempDir('spend-amounts-') });
+    storage.transactions.put({ id: 't1', amount: 25, rev: 1 });
+    storage.recurring.put({ id: 'r1', amount: 80, rev: 1 });
+    storage.saveSettings({ householdBudget: 1500, budgetAlertThreshold: 80 });
+
+    assert.strictEqual(migrateAmounts(storage), true);
+    assert.strictEqual(storage.transactions.get('t1').amount, 2500);
+    assert.strictEqual(storage.transactions.get('t1').rev, 2, 'Devices pull the converted record');
+    assert.strictEqual(storage.recurring.get('r1').amount, 8000);
+    assert.strictEqual(storage.getSettings().householdBudget, 150000);
+    assert.strictEqual(storage.getSettings().budgetAlertThreshold, 80, 'The threshold is a percentage');
+
+    assert.strictEqual(migrateAmounts(storage), false);
+    assert.strictEqual(storage.transactions.get('t1').amount, 2500);
+  });
+});
+
+describe('Refunds', () => {
+  const purchase = { id: 'p1', date: '2024-03-01', memberId: 'j', category: 'Clothes', categoryId: 'c1', amount: 8000 };
+
+  test('should accept negative refunds linked to a purchase, up to its amount', () => {
+    const partial = { id: 'r1', type: 'refund', refundOf: 'p1', amount: -3000 };
+    const transactions = [purchase, partial];
+
+    assert.strictEqual(validateTransaction(purchase, transactions), null);
+    assert.strictEqual(validateTransaction(partial, transactions), null);
+    assert.strictEqual(validateTransaction({ id: 'cashback', type: 'refund', amount: -500 }, transactions), null, 'Credits need no purchase');
+    assert.strictEqual(validateTransaction({ id: 'r2', type: 'refund', refundOf: 'p1', amount: -5000 }, transactions), null);
+    assert.strictEqual(refundedAmount(purchase, transactions), 3000);
+
+    assert.match(validateTransaction({ id: 'r2', type: 'refund', refundOf: 'p1', amount: -5001 }, transactions), /more than the purchase/);
+    assert.match(validateTransaction({ id: 'r2', type: 'refund', refundOf: 'p1', amount: 500 }, transactions), /negative/);
+    assert.match(validateTransaction({ id: 'x', amount: -500 }, transactions), /Only refunds/);
+    assert.match(validateTransaction({ id: 'r2', type: 'refund', refundOf: 'missing', amount: -500 }, transactions), /does not exist/);
+    assert.match(validateTransaction({ id: 'r2', type: 'refund', refundOf: 'r1', amount: -500 }, transactions), /cannot be refunded/);
+    assert.match(validateTransaction({ id: 'r2', type: 'rebate', amount: -500 }, transactions), /Unknown transaction type/);
+    assert.ok(validateTransaction({ id: 'x', amount: 12.5 }, transactions), 'Amounts are whole cents');
+  });
+
+  test('should keep a refund whose purchase was deleted later', () => {
+    const refund = { id: 'r1', type: 'refund', refundOf: 'p1', amount: -3000 };
+    const transactions = [{ ...purchase, deletedAt: '2024-03-05T00:00:00.000Z' }, refund];
+
+    assert.strictEqual(validateTransaction({ ...refund, memo: 'edited' }, transactions, refund), null);
+    assert.strictEqual(validateTransaction({ ...refund, deletedAt: '2024-03-06T00:00:00.000Z' }, transactions, refund), null);
+  });
+
+  test('should subtract refunds from the purchase\'s category and balance', () => {
+    const split = { type: 'equal', memberIds: ['j', 's'] };
+    const refund = { id: 'r1', date: '2024-03-10', type: 'refund', refundOf: 'p1', memberId: 'j', category: 'Clothes', categoryId: 'c1', amount: -2000, split };
+    const transactions = [{ ...purchase, split }, refund];
+
+    assert.strictEqual(spentInPeriod(transactions, 'monthly', '2024-03-15', { id: 'c1', name: 'Clothes' }), 6000);
+    assert.deepStrictEqual(computeBalances(transactions, tx => tx.memberId), { j: 3000, s: -3000 });
+  });
+
+  test('should scale fixed split shares down to the refund', () => {
+    const original = { ...purchase, split: { type: 'amount', shares: { j: 5000, s: 3000 } } };
+    assert.deepStrictEqual(refundSplit(original, -1000).shares, { j: -625, s: -375 });
+    assert.deepStrictEqual(refundSplit(original, -333).shares, { j: -208, s: -125 }, 'Shares still add up to the refund');
+    assert.deepStrictEqual(refundSplit({ ...purchase, split: { type: 'percent', shares: { j: 50, s: 50 } } }, -100).shares, { j: 50, s: 50 });
+  });
+
+  test('should list refunds under the purchase they are for', () => {
+    const newestFirst = [
+      { id: 'r2', type: 'refund', refundOf: 'p1' },
+      { id: 'p2' },
+      { id: 'r1', type: 'refund', refundOf: 'p1' },
+      { id: 'p1' },
+      { id: 'r3', type: 'refund', refundOf: 'p-not-shown' }
+    ];
+    assert.deepStrictEqual(groupRefunds(newestFirst).map(tx => tx.id), ['p2', 'p1', 'r2', 'r1', 'r3']);
+  });
+});
+
+describe('Currencies', () => {
+  const rates = [
+    { id: 'r1', base: 'USD', currency: 'EUR', rate: 1.1, date: '2024-01-01' },
+    { id: 'r2', base: 'USD', currency: 'EUR', rate: 1.2, date: '2024-03-01' },
+    { id: 'r3', base: 'USD', currency: 'EUR', rate: 9, date: '2024-02-01', deletedAt: '2024-02-02T00:00:00Z' },
+    { id: 'r4', base: 'USD', currency: 'JPY', rate: 0.0067, date: '2024-01-01' }
+  ];
+
+  test('should format and parse amounts in each currency\'s minor units', () => {
+    assert.strictEqual(formatAmount(1250, 'EUR'), '€12.50');
+    assert.strictEqual(formatAmount(800, 'JPY'), '¥800');
+    assert.strictEqual(formatAmount(-800, 'JPY'), '−¥800');
+    assert.strictEqual(parseAmount('800', 'JPY'), 800);
+    assert.strictEqual(parseAmount('8.5', 'JPY'), null, 'Yen have no decimals');
+    assert.strictEqual(parseAmount('€12.50', 'EUR'), 1250);
+    assert.strictEqual(amountInputValue(800, 'JPY'), '800');
+  });
+
+  test('should use the latest rate from the date or before', () => {
+    assert.strictEqual(rateFor(rates, 'USD', 'EUR', '2024-02-15'), 1.1, 'Deleted rates are ignored');
+    assert.strictEqual(rateFor(rates, 'USD', 'EUR', '2024-03-01'), 1.2);
+    assert.strictEqual(rateFor(rates, 'USD', 'EUR', '2023-06-01'), 1.1, 'Earlier dates use the earliest rate');
+    assert.strictEqual(rateFor(rates, 'USD', 'GBP', '2024-03-01'), null);
+    assert.strictEqual(rateFor(rates, 'EUR', 'JPY', '2024-03-01'), null, 'Rates are for one base currency');
+  });
+
+  test('should convert between minor units of different currencies', () => {
+    assert.strictEqual(convertToBase(1000, 'EUR', 1.1, 'USD'), 1100);
+    assert.strictEqual(convertToBase(1500, 'JPY', 0.0067, 'USD'), 1005);
+    assert.strictEqual(convertToBase(1000, 'USD', 150, 'JPY'), 1500);
+    assert.strictEqual(convertToBase(-333, 'EUR', 1.1, 'USD'), -366);
+  });
+
+  test('should validate rates and foreign amounts', () => {
+    assert.strictEqual(validateRate(rates[0]), null);
+    assert.strictEqual(validateRate({ ...rates[0], currency: 'euro' }), 'Currency must be a three-letter code like EUR');
+    assert.strictEqual(validateRate({ ...rates[0], currency: 'USD' }), 'The base currency needs no rate');
+    assert.strictEqual(validateRate({ ...rates[0], rate: 0 }), 'Rate must be more than zero');
+    assert.strictEqual(validateRate({ ...rates[0], date: '' }), 'Date is required');
+
+    assert.strictEqual(validateForeignAmount({ amount: 1100 }), null, 'Spending in the base currency has no currency fields');
+    assert.strictEqual(validateForeignAmount({ amount: 1100, currency: 'EUR', originalAmount: 1000, rate: 1.1 }), null);
+    assert.strictEqual(validateForeignAmount({ amount: 1100, currency: 'EUR', rate: 1.1 }), 'The amount paid is required');
+    assert.strictEqual(validateForeignAmount({ amount: -1100, currency: 'EUR', originalAmount: 1000, rate: 1.1 }), 'The amount paid and the converted amount must have the same sign');
+    assert.strictEqual(validateForeignAmount({ amount: 1100, currency: 'EUR', originalAmount: 1000 }), 'Exchange rate is required');
+  });
+
+  test('should import rates from CSV and report bad lines', () => {
+    const { rates: imported, errors } = parseRatesCsv('currency,rate,date\nEUR,1.08,2024-06-01\n\ngbp, 1.27\nUSD,1,2024-06-01\nJPY,abc,2024-06-01\n', 'USD', '2024-06-10');
+
+    assert.deepStrictEqual(imported, [
+      { base: 'USD', currency: 'EUR', rate: 1.08, date: '2024-06-01' },
+      { base: 'USD', currency: 'GBP', rate: 1.27, date: '2024-06-10' }
+    ]);
+    assert.deepStrictEqual(errors, ['Line 5: The base currency needs no rate', 'Line 6: Rate must be more than zero']);
+  });
+
+  test('should total spending by the currency it was paid in', () => {
+    const breakdown = currencyBreakdown([
+      { id: 't1', amount: 2000 },
+      { id: 't2', amount: 1100, currency: 'EUR', originalAmount: 1000, rate: 1.1 },
+      { id: 't3', amount: -550, currency: 'EUR', originalAmount: -500, rate: 1.1, type: 'refund' },
+      { id: 't4', amount: 5000, deletedAt: '2024-01-01T00:00:00Z' }
+    ], 'USD');
+
+    assert.deepStrictEqual(breakdown, [
+      { currency: 'USD', original: 2000, amount: 2000, count: 1 },
+      { currency: 'EUR', original: 500, amount: 550, count: 2 }
+    ]);
+  });
+});
+
+describe('Bank Statements', () => {
+  const checking = { name: 'Checking', hasHeader: true, dateColumn: 0, dateFormat: 'MM/DD/YYYY', descriptionColumn: 1, amountColumn: 2, sign: 'negative' };
+
+  test('should read quoted CSV cells', () => {
+    assert.deepStrictEqual(parseCsv('Date,Description\r\n06/01/2024,"Joe\'s ""Deli"", Main St"\n'), [
+      ['Date', 'Description'],
+      ['06/01/2024', 'Joe\'s "Deli", Main St']
+    ]);
+  });
+
+  test('should read dates and amounts the way the profile says', () => {
+    assert.strictEqual(parseStatementDate('06/01/2024', 'MM/DD/YYYY'), '2024-06-01');
+    assert.strictEqual(parseStatementDate('1/6/2024', 'DD/MM/YYYY'), '2024-06-01');
+    assert.strictEqual(parseStatementDate('02/30/2024', 'MM/DD/YYYY'), null);
+
+    const csv = 'Date,Description,Amount,Balance\n06/01/2024,STARBUCKS #123,-4.75,100\n06/02/2024,Opening balance,,100\n06/03/2024,REFUND AMAZON,"1,200.00",\n06/04/2024,Bad,abc,\n13/01/2024,Bad date,-1,\n';
+    const { rows, errors } = parseStatement(csv, checking);
+    assert.deepStrictEqual(rows, [
+      { line: 2, date: '2024-06-01', description: 'STARBUCKS #123', amount: 475 },
+      { line: 4, date: '2024-06-03', description: 'REFUND AMAZON', amount: -120000 }
+    ]);
+    assert.deepStrictEqual(errors, ['Line 5: the amount is not a number', 'Line 6: "13/01/2024" is not a MM/DD/YYYY date']);
+
+    const card = { ...checking, hasHeader: false, sign: 'positive' };
+    assert.strictEqual(parseStatement('06/01/2024,Cafe,(4.75)', card).rows[0].amount, -475, 'Card credits are negative');
+    const columns = { ...checking, hasHeader: false, sign: 'columns', creditColumn: 3 };
+    assert.deepStrictEqual(parseStatement('06/01/2024,Cafe,4.75,\n06/02/2024,Return,,20.00', columns).rows.map(r => r.amount), [475, -2000]);
+  });
+
+  test('should validate and guess bank profiles', () => {
+    assert.strictEqual(validateBankProfile(checking), null);
+    assert.strictEqual(validateBankProfile({ ...checking, name: ' ' }), 'Profile name is required');
+    assert.strictEqual(validateBankProfile({ ...checking, amountColumn: null }), 'Choose the amount column');
+    assert.strictEqual(validateBankProfile({ ...checking, sign: 'columns' }), 'Choose the credit column');
+
+    const guessed = guessBankProfile(parseCsv('Posted Date,Payee,Debit,Credit\n2024-06-01,Cafe,4.75,'));
+    assert.deepStrictEqual(
+      { ...guessed, name: 'Card' },
+      { name: 'Card', hasHeader: true, dateColumn: 0, dateFormat: 'YYYY-MM-DD', descriptionColumn: 1, amountColumn: 2, sign: 'columns', creditColumn: 3 }
+    );
+    assert.strictEqual(guessBankProfile(parseCsv('25/06/2024,Cafe,-4.75')).dateFormat, 'DD/MM/YYYY');
+  });
+
+  test('should flag rows that look like recorded transactions', () => {
+    const transactions = [
+      { id: 't1', date: '2024-06-01', vendor: 'Starbucks', amount: 475, categoryId: 'coffee' },
+      { id: 't2', date: '2024-06-03', vendor: '', category: 'Groceries', amount: 5210 },
+      { id: 't3', date: '2024-06-01', vendor: 'Shell', amount: 4000, deletedAt: '2024-06-02T00:00:00Z' }
+    ];
+    const rows = flagDuplicates([
+      { line: 2, date: '2024-06-02', description: 'STARBUCKS #1234 SEATTLE WA', amount: 475 },
+      { line: 3, date: '2024-06-02', description: 'STARBUCKS #1234 SEATTLE WA', amount: 475 },
+      { line: 4, date: '2024-06-03', description: 'SAFEWAY 0042', amount: 5210 },
+      { line: 5, date: '2024-06-09', description: 'Starbucks', amount: 475 },
+      { line: 6, date: '2024-06-01', description: 'SHELL OIL', amount: 4000 }
+    ], transactions);
+
+    assert.deepStrictEqual(rows.map(row => row.duplicateOf), ['t1', null, 't2', null, null]);
+    assert.ok(vendorSimilarity('AMZN Mktp US', 'Amzn mktp') > 0.5);
+    assert.strictEqual(vendorSimilarity('Shell', 'Safeway'), 0);
+    assert.strictEqual(suggestCategory('STARBUCKS STORE 88', transactions), 'coffee');
+    assert.strictEqual(suggestCategory('Hardware Co', transactions), null);
+  });
+});
+
+describe('Bank Files', () => {
+  const ofx = [
+    'OFXHEADER:100', 'DATA:OFXSGML', '', '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>', '<CURDEF>USD',
+    '<BANKACCTFROM><BANKID>121000248<ACCTID>00123456<ACCTTYPE>CHECKING</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240602120000.000[-5:EST]<TRNAMT>-4.75<FITID>F1<NAME>STARBUCKS &amp; CO</STMTTRN>',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240603<TRNAMT>20.00<FITID>F2<MEMO>Return</STMTTRN>',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+  ].join('\n');
+
+  test('should read OFX statements with the bank\'s ids', () => {
+    assert.strictEqual(detectBankFile(ofx), 'ofx');
+    assert.strictEqual(detectBankFile('Date,Amount\n'), null);
+
+    const statement = parseBankFile(ofx);
+    assert.deepStrictEqual(statement.account, { id: '00123456', type: 'checking' });
+    assert.strictEqual(statement.currency, 'USD');
+    assert.deepStrictEqual(statement.rows, [
+      { line: 1, date: '2024-06-02', description: 'STARBUCKS & CO', amount: 475, importId: 'ofx:00123456:F1' },
+      { line: 2, date: '2024-06-03', description: 'Return', amount: -2000, importId: 'ofx:00123456:F2' }
+    ]);
+    assert.deepStrictEqual(parseBankFile(ofx).rows.map(r => r.importId), statement.rows.map(r => r.importId), 'Reading it again gives the same ids');
+  });
+
+  test('should read QIF statements, telling identical lines apart', () => {
+    const qif = '!Type:CCard\nD6/1\'24\nT-4.75\nPStarbucks\n^\nD6/1\'24\nT-4.75\nPStarbucks\n^\nD6/2/2024\nU20.00\nPReturn\n^\n';
+    const statement = parseBankFile(qif);
+    assert.strictEqual(statement.format, 'qif');
+    assert.deepStrictEqual(statement.account, { id: null, type: 'ccard' });
+    assert.deepStrictEqual(statement.rows.map(r => [r.date, r.description, r.amount]), [
+      ['2024-06-01', 'Starbucks', 475],
+      ['2024-06-01', 'Starbucks', 475],
+      ['2024-06-02', 'Return', -2000]
+    ]);
+    assert.notStrictEqual(statement.rows[0].importId, statement.rows[1].importId);
+    assert.deepStrictEqual(parseBankFile(qif).rows.map(r => r.importId), statement.rows.map(r => r.importId));
+
+    const dayFirst = parseBankFile('!Type:Bank\nD01/06/2024\nT-1.00\n^\nD25/06/2024\nT-2.00\n^\n');
+    assert.deepStrictEqual(dayFirst.rows.map(r => r.date), ['2024-06-01', '2024-06-25']);
+    assert.deepStrictEqual(parseBankFile('!Type:Bank\nDsoon\nT-1.00\n^\n').errors, ['Line 2: "soon" is not a date']);
+  });
+
+  test('should import each statement line once', () => {
+    const transactions = [
+      { id: 't1', date: '2024-06-02', vendor: 'Starbucks', amount: 475, importId: 'ofx:00123456:F1' },
+      { id: 't2', date: '2024-06-03', vendor: 'Return', amount: -2000, importId: 'ofx:00123456:F2', deletedAt: '2024-06-04T00:00:00Z' }
+    ];
+    const rows = flagDuplicates(parseBankFile(ofx).rows, transactions);
+    assert.deepStrictEqual(rows.map(r => [r.duplicateOf, r.alreadyImported]), [['t1', true], [null, false]]);
+
+    assert.strictEqual(validateImport({ id: 't3', amount: 475, importId: 'ofx:00123456:F1' }, transactions), 'This statement line has already been imported');
+    assert.strictEqual(validateImport({ ...transactions[0], memo: 'edited' }, transactions), null, 'Editing keeps its own id');
+    assert.strictEqual(validateImport({ id: 't4', amount: -2000, importId: 'ofx:00123456:F2' }, transactions), null, 'Deleted imports can come back');
+    assert.strictEqual(validateImport({ id: 't5', amount: 100 }, transactions), null);
+  });
+});
+
+describe('Transaction Exports', () => {
+  const members = [{ id: 'm1', name: 'James' }, { id: 'm2', name: 'Samantha' }];
+  const transactions = [
+    { id: 't1', date: '2024-06-02', person: 'James', memberId: 'm1', category: 'Food', vendor: 'Cafe "Joe" & Co', amount: 475, memo: 'Lunch, again' },
+    { id: 't2', date: '2024-05-20', person: 'Samantha', memberId: 'm2', category: 'Travel', vendor: 'Hotel', amount: 10800, currency: 'EUR', originalAmount: 10000, rate: 1.08, split: { type: 'percent', shares: { m1: 60, m2: 40 } } },
+    { id: 't3', date: '2024-06-10', person: 'Samantha', category: 'Food', vendor: 'Market', amount: -200, type: 'refund', recurringId: 'rec-1' },
+    { id: 't4', date: '2024-06-11', person: 'James', category: 'Food', vendor: 'Gone', amount: 100, deletedAt: '2024-06-12T00:00:00.000Z' }
+  ];
+  const memberOf = tx => memberFor(members, tx);
+
+  test('should filter like the transactions view', () => {
+    assert.deepStrictEqual(filterTransactions(transactions, {}, memberOf).map(t => t.id), ['t1', 't2', 't3']);
+    assert.deepStrictEqual(filterTransactions(transactions, { person: 'm2' }, memberOf).map(t => t.id), ['t2', 't3']);
+    assert.deepStrictEqual(filterTransactions(transactions, { category: 'Food', from: '2024-06-01', to: '2024-06-05' }, memberOf).map(t => t.id), ['t1']);
+    assert.deepStrictEqual(filterTransactions(transactions, { person: 'all', search: ' lunch ' }, memberOf).map(t => t.id), ['t1']);
+    assert.strictEqual(filtersQuery({ person: 'all', category: 'Food', from: '', search: 'a&b' }), 'category=Food&search=a%26b');
+  });
+
+  test('should write CSV oldest first, with optional columns and quoted text', () => {
+    assert.deepStrictEqual(parseExportColumns('currency, split'), { columns: ['split', 'currency'] });
+    assert.deepStrictEqual(parseExportColumns('tags'), { error: 'Unknown export column "tags"' });
+
+    const lines = toCsv(exportRows(transactions.slice(0, 3), { members, columns: ['split', 'currency', 'recurring'] })).split('\n');
+    assert.strictEqual(lines[0], 'Date,Person,Category,Vendor,Amount,Memo,Split,Currency,Amount Paid,Rate,Recurring ID');
+    assert.strictEqual(lines[1], '"2024-05-20","Samantha","Travel","Hotel",108.00,"","James 60%, Samantha 40%","EUR",100.00,1.08,""');
+    assert.strictEqual(lines[2], '"2024-06-02","James","Food","Cafe ""Joe"" & Co",4.75,"Lunch, again","Personal","USD",4.75,"",""');
+    assert.strictEqual(lines[3], '"2024-06-10","Samantha","Food","Market",-2.00,"","Personal","USD",-2.00,"","rec-1"');
+  });
+
+  test('should summarise each month by category and person', () => {
+    const [may, june] = monthSummaries(transactions.slice(0, 3), members);
+    assert.strictEqual(may.month, '2024-05');
+    assert.strictEqual(june.total, 275);
+    assert.deepStrictEqual(june.categories, [{ name: 'Food', amount: 275, count: 2 }]);
+    assert.deepStrictEqual(june.people, [{ name: 'James', amount: 475, count: 1 }, { name: 'Samantha', amount: -200, count: 1 }]);
+  });
+
+  test('should write an XLSX workbook with a sheet per month', () => {
+    assert.strictEqual(columnName(0), 'A');
+    assert.strictEqual(columnName(27), 'AB');
+
+    const workbook = toXlsx(transactions.slice(0, 3), { members });
+    assert.strictEqual(workbook.subarray(0, 2).toString(), 'PK');
+    const names = workbook.toString('latin1');
+    ['xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet3.xml'].forEach(part => assert.ok(names.includes(part), part));
+    assert.ok(!names.includes('xl/worksheets/sheet4.xml'));
+
+    // Sheet names are made safe and unique
+    const repeated = writeXlsx([{ name: 'A/B', rows: [] }, { name: 'a b', rows: [] }]);
+    assert.ok(repeated.toString('latin1').includes('xl/worksheets/sheet2.xml'));
+  });
+
+  test('should write an OFX statement that reads back as the same transactions', () => {
+    const ofx = toOfx(transactions.slice(0, 3), { baseCurrency: 'USD' });
+    assert.match(ofx, /^OFXHEADER:100\n/);
+    assert.match(ofx, /<BALAMT>-110\.75/);
+
+    const statement = parseOfx(ofx);
+    assert.strictEqual(statement.currency, 'USD');
+    assert.deepStrictEqual(statement.errors, []);
+    assert.deepStrictEqual(statement.rows.map(row => [row.date, row.description, row.amount, row.importId]), [
+      ['2024-05-20', 'Hotel', 10800, 'ofx:spendtrack:t2'],
+      ['2024-06-02', 'Cafe "Joe" & Co', 475, 'ofx:spendtrack:t1'],
+      ['2024-06-10', 'Market', -200, 'ofx:spendtrack:t3']
+    ]);
+  });
+});
+
+describe('Expense Splits & Balance', () => {
+  const payerOf = tx => tx.memberId;
+
+  test('should validate splits against the amount', () => {
+    assert.strictEqual(validateSplit(undefined, 50), null, 'No split is personal spending');
+    assert.strictEqual(validateSplit({ type: 'equal', memberIds: ['j', 's'] }, 50), null);
+    assert.strictEqual(validateSplit({ type: 'percent', shares: { j: 70, s: 30 } }, 50), null);
+    assert.strictEqual(validateSplit({ type: 'amount', shares: { j: 2050, s: 2950 } }, 5000), null);
+
+    assert.match(validateSplit({ type: 'percent', shares: { j: 70, s: 20 } }, 50), /90%/);
+    assert.match(validateSplit({ type: 'amount', shares: { j: 2000, s: 2050 } }, 5000), /add up to \$40\.50, not \$50\.00/);
+    assert.match(validateSplit({ type: 'amount', shares: { j: 2000, s: 2050 } }, 5000, 'JPY'), /add up to ¥4,050, not ¥5,000/, 'Zero-decimal currencies are not divided by 100');
+    assert.ok(validateSplit({ type: 'equal', memberIds: [] }, 50));
+    assert.ok(validateSplit({ type: 'percent', shares: { j: 110, s: -10 } }, 50));
+    assert.ok(validateSplit({ type: 'halves' }, 50));
+  });
+
+  test('should work out each member\'s share', () => {
+    assert.deepStrictEqual(splitShares({ amount: 50, split: { type: 'equal', memberIds: ['j', 's'] } }, 'j'), { j: 25, s: 25 });
+    assert.deepStrictEqual(splitShares({ amount: 50, split: { type: 'percent', shares: { j: 60, s: 40 } } }, 'j'), { j: 30, s: 20 });
+    assert.deepStrictEqual(splitShares({ amount: 50, split: { type: 'amount', shares: { j: 5, s: 45 } } }, 'j'), { j: 5, s: 45 });
+    assert.deepStrictEqual(splitShares({ amount: 50, split: { type: 'personal' } }, 's'), { s: 50 });
+    assert.deepStrictEqual(splitShares({ amount: 50 }, 's'), { s: 50 });
+  });
+
+  test('should net shared spending into who owes whom', () => {
+    const transactions = [
+      { id: 't1', date: '2024-01-01', memberId: 'j', amount: 100, split: { type: 'equal', memberIds: ['j', 's'] } },
+      { id: 't2', date: '2024-01-02', memberId: 's', amount: 40, split: { type: 'percent', shares: { j: 75, s: 25 } } },
+      { id: 't3', date: '2024-01-03', memberId: 's', amount: 500 },
+      { id: 't4', date: '2024-01-04', memberId: 'j', amount: 80, split: { type: 'equal', memberIds: ['j', 's'] }, deletedAt: '2024-01-05' }
+    ];
+
+    const balances = computeBalances(transactions, payerOf);
+    assert.deepStrictEqual(balances, { j: 20, s: -20 });
+    assert.deepStrictEqual(settleUp(balances), [{ from: 's', to: 'j', amount: 20 }]);
+  });
+
+  test('should keep a history of the balance after each shared transaction', () => {
+    const history = balanceHistory([
+      { id: 't2', date: '2024-01-02', memberId: 's', amount: 30, split: { type: 'equal', memberIds: ['j', 's'] } },
+      { id: 't1', date: '2024-01-01', memberId: 'j', amount: 10, split: { type: 'equal', memberIds: ['j', 's'] } },
+      { id: 't3', date: '2024-01-03', memberId: 'j', amount: 99, split: { type: 'personal' } }
+    ], payerOf);
+
+    assert.deepStrictEqual(history.map(entry => entry.transaction.id), ['t1', 't2'], 'Oldest first, personal spending left out');
+    assert.deepStrictEqual(history[0].balances, { j: 5, s: -5 });
+    assert.deepStrictEqual(history[1].balances, { j: -10, s: 10 });
+  });
+
+  test('should settle several members with as few payments as possible', () => {
+    const transfers = settleUp({ a: 60, b: -45, c: -15, d: 0 });
+    assert.deepStrictEqual(transfers, [{ from: 'b', to: 'a', amount: 45 }, { from: 'c', to: 'a', amount: 15 }]);
+    assert.deepStrictEqual(settleUp({ a: 0.001, b: -0.001 }), [], 'Rounding dust is not a debt');
+  });
+
+  test('should let repayments settle the balance without being spending', () => {
+    const transactions = [
+      { id: 't1', date: '2024-01-01', memberId: 'j', amount: 460, split: { type: 'equal', memberIds: ['j', 's'] } }
+    ];
+    const settlements = [
+      { id: 's1', date: '2024-01-05', fromMemberId: 's', toMemberId: 'j', amount: 200 },
+      { id: 's2', date: '2024-01-06', fromMemberId: 's', toMemberId: 'j', amount: 30, deletedAt: '2024-01-07' }
+    ];
+
+    const balances = computeBalances(transactions, payerOf, settlements);
+    assert.deepStrictEqual(balances, { j: 30, s: -30 }, 'Undone repayments no longer count');
+    assert.deepStrictEqual(settleUp(balances), [{ from: 's', to: 'j', amount: 30 }]);
+
+    const history = balanceHistory(transactions, payerOf, settlements);
+    assert.deepStrictEqual(history.map(entry => (entry.transaction || entry.settlement).id), ['t1', 's1']);
+    assert.deepStrictEqual(history[1].balances, { j: 30, s: -30 });
+  });
+
+  test('should validate repayments against the members', () => {
+    const members = [{ id: 'j', name: 'James' }, { id: 's', name: 'Samantha' }];
+    const valid = { fromMemberId: 's', toMemberId: 'j', amount: 230, date: '2024-01-05' };
+
+    assert.strictEqual(validateSettlement(valid, members), null);
+    assert.ok(validateSettlement({ ...valid, toMemberId: 's' }, members), 'Nobody repays themselves');
+    assert.ok(validateSettlement({ ...valid, fromMemberId: 'x' }, members), 'Unknown member');
+    assert.ok(validateSettlement({ ...valid, amount: 0 }, members));
+    assert.ok(validateSettlement({ ...valid, amount: '230' }, members));
+    assert.ok(validateSettlement({ ...valid, amount: 230.5 }, members), 'Amounts are whole cents');
+    assert.ok(validateSettlement({ ...valid, date: '' }, members));
+  });
+});
+
+describe('Budgets', () => {
+  const groceries = { id: 'cat-1', name: 'Groceries', budget: 400, budgetPeriod: 'monthly' };
+  const transactions = [
+    { id: 't1', date: '2024-03-02', categoryId: 'cat-1', category: 'Groceries', amount: 150 },
+    { id: 't2', date: '2024-03-20', categoryId: 'cat-1', category: 'Groceries', amount: 200 },
+    { id: 't3', date: '2024-02-28', categoryId: 'cat-1', category: 'Groceries', amount: 90 },
+    { id: 't4', date: '2024-03-21', category: 'Groceries', amount: 30, deletedAt: '2024-03-22' },
+    { id: 't5', date: '2024-03-18', category: 'Gas', amount: 60 }
+  ];
+
+  test('should validate budget amounts and periods', () => {
+    assert.strictEqual(validateBudget(null), null, 'No amount means no budget');
+    assert.strictEqual(validateBudget(250, 'weekly'), null);
+    assert.ok(validateBudget(0, 'monthly'));
+    assert.ok(validateBudget('250', 'monthly'));
+    assert.ok(validateBudget(250.5, 'monthly'), 'Amounts are whole cents');
+    assert.ok(validateBudget(250, 'daily'));
+  });
+
+  test('should find the month or Monday-to-Sunday week containing a date', () => {
+    assert.deepStrictEqual(budgetPeriodRange('monthly', '2024-02-10'), { start: '2024-02-01', end: '2024-02-29' });
+    assert.deepStrictEqual(budgetPeriodRange('weekly', '2024-03-20'), { start: '2024-03-18', end: '2024-03-24' });
+    assert.deepStrictEqual(budgetPeriodRange('weekly', '2024-03-24'), { start: '2024-03-18', end: '2024-03-24' }, 'Sunday ends the week');
+  });
+
+  test('should compare spending in the period against each budget', () => {
+    assert.strictEqual(spentInPeriod(transactions, 'monthly', '2024-03-25', groceries), 350);
+    assert.strictEqual(spentInPeriod(transactions, 'monthly', '2024-03-25'), 410, 'Household total covers every category');
+
+    const [progress] = budgetProgress([groceries, { id: 'cat-5', name: 'Gas' }], transactions, '2024-03-25');
+    assert.strictEqual(progress.category, groceries);
+    assert.strictEqual(progress.percent, 88);
+    assert.strictEqual(progress.level, 'warning');
+    assert.strictEqual(budgetProgress([groceries], transactions, '2024-03-25', 90)[0].level, 'ok');
+  });
+
+  test('should only alert when spending crosses the threshold or the budget', () => {
+    assert.strictEqual(budgetAlert(300, 330, 400), 'warning');
+    assert.strictEqual(budgetAlert(330, 360, 400), null, 'Already past the threshold');
+    assert.strictEqual(budgetAlert(360, 420, 400), 'over');
+    assert.strictEqual(budgetAlert(100, 500, 400), 'over');
+    assert.strictEqual(budgetAlert(300, 330, 400, 90), null);
+  });
+});
+
+describe('Envelopes', () => {
+  const food = {
+    id: 'cat-food', name: 'Food', budget: 300, budgetPeriod: 'monthly', rollover: true, rolloverSince: '2024-01',
+    budgetHistory: [{ since: '2024-01', amount: 200 }, { since: '2024-03', amount: 300 }]
+  };
+  const fun = { id: 'cat-fun', name: 'Fun', budget: 100, budgetPeriod: 'monthly' };
+  const transactions = [
+    { id: 't1', date: '2024-01-10', categoryId: 'cat-food', amount: 150 },
+    { id: 't2', date: '2024-02-10', categoryId: 'cat-food', amount: 290 },
+    { id: 't3', date: '2024-03-05', categoryId: 'cat-food', amount: 100 },
+    { id: 't4', date: '2024-03-06', categoryId: 'cat-fun', amount: 40 }
+  ];
+  const moves = [{ id: 'm1', date: '2024-03-07', fromCategoryId: 'cat-fun', toCategoryId: 'cat-food', amount: 25 }];
+
+  test('should use the budget each month had at the time', () => {
+    assert.strictEqual(budgetForMonth(food, '2024-02'), 200);
+    assert.strictEqual(budgetForMonth(food, '2024-03'), 300);
+    assert.strictEqual(budgetForMonth(fun, '2024-03'), 100, 'Budgets from before history fall back to the current one');
+  });
+
+  test('should roll leftovers and overspending into the next month', () => {
+    const history = envelopeHistory(food, transactions, moves, '2024-03-20');
+    assert.deepStrictEqual(history.map(month => [month.month, month.carried, month.available]), [
+      ['2024-01', 0, 50],
+      ['2024-02', 50, -40],
+      ['2024-03', -40, 185]
+    ]);
+    assert.strictEqual(history[2].movedIn, 25);
+  });
+
+  test('should only count this month for envelopes that don\'t roll over', () => {
+    const balance = envelopeBalance(fun, transactions, moves, '2024-03-20');
+    assert.strictEqual(balance.carried, 0);
+    assert.strictEqual(balance.total, 75);
+    assert.strictEqual(balance.available, 35);
+  });
+
+  test('should move an edited transaction to its new budget and envelope', () => {
+    const edited = transactions.map(tx => tx.id === 't4' ? { ...tx, category: 'Fun', ...categoryFields(food) } : tx);
+    assert.deepStrictEqual(categoryFields(food), { category: 'Food', categoryId: 'cat-food' });
+    assert.strictEqual(spentInPeriod(edited, 'monthly', '2024-03-20', fun), 0);
+    assert.strictEqual(spentInPeriod(edited, 'monthly', '2024-03-20', food), 140);
+    assert.strictEqual(envelopeBalance(fun, edited, moves, '2024-03-20').available, 75);
+    assert.strictEqual(envelopeBalance(food, edited, moves, '2024-03-20').available, 145);
+  });
+
+  test('should validate moves between envelopes', () => {
+    const categories = [food, fun, { id: 'cat-weekly', name: 'Gas', budget: 50, budgetPeriod: 'weekly' }];
+    const move = { fromCategoryId: 'cat-fun', toCategoryId: 'cat-food', amount: 10, date: '2024-03-07' };
+    assert.strictEqual(validateEnvelopeMove(move, categories), null);
+    assert.ok(validateEnvelopeMove({ ...move, toCategoryId: 'cat-fun' }, categories));
+    assert.ok(validateEnvelopeMove({ ...move, toCategoryId: 'cat-weekly' }, categories), 'Weekly budgets are not envelopes');
+    assert.ok(validateEnvelopeMove({ ...move, amount: 0 }, categories));
+    assert.ok(validateEnvelopeMove({ ...move, amount: 0.5 }, categories), 'Amounts are whole cents');
+  });
+});
+
+describe('Recurring Transactions', () => {
+  test('should calculate the next date for each frequency', () => {
+    const next = frequency => nextRecurringDate({ frequency, startDate: '2024-01-15' }, '2024-01-15');
+    assert.strictEqual(next('weekly'), '2024-01-22');
+    assert.strictEqual(next('biweekly'), '2024-01-29');
+    assert.strictEqual(next('monthly'), '2024-02-15');
+    assert.strictEqual(next('yearly'), '2025-01-15');
+  });
+
+  const monthly = (changes = {}) => ({ frequency: 'monthly', startDate: '2024-01-31', amount: 1599, ...changes });
+
+  test('should clamp monthly dates to the end of shorter months without drifting', () => {
+    assert.deepStrictEqual(recurringDates(monthly(), '2024-01-01', '2024-05-31'), ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30', '2024-05-31']);
+    assert.strictEqual(nextRecurringDate(monthly(), '2024-02-29'), '2024-03-31');
+    assert.deepStrictEqual(recurringDates({ frequency: 'yearly', startDate: '2024-02-29' }, '2024-01-01', '2028-12-31'),
+      ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+  });
+
+  test('should repeat every N days, weeks or months', () => {
+    assert.deepStrictEqual(recurringDates({ frequency: 'daily', interval: 3, startDate: '2024-06-01' }, '2024-06-01', '2024-06-10'), ['2024-06-01', '2024-06-04', '2024-06-07', '2024-06-10']);
+    assert.deepStrictEqual(recurringDates({ frequency: 'biweekly', startDate: '2024-01-15' }, '2024-01-20', '2024-02-20'), ['2024-01-29', '2024-02-12']);
+    assert.deepStrictEqual(recurringDates(monthly({ interval: 3, startDate: '2024-01-15' }), '2024-01-01', '2024-12-31'), ['2024-01-15', '2024-04-15', '2024-07-15', '2024-10-15']);
+  });
+
+  test('should fall on the nth weekday, the last weekday or the last business day', () => {
+    // June 11 2024 is the 2nd Tuesday
+    assert.deepStrictEqual(recurringDates(monthly({ startDate: '2024-06-11', monthlyOn: 'weekday' }), '2024-06-01', '2024-09-30'), ['2024-06-11', '2024-07-09', '2024-08-13', '2024-09-10']);
+    assert.deepStrictEqual(recurringDates(monthly({ startDate: '2024-06-28', monthlyOn: 'last-weekday' }), '2024-06-01', '2024-08-31'), ['2024-06-28', '2024-07-26', '2024-08-30']);
+    // June 2024 ends on a Sunday and its last business day is before the start, so it is skipped
+    assert.deepStrictEqual(recurringDates(monthly({ startDate: '2024-06-30', monthlyOn: 'last-business-day' }), '2024-06-01', '2024-09-30'), ['2024-07-31', '2024-08-30', '2024-09-30']);
+    assert.deepStrictEqual(monthlyRulesFor('2024-06-11').map(rule => rule.value), ['day', 'weekday', 'last-day', 'last-business-day']);
+    assert.deepStrictEqual(monthlyRulesFor('2024-06-28').map(rule => rule.label), ['On day 28', 'On the 4th Friday', 'On the last Friday', 'On the last day', 'On the last business day']);
+  });
+
+  test('should end on a date or after a number of times', () => {
+    assert.deepStrictEqual(recurringDates(monthly({ endDate: '2024-03-31' }), '2024-01-01', '2024-12-31'), ['2024-01-31', '2024-02-29', '2024-03-31']);
+    assert.deepStrictEqual(recurringDates(monthly({ occurrences: 2 }), '2024-02-01', '2024-12-31'), ['2024-02-29']);
+    assert.strictEqual(nextRecurringDate(monthly({ occurrences: 2 }), '2024-02-29'), null);
+    assert.strictEqual(describeSchedule(monthly({ interval: 2, monthlyOn: 'last-business-day', endDate: '2025-06-30' })), 'Every 2 months, on the last business day, until 2025-06-30');
+    assert.strictEqual(describeSchedule({ frequency: 'biweekly', startDate: '2024-01-15', occurrences: 6 }), 'Every 2 weeks, 6 times');
+  });
+
+  test('should pause without adding missed dates on resume', () => {
+    const rec = monthly({ lastGenerated: '2024-02-29' });
+    assert.deepStrictEqual(dueDates(rec, '2024-04-30'), ['2024-03-31', '2024-04-30']);
+
+    const paused = { ...rec, ...pauseChanges('2024-03-15') };
+    assert.deepStrictEqual(dueDates(paused, '2024-06-15'), []);
+    assert.deepStrictEqual(dueDates({ ...rec, ...pauseChanges('2024-04-15') }, '2024-06-15'), ['2024-03-31'], 'Dates before the pause are still due');
+
+    const resumed = { ...paused, ...resumeChanges(paused, '2024-05-31') };
+    assert.deepStrictEqual(resumed, { ...rec, pausedAt: null, lastGenerated: '2024-04-30' });
+    assert.deepStrictEqual(dueDates(resumed, '2024-06-30'), ['2024-05-31', '2024-06-30']);
   });
 
-  test('should calculate next monthly date', () => {
-    const next = getNextRecurringDate('2024-01-15', 'monthly');
-    assert.strictEqual(next, '2024-02-15');
+  test('should plan each due date once, with ids from the entry and the date', () => {
+    const storage = createStorage({ dataDir: makeTempDir('spend-recurring-') });
+    storage.members.putMany([{ id: 'm1', name: 'James' }]);
+    storage.categories.putMany([{ id: 'c1', name: 'Bills' }]);
+    storage.recurring.putMany([
+      { id: 'r1', person: 'James', category: 'bills', vendor: 'Power', amount: 9000, frequency: 'monthly', startDate: '2024-01-31', lastGenerated: '2024-01-31' },
+      { id: 'r2', person: 'James', category: 'Bills', vendor: 'Gym', amount: 3000, frequency: 'monthly', startDate: '2024-03-01', pausedAt: '2024-02-01' },
+      { id: 'r3', person: 'James', category: 'Bills', vendor: 'Old', amount: 100, frequency: 'weekly', startDate: '2024-01-01', deletedAt: '2024-01-02T00:00:00.000Z' }
+    ]);
+    // A deleted occurrence stays deleted, and one an older app added with its own id counts
+    storage.transactions.putMany([
+      { id: occurrenceId('r1', '2024-02-29'), recurringId: 'r1', date: '2024-02-29', amount: 9000, deletedAt: '2024-03-01T00:00:00.000Z' },
+      { id: 'legacy-uuid', recurringId: 'r1', date: '2024-04-30', amount: 9000 }
+    ]);
+
+    const plan = planRecurring(storage, '2024-04-30', '2024-04-30T12:00:00.000Z');
+    assert.deepStrictEqual(plan.transactions.map(({ record }) => record.id), ['recurring-r1-2024-03-31']);
+    const [{ record }] = plan.transactions;
+    assert.strictEqual(record.memberId, 'm1');
+    assert.strictEqual(record.categoryId, 'c1');
+    assert.strictEqual(record.memo, 'Recurring: Power');
+    assert.deepStrictEqual(plan.recurring.map(({ record: rec }) => [rec.id, rec.lastGenerated]), [['r1', '2024-04-30']]);
+
+    assert.strictEqual(validateOccurrence({ id: 'phone-copy', recurringId: 'r1', date: '2024-04-30' }, storage.transactions.all()), 'This recurring transaction has already been added');
+    assert.strictEqual(validateOccurrence({ id: 'legacy-uuid', recurringId: 'r1', date: '2024-04-30' }, storage.transactions.all()), null);
+    storage.close();
+  });
+
+  test('should add bills whose amount varies as drafts with the suggested amount', () => {
+    const storage = createStorage({ dataDir: makeTempDir('spend-recurring-') });
+    const power = { id: 'r1', person: 'Alex', category: 'Bills', vendor: 'Power', amount: 9000, amountVaries: true, frequency: 'monthly', startDate: '2024-01-10', lastGenerated: '2024-03-10', updatedAt: '2024-01-01T00:00:00.000Z' };
+    storage.recurring.putMany([power]);
+    storage.transactions.putMany([
+      { id: 'recurring-r1-2024-01-10', date: '2024-01-10', amount: 12000, recurringId: 'r1', draft: false },
+      { id: 'recurring-r1-2024-02-10', date: '2024-02-10', amount: 10000, recurringId: 'r1', draft: false },
+      { id: 'recurring-r1-2024-03-10', date: '2024-03-10', amount: 9000, recurringId: 'r1', draft: true }
+    ]);
+
+    const [{ record }] = planRecurring(storage, '2024-04-10', '2024-04-10T12:00:00.000Z').transactions;
+    assert.strictEqual(record.draft, true);
+    assert.strictEqual(record.amount, 10000, 'The last confirmed amount; drafts aren\'t confirmed');
+    assert.strictEqual(draftAmount({ ...power, suggestAmount: 'average' }, storage.transactions.all()), 11000);
+    assert.strictEqual(draftAmount({ ...power, id: 'r2' }, storage.transactions.all()), 9000, 'The entry\'s amount until one is confirmed');
+    assert.strictEqual(planRecurring(storage, '2024-04-10').transactions.length, 1);
+    storage.recurring.putMany([{ ...power, amountVaries: false }]);
+    assert.strictEqual(planRecurring(storage, '2024-04-10').transactions[0].record.draft, undefined);
+    storage.close();
+  });
+
+  test('should reject schedules that can\'t be worked out', () => {
+    assert.strictEqual(validateRecurring(monthly({ interval: 2, monthlyOn: 'weekday', occurrences: 12 })), null);
+    assert.strictEqual(validateRecurring({ frequency: 'weekly', startDate: '2024-01-15', amount: 500 }), null, 'Records from before schedules stay valid');
+    assert.match(validateRecurring(monthly({ frequency: 'hourly' })), /Unknown frequency/);
+    assert.match(validateRecurring(monthly({ interval: 0 })), /Repeat every/);
+    assert.match(validateRecurring(monthly({ monthlyOn: 'first-monday' })), /Unknown monthly rule/);
+    assert.match(validateRecurring(monthly({ endDate: '2023-12-31' })), /before the start/);
+    assert.match(validateRecurring(monthly({ occurrences: 1.5 })), /whole number/);
+    assert.match(validateRecurring(monthly({ amount: 0 })), /Amount/);
+    assert.match(validateRecurring(monthly({ amountVaries: true, suggestAmount: 'median' })), /Unknown suggested amount/);
+    assert.strictEqual(validateRecurring({ id: 'r1', deletedAt: '2024-01-01T00:00:00.000Z' }), null);
+  });
+});
+
+describe('Upcoming Bills & Forecast', () => {
+  const rent = { id: 'rent', vendor: 'Landlord', category: 'Housing', amount: 150000, frequency: 'monthly', startDate: '2024-01-01', lastGenerated: '2024-06-01' };
+  const gym = { id: 'gym', vendor: 'Gym', category: 'Health', amount: 2500, frequency: 'weekly', startDate: '2024-06-03', lastGenerated: '2024-06-10' };
+
+  test('should list the charges still to come in the range, in date order', () => {
+    const charges = upcomingCharges([rent, gym], '2024-06-12', 30);
+    assert.deepStrictEqual(charges.map(c => [c.date, c.recurring.id]), [
+      ['2024-06-17', 'gym'], ['2024-06-24', 'gym'], ['2024-07-01', 'gym'], ['2024-07-01', 'rent'], ['2024-07-08', 'gym']
+    ]);
+    assert.strictEqual(upcomingCharges([rent], '2024-06-12', 90).length, 3);
   });
 
-  test('should calculate next yearly date', () => {
-    const next = getNextRecurringDate('2024-01-15', 'yearly');
-    assert.strictEqual(next, '2025-01-15');
+  test('should include today\'s charge until it has been added', () => {
+    const due = { ...gym, lastGenerated: '2024-06-03' };
+    assert.strictEqual(upcomingCharges([due], '2024-06-10', 1)[0].date, '2024-06-10');
+    assert.deepStrictEqual(upcomingCharges([gym], '2024-06-10', 1), []);
   });
 
-  test('should handle month boundary for monthly recurring', () => {
-    const next = getNextRecurringDate('2024-01-31', 'monthly');
-    // JavaScript Date handles this by rolling over
-    assert.ok(next.startsWith('2024-0'), 'Should be in February or March 2024');
+  test('should leave out deleted, paused and ended entries', () => {
+    const charges = upcomingCharges([
+      { ...rent, deletedAt: '2024-06-05T00:00:00.000Z' },
+      { ...gym, pausedAt: '2024-06-20' },
+      { ...rent, id: 'loan', endDate: '2024-07-15' }
+    ], '2024-06-12', 90);
+    assert.deepStrictEqual(charges.map(c => [c.date, c.recurring.id]), [['2024-06-17', 'gym'], ['2024-07-01', 'loan']]);
+  });
+
+  test('should total each day and keep a running total', () => {
+    const days = dailyTotals(upcomingCharges([rent, gym], '2024-06-12', 30), '2024-06-12', 30);
+    assert.strictEqual(days.length, 30);
+    assert.strictEqual(days[0].date, '2024-06-12');
+    assert.strictEqual(days[29].date, '2024-07-11');
+    const july1 = days.find(day => day.date === '2024-07-01');
+    assert.strictEqual(july1.amount, 152500);
+    assert.strictEqual(july1.total, 2500 * 2 + 152500);
+    assert.strictEqual(days[29].total, 2500 * 4 + 150000);
+  });
+
+  test('should forecast month-end spending from the pace so far and the bills to come', () => {
+    const transactions = [
+      { id: 't1', date: '2024-06-01', amount: 150000, recurringId: 'rent' },
+      { id: 't2', date: '2024-06-04', amount: 6000 },
+      { id: 't3', date: '2024-06-10', amount: 4000 },
+      { id: 't4', date: '2024-06-10', amount: 2500, recurringId: 'gym' },
+      { id: 't5', date: '2024-06-08', amount: 9999, deletedAt: '2024-06-09T00:00:00.000Z' },
+      { id: 't6', date: '2024-05-30', amount: 7000 }
+    ];
+    const forecast = monthEndForecast(transactions, [rent, gym], '2024-06-10');
+    assert.strictEqual(forecast.spent, 162500);
+    assert.strictEqual(forecast.everyday, 10000);
+    assert.strictEqual(forecast.pace, 1000);
+    assert.strictEqual(forecast.daysLeft, 20);
+    assert.strictEqual(forecast.everydayToCome, 20000);
+    assert.strictEqual(forecast.scheduled, 2500 * 2, 'Gym on the 17th and 24th; rent is next due in July');
+    assert.strictEqual(forecast.projected, 162500 + 20000 + 5000);
+  });
+
+  test('should expect bills whose amount varies to come to what their drafts would suggest', () => {
+    const power = { id: 'power', vendor: 'Power Co', amount: 9000, amountVaries: true, frequency: 'monthly', startDate: '2024-04-20', lastGenerated: '2024-05-20' };
+    const transactions = [
+      { id: 't1', date: '2024-04-20', amount: 11000, recurringId: 'power' },
+      { id: 't2', date: '2024-05-20', amount: 13000, recurringId: 'power' }
+    ];
+    assert.strictEqual(upcomingCharges([power], '2024-06-10', 30, transactions)[0].amount, 13000);
+    assert.strictEqual(upcomingCharges([{ ...power, suggestAmount: 'average' }], '2024-06-10', 30, transactions)[0].amount, 12000);
+    assert.strictEqual(upcomingCharges([power], '2024-06-10', 30)[0].amount, 9000, 'Nothing confirmed yet');
+    assert.strictEqual(monthEndForecast(transactions, [power], '2024-06-10').scheduled, 13000);
+  });
+
+  test('should forecast nothing more on the last day of the month', () => {
+    const forecast = monthEndForecast([{ id: 't1', date: '2024-02-29', amount: 1234 }], [], '2024-02-29');
+    assert.strictEqual(forecast.daysLeft, 0);
+    assert.strictEqual(forecast.projected, 1234);
+  });
+});
+
+describe('Subscription Detection', () => {
+  function charged(vendor, dates, amounts, extra = {}) {
+    return dates.map((date, i) => ({
+      id: `${vendorKey(vendor).replace(/ /g, '-')}-${date}`,
+      date,
+      vendor,
+      category: 'Entertainment',
+      person: 'Alex',
+      memberId: 'm1',
+      amount: Array.isArray(amounts) ? amounts[i] : amounts,
+      ...extra
+    }));
+  }
+
+  test('should find monthly, six-monthly and fortnightly subscriptions', () => {
+    const transactions = [
+      ...charged('NETFLIX.COM 8891', ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30'], [1549, 1549, 1549, 1799]),
+      ...charged('Insurer', ['2023-06-01', '2023-12-01', '2024-06-02'], 42000),
+      ...charged('Cleaner', ['2024-04-02', '2024-04-16', '2024-04-30'], 8000)
+    ];
+    const suggestions = detectSubscriptions(transactions, [], '2024-05-10');
+    assert.deepStrictEqual(suggestions.map(s => [s.vendor, s.frequency, s.interval]).sort(), [
+      ['Cleaner', 'weekly', 2], ['Insurer', 'monthly', 6], ['NETFLIX.COM 8891', 'monthly', 1]
+    ]);
+    const netflix = suggestions.find(s => s.vendor.startsWith('NETFLIX'));
+    assert.strictEqual(netflix.amount, 1799, 'The latest charge');
+    assert.strictEqual(netflix.startDate, '2024-01-31');
+    assert.strictEqual(netflix.lastDate, '2024-04-30');
+    assert.strictEqual(netflix.memberId, 'm1');
+    assert.deepStrictEqual(netflix.transactionIds, transactions.slice(0, 4).map(tx => tx.id));
+  });
+
+  test('should match vendors ignoring case, digits and punctuation', () => {
+    assert.strictEqual(vendorKey('NETFLIX.COM 8891'), vendorKey('Netflix com'));
+    assert.strictEqual(vendorKey('Café Nero #12'), 'café nero');
+    const recurring = [{ id: 'r1', vendor: 'Netflix', amount: 1549, frequency: 'monthly', startDate: '2024-01-31' }];
+    const transactions = charged('NETFLIX.COM 8891', ['2024-02-29', '2024-03-31', '2024-04-30'], 1549);
+    assert.deepStrictEqual(detectSubscriptions(transactions, recurring, '2024-05-10'), [], 'Netflix already recurs');
+    assert.strictEqual(detectSubscriptions(charged('Netflixer', ['2024-02-29', '2024-03-31', '2024-04-30'], 999), recurring, '2024-05-10').length, 1);
+  });
+
+  test('should skip irregular, dissimilar, stopped and already recurring charges', () => {
+    const dates = ['2024-01-05', '2024-02-05', '2024-03-05'];
+    const transactions = [
+      ...charged('Grocer', ['2024-01-03', '2024-01-20', '2024-03-02'], 5000),
+      ...charged('Hardware', dates, [2000, 9000, 2500]),
+      ...charged('Old Gym', dates, 3000),
+      ...charged('Spotify', ['2024-04-05', '2024-05-05', '2024-06-05'], 1099),
+      ...charged('Two Charges', ['2024-05-05', '2024-06-05'], 500),
+      ...charged('Refunded', ['2024-04-05', '2024-05-05', '2024-06-05'], -500),
+      ...charged('Deleted', ['2024-04-05', '2024-05-05', '2024-06-05'], 500, { deletedAt: '2024-06-06T00:00:00.000Z' })
+    ];
+    const recurring = [{ id: 'r1', vendor: 'spotify', amount: 1099, frequency: 'monthly', startDate: '2024-04-05' }];
+    assert.deepStrictEqual(detectSubscriptions(transactions, recurring, '2024-06-10'), []);
+    assert.strictEqual(detectSubscriptions(transactions, [], '2024-06-10').length, 1);
+  });
+
+  test('should flag recurring entries whose latest charge went up', () => {
+    const recurring = [
+      { id: 'r1', vendor: 'Netflix', amount: 1549, frequency: 'monthly', startDate: '2024-01-31' },
+      { id: 'r2', vendor: 'Gym', amount: 4500, frequency: 'monthly', startDate: '2024-01-15' },
+      { id: 'r3', vendor: 'Power', amount: 9000, amountVaries: true, frequency: 'monthly', startDate: '2024-01-20' }
+    ];
+    const transactions = [
+      ...charged('Netflix', ['2024-03-31'], 1549, { recurringId: 'r1' }),
+      ...charged('NETFLIX.COM', ['2024-04-30'], 1799),
+      ...charged('Gym', ['2024-03-15', '2024-04-15'], [5000, 4500], { recurringId: 'r2' }),
+      ...charged('Power', ['2024-04-20'], 12000, { recurringId: 'r3' })
+    ];
+    assert.deepStrictEqual(priceIncreases(transactions, recurring).map(i => [i.recurring.id, i.from, i.to, i.date]), [['r1', 1549, 1799, '2024-04-30']]);
   });
 });
 